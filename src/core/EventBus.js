@@ -1,12 +1,24 @@
 /**
  * EventBus - Core event system for decoupled communication
  * No dependencies on other systems (pure trunk)
+ *
+ * Interceptors run when an event is emitted, before it reaches any listener, highest priority first.
+ * Each one may change the payload (mutate it or return a replacement) or cancel the event with
+ * `event.cancel(reason)`; a cancelled event never reaches listeners or lower-priority interceptors.
+ *
+ * In development, enableChecks(catalog) compares traffic with an EventCatalog and warns (once per problem)
+ * about unknown event names, payloads missing declared fields and listeners for events nothing emits.
+ *
+ * Taps see every event that gets past its interceptors, in emit order (EventRecorder uses one).
  */
 export default class EventBus {
     constructor() {
         this.events = new Map();
+        this.interceptors = new Map(); // eventName -> [{ callback, context, priority }], highest priority first
+        this.taps = []; // (eventName, payload, nested) callbacks
         this.eventQueue = [];
         this.isProcessing = false;
+        this.checks = null; // { catalog, warn, warned, emitted } while development checks are on
     }
 
     /**
@@ -24,6 +36,8 @@ export default class EventBus {
         const handler = { callback, context };
         this.events.get(eventName).push(handler);
 
+        if (this.checks) this.checkListener(eventName);
+
         // Return unsubscribe function
         return () => this.off(eventName, callback, context);
     }
@@ -65,18 +79,100 @@ export default class EventBus {
         }
     }
 
+    /**
+     * Modify or cancel an event before its listeners run
+     * @param {string} eventName 
+     * @param {Function} callback - (payload, event) => replacement payload or undefined;
+     *                              event is { eventName, cancel(reason) }
+     * @param {number} priority - Higher runs first; equal priorities run in registration order
+     * @param {Object} context - Optional context for callback
+     * @returns {Function} Removes the interceptor
+     */
+    intercept(eventName, callback, priority = 0, context = null) {
+        if (!this.interceptors.has(eventName)) {
+            this.interceptors.set(eventName, []);
+        }
+
+        const interceptors = this.interceptors.get(eventName);
+        const interceptor = { callback, context, priority };
+        const index = interceptors.findIndex(i => i.priority < priority);
+        interceptors.splice(index === -1 ? interceptors.length : index, 0, interceptor);
+
+        return () => {
+            const position = interceptors.indexOf(interceptor);
+            if (position !== -1) interceptors.splice(position, 1);
+            if (interceptors.length === 0 && this.interceptors.get(eventName) === interceptors) {
+                this.interceptors.delete(eventName);
+            }
+        };
+    }
+
+    /**
+     * Watch every event as it is emitted, after interceptors and before listeners
+     * @param {Function} callback - (eventName, payload, nested); nested is true when a listener emitted it
+     * @returns {Function} Removes the tap
+     */
+    tap(callback) {
+        this.taps.push(callback);
+
+        return () => {
+            const index = this.taps.indexOf(callback);
+            if (index !== -1) this.taps.splice(index, 1);
+        };
+    }
+
     /**
      * Emit an event
      * @param {string} eventName 
-     * @param {...any} args 
+     * @param {...any} args - The first argument is the payload interceptors see
+     * @returns {boolean} Whether an interceptor cancelled the event
      */
     emit(eventName, ...args) {
+        if (this.checks) this.checkEmit(eventName, args[0]);
+
+        if (this.interceptors.has(eventName) && this.runInterceptors(eventName, args)) {
+            return true;
+        }
+
+        this.taps.forEach(tap => tap(eventName, args[0], this.isProcessing));
+
         // Queue events to prevent infinite loops
         this.eventQueue.push({ eventName, args });
 
         if (!this.isProcessing) {
             this.processQueue();
         }
+        return false;
+    }
+
+    /**
+     * Pass an event through its interceptors
+     * @param {string} eventName 
+     * @param {Array} args - Payload replacements are written into args[0]
+     * @returns {boolean} Whether the event was cancelled
+     */
+    runInterceptors(eventName, args) {
+        let cancelled = false;
+        const event = {
+            eventName,
+            cancel: (reason = 'cancelled') => {
+                cancelled = true;
+                event.reason = reason;
+            }
+        };
+
+        for (const interceptor of [...this.interceptors.get(eventName)]) {
+            try {
+                const replacement = interceptor.callback.call(interceptor.context, args[0], event);
+                if (replacement !== undefined) args[0] = replacement;
+            } catch (error) {
+                console.error(`Error in event interceptor for ${eventName}:`, error);
+            }
+
+            if (cancelled) return true;
+        }
+
+        return false;
     }
 
     /**
@@ -103,11 +199,80 @@ export default class EventBus {
         this.isProcessing = false;
     }
 
+    /**
+     * Start checking events against a catalog (development only)
+     * @param {EventCatalog} catalog
+     * @param {Function} warn - Receives each problem once
+     */
+    enableChecks(catalog, warn = (message) => console.warn(`EventBus: ${message}`)) {
+        this.checks = { catalog, warn, warned: new Set(), emitted: new Map() };
+
+        // Listeners registered before the catalog loaded; the never-emitted ones share one warning
+        const eventNames = this.getEventNames();
+        const silent = eventNames.filter(eventName => catalog.has(eventName) && !catalog.hasEmitters(eventName));
+        silent.forEach(eventName => this.checks.warned.add(this.getSilentListenerMessage(eventName)));
+        if (silent.length > 0) {
+            warn(`${silent.length} events have listeners but nothing emits them: ${silent.join(', ')}`);
+        }
+        eventNames.filter(eventName => !catalog.has(eventName)).forEach(eventName => this.checkListener(eventName));
+    }
+
+    /**
+     * Stop checking events
+     */
+    disableChecks() {
+        this.checks = null;
+    }
+
+    /**
+     * @param {string} eventName
+     */
+    checkListener(eventName) {
+        const { catalog } = this.checks;
+
+        if (!catalog.has(eventName)) {
+            this.warnOnce(`listener for unknown event "${eventName}"`);
+        } else if (!catalog.hasEmitters(eventName)) {
+            this.warnOnce(this.getSilentListenerMessage(eventName));
+        }
+    }
+
+    /**
+     * @param {string} eventName
+     * @returns {string}
+     */
+    getSilentListenerMessage(eventName) {
+        return `"${eventName}" has listeners but nothing emits it`;
+    }
+
+    /**
+     * @param {string} eventName
+     * @param {*} payload
+     */
+    checkEmit(eventName, payload) {
+        const { catalog, emitted } = this.checks;
+        emitted.set(eventName, (emitted.get(eventName) || 0) + 1);
+
+        catalog.validate(eventName, payload).forEach(problem => this.warnOnce(problem));
+    }
+
+    /**
+     * @param {string} message
+     */
+    warnOnce(message) {
+        if (this.checks.warned.has(message)) return;
+
+        this.checks.warned.add(message);
+        this.checks.warn(message);
+    }
+
     /**
      * Clear all event listeners
      */
     clear() {
         this.events.clear();
+        this.interceptors.clear();
+        this.taps = [];
         this.eventQueue = [];
     }
 
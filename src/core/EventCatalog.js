@@ -0,0 +1,133 @@
+/**
+ * EventCatalog - Declared events, their payloads and who emits and listens to them
+ * No dependencies on other systems (pure trunk)
+ *
+ * Definitions live in src/data/events.json:
+ *   "combat:start": { "emitters": ["TournamentSystem"], "listeners": ["CombatSystem"],
+ *                     "payload": { "attackerId": "string", "defenderId": "string", "mode?": "string" } }
+ * - Field types are string, number, boolean, object, array, function or any; a trailing `?` marks an optional field
+ * - `"payload": null` declares an event sent without data
+ * - `emitters` and `listeners` name modules; an event nobody emits is a listener that can never fire
+ * EventBus.enableChecks(catalog) uses it to warn about unknown events and bad payloads in development.
+ */
+export default class EventCatalog {
+    constructor(definitions = {}) {
+        this.definitions = new Map(Object.entries(definitions.events || definitions));
+    }
+
+    /**
+     * @param {string} eventName
+     * @returns {boolean}
+     */
+    has(eventName) {
+        return this.definitions.has(eventName);
+    }
+
+    /**
+     * @param {string} eventName
+     * @returns {Object|undefined} { emitters, listeners, payload }
+     */
+    get(eventName) {
+        return this.definitions.get(eventName);
+    }
+
+    /**
+     * Whether anything in the game emits an event
+     * @param {string} eventName
+     * @returns {boolean}
+     */
+    hasEmitters(eventName) {
+        return (this.get(eventName)?.emitters.length ?? 0) > 0;
+    }
+
+    /**
+     * Check a payload against its declared fields
+     * @param {string} eventName
+     * @param {*} payload
+     * @returns {Array<string>} Problems, empty when the payload fits
+     */
+    validate(eventName, payload) {
+        const definition = this.get(eventName);
+        if (!definition) return [`"${eventName}" is not in the event catalog`];
+        if (!definition.payload) return [];
+
+        const fields = Object.entries(definition.payload);
+        if (payload === null || payload === undefined) {
+            // Fine when every field is optional
+            return fields.some(([field]) => !field.endsWith('?')) ? [`"${eventName}" expects a payload object`] : [];
+        }
+        if (typeof payload !== 'object') return [`"${eventName}" expects a payload object`];
+
+        const problems = [];
+        fields.forEach(([field, type]) => {
+            const optional = field.endsWith('?');
+            const name = optional ? field.slice(0, -1) : field;
+            const value = payload[name];
+
+            if (value === undefined) {
+                if (!optional) problems.push(`"${eventName}" is missing "${name}"`);
+            } else if (value !== null && !this.matchesType(value, type)) {
+                problems.push(`"${eventName}" field "${name}" should be ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * @param {*} value
+     * @param {string} type
+     * @returns {boolean}
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'any':
+                return true;
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Write the event graph as markdown: who emits each event, who listens, and the loose ends
+     * @param {EventBus} eventBus - Live listener counts, and emit counts when checks are on
+     * @returns {string}
+     */
+    generateReport(eventBus = null) {
+        const emitted = eventBus?.checks?.emitted || new Map();
+        const listenerCount = (eventName) => eventBus ? eventBus.getListenerCount(eventName) : 0;
+        const list = (names) => names.length ? names.join(', ') : '-';
+
+        const live = eventBus ? eventBus.getEventNames() : [];
+        const uncatalogued = [...new Set([...live, ...emitted.keys()])].filter(name => !this.has(name)).sort();
+        const names = [...this.definitions.keys()].sort();
+        const neverEmitted = names.filter(name => !this.hasEmitters(name) && this.get(name).listeners.length > 0);
+        const unheard = names.filter(name => this.get(name).listeners.length === 0);
+
+        const lines = [
+            '# Event graph',
+            '',
+            `${names.length} catalogued events, ${live.length} with live listeners, ${emitted.size} emitted this session`,
+            '',
+            '| Event | Emitted by | Listened to by | Live listeners | Emitted |',
+            '| --- | --- | --- | --- | --- |',
+            ...names.map(name => {
+                const { emitters, listeners } = this.get(name);
+                return `| ${name} | ${list(emitters)} | ${list(listeners)} | ${listenerCount(name)} | ${emitted.get(name) || 0} |`;
+            }),
+            '',
+            '## Listened to, but nothing emits them',
+            ...(neverEmitted.length ? neverEmitted.map(name => `- ${name} (${list(this.get(name).listeners)})`) : ['- none']),
+            '',
+            '## Emitted, but nothing listens',
+            ...(unheard.length ? unheard.map(name => `- ${name} (${list(this.get(name).emitters)})`) : ['- none']),
+            '',
+            '## Not in the catalog',
+            ...(uncatalogued.length ? uncatalogued.map(name => `- ${name}`) : ['- none'])
+        ];
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * EventRecorder - Records every emitted event so a tester's session can be replayed
+ * Trunk-level tool built on an EventBus tap (uses GameClock time and the Random seed)
+ *
+ * Events are stored in emit order as [frame, time, name, payload, input]:
+ * - frame counts tick() calls (the game loop ticks with each real frame delta), time is game ms
+ * - payloads are copied when emitted; entities become their id, functions are dropped and
+ *   other class instances become '[ClassName]'
+ * - input is 1 for an event in config.inputEvents that no listener emitted (it came from the player);
+ *   EventReplay re-emits only these and lets the game work out everything else again
+ * export() writes the log as compact JSON: { version, seed, recordedAt, inputEvents, frames, events },
+ * with frame deltas run-length encoded as [delta, count] pairs.
+ */
+import Entity from './Entity.js';
+import Random from './Random.js';
+
+// Bump when the log changes shape
+export const EVENT_LOG_VERSION = 1;
+
+export default class EventRecorder {
+    constructor(eventBus, clock) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+
+        // Recorder configuration
+        this.config = {
+            inputEvents: [
+                // Moving around, and the chunks that movement generates
+                'movement:move-by', 'world:generate-chunk',
+                'player:move-up', 'player:move-down', 'player:move-left', 'player:move-right',
+                // Combat
+                'combat:start', 'combat:flee', 'player:attack', 'player:click-attack',
+                'player:push-start', 'player:push-end', 'player:flee',
+                // NPCs, shops and settings
+                'player:interact', 'entity:interact', 'dialogue:choose', 'dialogue:advance', 'dialogue:end',
+                'shop:buy', 'shop:sell', 'shop:close', 'settings:set', 'settings:cycle',
+                // Debug menu
+                'debug:execute-test'
+            ],
+            maxDepth: 4, // Deeper payload values become '[...]'
+            maxEvents: 200000 // Past this only inputs and entity creations are kept, so the log still replays
+        };
+
+        this.recording = false;
+        this.untap = null;
+        this.clear();
+    }
+
+    /**
+     * Start a new recording with the current Random seed
+     */
+    start() {
+        this.stop();
+        this.clear();
+
+        this.seed = Random.getSeed();
+        this.recordedAt = Date.now();
+        this.recording = true;
+        this.untap = this.eventBus.tap((eventName, payload, nested) => this.capture(eventName, payload, nested));
+    }
+
+    /**
+     * Stop recording, keeping what was captured
+     */
+    stop() {
+        if (this.untap) this.untap();
+        this.untap = null;
+        this.recording = false;
+    }
+
+    /**
+     * Drop everything captured
+     */
+    clear() {
+        this.seed = null;
+        this.recordedAt = null;
+        this.frame = 0;
+        this.frames = []; // [delta, count]
+        this.events = [];
+        this.truncated = false;
+    }
+
+    /**
+     * Count a frame (called by the game loop before the clock ticks)
+     * @param {number} delta - Real milliseconds since last frame
+     */
+    tick(delta) {
+        if (!this.recording) return;
+
+        this.frame++;
+        const last = this.frames[this.frames.length - 1];
+        if (last && last[0] === delta) {
+            last[1]++;
+        } else {
+            this.frames.push([delta, 1]);
+        }
+    }
+
+    /**
+     * @param {string} eventName
+     * @param {*} payload
+     * @param {boolean} nested - Emitted by a listener
+     */
+    capture(eventName, payload, nested) {
+        const input = !nested && this.config.inputEvents.includes(eventName);
+        if (!input && eventName !== 'entity:created' && this.events.length >= this.config.maxEvents) {
+            this.truncated = true;
+            return;
+        }
+
+        const entry = [this.frame, Math.round(this.clock.now()), eventName, this.copy(payload)];
+        if (input) entry.push(1);
+        this.events.push(entry);
+    }
+
+    /**
+     * Copy a payload into plain JSON data
+     * @param {*} value
+     * @param {number} depth
+     * @returns {*}
+     */
+    copy(value, depth = 0) {
+        if (typeof value === 'function') return undefined;
+        if (value === null || typeof value !== 'object') return value;
+        if (value instanceof Entity) return value.id;
+        if (depth >= this.config.maxDepth) return '[...]';
+        if (Array.isArray(value)) return value.map(item => this.copy(item, depth + 1) ?? null);
+
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) {
+            return `[${value.constructor?.name || 'Object'}]`;
+        }
+
+        const copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            const copied = this.copy(item, depth + 1);
+            if (copied !== undefined) copy[key] = copied;
+        });
+        return copy;
+    }
+
+    /**
+     * @returns {string} The log as JSON
+     */
+    export() {
+        return JSON.stringify({
+            version: EVENT_LOG_VERSION,
+            seed: this.seed,
+            recordedAt: this.recordedAt,
+            truncated: this.truncated,
+            inputEvents: this.config.inputEvents,
+            frames: this.frames,
+            events: this.events
+        });
+    }
+
+    /**
+     * Export the log and download it as a .json file (browser only)
+     */
+    download() {
+        const url = URL.createObjectURL(new Blob([this.export()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bicep-rpg-events-${this.recordedAt}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read an exported log
+     * @param {string|Object} json - Output of export()
+     * @returns {Object|null} The log, or null when it can't be replayed
+     */
+    static parse(json) {
+        try {
+            const log = typeof json === 'string' ? JSON.parse(json) : json;
+
+            if (!log || !Array.isArray(log.frames) || !Array.isArray(log.events) || typeof log.seed !== 'number') {
+                console.error('Not an event log');
+                return null;
+            }
+            if (log.version > EVENT_LOG_VERSION) {
+                console.error(`Event log version ${log.version} is newer than this build supports (${EVENT_LOG_VERSION})`);
+                return null;
+            }
+            return log;
+        } catch (error) {
+            console.error('Failed to read event log:', error);
+            return null;
+        }
+    }
+}
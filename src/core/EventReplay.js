@@ -0,0 +1,155 @@
+/**
+ * EventReplay - Plays an EventRecorder log back into a freshly booted world
+ * Trunk-level tool (uses EventBus interceptors and seeds Random)
+ *
+ * Create it before anything rolls a random number: it seeds Random with the log's seed. Then, for each frame,
+ * the game loop feeds the inputs recorded since the previous frame and runs the recorded frame delta:
+ *   replay.feedInputs();
+ *   const delta = replay.nextDelta(); // null once the recorded frames run out
+ * - Entity ids in recorded payloads are swapped for the ids of the entities created in the same order this time
+ * - From the first fed frame until the end, live input (events in the log's inputEvents that no listener
+ *   emitted) is cancelled, so only the recording drives the game
+ * - 'replay:finished' { frames, inputs } fires once every frame and input has been played
+ */
+import EventRecorder from './EventRecorder.js';
+import Random from './Random.js';
+
+export default class EventReplay {
+    static storageKey = 'bicep-rpg-replay'; // sessionStorage slot for a log waiting for the page to reload
+
+    constructor(eventBus, log) {
+        this.eventBus = eventBus;
+        this.log = EventRecorder.parse(log);
+        if (!this.log) throw new Error('EventReplay needs an event log');
+
+        // Replay configuration
+        this.config = {
+            blockPriority: 1000 // Cancel live input before any other interceptor sees it
+        };
+
+        Random.seed(this.log.seed);
+
+        this.inputs = this.log.events.filter(entry => entry[4] === 1);
+        this.recordedIds = this.getRecorded('entity:created').map(data => data.entity);
+        this.idMap = new Map(); // recorded entity id -> id this time
+
+        this.frame = 0;
+        this.frameRun = 0; // Index into log.frames
+        this.frameRunUsed = 0;
+        this.inputIndex = 0;
+        this.feeding = false;
+        this.blocking = false;
+        this.active = true;
+        this.unsubscribers = [];
+        this.blockers = [];
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.unsubscribers.push(this.eventBus.on('entity:created', (data) => {
+            const recordedId = this.recordedIds[this.idMap.size];
+            if (recordedId) this.idMap.set(recordedId, data.entity.id);
+        }));
+    }
+
+    /**
+     * Cancel input that doesn't come from the log
+     */
+    blockLiveInput() {
+        this.blocking = true;
+        this.log.inputEvents.forEach(eventName => {
+            this.blockers.push(this.eventBus.intercept(eventName, (data, event) => {
+                if (!this.feeding && !this.eventBus.isProcessing) event.cancel('replay');
+            }, this.config.blockPriority));
+        });
+    }
+
+    /**
+     * Emit the inputs recorded up to the current frame
+     */
+    feedInputs() {
+        if (!this.active) return;
+        if (!this.blocking) this.blockLiveInput();
+
+        while (this.inputIndex < this.inputs.length && this.inputs[this.inputIndex][0] <= this.frame) {
+            const [, , eventName, payload] = this.inputs[this.inputIndex++];
+
+            this.feeding = true;
+            this.eventBus.emit(eventName, this.remap(payload ?? undefined));
+            this.feeding = false;
+        }
+
+        if (this.frameRun >= this.log.frames.length && this.inputIndex >= this.inputs.length) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Take the next recorded frame
+     * @returns {number|null} Real milliseconds to run, null when no frames are left
+     */
+    nextDelta() {
+        const run = this.log.frames[this.frameRun];
+        if (!this.active || !run) return null;
+
+        const [delta, count] = run;
+        if (++this.frameRunUsed >= count) {
+            this.frameRun++;
+            this.frameRunUsed = 0;
+        }
+        this.frame++;
+        return delta;
+    }
+
+    /**
+     * Swap recorded entity ids for this session's
+     * @param {*} value
+     * @returns {*}
+     */
+    remap(value) {
+        if (typeof value === 'string') return this.idMap.get(value) ?? value;
+        if (Array.isArray(value)) return value.map(item => this.remap(item));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.remap(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Recorded payloads of an event, in order
+     * @param {string} eventName
+     * @returns {Array}
+     */
+    getRecorded(eventName) {
+        return this.log.events.filter(entry => entry[2] === eventName).map(entry => entry[3]);
+    }
+
+    /**
+     * @returns {boolean} Whether frames or inputs are left to play
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Everything has been played
+     */
+    finish() {
+        this.stop();
+        this.eventBus.emit('replay:finished', { frames: this.frame, inputs: this.inputIndex });
+    }
+
+    /**
+     * Stop replaying and give input back to the player
+     */
+    stop() {
+        this.active = false;
+        [...this.unsubscribers, ...this.blockers].forEach(remove => remove());
+        this.unsubscribers = [];
+        this.blockers = [];
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * GameClock - Shared game time source driven by the game loop
+ * Time only moves when tick()/step() is called, so pausing freezes every
+ * timestamp, cooldown and timer that reads from it (pure trunk)
+ */
+export default class GameClock {
+    constructor(eventBus = null) {
+        this.eventBus = eventBus;
+
+        this.currentTime = 0; // Game milliseconds since start
+        this.scale = 1; // Game ms per real ms
+        this.paused = false;
+
+        this.timers = new Map(); // handle -> { callback, dueTime, interval }
+        this.nextHandle = 1;
+
+        if (this.eventBus) {
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.unsubscribers = [
+            this.eventBus.on('game:pause', () => this.pause()),
+            this.eventBus.on('game:resume', () => this.resume()),
+            this.eventBus.on('clock:set-scale', (data) => this.setScale(data.scale)),
+            this.eventBus.on('clock:step', (data) => this.step(data.ms))
+        ];
+    }
+
+    /**
+     * Current game time in milliseconds
+     * @returns {number}
+     */
+    now() {
+        return this.currentTime;
+    }
+
+    /**
+     * Advance by a real frame delta (called from the scene's update)
+     * @param {number} realDelta - Real milliseconds since last frame
+     * @returns {number} Game milliseconds that passed (0 while paused)
+     */
+    tick(realDelta) {
+        if (this.paused) return 0;
+
+        const gameDelta = realDelta * this.scale;
+        this.advance(gameDelta);
+        return gameDelta;
+    }
+
+    /**
+     * Advance game time directly, even while paused (debug fast-forward, tests)
+     * @param {number} ms - Game milliseconds
+     */
+    step(ms) {
+        this.advance(ms);
+    }
+
+    /**
+     * Move time forward, firing due timers in order
+     * @param {number} ms
+     */
+    advance(ms) {
+        const targetTime = this.currentTime + Math.max(0, ms);
+
+        let next = this.getNextTimer(targetTime);
+        while (next) {
+            const [handle, timer] = next;
+            this.currentTime = timer.dueTime;
+
+            if (timer.interval) {
+                timer.dueTime += timer.interval;
+            } else {
+                this.timers.delete(handle);
+            }
+
+            timer.callback();
+            next = this.getNextTimer(targetTime);
+        }
+
+        this.currentTime = targetTime;
+    }
+
+    /**
+     * Find the earliest timer due at or before a time
+     * @param {number} limit
+     * @returns {Array|null} [handle, timer]
+     */
+    getNextTimer(limit) {
+        let earliest = null;
+
+        this.timers.forEach((timer, handle) => {
+            if (timer.dueTime > limit) return;
+            if (!earliest || timer.dueTime < earliest[1].dueTime) {
+                earliest = [handle, timer];
+            }
+        });
+
+        return earliest;
+    }
+
+    /**
+     * Jump to a game time (used when loading a save); pending timers keep their remaining delay
+     * @param {number} time - Game milliseconds
+     */
+    setTime(time) {
+        const offset = time - this.currentTime;
+        this.timers.forEach(timer => {
+            timer.dueTime += offset;
+        });
+        this.currentTime = time;
+    }
+
+    /**
+     * Freeze game time
+     */
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        if (this.eventBus) this.eventBus.emit('clock:paused', { time: this.currentTime });
+    }
+
+    /**
+     * Unfreeze game time
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        if (this.eventBus) this.eventBus.emit('clock:resumed', { time: this.currentTime });
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Set how fast game time runs relative to real time
+     * @param {number} scale - 1 = normal, 2 = double speed
+     */
+    setScale(scale) {
+        this.scale = Math.max(0, scale);
+        if (this.eventBus) this.eventBus.emit('clock:scale-changed', { scale: this.scale });
+    }
+
+    /**
+     * Run a callback once after a delay of game time
+     * @param {Function} callback
+     * @param {number} delay - Game milliseconds
+     * @returns {number} Timer handle
+     */
+    setTimeout(callback, delay = 0) {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, {
+            callback,
+            dueTime: this.currentTime + Math.max(0, delay),
+            interval: null
+        });
+        return handle;
+    }
+
+    /**
+     * Cancel a pending timeout
+     * @param {number} handle
+     */
+    clearTimeout(handle) {
+        this.timers.delete(handle);
+    }
+
+    /**
+     * Run a callback repeatedly on game time
+     * @param {Function} callback
+     * @param {number} interval - Game milliseconds
+     * @returns {number} Timer handle
+     */
+    setInterval(callback, interval) {
+        const handle = this.nextHandle++;
+        const safeInterval = Math.max(1, interval);
+        this.timers.set(handle, {
+            callback,
+            dueTime: this.currentTime + safeInterval,
+            interval: safeInterval
+        });
+        return handle;
+    }
+
+    /**
+     * Cancel a repeating timer
+     * @param {number} handle
+     */
+    clearInterval(handle) {
+        this.timers.delete(handle);
+    }
+
+    /**
+     * Number of pending timers
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this.timers.size;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.timers.clear();
+        if (this.unsubscribers) {
+            this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        }
+    }
+}
@@ -106,7 +106,7 @@ export default class InputController {
         // Check context bindings
         const context = this.contexts.get(this.activeContext);
         if (context[key]) {
-            this.eventBus.emit(context[key], { key, event });
+            this.eventBus.emit(context[key], { key, event, inputTime: event.timeStamp });
         }
     }
 
@@ -143,6 +143,7 @@ export default class InputController {
             button: event.button,
             x: event.clientX,
             y: event.clientY,
+            inputTime: event.timeStamp,
             event
         };
         
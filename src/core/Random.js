@@ -0,0 +1,59 @@
+/**
+ * Random - Seedable random numbers for gameplay
+ * No dependencies on other systems (pure trunk)
+ *
+ * Gameplay rolls (enemy moves, loot, spawns, wandering) use Random.next() instead of Math.random,
+ * so a session seeded with the same number plays out the same way. EventRecorder stores the seed
+ * with its log and EventReplay seeds a fresh world with it. Until seed() is called, next() falls
+ * back to Math.random. Cosmetic randomness (tween timings, particles) can keep using Math.random.
+ */
+export default class Random {
+    static currentSeed = null;
+    static generator = Math.random;
+
+    /**
+     * Deterministic generator for a seed, also used to lay out world chunks
+     * @param {number} seed
+     * @returns {Function} () => number in [0, 1)
+     */
+    static createSeededRandom(seed) {
+        return function() {
+            seed = (seed * 9301 + 49297) % 233280;
+            return seed / 233280;
+        };
+    }
+
+    /**
+     * A fresh seed in the generator's range
+     * @returns {number}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 233280);
+    }
+
+    /**
+     * Restart the shared generator from a seed
+     * @param {number} seed
+     * @returns {number} The seed in use
+     */
+    static seed(seed = Random.createSeed()) {
+        Random.currentSeed = seed;
+        Random.generator = Random.createSeededRandom(seed);
+        return seed;
+    }
+
+    /**
+     * @returns {number|null} Seed of the shared generator, null while unseeded
+     */
+    static getSeed() {
+        return Random.currentSeed;
+    }
+
+    /**
+     * Next gameplay roll
+     * @returns {number} In [0, 1)
+     */
+    static next() {
+        return Random.generator();
+    }
+}
@@ -2,14 +2,37 @@
  * ResourceManager - Asset loading, game data, save/load functionality
  * Handles all external resources and data persistence
  */
+import { createStorageAdapter } from './storage/index.js';
+
+// Bump when any saved slice changes shape, and register a migration for it
+export const SAVE_VERSION = 2; // 2: gold moved from inventory to wallet
+
 export default class ResourceManager {
-    constructor(eventBus) {
+    constructor(eventBus, storage = createStorageAdapter()) {
         this.eventBus = eventBus;
         this.resources = new Map();
         this.loading = new Map();
         this.gameData = new Map();
         this.saveData = null;
+        this.storage = storage; // StorageAdapter (async getItem/setItem/removeItem)
         this.storageKey = 'bicep-rpg-save';
+        this.saveVersion = SAVE_VERSION;
+        this.indexUpdates = Promise.resolve(); // Slot index changes run one at a time, in order
+        
+        // Save migrations: slice -> [{ from, to, migrate }]
+        this.migrations = new Map();
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Systems register migrations for their own save slice
+        this.eventBus.on('resource:register-migration', (data) => {
+            this.registerMigration(data.slice, data.from, data.to, data.migrate);
+        });
     }
 
     /**
@@ -34,10 +57,8 @@ export default class ResourceManager {
                 return response.json();
             })
             .then(data => {
-                this.resources.set(key, data);
                 this.loading.delete(key);
-                this.eventBus.emit('resource:loaded', { key, type: 'json', data });
-                return data;
+                return this.registerJSON(key, data);
             })
             .catch(error => {
                 this.loading.delete(key);
@@ -49,6 +70,19 @@ export default class ResourceManager {
         return loadPromise;
     }
 
+    /**
+     * Register already-parsed JSON data as a resource (used by loadJSON and by
+     * environments without fetch, like the headless harness)
+     * @param {string} key 
+     * @param {Object} data 
+     * @returns {Object} The registered data
+     */
+    registerJSON(key, data) {
+        this.resources.set(key, data);
+        this.eventBus.emit('resource:loaded', { key, type: 'json', data });
+        return data;
+    }
+
     /**
      * Load an image resource
      * @param {string} key 
@@ -179,57 +213,277 @@ export default class ResourceManager {
     }
 
     /**
-     * Save game state to local storage
+     * Get the storage key for a save slot
+     * @param {string} slotId 
+     */
+    getSlotKey(slotId) {
+        return `${this.storageKey}-${slotId}`;
+    }
+
+    /**
+     * Read the slot metadata index
+     * @returns {Object} slotId -> metadata
+     */
+    async readSaveIndex() {
+        const indexString = await this.storage.getItem(`${this.storageKey}-index`);
+        return indexString ? JSON.parse(indexString) : {};
+    }
+
+    /**
+     * Write the slot metadata index
+     * @param {Object} index 
+     */
+    async writeSaveIndex(index) {
+        await this.storage.setItem(`${this.storageKey}-index`, JSON.stringify(index));
+    }
+
+    /**
+     * Change the slot index without losing overlapping changes (an autosave during a manual save)
+     * @param {Function} change - (index) => void, edits the index in place
+     * @returns {Promise<void>}
+     */
+    updateSaveIndex(change) {
+        const update = this.indexUpdates.then(async () => {
+            const index = await this.readSaveIndex();
+            change(index);
+            await this.writeSaveIndex(index);
+        });
+
+        // A failed update doesn't stop the ones queued after it
+        this.indexUpdates = update.catch(() => {});
+        return update;
+    }
+
+    /**
+     * Read player settings; they live outside the save slots so every save shares them
+     * @returns {Object}
+     */
+    async readSettings() {
+        try {
+            const settingsString = await this.storage.getItem(`${this.storageKey}-settings`);
+            return settingsString ? JSON.parse(settingsString) : {};
+        } catch (error) {
+            console.error('Failed to read settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write player settings
+     * @param {Object} settings 
+     */
+    async writeSettings(settings) {
+        await this.storage.setItem(`${this.storageKey}-settings`, JSON.stringify(settings));
+    }
+
+    /**
+     * Save game state to a slot
      * @param {Object} saveData 
+     * @param {string} slotId 
+     * @param {Object} metadata - Shown in the load menu (level, playTime, day...)
+     * @returns {Promise<boolean>}
      */
-    saveGame(saveData) {
+    async saveGame(saveData, slotId = 'default', metadata = {}) {
         try {
             const data = {
-                version: '1.0.0',
+                version: this.saveVersion,
                 timestamp: Date.now(),
+                slotId,
+                metadata,
                 data: saveData
             };
             
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            await this.writeSlot(slotId, data);
+            
             this.saveData = data;
-            this.eventBus.emit('game:saved', { data });
+            this.eventBus.emit('game:saved', { slotId, data });
             return true;
         } catch (error) {
             console.error('Failed to save game:', error);
-            this.eventBus.emit('game:save-error', { error });
+            this.eventBus.emit('game:save-error', { slotId, error });
             return false;
         }
     }
 
     /**
-     * Load game state from local storage
+     * Write a save envelope and update the slot index
+     * @param {string} slotId 
+     * @param {Object} data - { version, timestamp, metadata, data }
      */
-    loadGame() {
+    async writeSlot(slotId, data) {
+        await this.storage.setItem(this.getSlotKey(slotId), JSON.stringify({ ...data, slotId }));
+        
+        await this.updateSaveIndex(index => {
+            index[slotId] = {
+                slotId,
+                version: data.version,
+                timestamp: data.timestamp,
+                ...data.metadata
+            };
+        });
+    }
+
+    /**
+     * Load game state from a slot
+     * @param {string} slotId 
+     * @returns {Promise<Object|null>}
+     */
+    async loadGame(slotId = 'default') {
         try {
-            const savedString = localStorage.getItem(this.storageKey);
+            const savedString = await this.storage.getItem(this.getSlotKey(slotId));
             if (!savedString) {
                 return null;
             }
             
-            const savedData = JSON.parse(savedString);
+            const savedData = this.readEnvelope(savedString, slotId);
+            if (!savedData) return null;
+            
             this.saveData = savedData;
-            this.eventBus.emit('game:loaded', { data: savedData });
+            this.eventBus.emit('game:loaded', { slotId, data: savedData, migratedFrom: savedData.migratedFrom });
             return savedData.data;
         } catch (error) {
             console.error('Failed to load game:', error);
-            this.eventBus.emit('game:load-error', { error });
+            this.eventBus.emit('game:load-error', { slotId, reason: 'corrupt', error });
+            return null;
+        }
+    }
+
+    /**
+     * Parse a stored save, check its version and migrate it
+     * Migrations run in memory only - the stored save stays untouched until the next save
+     * @param {string} savedString 
+     * @param {string} slotId 
+     * @returns {Object|null} Envelope with migrated data, or null (game:load-error emitted)
+     */
+    readEnvelope(savedString, slotId) {
+        const savedData = JSON.parse(savedString);
+        
+        if (!savedData || typeof savedData !== 'object' || !savedData.data) {
+            this.eventBus.emit('game:load-error', { slotId, reason: 'corrupt' });
+            return null;
+        }
+        
+        const version = this.parseSaveVersion(savedData.version);
+        
+        if (version > this.saveVersion) {
+            this.eventBus.emit('game:load-error', {
+                slotId,
+                reason: 'save-too-new',
+                version,
+                supportedVersion: this.saveVersion
+            });
             return null;
         }
+        
+        const migrated = this.migrateSave(savedData.data, version, slotId);
+        if (!migrated) return null;
+        
+        return {
+            ...savedData,
+            data: migrated,
+            version: this.saveVersion,
+            migratedFrom: version
+        };
+    }
+
+    /**
+     * Register a save migration for one slice
+     * @param {string} slice - 'entities' or a key in the save's slices (e.g. 'time')
+     * @param {number} from - Save version the migration reads
+     * @param {number} to - Save version the migration produces
+     * @param {Function} migrate - (sliceData, saveData) => migrated slice data
+     */
+    registerMigration(slice, from, to, migrate) {
+        if (!(to > from) || to > this.saveVersion) {
+            console.error(`Invalid migration for ${slice}: ${from} -> ${to} (current version ${this.saveVersion})`);
+            return;
+        }
+        
+        if (!this.migrations.has(slice)) {
+            this.migrations.set(slice, []);
+        }
+        this.migrations.get(slice).push({ from, to, migrate });
+    }
+
+    /**
+     * Run registered migrations on a save, oldest first
+     * @param {Object} saveData - { entities, slices, ... }
+     * @param {number} version - Version the save was written with
+     * @param {string} slotId 
+     * @returns {Object|null} Migrated save data, or null if a migration failed
+     */
+    migrateSave(saveData, version, slotId) {
+        for (const [slice, migrations] of this.migrations) {
+            const isEntities = slice === 'entities';
+            const slices = saveData.slices || {};
+            
+            // Slices missing from the save are left for their system's defaults
+            if (isEntities ? !saveData.entities : !(slice in slices)) continue;
+            
+            let sliceVersion = version;
+            while (sliceVersion < this.saveVersion) {
+                const migration = migrations.find(m => m.from === sliceVersion);
+                if (!migration) {
+                    sliceVersion++; // Slice didn't change shape in this version
+                    continue;
+                }
+                
+                try {
+                    const current = isEntities ? saveData.entities : slices[slice];
+                    const result = migration.migrate(current, saveData);
+                    const next = result === undefined ? current : result;
+                    
+                    if (isEntities) {
+                        saveData.entities = next;
+                    } else {
+                        slices[slice] = next;
+                    }
+                } catch (error) {
+                    console.error(`Save migration failed for ${slice} (${migration.from} -> ${migration.to}):`, error);
+                    this.eventBus.emit('game:load-error', {
+                        slotId,
+                        reason: 'migration-failed',
+                        slice,
+                        from: migration.from,
+                        to: migration.to,
+                        error
+                    });
+                    return null;
+                }
+                
+                sliceVersion = migration.to;
+            }
+        }
+        
+        return saveData;
+    }
+
+    /**
+     * Read a stored version as a number ('1.0.0' from early saves counts as 1)
+     * @param {number|string} version 
+     * @returns {number}
+     */
+    parseSaveVersion(version) {
+        if (typeof version === 'number') return version;
+        return parseInt(version, 10) || 0;
     }
 
     /**
      * Delete save data
+     * @param {string} slotId 
      */
-    deleteSave() {
+    async deleteSave(slotId = 'default') {
         try {
-            localStorage.removeItem(this.storageKey);
-            this.saveData = null;
-            this.eventBus.emit('game:save-deleted');
+            await this.storage.removeItem(this.getSlotKey(slotId));
+            
+            await this.updateSaveIndex(index => {
+                delete index[slotId];
+            });
+            
+            if (this.saveData && this.saveData.slotId === slotId) {
+                this.saveData = null;
+            }
+            this.eventBus.emit('game:save-deleted', { slotId });
             return true;
         } catch (error) {
             console.error('Failed to delete save:', error);
@@ -239,9 +493,96 @@ export default class ResourceManager {
 
     /**
      * Check if save exists
+     * @param {string} slotId 
+     * @returns {Promise<boolean>}
+     */
+    async hasSave(slotId = 'default') {
+        return (await this.storage.getItem(this.getSlotKey(slotId))) !== null;
+    }
+
+    /**
+     * List save slots with their metadata, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async listSaves() {
+        try {
+            const index = await this.readSaveIndex();
+            return Object.values(index).sort((a, b) => b.timestamp - a.timestamp);
+        } catch (error) {
+            console.error('Failed to read save index:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Export a slot as a JSON string
+     * @param {string} slotId 
+     * @returns {Promise<string|null>}
+     */
+    async exportSave(slotId = 'default') {
+        return this.storage.getItem(this.getSlotKey(slotId));
+    }
+
+    /**
+     * Export a slot and download it as a .json file (browser only)
+     * @param {string} slotId 
+     * @returns {Promise<boolean>}
+     */
+    async downloadSave(slotId = 'default') {
+        const json = await this.exportSave(slotId);
+        if (!json) {
+            this.eventBus.emit('game:export-error', { slotId, reason: 'not-found' });
+            return false;
+        }
+        
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bicep-rpg-${slotId}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.eventBus.emit('game:exported', { slotId });
+        return true;
+    }
+
+    /**
+     * Import an exported save into a slot
+     * The save is version-checked and migrated first so a bad file never lands in a slot
+     * @param {string} json - Output of exportSave
+     * @param {string} slotId - Slot to write into
+     * @returns {Promise<boolean>}
+     */
+    async importSave(json, slotId = 'default') {
+        try {
+            if (!this.readEnvelope(json, slotId)) return false;
+            
+            // Store the original so it migrates the same way as any other slot
+            const imported = JSON.parse(json);
+            await this.writeSlot(slotId, {
+                version: imported.version,
+                timestamp: imported.timestamp || Date.now(),
+                metadata: imported.metadata || {},
+                data: imported.data
+            });
+            
+            this.eventBus.emit('game:imported', { slotId });
+            return true;
+        } catch (error) {
+            console.error('Failed to import save:', error);
+            this.eventBus.emit('game:load-error', { slotId, reason: 'corrupt', error });
+            return false;
+        }
+    }
+
+    /**
+     * Import a save from a File chosen by the player
+     * @param {File} file 
+     * @param {string} slotId 
+     * @returns {Promise<boolean>}
      */
-    hasSave() {
-        return localStorage.getItem(this.storageKey) !== null;
+    async importSaveFile(file, slotId = 'default') {
+        return this.importSave(await file.text(), slotId);
     }
 
     /**
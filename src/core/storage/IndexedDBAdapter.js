@@ -0,0 +1,125 @@
+/**
+ * IndexedDBAdapter - Saves in an IndexedDB object store
+ * Much larger quota than localStorage, for big worlds with many explored chunks
+ *
+ * Saves used to live in localStorage; when the database is first created, every key under
+ * legacyPrefix (slots, slot index, settings) is copied in so existing players keep their saves.
+ * The localStorage copies are left in place.
+ *
+ * If the database can't be opened (blocked, private browsing) and a fallback adapter is set,
+ * every call goes to the fallback for the rest of the session instead.
+ */
+import StorageAdapter from './StorageAdapter.js';
+
+export default class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = 'bicep-rpg', storeName = 'saves', legacyStorage = globalThis.localStorage ?? null) {
+        super();
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.legacyStorage = legacyStorage; // Web Storage the saves were kept in before IndexedDB
+        this.legacyPrefix = 'bicep-rpg-save'; // ResourceManager's storage key
+        this.dbPromise = null;
+        this.fallback = null; // StorageAdapter used when the database can't be opened
+        this.usingFallback = false;
+    }
+
+    /**
+     * Open the database on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName);
+                    this.copyLegacySaves(store);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`IndexedDB "${this.dbName}" is blocked by another tab`));
+            }).catch(error => {
+                // Don't keep a failed open around; the next call tries again
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Copy saves left in localStorage into the new store
+     * @param {IDBObjectStore} store - Store inside the upgrade transaction
+     */
+    copyLegacySaves(store) {
+        if (!this.legacyStorage) return;
+
+        try {
+            for (let i = 0; i < this.legacyStorage.length; i++) {
+                const key = this.legacyStorage.key(i);
+                if (key && key.startsWith(this.legacyPrefix)) {
+                    store.put(this.legacyStorage.getItem(key), key);
+                }
+            }
+        } catch (error) {
+            // localStorage can be blocked (privacy settings); start with an empty store
+            console.error('Failed to copy saves from localStorage:', error);
+        }
+    }
+
+    /**
+     * Run a single request against the store
+     * Writes resolve once the transaction commits, so a quota error or abort at commit is reported
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @param {Function} useFallback - (adapter) => Promise, the same call on the fallback adapter
+     * @returns {Promise<any>}
+     */
+    async runRequest(mode, makeRequest, useFallback) {
+        if (this.usingFallback) return useFallback(this.fallback);
+
+        let db;
+        try {
+            db = await this.openDatabase();
+        } catch (error) {
+            if (!this.fallback) throw error;
+
+            console.warn('IndexedDB unavailable, using the fallback storage:', error);
+            this.usingFallback = true;
+            return useFallback(this.fallback);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            const fail = () => reject(transaction.error || request.error || new Error('IndexedDB transaction aborted'));
+
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+            if (mode === 'readwrite') {
+                transaction.oncomplete = () => resolve(request.result);
+            } else {
+                request.onsuccess = () => resolve(request.result);
+            }
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.runRequest('readonly', store => store.get(key), adapter => adapter.getItem(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.runRequest('readwrite', store => store.put(String(value), key), adapter => adapter.setItem(key, value));
+    }
+
+    async removeItem(key) {
+        await this.runRequest('readwrite', store => store.delete(key), adapter => adapter.removeItem(key));
+    }
+
+    async keys() {
+        return this.runRequest('readonly', store => store.getAllKeys(), adapter => adapter.keys());
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * LocalStorageAdapter - Saves in window.localStorage
+ * Small quota (~5MB), fine for a handful of slots
+ */
+import StorageAdapter from './StorageAdapter.js';
+
+export default class LocalStorageAdapter extends StorageAdapter {
+    constructor(storage = localStorage) {
+        super();
+        this.storage = storage;
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+}
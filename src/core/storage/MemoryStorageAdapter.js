@@ -0,0 +1,28 @@
+/**
+ * MemoryStorageAdapter - Keeps saves in a Map
+ * Used by the headless harness and anywhere saves must be inspectable
+ */
+import StorageAdapter from './StorageAdapter.js';
+
+export default class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.items = new Map();
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.items.keys());
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * StorageAdapter - Interface for save persistence backends
+ * All methods are async so slow backends (IndexedDB) fit the same contract (pure trunk)
+ */
+export default class StorageAdapter {
+    /**
+     * Read a stored string
+     * @param {string} key 
+     * @returns {Promise<string|null>}
+     */
+    async getItem(key) {
+        throw new Error(`${this.constructor.name} must implement getItem`);
+    }
+
+    /**
+     * Store a string
+     * @param {string} key 
+     * @param {string} value 
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        throw new Error(`${this.constructor.name} must implement setItem`);
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key 
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        throw new Error(`${this.constructor.name} must implement removeItem`);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        throw new Error(`${this.constructor.name} must implement keys`);
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Storage adapters for save persistence
+ */
+import IndexedDBAdapter from './IndexedDBAdapter.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+
+export { default as StorageAdapter } from './StorageAdapter.js';
+export { IndexedDBAdapter, LocalStorageAdapter, MemoryStorageAdapter };
+
+/**
+ * Pick the best backend available in this environment
+ * IndexedDB falls back to localStorage when its database can't be opened
+ * @returns {StorageAdapter}
+ */
+export function createStorageAdapter() {
+    const hasLocalStorage = typeof localStorage !== 'undefined';
+
+    if (typeof indexedDB !== 'undefined') {
+        const adapter = new IndexedDBAdapter();
+        if (hasLocalStorage) adapter.fallback = new LocalStorageAdapter();
+        return adapter;
+    }
+    if (hasLocalStorage) return new LocalStorageAdapter();
+    return new MemoryStorageAdapter();
+}
@@ -0,0 +1,84 @@
+/**
+ * Pickup - Visuals for items lying on the ground
+ * Leaf-level class; the entities themselves are spawned by PickupSystem
+ */
+export default class Pickup {
+    static rarityColors = {
+        common: 0xdddddd,
+        uncommon: 0x4caf50,
+        rare: 0x2196f3,
+        epic: 0x9c27b0,
+        legendary: 0xff9800
+    };
+
+    /**
+     * Create visual representation for a pickup
+     * @param {Phaser.Scene} scene
+     * @param {Entity} pickupEntity
+     * @param {Object} itemDef - Catalog entry for the item, if known
+     * @returns {Phaser.GameObjects.Container}
+     */
+    static createVisuals(scene, pickupEntity, itemDef = null) {
+        const position = pickupEntity.getComponent('position');
+        const appearance = pickupEntity.getComponent('appearance');
+        const pickup = pickupEntity.getComponent('pickup');
+
+        // Spread drops sharing a tile so they don't stack into one dot
+        const offsetX = (Math.random() - 0.5) * 16;
+        const offsetY = (Math.random() - 0.5) * 16;
+        const container = scene.add.container(position.pixelX + offsetX, position.pixelY + offsetY);
+
+        // Rolled gear shows its own rarity and affix name
+        const rarity = pickup.gear?.rarity || itemDef?.rarity;
+        const name = pickup.gear?.name || itemDef?.name || pickup.itemId;
+        const color = Pickup.rarityColors[rarity] || Pickup.rarityColors.common;
+        const body = scene.add.circle(0, 0, appearance.radius, color);
+        body.setStrokeStyle(2, 0x000000);
+
+        const label = pickup.quantity > 1 ? `${name} x${pickup.quantity}` : name;
+        const nameText = scene.add.text(0, -14, label, {
+            fontSize: '10px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        container.add([body, nameText]);
+        container.setData('entityId', pickupEntity.id);
+
+        // Pop out of the defeated enemy
+        container.setScale(0);
+        scene.tweens.add({
+            targets: container,
+            scale: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        // Gentle bob so drops stand out from the ground
+        scene.tweens.add({
+            targets: body,
+            y: -3,
+            duration: 600,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+
+        return container;
+    }
+
+    /**
+     * Fade drops that are about to despawn
+     * @param {Phaser.GameObjects.Container} visual
+     * @param {Entity} pickupEntity
+     * @param {number} now - Current game time
+     */
+    static updateVisuals(visual, pickupEntity, now) {
+        const pickup = pickupEntity.getComponent('pickup');
+        if (!pickup) return;
+
+        const timeLeft = pickup.despawnAt - now;
+        visual.setAlpha(timeLeft < 10000 ? 0.4 + 0.6 * (Math.floor(timeLeft / 250) % 2) : 1);
+    }
+}
@@ -102,6 +102,7 @@ export default class Player {
      * Apply player-specific initialization
      * @param {Entity} playerEntity 
      * @param {EventBus} eventBus 
+     * @returns {Function} Removes the player event handlers
      */
     static initialize(playerEntity, eventBus) {
         // Player starts at a bonfire (safe zone)
@@ -111,41 +112,43 @@ export default class Player {
         });
 
         // Set up player-specific event handlers
-        const setupPlayerEvents = () => {
+        const setupPlayerEvents = () => [
             // Handle respawn
             eventBus.on('player:respawn', (data) => {
                 if (data.playerId === playerEntity.id) {
-                    const position = playerEntity.getComponent('position');
-                    position.x = data.position.x;
-                    position.y = data.position.y;
-                    position.worldX = data.position.x;
-                    position.worldY = data.position.y;
-                    position.pixelX = data.position.x * 32;
-                    position.pixelY = data.position.y * 32;
-
-                    // Restore health
-                    const health = playerEntity.getComponent('health');
-                    health.current = Math.floor(health.max * 0.5); // Respawn with 50% health
+                    eventBus.emit('movement:set-position', {
+                        entityId: playerEntity.id,
+                        x: data.position.x,
+                        y: data.position.y
+                    });
+
+                    // Restore health (HealthSystem)
+                    eventBus.emit('health:revive', {
+                        entityId: playerEntity.id,
+                        percent: 0.5, // Respawn with 50% health
+                        source: 'respawn'
+                    });
 
                     eventBus.emit('player:respawned', {
                         playerId: playerEntity.id,
                         position: data.position
                     });
                 }
-            });
+            }),
 
             // Handle death
-            eventBus.on('entity:health-depleted', (data) => {
+            eventBus.on('entity:died', (data) => {
                 if (data.entityId === playerEntity.id) {
                     eventBus.emit('player:died', {
                         playerId: playerEntity.id,
                         position: playerEntity.getComponent('position')
                     });
                 }
-            });
-        };
+            })
+        ];
 
-        setupPlayerEvents();
+        const unsubscribers = setupPlayerEvents();
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
     }
 
     /**
@@ -2,6 +2,8 @@
  * BaseEnemy - Base class for all enemy types
  * Leaf-level class that provides common enemy functionality
  */
+import Random from '../../core/Random.js';
+
 export default class BaseEnemy {
     /**
      * Create base enemy configuration
@@ -18,7 +20,9 @@ export default class BaseEnemy {
             moveSpeed = 300,
             movePattern = 'random',
             pauseChance = 0.5,
-            lootTable = []
+            lootTable = [],
+            moveSet = [],
+            phases = []
         } = config;
 
         return {
@@ -58,7 +62,7 @@ export default class BaseEnemy {
 
             // AI components
             enemyAI: {
-                moveSpeed: moveSpeed + (Math.random() * 100 - 50), // Add variation
+                moveSpeed: moveSpeed + (Random.next() * 100 - 50), // Add variation
                 movePattern: movePattern,
                 pauseChance: pauseChance,
                 nextMoveTime: 0,
@@ -74,7 +78,9 @@ export default class BaseEnemy {
                 baseType: config.baseType || name,
                 tier: config.tier || 1,
                 xpValue: Math.floor(power * 10),
-                lootTable: lootTable
+                lootTable: lootTable,
+                moveSet: moveSet, // Special moves CombatSystem runs during a fight
+                phases: phases // Boss phases, in order of the tug position they start at
             }
         };
     }
@@ -186,8 +192,8 @@ export default class BaseEnemy {
         if (context.currentTime < ai.nextMoveTime) return null;
 
         // Check if should pause
-        if (Math.random() < ai.pauseChance) {
-            ai.pauseDuration = 500 + Math.random() * 2000;
+        if (Random.next() < ai.pauseChance) {
+            ai.pauseDuration = 500 + Random.next() * 2000;
             ai.nextMoveTime = context.currentTime + ai.pauseDuration;
             return null;
         }
@@ -202,7 +208,7 @@ export default class BaseEnemy {
                     { dx: 0, dy: -1 }, { dx: 1, dy: 0 },
                     { dx: 0, dy: 1 }, { dx: -1, dy: 0 }
                 ];
-                const randomDir = directions[Math.floor(Math.random() * directions.length)];
+                const randomDir = directions[Math.floor(Random.next() * directions.length)];
                 dx = randomDir.dx;
                 dy = randomDir.dy;
                 break;
@@ -211,21 +217,21 @@ export default class BaseEnemy {
                 dx = ai.moveDirection.dx;
                 dy = ai.moveDirection.dy;
                 // Occasionally change direction
-                if (Math.random() < 0.2) {
+                if (Random.next() < 0.2) {
                     const turns = [{ dx: -dy, dy: dx }, { dx: dy, dy: -dx }];
-                    const turn = turns[Math.floor(Math.random() * turns.length)];
+                    const turn = turns[Math.floor(Random.next() * turns.length)];
                     dx = turn.dx;
                     dy = turn.dy;
                 }
                 break;
 
             case 'lazy':
-                if (Math.random() < 0.3) {
+                if (Random.next() < 0.3) {
                     const dirs = [
                         { dx: 0, dy: -1 }, { dx: 1, dy: 0 },
                         { dx: 0, dy: 1 }, { dx: -1, dy: 0 }
                     ];
-                    const lazyDir = dirs[Math.floor(Math.random() * dirs.length)];
+                    const lazyDir = dirs[Math.floor(Random.next() * dirs.length)];
                     dx = lazyDir.dx;
                     dy = lazyDir.dy;
                 }
@@ -239,7 +245,7 @@ export default class BaseEnemy {
                         dx = Math.sign(context.playerPosition.x - position.x);
                         dy = Math.sign(context.playerPosition.y - position.y);
                         if (dx !== 0 && dy !== 0) {
-                            if (Math.random() < 0.5) dx = 0;
+                            if (Random.next() < 0.5) dx = 0;
                             else dy = 0;
                         }
                     } else {
@@ -248,7 +254,7 @@ export default class BaseEnemy {
                             { dx: 0, dy: -1 }, { dx: 1, dy: 0 },
                             { dx: 0, dy: 1 }, { dx: -1, dy: 0 }
                         ];
-                        const aggrDir = aggrDirs[Math.floor(Math.random() * aggrDirs.length)];
+                        const aggrDir = aggrDirs[Math.floor(Random.next() * aggrDirs.length)];
                         dx = aggrDir.dx;
                         dy = aggrDir.dy;
                     }
@@ -258,7 +264,7 @@ export default class BaseEnemy {
 
         if (dx !== 0 || dy !== 0) {
             ai.moveDirection = { dx, dy };
-            ai.nextMoveTime = context.currentTime + ai.moveSpeed + (Math.random() * 200 - 100);
+            ai.nextMoveTime = context.currentTime + ai.moveSpeed + (Random.next() * 200 - 100);
             return { dx, dy };
         }
 
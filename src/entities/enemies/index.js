@@ -3,8 +3,19 @@
  * Leaf-level classes that define specific enemy types
  */
 import BaseEnemy from './BaseEnemy.js';
+import Random from '../../core/Random.js';
 
 export class Pebble {
+    static lootTable = [
+        { itemId: 'small_protein', chance: 0.3, min: 1, max: 2 },
+        { itemId: 'pebble_dust', chance: 0.5, min: 1, max: 3 }
+    ];
+
+    // Mostly bluff: wobbles like it's about to push, then doesn't
+    static moveSet = [
+        { type: 'feint', name: 'Wobble', disguise: 'Heave', telegraph: 800, duration: 500 }
+    ];
+
     static create(entityManager, position) {
         const config = {
             position,
@@ -16,10 +27,8 @@ export class Pebble {
             movePattern: 'erratic',
             pauseChance: 0.3,
             tier: 1,  // Level 1 enemy - easiest
-            lootTable: [
-                { itemId: 'small_protein', chance: 0.3, min: 1, max: 2 },
-                { itemId: 'pebble_dust', chance: 0.5, min: 1, max: 3 }
-            ]
+            lootTable: Pebble.lootTable,
+            moveSet: Pebble.moveSet
         };
 
         const components = BaseEnemy.getBaseComponents(config);
@@ -30,6 +39,17 @@ export class Pebble {
 }
 
 export class Stick {
+    static lootTable = [
+        { itemId: 'protein_bar', chance: 0.4, min: 1, max: 2 },
+        { itemId: 'wooden_bracelet', chance: 0.1, min: 1, max: 1 },
+        { itemId: 'stick_splinter', chance: 0.6, min: 2, max: 4 }
+    ];
+
+    static moveSet = [
+        { type: 'surge', name: 'Snap', weight: 2, telegraph: 700, duration: 800, drainMultiplier: 2 },
+        { type: 'stall', name: 'Brace', weight: 1, telegraph: 500, duration: 1200, drainMultiplier: 0, pushMultiplier: 0.5 }
+    ];
+
     static create(entityManager, position) {
         const config = {
             position,
@@ -41,11 +61,8 @@ export class Stick {
             movePattern: 'patrol',
             pauseChance: 0.4,
             tier: 2,  // Level 2 enemy - medium
-            lootTable: [
-                { itemId: 'protein_bar', chance: 0.4, min: 1, max: 2 },
-                { itemId: 'wooden_bracelet', chance: 0.1, min: 1, max: 1 },
-                { itemId: 'stick_splinter', chance: 0.6, min: 2, max: 4 }
-            ]
+            lootTable: Stick.lootTable,
+            moveSet: Stick.moveSet
         };
 
         const components = BaseEnemy.getBaseComponents(config);
@@ -56,6 +73,18 @@ export class Stick {
 }
 
 export class Rock {
+    static lootTable = [
+        { itemId: 'protein_shake', chance: 0.5, min: 1, max: 3 },
+        { itemId: 'stone_gloves', chance: 0.15, min: 1, max: 1 },
+        { itemId: 'rock_chunk', chance: 0.7, min: 1, max: 2 }
+    ];
+
+    // Slow and heavy: long stalls broken up by landslides
+    static moveSet = [
+        { type: 'stall', name: 'Dig In', weight: 2, telegraph: 600, duration: 2000, drainMultiplier: 0, pushMultiplier: 0.4 },
+        { type: 'surge', name: 'Landslide', weight: 1, telegraph: 1000, duration: 1000, drainMultiplier: 2.5 }
+    ];
+
     static create(entityManager, position) {
         const config = {
             position,
@@ -67,11 +96,8 @@ export class Rock {
             movePattern: 'lazy',
             pauseChance: 0.7,
             tier: 3,  // Level 3 enemy - hard
-            lootTable: [
-                { itemId: 'protein_shake', chance: 0.5, min: 1, max: 3 },
-                { itemId: 'stone_gloves', chance: 0.15, min: 1, max: 1 },
-                { itemId: 'rock_chunk', chance: 0.7, min: 1, max: 2 }
-            ]
+            lootTable: Rock.lootTable,
+            moveSet: Rock.moveSet
         };
 
         const components = BaseEnemy.getBaseComponents(config);
@@ -82,6 +108,26 @@ export class Rock {
 }
 
 export class AngrySquirrel {
+    static lootTable = [
+        { itemId: 'rage_protein', chance: 0.6, min: 1, max: 2 },
+        { itemId: 'squirrel_gloves', chance: 0.2, min: 1, max: 1 },
+        // One stash per squirrel: usually acorns, sometimes a tail
+        {
+            chance: 0.9,
+            oneOf: [
+                { itemId: 'acorn', weight: 3, min: 3, max: 5 },
+                { itemId: 'fluffy_tail', weight: 1, min: 1, max: 1 }
+            ]
+        }
+    ];
+
+    // Twitchy: short frenzies, fake-outs and a second wind when it's nearly beaten
+    static moveSet = [
+        { type: 'surge', name: 'Frenzy', weight: 2, telegraph: 400, duration: 600, drainMultiplier: 2.5 },
+        { type: 'feint', name: 'Nut Fake', disguise: 'Frenzy', weight: 1, telegraph: 400, duration: 400 },
+        { type: 'secondWind', name: 'Second Wind', tugAbove: 0.9, telegraph: 500, duration: 1000, pull: 0.15, drainMultiplier: 1.5 }
+    ];
+
     static create(entityManager, position) {
         const config = {
             position,
@@ -93,12 +139,8 @@ export class AngrySquirrel {
             movePattern: 'aggressive',
             pauseChance: 0.1,
             tier: 4,  // Level 4 enemy - boss tier
-            lootTable: [
-                { itemId: 'rage_protein', chance: 0.6, min: 1, max: 2 },
-                { itemId: 'squirrel_gloves', chance: 0.2, min: 1, max: 1 },
-                { itemId: 'acorn', chance: 0.8, min: 3, max: 5 },
-                { itemId: 'fluffy_tail', chance: 0.3, min: 1, max: 1 }
-            ]
+            lootTable: AngrySquirrel.lootTable,
+            moveSet: AngrySquirrel.moveSet
         };
 
         const components = BaseEnemy.getBaseComponents(config);
@@ -113,6 +155,51 @@ export class AngrySquirrel {
 
 // Boss variants
 export class BoulderBoss {
+    static lootTable = [
+        { itemId: 'mega_protein', chance: 0.8, min: 2, max: 4 },
+        { itemId: 'boulder_gloves', chance: 0.5, min: 1, max: 1 },
+        { itemId: 'boss_trophy_boulder', guaranteed: true },
+        // Two rolls from the rubble pile, which can come up empty
+        {
+            pool: [
+                { itemId: 'rock_chunk', weight: 4, min: 1, max: 3 },
+                { itemId: 'pebble_dust', weight: 4, min: 2, max: 5 },
+                { weight: 2 }
+            ],
+            rolls: 2
+        }
+    ];
+
+    static moveSet = [
+        { type: 'surge', name: 'Crush', weight: 2, telegraph: 1000, duration: 1000, drainMultiplier: 2 },
+        { type: 'stall', name: 'Settle', weight: 1, telegraph: 600, duration: 1500, drainMultiplier: 0, pushMultiplier: 0.5 }
+    ];
+
+    // The closer the player gets to winning, the harder the boss fights back
+    static phases = [
+        {
+            name: 'Cracked',
+            tugAbove: 0.9,
+            message: 'The Boulder Boss cracks and digs in!',
+            pull: 0.15,
+            drainMultiplier: 1.3,
+            moveSet: [
+                { type: 'surge', name: 'Crush', weight: 2, telegraph: 800, duration: 1000, drainMultiplier: 2 },
+                { type: 'feint', name: 'Rumble', disguise: 'Crush', weight: 1, telegraph: 800, duration: 600 }
+            ]
+        },
+        {
+            name: 'Avalanche',
+            tugAbove: 0.95,
+            message: 'AVALANCHE! The Boulder Boss throws everything it has!',
+            pull: 0.2,
+            drainMultiplier: 1.6,
+            moveSet: [
+                { type: 'surge', name: 'Rockfall', telegraph: 500, duration: 1200, drainMultiplier: 2.5 }
+            ]
+        }
+    ];
+
     static create(entityManager, position) {
         const config = {
             position,
@@ -124,11 +211,9 @@ export class BoulderBoss {
             movePattern: 'lazy',
             pauseChance: 0.5,
             tier: 2,
-            lootTable: [
-                { itemId: 'mega_protein', chance: 0.8, min: 2, max: 4 },
-                { itemId: 'boulder_gloves', chance: 0.5, min: 1, max: 1 },
-                { itemId: 'boss_trophy_boulder', chance: 1.0, min: 1, max: 1 }
-            ]
+            lootTable: BoulderBoss.lootTable,
+            moveSet: BoulderBoss.moveSet,
+            phases: BoulderBoss.phases
         };
 
         const components = BaseEnemy.getBaseComponents(config);
@@ -169,9 +254,9 @@ export class EnemyFactory {
         const tierTwoEnemies = ['BoulderBoss'];
         
         if (tier === 1) {
-            return tierOneEnemies[Math.floor(Math.random() * tierOneEnemies.length)];
+            return tierOneEnemies[Math.floor(Random.next() * tierOneEnemies.length)];
         } else if (tier === 2) {
-            return tierTwoEnemies[Math.floor(Math.random() * tierTwoEnemies.length)];
+            return tierTwoEnemies[Math.floor(Random.next() * tierTwoEnemies.length)];
         }
         
         return 'Pebble'; // Default fallback
@@ -183,6 +268,15 @@ export class EnemyFactory {
         if (difficulty < 0.9) return 'Rock';
         return 'AngrySquirrel';
     }
+
+    // Loot tables by enemy type, for checking item ids against the catalog
+    static getLootTables() {
+        const lootTables = {};
+        Object.entries(EnemyTypes).forEach(([type, EnemyClass]) => {
+            lootTables[type] = EnemyClass.lootTable || [];
+        });
+        return lootTables;
+    }
 }
 
 export default BaseEnemy;
\ No newline at end of file
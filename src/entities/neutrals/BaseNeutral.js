@@ -2,6 +2,8 @@
  * BaseNeutral - Base class for all neutral types
  * Exact copy of BaseEnemy pattern but for neutral entities
  */
+import Random from '../../core/Random.js';
+
 export default class BaseNeutral {
     /**
      * Create base neutral configuration
@@ -21,6 +23,8 @@ export default class BaseNeutral {
             lootTable = [],
             canTalk = false,
             canTrade = false,
+            shopId = null,
+            dialogueId = null,
             dialogues = []
         } = config;
 
@@ -61,7 +65,7 @@ export default class BaseNeutral {
 
             // AI components - EXACTLY like enemyAI
             enemyAI: {  // Use enemyAI component name so MovementManager works
-                moveSpeed: moveSpeed + (Math.random() * 100 - 50), // Add variation
+                moveSpeed: moveSpeed + (Random.next() * 100 - 50), // Add variation
                 movePattern: movePattern,
                 pauseChance: pauseChance,
                 nextMoveTime: 0,
@@ -78,7 +82,9 @@ export default class BaseNeutral {
                 tier: 1,
                 canTalk: canTalk,
                 canTrade: canTrade,
-                dialogues: dialogues,
+                shopId: shopId,  // Stock list in src/data/shops.json
+                dialogueId: dialogueId,  // Dialogue graph in src/data/dialogues.json
+                dialogues: dialogues,  // One-liners for NPCs without a graph
                 lootTable: lootTable
             }
         };
@@ -188,13 +194,24 @@ export default class BaseNeutral {
      * Handle neutral interaction
      * @param {Entity} neutralEntity 
      * @param {EventBus} eventBus 
+     * @param {string} playerId - Who is interacting
      */
-    static handleInteraction(neutralEntity, eventBus) {
+    static handleInteraction(neutralEntity, eventBus, playerId = null) {
         const neutralData = neutralEntity.getComponent('neutralData');
         const position = neutralEntity.getComponent('position');
 
+        // NPCs with a dialogue graph talk (and trade) through the DialogueSystem
+        if (neutralData?.canTalk && neutralData.dialogueId) {
+            eventBus.emit('dialogue:start', {
+                entityId: neutralEntity.id,
+                playerId,
+                dialogueId: neutralData.dialogueId
+            });
+            return;
+        }
+
         if (neutralData?.canTalk && neutralData.dialogues.length > 0) {
-            const dialogue = neutralData.dialogues[Math.floor(Math.random() * neutralData.dialogues.length)];
+            const dialogue = neutralData.dialogues[Math.floor(Random.next() * neutralData.dialogues.length)];
             eventBus.emit('dialogue:show', {
                 entityId: neutralEntity.id,
                 text: dialogue,
@@ -205,7 +222,9 @@ export default class BaseNeutral {
         if (neutralData?.canTrade) {
             eventBus.emit('shop:open', {
                 entityId: neutralEntity.id,
-                shopType: neutralData.type
+                playerId,
+                shopType: neutralData.type,
+                shopId: neutralData.shopId
             });
         }
     }
@@ -3,6 +3,7 @@
  * Using EXACT same pattern as enemies for consistent movement
  */
 import BaseNeutral from './BaseNeutral.js';
+import Random from '../../core/Random.js';
 
 // Wildlife neutrals
 export class Rabbit {
@@ -73,6 +74,8 @@ export class Merchant {
             pauseChance: 1.0,  // Never moves
             canTalk: true,
             canTrade: true,
+            shopId: 'general_store',
+            dialogueId: 'merchant',
             dialogues: [
                 "Welcome to my shop!",
                 "Best prices in the kingdom!",
@@ -97,6 +100,7 @@ export class TownGuard {
             pauseChance: 0.5,
             canTalk: true,
             canTrade: false,
+            dialogueId: 'town_guard',
             dialogues: [
                 "Keep the peace, citizen.",
                 "No trouble in my town.",
@@ -109,6 +113,29 @@ export class TownGuard {
     }
 }
 
+export class TournamentMaster {
+    static create(entityManager, position) {
+        const components = BaseNeutral.getBaseComponents({
+            position,
+            name: 'Tournament Master',
+            color: 0xb22222,
+            health: 120,
+            moveSpeed: 500,
+            movePattern: 'stationary',
+            pauseChance: 1.0,  // Never leaves the arena table
+            canTalk: true,
+            canTrade: false,
+            dialogueId: 'tournament_master',
+            dialogues: [
+                "Step up to the table!",
+                "Only the strongest arms win the Village Cup."
+            ]
+        });
+
+        return entityManager.createEntity(components, ['neutral', 'npc', 'tournament_master', 'enemy']);
+    }
+}
+
 export class Villager {
     static create(entityManager, position) {
         const dialogueSets = [
@@ -132,12 +159,12 @@ export class Villager {
             ]
         ];
 
-        const dialogues = dialogueSets[Math.floor(Math.random() * dialogueSets.length)];
+        const dialogues = dialogueSets[Math.floor(Random.next() * dialogueSets.length)];
         const names = ['Villager', 'Townsperson', 'Local', 'Resident'];
         
         const components = BaseNeutral.getBaseComponents({
             position,
-            name: names[Math.floor(Math.random() * names.length)],
+            name: names[Math.floor(Random.next() * names.length)],
             color: 0x8fbc8f,
             health: 50,
             moveSpeed: 500,
@@ -145,6 +172,7 @@ export class Villager {
             pauseChance: 0.8,
             canTalk: true,
             canTrade: false,
+            dialogueId: 'villager',
             dialogues: dialogues
         });
 
@@ -171,6 +199,8 @@ export class NeutralFactory {
                 return TownGuard.create(entityManager, position);
             case 'Villager':
                 return Villager.create(entityManager, position);
+            case 'TournamentMaster':
+                return TournamentMaster.create(entityManager, position);
             
             default:
                 console.error(`Unknown neutral type: ${type}`);
@@ -180,11 +210,11 @@ export class NeutralFactory {
 
     static getRandomWildlife() {
         const wildlife = ['Rabbit', 'Deer', 'Wolf'];
-        return wildlife[Math.floor(Math.random() * wildlife.length)];
+        return wildlife[Math.floor(Random.next() * wildlife.length)];
     }
 
     static getRandomVillageNPC() {
         const npcs = ['Villager', 'Merchant', 'TownGuard'];
-        return npcs[Math.floor(Math.random() * npcs.length)];
+        return npcs[Math.floor(Random.next() * npcs.length)];
     }
 }
\ No newline at end of file
@@ -0,0 +1,332 @@
+/**
+ * HeadlessGame - Runs the trunk and all branch systems without Phaser
+ * Leaf-level harness for scripted simulations and automated tests in Node
+ *
+ * Wires the same systems as index-refactored.js with a GameClock and no scene.
+ * InputController is skipped because it binds to the DOM.
+ * Game data is read from src/data with fs instead of fetched.
+ * Every game seeds Random (pass `seed` to pick one). With `recordEvents` an EventRecorder captures the session;
+ * pass its log as `replay`, repeat the same setup calls (createPlayer, spawnEnemy...) and runReplay() plays it back.
+ */
+import { readFileSync } from 'fs';
+
+import EventBus from '../core/EventBus.js';
+import GameStateManager from '../core/GameStateManager.js';
+import ResourceManager from '../core/ResourceManager.js';
+import GameClock from '../core/GameClock.js';
+import EventCatalog from '../core/EventCatalog.js';
+import EventRecorder from '../core/EventRecorder.js';
+import EventReplay from '../core/EventReplay.js';
+import Random from '../core/Random.js';
+
+import EntityManager from '../systems/EntityManager.js';
+import CombatSystem from '../systems/CombatSystem.js';
+import ProgressionSystem from '../systems/ProgressionSystem.js';
+import StatsSystem from '../systems/StatsSystem.js';
+import StaminaSystem from '../systems/StaminaSystem.js';
+import HealthSystem from '../systems/HealthSystem.js';
+import InventorySystem from '../systems/InventorySystem.js';
+import ZoneManager from '../systems/ZoneManager.js';
+import TimeSystem from '../systems/TimeSystem.js';
+import RelationshipSystem from '../systems/RelationshipSystem.js';
+import PartySystem from '../systems/PartySystem.js';
+import PetSystem from '../systems/PetSystem.js';
+import MovementManager from '../systems/MovementManager.js';
+import SaveSystem from '../systems/SaveSystem.js';
+import PickupSystem from '../systems/PickupSystem.js';
+import ShopSystem from '../systems/ShopSystem.js';
+import CurrencySystem from '../systems/CurrencySystem.js';
+import DialogueSystem from '../systems/DialogueSystem.js';
+import QuestSystem from '../systems/QuestSystem.js';
+import TournamentSystem from '../systems/TournamentSystem.js';
+import SettingsSystem from '../systems/SettingsSystem.js';
+import DebugSystem from '../systems/DebugSystem.js';
+
+import Player from '../entities/Player.js';
+import { EnemyFactory } from '../entities/enemies/index.js';
+import { NeutralFactory } from '../entities/neutrals/index.js';
+
+import MemoryStorageAdapter from '../core/storage/MemoryStorageAdapter.js';
+
+export default class HeadlessGame {
+    constructor(options = {}) {
+        this.config = {
+            frameTime: 16, // ms per simulated frame (~60fps like the scene)
+            loadData: true, // Register the item catalog, shops, dialogues, quests and tournaments like the browser boot does
+            eventChecks: false, // Check events against the event catalog; problems collect in eventWarnings
+            seed: null, // Random seed; a fresh one when null
+            recordEvents: false, // Record every event with eventRecorder
+            replay: null, // Event log to play back with runReplay(); its seed wins
+            ...options
+        };
+
+        // Trunk
+        this.eventBus = new EventBus();
+        this.gameStateManager = new GameStateManager(this.eventBus);
+        this.storage = options.storage || new MemoryStorageAdapter();
+        this.resourceManager = new ResourceManager(this.eventBus, this.storage);
+        this.clock = new GameClock(this.eventBus);
+
+        // Seed before any system or factory rolls
+        this.eventReplay = this.config.replay ? new EventReplay(this.eventBus, this.config.replay) : null;
+        if (!this.eventReplay) Random.seed(this.config.seed ?? undefined);
+        this.eventRecorder = new EventRecorder(this.eventBus, this.clock);
+        if (this.config.recordEvents) this.eventRecorder.start();
+
+        // Branches
+        this.systems = {
+            entityManager: new EntityManager(this.eventBus)
+        };
+        const entityManager = this.systems.entityManager;
+
+        this.systems.combatSystem = new CombatSystem(this.eventBus, entityManager, this.clock);
+        this.systems.progressionSystem = new ProgressionSystem(this.eventBus, entityManager);
+        this.systems.statsSystem = new StatsSystem(this.eventBus, entityManager, this.clock);
+        this.systems.staminaSystem = new StaminaSystem(this.eventBus, entityManager, this.clock);
+        this.systems.healthSystem = new HealthSystem(this.eventBus, entityManager);
+        this.systems.inventorySystem = new InventorySystem(this.eventBus, entityManager);
+        this.systems.zoneManager = new ZoneManager(this.eventBus, entityManager, this.clock);
+        this.systems.timeSystem = new TimeSystem(this.eventBus, this.clock);
+        this.systems.relationshipSystem = new RelationshipSystem(this.eventBus, entityManager);
+        this.systems.partySystem = new PartySystem(this.eventBus, entityManager, this.clock);
+        this.systems.petSystem = new PetSystem(this.eventBus, entityManager, this.clock);
+        this.systems.movementManager = new MovementManager(this.eventBus, entityManager, this.clock);
+        this.systems.saveSystem = new SaveSystem(this.eventBus, entityManager, this.resourceManager, this.clock);
+        this.systems.pickupSystem = new PickupSystem(this.eventBus, entityManager, this.clock);
+        this.systems.currencySystem = new CurrencySystem(this.eventBus, entityManager, this.clock);
+        this.systems.shopSystem = new ShopSystem(this.eventBus, entityManager);
+        this.systems.dialogueSystem = new DialogueSystem(this.eventBus, entityManager);
+        this.systems.questSystem = new QuestSystem(this.eventBus, entityManager);
+        this.systems.tournamentSystem = new TournamentSystem(this.eventBus, entityManager, this.clock);
+        this.systems.settingsSystem = new SettingsSystem(this.eventBus, this.resourceManager);
+        this.systems.debugSystem = new DebugSystem(this.eventBus, entityManager);
+
+        // Recorded events: eventName -> array of payloads
+        this.recordedEvents = new Map();
+        this.unsubscribers = [];
+
+        this.player = null;
+        this.eventWarnings = [];
+
+        if (this.config.eventChecks) {
+            this.eventCatalog = new EventCatalog(JSON.parse(readFileSync(new URL('../data/events.json', import.meta.url), 'utf8')));
+            this.eventBus.enableChecks(this.eventCatalog, (message) => this.eventWarnings.push(message));
+        }
+
+        if (this.config.loadData) {
+            this.loadData();
+        }
+    }
+
+    /**
+     * Register game data files and validate loot tables against the catalog
+     */
+    loadData() {
+        const itemCatalog = JSON.parse(readFileSync(new URL('../data/items.json', import.meta.url), 'utf8'));
+        this.resourceManager.registerJSON('items', itemCatalog);
+        this.systems.inventorySystem.validateLootReferences(EnemyFactory.getLootTables());
+        
+        const shopDefinitions = JSON.parse(readFileSync(new URL('../data/shops.json', import.meta.url), 'utf8'));
+        this.resourceManager.registerJSON('shops', shopDefinitions);
+
+        const dialogueDefinitions = JSON.parse(readFileSync(new URL('../data/dialogues.json', import.meta.url), 'utf8'));
+        this.resourceManager.registerJSON('dialogues', dialogueDefinitions);
+
+        const questDefinitions = JSON.parse(readFileSync(new URL('../data/quests.json', import.meta.url), 'utf8'));
+        this.resourceManager.registerJSON('quests', questDefinitions);
+
+        const tournamentDefinitions = JSON.parse(readFileSync(new URL('../data/tournaments.json', import.meta.url), 'utf8'));
+        this.resourceManager.registerJSON('tournaments', tournamentDefinitions);
+    }
+
+    /**
+     * Create and initialize the player entity
+     * @param {Object} config - Passed to Player.create
+     * @returns {Entity}
+     */
+    createPlayer(config = {}) {
+        this.player = Player.create(this.systems.entityManager, {
+            position: { x: 0, y: 0 },
+            name: 'Hero',
+            ...config
+        });
+
+        Player.initialize(this.player, this.eventBus);
+        this.flushTimers();
+
+        return this.player;
+    }
+
+    /**
+     * Spawn an enemy through EnemyFactory
+     * @param {string} type - e.g. 'Pebble'
+     * @param {Object} position - Grid position { x, y }
+     * @returns {Entity|null}
+     */
+    spawnEnemy(type, position = { x: 1, y: 0 }) {
+        const enemy = EnemyFactory.create(this.systems.entityManager, type, position);
+        this.flushTimers();
+        return enemy;
+    }
+
+    /**
+     * Spawn a neutral through NeutralFactory
+     * @param {string} type - e.g. 'Rabbit'
+     * @param {Object} position - Grid position { x, y }
+     * @returns {Entity|null}
+     */
+    spawnNeutral(type, position = { x: 1, y: 0 }) {
+        const neutral = NeutralFactory.create(this.systems.entityManager, type, position);
+        this.flushTimers();
+        return neutral;
+    }
+
+    /**
+     * Emit an event as if it came from input or the scene
+     * @param {string} eventName
+     * @param {Object} data
+     */
+    emit(eventName, data) {
+        this.eventBus.emit(eventName, data);
+    }
+
+    /**
+     * Advance simulated time, stepping systems frame by frame in scene order
+     * @param {number} ms
+     */
+    advance(ms) {
+        let remaining = ms;
+
+        while (remaining > 0) {
+            const delta = Math.min(this.config.frameTime, remaining);
+            this.step(delta);
+            remaining -= delta;
+        }
+    }
+
+    /**
+     * Run a single frame
+     * @param {number} delta
+     */
+    step(delta) {
+        // Same order as GameSceneRefactored.update
+        this.eventRecorder.tick(delta);
+        const gameDelta = this.clock.tick(delta);
+
+        this.systems.entityManager.update(gameDelta);
+        this.systems.combatSystem.update(gameDelta);
+        this.systems.timeSystem.update(gameDelta);
+        this.systems.zoneManager.update(gameDelta);
+        this.systems.movementManager.update(gameDelta);
+        this.systems.pickupSystem.update(gameDelta);
+        this.systems.staminaSystem.update(gameDelta);
+    }
+
+    /**
+     * Play the replay log to the end, frame by frame
+     * @returns {Object} { frames, inputs } played
+     */
+    runReplay() {
+        const replay = this.eventReplay;
+
+        while (replay.isActive()) {
+            replay.feedInputs();
+            const delta = replay.nextDelta();
+            if (delta !== null) this.step(delta);
+        }
+
+        return { frames: replay.frame, inputs: replay.inputIndex };
+    }
+
+    /**
+     * Fire timers that are already due without moving time
+     */
+    flushTimers() {
+        this.clock.step(0);
+    }
+
+    /**
+     * Advance until a predicate passes or the time limit runs out
+     * @param {Function} predicate
+     * @param {number} maxMs
+     * @returns {boolean} Whether the predicate passed
+     */
+    runUntil(predicate, maxMs = 60000) {
+        let elapsed = 0;
+
+        while (!predicate()) {
+            if (elapsed >= maxMs) return false;
+            this.step(this.config.frameTime);
+            elapsed += this.config.frameTime;
+        }
+
+        return true;
+    }
+
+    /**
+     * Start recording an event's payloads
+     * @param {...string} eventNames
+     */
+    record(...eventNames) {
+        eventNames.forEach(eventName => {
+            if (this.recordedEvents.has(eventName)) return;
+
+            this.recordedEvents.set(eventName, []);
+            this.unsubscribers.push(
+                this.eventBus.on(eventName, (data) => {
+                    this.recordedEvents.get(eventName).push(data);
+                })
+            );
+        });
+    }
+
+    /**
+     * Get recorded payloads for an event
+     * @param {string} eventName
+     * @returns {Array}
+     */
+    getEvents(eventName) {
+        return this.recordedEvents.get(eventName) || [];
+    }
+
+    /**
+     * Advance until a recorded event has fired
+     * @param {string} eventName
+     * @param {number} maxMs
+     * @returns {Object|null} The first payload, or null on timeout
+     */
+    waitFor(eventName, maxMs = 60000) {
+        this.record(eventName);
+        const passed = this.runUntil(() => this.getEvents(eventName).length > 0, maxMs);
+        return passed ? this.getEvents(eventName)[0] : null;
+    }
+
+    /**
+     * Resolve with the payload of the next emission of an event
+     * Useful for async flows (saves) that finish outside advance()
+     * @param {string} eventName
+     * @returns {Promise<Object>}
+     */
+    nextEvent(eventName) {
+        return new Promise(resolve => this.eventBus.once(eventName, resolve));
+    }
+
+    /**
+     * Tear down all systems and listeners
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.recordedEvents.clear();
+
+        Object.values(this.systems).forEach(system => {
+            if (system.destroy) system.destroy();
+        });
+
+        this.eventRecorder.stop();
+        if (this.eventReplay) this.eventReplay.stop();
+
+        this.clock.destroy();
+        this.eventBus.clear();
+    }
+}
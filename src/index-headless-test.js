@@ -0,0 +1,1707 @@
+/**
+ * Headless simulation test - runs in Node without Phaser
+ * Usage: node src/index-headless-test.js
+ */
+import HeadlessGame from './headless/HeadlessGame.js';
+import Random from './core/Random.js';
+
+console.log('=== HEADLESS SIMULATION TEST ===');
+
+const failures = [];
+
+function check(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+    } else {
+        console.error(`❌ ${message}`);
+        failures.push(message);
+    }
+}
+
+// Spawn Pebble, start combat, click 30 times, expect victory and XP
+function testPebbleVictory() {
+    const game = new HeadlessGame();
+    game.record('combat:started', 'combat:victory', 'progression:xp-gained');
+
+    const player = game.createPlayer({ startingPower: 2 });
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    check(player && pebble, 'Player and Pebble spawned');
+
+    game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+    check(game.getEvents('combat:started').length === 1, 'Combat started');
+
+    // Combat goes active after the start delay
+    game.advance(1100);
+
+    for (let i = 0; i < 30 && game.getEvents('combat:victory').length === 0; i++) {
+        game.emit('player:attack');
+        game.advance(100);
+    }
+
+    check(game.getEvents('combat:victory').length === 1, 'Combat victory fired');
+
+    const progression = player.getComponent('progression');
+    check(progression && progression.experience > 0, `Player gained XP (${progression?.experience})`);
+
+    game.destroy();
+}
+
+// Day/night timing follows the game clock, not wall time
+function testTimeAdvances() {
+    const game = new HeadlessGame();
+    game.record('time:hour-changed');
+
+    const timeSystem = game.systems.timeSystem;
+    const startHour = timeSystem.timeState.currentHour;
+
+    // 1 real second = 1 game minute at timeScale 1
+    game.advance(61 * 1000);
+
+    check(game.getEvents('time:hour-changed').length > 0, 'Game hour advanced with simulated time');
+    check(timeSystem.timeState.currentHour !== startHour, 'Current hour changed');
+
+    game.destroy();
+}
+
+// Pausing the clock freezes combat timers, drain and clicks
+function testPauseFreezesCombat() {
+    const game = new HeadlessGame();
+    game.record('combat:active');
+
+    const player = game.createPlayer();
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+
+    game.emit('game:pause');
+    game.advance(5000);
+    check(game.getEvents('combat:active').length === 0, 'Combat start delay frozen while paused');
+
+    game.emit('game:resume');
+    game.advance(1100);
+    check(game.getEvents('combat:active').length === 1, 'Combat went active after resume');
+
+    const combatData = game.systems.combatSystem.activeCombats.get(player.id);
+    const tugBefore = combatData.tugPosition;
+    game.emit('game:pause');
+    game.emit('player:attack');
+    game.advance(2000);
+    check(combatData.tugPosition === tugBefore, 'Tug bar frozen while paused');
+
+    game.destroy();
+}
+
+// Stepping the clock fast-forwards whole days
+function testFastForwardDays() {
+    const game = new HeadlessGame();
+    game.record('time:new-day', 'time:hour-changed', 'time:scheduled-event');
+
+    const timeSystem = game.systems.timeSystem;
+    const startDay = timeSystem.timeState.currentDay;
+    game.emit('time:schedule-event', { eventId: 'late-delivery', day: startDay + 1, hour: 23, minute: 30 });
+    game.emit('time:schedule-event', { eventId: 'daily-bell', hour: 12, recurring: true });
+
+    // 1 real second = 1 game minute, so a day is 1440 seconds of clock time
+    game.clock.step(3 * 1440 * 1000);
+    game.advance(16);
+
+    check(timeSystem.timeState.currentDay === startDay + 3, `Fast-forwarded 3 days (day ${timeSystem.timeState.currentDay})`);
+    check(game.getEvents('time:new-day').length === 3, `A new day for each midnight crossed (${game.getEvents('time:new-day').length})`);
+    check(game.getEvents('time:hour-changed').length === 72, `An hour change for each hour crossed (${game.getEvents('time:hour-changed').length})`);
+
+    const fired = game.getEvents('time:scheduled-event').map(data => data.eventId);
+    check(fired.filter(id => id === 'late-delivery').length === 1, 'Scheduled event inside the skipped days fired');
+    check(fired.filter(id => id === 'daily-bell').length === 3, `Daily event fired once per skipped day (${fired.filter(id => id === 'daily-bell').length})`);
+
+    game.destroy();
+}
+
+// Clock scale speeds up game time
+function testClockScale() {
+    const game = new HeadlessGame();
+    game.clock.setScale(4);
+    game.advance(1000);
+
+    check(game.clock.now() === 4000, `Scaled clock ran 4x (${game.clock.now()}ms)`);
+
+    game.destroy();
+}
+
+// Enemies telegraph their special moves; the boss changes phase as the bar climbs
+function testEnemyMoves() {
+    const game = new HeadlessGame();
+    game.record('combat:move-telegraph', 'combat:move-started', 'combat:move-ended', 'combat:phase-changed');
+
+    const player = game.createPlayer();
+    const lastOf = (eventName) => game.getEvents(eventName).at(-1);
+    const fight = (type, moveTypes = null) => {
+        game.emit('combat:flee', { entityId: player.id });
+        const enemy = game.spawnEnemy(type, { x: 1, y: 0 });
+        const enemyData = enemy.getComponent('enemyData');
+        if (moveTypes) enemyData.moveSet = enemyData.moveSet.filter(move => moveTypes.includes(move.type));
+        game.emit('combat:start', { attackerId: player.id, defenderId: enemy.id });
+        game.advance(1100);
+        return game.systems.combatSystem.activeCombats.get(player.id);
+    };
+    // Hold the bar mid-way until the event count grows
+    const waitFor = (combatData, eventName) => {
+        const count = game.getEvents(eventName).length;
+        return game.runUntil(() => {
+            combatData.tugPosition = 0.5;
+            return game.getEvents(eventName).length > count;
+        }, 10000);
+    };
+
+    check(fight('Pebble').drainMultiplier === 1 && game.getEvents('combat:move-telegraph').length === 0,
+        'Fights open without a special move');
+
+    // Surges are telegraphed before the drain spikes
+    let combatData = fight('Stick', ['surge']);
+    check(waitFor(combatData, 'combat:move-telegraph') && lastOf('combat:move-telegraph').name === 'Snap'
+        && combatData.drainMultiplier === 1, 'Stick telegraphs Snap before it lands');
+    check(waitFor(combatData, 'combat:move-started') && combatData.drainMultiplier === 2, 'Snap doubles the drain');
+    check(waitFor(combatData, 'combat:move-ended') && combatData.drainMultiplier === 1, 'Drain settles after the surge');
+
+    // Feints look like a surge until they land
+    combatData = fight('Pebble');
+    waitFor(combatData, 'combat:move-telegraph');
+    check(lastOf('combat:move-telegraph').type === 'surge' && lastOf('combat:move-telegraph').name === 'Heave',
+        'Pebble feint is telegraphed as a Heave');
+    waitFor(combatData, 'combat:move-started');
+    check(lastOf('combat:move-started').type === 'feint' && combatData.drainMultiplier === 1, 'The Heave was a feint');
+
+    // Stalls freeze the drain and blunt clicks
+    combatData = fight('Rock', ['stall']);
+    waitFor(combatData, 'combat:move-started');
+    combatData.tugPosition = 0.5;
+    game.emit('player:attack');
+    const stalledPush = combatData.tugPosition - 0.5;
+    check(combatData.drainMultiplier === 0 && combatData.pushMultiplier === 0.4 && stalledPush > 0 && stalledPush < 0.05,
+        'Rock digs in: no drain and weaker clicks');
+
+    // Second wind answers a near win, once per fight
+    combatData = fight('AngrySquirrel', ['secondWind']);
+    combatData.tugPosition = 0.95;
+    game.advance(16);
+    check(lastOf('combat:move-telegraph')?.name === 'Second Wind', 'Squirrel finds a second wind near defeat');
+    game.runUntil(() => game.getEvents('combat:move-ended').at(-1)?.name === 'Second Wind', 5000);
+    const pulled = lastOf('combat:move-started');
+    check(pulled?.name === 'Second Wind' && pulled.tugPosition < 0.85, 'Second wind pulls the bar back');
+    const telegraphs = game.getEvents('combat:move-telegraph').length;
+    combatData.tugPosition = 0.95;
+    game.advance(16);
+    check(game.getEvents('combat:move-telegraph').length === telegraphs, 'Second wind only happens once');
+
+    // Boulder Boss phases
+    combatData = fight('BoulderBoss');
+    combatData.tugPosition = 0.92;
+    game.advance(16);
+    const cracked = lastOf('combat:phase-changed');
+    check(cracked?.name === 'Cracked' && combatData.phaseIndex === 0 && cracked.tugPosition < 0.8
+        && combatData.drainMultiplier === 1.3, 'Boss cracks at 90% and pulls the bar back');
+    combatData.tugPosition = 0.97;
+    game.advance(16);
+    check(lastOf('combat:phase-changed')?.name === 'Avalanche' && combatData.phaseIndex === 1, 'Boss enters its avalanche phase');
+    waitFor(combatData, 'combat:move-telegraph');
+    check(lastOf('combat:move-telegraph').name === 'Rockfall', 'Avalanche phase uses its own move set');
+
+    game.destroy();
+}
+
+// Clicking on the beat of a telegraphed move counters it
+function testParry() {
+    const game = new HeadlessGame();
+    game.record('combat:move-telegraph', 'combat:move-started', 'combat:move-ended', 'combat:parry');
+
+    const player = game.createPlayer();
+    const combatSystem = game.systems.combatSystem;
+    const lastOf = (eventName) => game.getEvents(eventName).at(-1);
+    const fight = (type, moveTypes) => {
+        game.emit('combat:flee', { entityId: player.id });
+        const enemy = game.spawnEnemy(type, { x: 1, y: 0 });
+        const enemyData = enemy.getComponent('enemyData');
+        enemyData.moveSet = enemyData.moveSet.filter(move => moveTypes.includes(move.type));
+        game.emit('combat:start', { attackerId: player.id, defenderId: enemy.id });
+        game.advance(1100);
+        return combatSystem.activeCombats.get(player.id);
+    };
+    // Hold the bar mid-way until the next warning, then return its parry window
+    const nextTelegraph = (combatData) => {
+        const count = game.getEvents('combat:move-telegraph').length;
+        game.runUntil(() => {
+            combatData.tugPosition = 0.5;
+            return game.getEvents('combat:move-telegraph').length > count;
+        }, 10000);
+        return lastOf('combat:move-telegraph').parry;
+    };
+    // Click at a game time; returns the tug gained by that click
+    const clickAt = (time) => {
+        game.advance(time - game.clock.now());
+        const before = combatSystem.activeCombats.get(player.id).tugPosition;
+        game.emit('player:attack');
+        return combatSystem.activeCombats.get(player.id).tugPosition - before;
+    };
+
+    // Perfect parry on the landing
+    let combatData = fight('Stick', ['surge']);
+    let parry = nextTelegraph(combatData);
+    check(parry && parry.closesAt - parry.landsAt === combatSystem.config.parryGoodWindow, 'Surge warning carries a parry window');
+    const perfectGain = clickAt(parry.landsAt);
+    check(lastOf('combat:parry')?.result === 'perfect' && lastOf('combat:move-ended')?.countered
+        && combatData.drainMultiplier === 1, 'Clicking on the landing is a perfect parry that cancels the surge');
+    check(perfectGain > combatSystem.config.parrySwing.perfect, 'Perfect parry swings the bar');
+
+    // Good parry near the edge of the window
+    parry = nextTelegraph(combatData);
+    clickAt(parry.opensAt + 20);
+    check(lastOf('combat:parry')?.result === 'good', 'Clicking near the edge is a good parry');
+
+    // Mashing through the warning misses
+    parry = nextTelegraph(combatData);
+    game.emit('player:attack');
+    clickAt(parry.landsAt);
+    check(lastOf('combat:parry')?.reason === 'early' && game.getEvents('combat:parry').length === 3,
+        'An early click spends the parry');
+    check(lastOf('combat:move-started')?.name === 'Snap' && combatData.drainMultiplier === 2, 'The surge lands after a miss');
+
+    // Doing nothing is a late miss
+    parry = nextTelegraph(combatData);
+    game.advance(parry.closesAt - game.clock.now() + 32);
+    check(lastOf('combat:parry')?.reason === 'late', 'No click in the window is a late miss');
+
+    // Feints bait the parry
+    combatData = fight('Pebble', ['feint']);
+    parry = nextTelegraph(combatData);
+    clickAt(parry.landsAt);
+    check(lastOf('combat:parry')?.result === 'miss' && lastOf('combat:parry').reason === 'feint', 'Parrying a feint misses');
+    parry = nextTelegraph(combatData);
+    const parries = game.getEvents('combat:parry').length;
+    game.advance(parry.closesAt - game.clock.now() + 32);
+    check(game.getEvents('combat:parry').length === parries, 'Ignoring a feint is not a miss');
+
+    // Quick Reflexes widens the window
+    player.getComponent('progression').talentPoints = 1;
+    game.emit('progression:spend-talent', { entityId: player.id, treeName: 'strength', talentName: 'quickReflexes' });
+    combatData = fight('Stick', ['surge']);
+    parry = nextTelegraph(combatData);
+    check(parry.closesAt - parry.landsAt === combatSystem.config.parryGoodWindow * 1.25, 'Quick Reflexes widens the parry window');
+
+    game.destroy();
+}
+
+// Autoclickers are caught by rate and regularity, human clicking is left alone
+function testAutoclickerDetection() {
+    const game = new HeadlessGame();
+    game.record('combat:suspicious-input');
+
+    const player = game.createPlayer();
+    const combatSystem = game.systems.combatSystem;
+    const inputCheck = combatSystem.config.inputCheck;
+    const fight = (type) => {
+        game.emit('combat:flee', { entityId: player.id });
+        const enemy = game.spawnEnemy(type, { x: 1, y: 0 });
+        enemy.getComponent('enemyData').moveSet = [];
+        game.emit('combat:start', { attackerId: player.id, defenderId: enemy.id });
+        game.advance(1100);
+        return combatSystem.activeCombats.get(player.id);
+    };
+    // Click on a repeating pattern of intervals for a while, keeping the bar mid-way; returns presses made.
+    // With inputTime each click carries its exact time, like a browser input event, instead of the frame's
+    const mash = (combatData, intervals, ms, inputTime = false) => {
+        const until = game.clock.now() + ms;
+        let presses = 0;
+        let nextClick = game.clock.now();
+        game.runUntil(() => {
+            combatData.tugPosition = 0.5;
+            if (game.clock.now() >= nextClick) {
+                game.emit('player:attack', inputTime ? { inputTime: nextClick } : undefined);
+                nextClick += intervals[presses++ % intervals.length];
+            }
+            return game.clock.now() >= until;
+        }, ms + 100);
+        return presses;
+    };
+    const lastSuspicion = () => game.getEvents('combat:suspicious-input').at(-1);
+
+    // A click every frame is far above the human ceiling
+    let combatData = fight('BoulderBoss');
+    let presses = mash(combatData, [16], 3000);
+    check(lastSuspicion()?.reasons.includes('rate') && lastSuspicion().clicksPerSecond > inputCheck.maxClicksPerSecond,
+        `Clicking every frame is flagged as inhuman (${lastSuspicion()?.clicksPerSecond.toFixed(1)} clicks/s)`);
+    check(combatData.flagged, 'The fight is flagged');
+    const counted = combatData.clickCount - (inputCheck.sampleSize + 1);
+    check(presses > combatData.clickCount && counted <= inputCheck.capClicksPerSecond * 3,
+        `Clicks over the cap don't count (${combatData.clickCount} of ${presses})`);
+    check(game.getEvents('combat:suspicious-input').length === 1, 'Suspicious input is reported once per fight');
+
+    // Metronome-perfect clicking at a believable rate
+    combatData = fight('Pebble');
+    mash(combatData, [112], 3000);
+    check(game.getEvents('combat:suspicious-input').length === 2 && lastSuspicion().reasons.join() === 'regular',
+        'Perfectly regular clicking is flagged');
+
+    // Uneven human clicking
+    combatData = fight('Pebble');
+    presses = mash(combatData, [96, 160, 112, 192, 128, 80, 144, 176, 112, 96], 4000);
+    check(game.getEvents('combat:suspicious-input').length === 2 && !combatData.flagged && combatData.clickCount === presses,
+        'Uneven clicking is left alone');
+
+    // Uneven clicks between frames: every interval would snap to 7 frames, but the input times keep them apart
+    combatData = fight('Pebble');
+    presses = mash(combatData, [104, 120, 108, 116], 4000, true);
+    check(game.getEvents('combat:suspicious-input').length === 2 && !combatData.flagged && combatData.clickCount === presses,
+        'Clicks are timed by their input event, not the frame they land in');
+
+    // Report only
+    inputCheck.responses = ['event'];
+    combatData = fight('BoulderBoss');
+    presses = mash(combatData, [16], 1000);
+    check(lastSuspicion()?.capped === false && !combatData.flagged && combatData.clickCount === presses,
+        'With only the event response, clicks still count');
+
+    game.destroy();
+}
+
+// Every HP change goes through HealthSystem: attacked -> damaged -> died, healing and revival
+function testHealthLifecycle() {
+    const game = new HeadlessGame();
+    const lifecycle = ['entity:attacked', 'entity:damaged', 'entity:died'];
+    game.record(...lifecycle, 'entity:healed', 'entity:revived', 'player:died', 'player:respawned',
+        'faction:kill', 'party:member-died', 'party:member-revived');
+
+    const entityManager = game.systems.entityManager;
+    const player = game.createPlayer();
+    const health = player.getComponent('health');
+    const order = [];
+    lifecycle.forEach(eventName => game.eventBus.on(eventName, () => order.push(eventName)));
+
+    // Winning knocks the enemy out, with the player as the killer
+    player.addComponent('faction', { faction: 'player', reputation: {} });
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    pebble.addComponent('faction', { faction: 'wildlife', reputation: {} });
+    pebble.getComponent('enemyData').moveSet = [];
+    game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+    game.advance(1100);
+    game.systems.combatSystem.activeCombats.get(player.id).tugPosition = 0.99;
+    game.emit('player:attack');
+    const died = game.getEvents('entity:died').at(-1);
+    check(order.join() === lifecycle.join() && died?.entityId === pebble.id && died.killerId === player.id,
+        'A won fight runs attacked -> damaged -> died on the enemy');
+    check(game.getEvents('faction:kill').length === 1
+        && game.systems.relationshipSystem.reputationModifiers.get(player.id)?.wildlife < 0,
+        'Killing costs reputation with the victim\'s faction');
+    game.advance(16);
+    check(!entityManager.getEntity(pebble.id), 'The defeated enemy is removed');
+
+    // Hazards and healing
+    game.emit('damage:environmental', { entityId: player.id, amount: 50, source: 'lava_zone' });
+    const attacked = game.getEvents('entity:attacked').at(-1);
+    check(health.current === health.max - 50 && attacked.attackerId === null && attacked.sourceId === 'lava_zone',
+        'Environmental damage has a source and no attacker');
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'protein_shake' });
+    game.emit('inventory:use-item', { entityId: player.id, itemId: 'protein_shake' });
+    check(game.getEvents('entity:healed').at(-1)?.source === 'item' && health.current === health.max - 15,
+        'Healing items restore health');
+    game.emit('health:heal', { entityId: player.id, amount: 500, source: 'test' });
+    check(health.current === health.max && game.getEvents('entity:healed').at(-1).amount === 15, 'Healing stops at max health');
+    player.addTag('invulnerable');
+    game.emit('damage:deal', { attackerId: 'debug', targetId: player.id, amount: 50, type: 'debug' });
+    check(health.current === health.max && game.getEvents('entity:attacked').at(-1).targetId === player.id,
+        'Invulnerable entities are attacked but not hurt');
+    player.removeTag('invulnerable');
+
+    // Losing knocks the player out; they respawn at the bonfire with half health
+    const rock = game.spawnEnemy('Rock', { x: 1, y: 0 });
+    rock.getComponent('enemyData').moveSet = [];
+    game.emit('combat:start', { attackerId: player.id, defenderId: rock.id });
+    game.advance(1100);
+    game.systems.combatSystem.activeCombats.get(player.id).tugPosition = 0.01;
+    game.advance(100);
+    check(health.current === 0 && game.getEvents('player:died').length === 1, 'A lost fight knocks the player out');
+    game.emit('health:heal', { entityId: player.id, amount: 10 });
+    check(health.current === 0, 'A knocked out player cannot be healed');
+    game.advance(game.systems.zoneManager.config.bonfireRespawnDelay + 100);
+    check(game.getEvents('player:respawned').length === 1 && health.current === Math.floor(health.max * 0.5)
+        && game.getEvents('entity:revived').at(-1)?.source === 'respawn', 'The player respawns with half health');
+
+    // Party members fall and get revived
+    game.emit('party:create', { leaderId: player.id });
+    const partyId = game.systems.partySystem.entityParties.get(player.id);
+    const buddy = entityManager.createEntity({ health: { current: 50, max: 50 } }, ['companion']);
+    game.emit('party:join', { entityId: buddy.id, partyId });
+    game.emit('damage:deal', { attackerId: rock.id, targetId: buddy.id, amount: 80, type: 'attack' });
+    check(game.getEvents('party:member-died').length === 1 && buddy.getComponent('partyRole')?.isDead,
+        'A party member at 0 health is marked dead');
+    game.emit('party:revive', { memberId: buddy.id });
+    check(buddy.getComponent('health').current === 15 && !buddy.getComponent('partyRole').isDead
+        && game.getEvents('party:member-revived').length === 1, 'Reviving a party member restores some health');
+
+    game.destroy();
+}
+
+// Every position change goes through MovementManager, which reports tile changes as throttled entity:moved events
+function testMovementEvents() {
+    const game = new HeadlessGame();
+    game.record('entity:moved', 'entity:entered-zone', 'entity:exited-zone');
+
+    const { movementManager } = game.systems;
+    const { tileSize, movedEventInterval } = movementManager.config;
+    const player = game.createPlayer();
+    const position = player.getComponent('position');
+    const moved = () => game.getEvents('entity:moved').filter(event => event.entityId === player.id);
+
+    game.emit('movement:move-by', { entityId: player.id, dx: 10, dy: 0 });
+    check(position.pixelX === 10 && position.x === 0 && position.worldX === 0 && moved().length === 0,
+        'Moving inside a tile only changes the pixel position');
+
+    game.emit('movement:move-by', { entityId: player.id, dx: tileSize, dy: 0 });
+    check(moved().length === 1 && moved()[0].oldPosition.x === 0 && moved()[0].newPosition.x === 1
+        && position.x === 1 && position.worldX === 1 && position.pixelX === 10 + tileSize,
+        'Crossing into a new tile reports the old and new tile');
+
+    game.emit('movement:move-by', { entityId: player.id, dx: tileSize, dy: 0 });
+    game.emit('movement:move-by', { entityId: player.id, dx: tileSize, dy: 0 });
+    check(moved().length === 1, 'Tile changes inside the throttle interval are held back');
+    game.advance(movedEventInterval + 16);
+    check(moved().length === 2 && moved()[1].oldPosition.x === 1 && moved()[1].newPosition.x === 3,
+        'The last tile reached is reported once the interval passes');
+
+    // Zones react to real movement
+    game.emit('movement:set-position', { entityId: player.id, x: 20, y: 20 });
+    check(moved().length === 3 && position.pixelX === 20 * tileSize
+        && game.getEvents('entity:exited-zone').some(event => event.zoneId === 'bonfire_main'),
+        'Teleporting is reported at once and leaves the bonfire');
+    game.emit('movement:set-position', { entityId: player.id, x: 0, y: 0 });
+    check(game.getEvents('entity:entered-zone').some(event => event.zoneId === 'bonfire_main'),
+        'Walking back enters the bonfire');
+
+    // Party followers walk to their formation slot when the leader moves
+    game.emit('party:create', { leaderId: player.id });
+    const follower = game.systems.entityManager.createEntity({
+        position: { x: 0, y: 0, worldX: 0, worldY: 0, pixelX: 0, pixelY: 0 }
+    }, ['companion']);
+    game.emit('party:join', { entityId: follower.id, partyId: game.systems.partySystem.entityParties.get(player.id) });
+    game.emit('movement:set-position', { entityId: player.id, x: 6, y: 6 });
+    const slot = follower.getComponent('partyRole').targetPosition;
+    const followerPosition = follower.getComponent('position');
+    check(slot && followerPosition.x === slot.x && followerPosition.y === slot.y && followerPosition.pixelX === slot.x * tileSize,
+        'Party members follow the leader into formation');
+
+    // Wandering enemies keep tiles in x/y too
+    const pebble = game.spawnEnemy('Pebble', { x: 10, y: 10 });
+    const wandered = game.runUntil(() => game.getEvents('entity:moved').some(event => event.entityId === pebble.id), 10000);
+    const enemyPosition = pebble.getComponent('position');
+    check(wandered && enemyPosition.x === Math.floor(enemyPosition.pixelX / tileSize) && enemyPosition.x === enemyPosition.worldX,
+        'Wandering enemies report their moves in tiles');
+
+    game.destroy();
+}
+
+// Interceptors change or cancel events before listeners see them; god mode is one
+function testEventInterceptors() {
+    const game = new HeadlessGame();
+    const { eventBus } = game;
+    game.record('entity:attacked', 'entity:damaged');
+
+    const order = [];
+    const received = [];
+    eventBus.on('test:ping', (data) => received.push(data.value));
+    eventBus.intercept('test:ping', () => { order.push('low'); }, -5);
+    const removeDouble = eventBus.intercept('test:ping', (data) => {
+        order.push('high');
+        return { value: data.value * 2 };
+    }, 10);
+    eventBus.intercept('test:ping', (data, event) => {
+        order.push('normal');
+        if (data.value > 100) event.cancel('too big');
+    });
+
+    check(eventBus.emit('test:ping', { value: 3 }) === false && received[0] === 6,
+        'Interceptors can replace the payload listeners get');
+    check(order.join() === 'high,normal,low', 'Interceptors run highest priority first');
+
+    order.length = 0;
+    check(eventBus.emit('test:ping', { value: 60 }) === true && received.length === 1 && order.join() === 'high,normal',
+        'A cancelled event reaches no listeners or later interceptors');
+
+    removeDouble();
+    eventBus.emit('test:ping', { value: 4 });
+    check(received.at(-1) === 4, 'Removed interceptors stop running');
+
+    // God mode cancels damage even though HealthSystem listens first
+    const player = game.createPlayer();
+    const health = player.getComponent('health');
+    game.emit('debug:toggle-god-mode');
+    game.emit('debug:player-damage', { amount: 30 });
+    game.emit('damage:environmental', { entityId: player.id, amount: 10, source: 'spikes' });
+    check(health.current === health.max && game.getEvents('entity:attacked').length === 0,
+        'God mode cancels damage before HealthSystem sees it');
+
+    game.emit('debug:toggle-god-mode');
+    game.emit('debug:toggle-one-hit');
+    const pebble = game.spawnEnemy('Pebble', { x: 3, y: 0 });
+    game.emit('damage:deal', { attackerId: player.id, targetId: pebble.id, amount: 1, type: 'attack' });
+    check(pebble.getComponent('health').current === 0, 'One-hit mode raises the player\'s damage');
+
+    game.destroy();
+}
+
+// The event catalog describes real traffic; development checks flag anything it does not
+function testEventCatalog() {
+    const game = new HeadlessGame({ eventChecks: true });
+    const { eventBus, eventCatalog } = game;
+    game.record('combat:victory');
+
+    const silent = game.eventWarnings.filter(message => /^\d+ events have listeners but nothing emits them/.test(message));
+    check(silent.length === 1 && silent[0].includes('pet:feed'), 'Listeners for events nothing emits are reported together');
+    game.eventWarnings.length = 0;
+
+    // A whole fight, walking and a teleport stay inside the catalog
+    const player = game.createPlayer({ startingPower: 2 });
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    game.emit('movement:move-by', { entityId: player.id, dx: 40, dy: 0 });
+    game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+    game.advance(1100);
+    for (let i = 0; i < 30 && game.getEvents('combat:victory').length === 0; i++) {
+        game.emit('player:attack');
+        game.advance(100);
+    }
+    game.emit('movement:set-position', { entityId: player.id, x: 12, y: 12 });
+    game.advance(2000);
+    check(game.getEvents('combat:victory').length === 1 && game.eventWarnings.length === 0,
+        `Gameplay emits only catalogued events with complete payloads (${game.eventWarnings.join('; ') || 'no warnings'})`);
+
+    game.emit('test:unknown', {});
+    game.emit('test:unknown', {});
+    check(game.eventWarnings.length === 1 && game.eventWarnings[0].includes('"test:unknown" is not in the event catalog'),
+        'Unknown events are warned about once');
+
+    game.emit('stats:remove-modifier', { entityId: player.id });
+    game.emit('stamina:restore', { entityId: player.id, amount: '10' });
+    check(game.eventWarnings.includes('"stats:remove-modifier" is missing "source"')
+        && game.eventWarnings.includes('"stamina:restore" field "amount" should be number, got string'),
+        'Missing fields and wrong types are reported');
+
+    eventBus.on('test:listener', () => {});
+    check(game.eventWarnings.at(-1) === 'listener for unknown event "test:listener"', 'Listeners for unknown events are reported');
+
+    const report = eventCatalog.generateReport(eventBus);
+    check(report.includes('| combat:start | GameSceneRefactored, TournamentSystem, index-refactored | CombatSystem |')
+        && /## Listened to, but nothing emits them[\s\S]*- pet:feed/.test(report)
+        && /## Not in the catalog[\s\S]*- test:unknown/.test(report), 'The event graph report lists emitters, listeners and loose ends');
+
+    game.destroy();
+}
+
+// A recorded session replays into a fresh world with the same fight and the same drops
+function testEventReplay() {
+    const setup = (game) => {
+        game.record('combat:move-started', 'combat:ended', 'loot:generated', 'pickup:spawned', 'replay:finished');
+        return { player: game.createPlayer(), rock: game.spawnEnemy('Rock', { x: 1, y: 0 }) };
+    };
+    const summarize = (game, rock) => JSON.stringify({
+        speed: rock.getComponent('enemyAI').moveSpeed,
+        moves: game.getEvents('combat:move-started').map(move => [move.name, move.tugPosition.toFixed(3)]),
+        result: game.getEvents('combat:ended').map(ended => ended.result),
+        loot: game.getEvents('loot:generated').map(drop => drop.loot.map(item => [item.itemId, item.quantity])),
+        pickups: game.getEvents('pickup:spawned').map(pickup => [pickup.itemId, pickup.quantity, pickup.position])
+    });
+
+    const original = new HeadlessGame({ recordEvents: true });
+    const { player, rock } = setup(original);
+    original.emit('combat:start', { attackerId: player.id, defenderId: rock.id });
+    original.advance(1100);
+    // Close enough that the enemy's rolls decide the fight
+    for (let i = 0; i < 200 && original.getEvents('combat:ended').length === 0; i++) {
+        original.emit('player:attack');
+        original.advance(270 + (i % 4) * 20);
+    }
+    original.advance(500);
+    const recorded = summarize(original, rock);
+
+    const json = original.eventRecorder.export();
+    const log = JSON.parse(json);
+    check(log.seed === Random.getSeed() && log.frames.every(([delta, count]) => delta > 0 && count > 0)
+        && log.events.some(([, , name, payload]) => name === 'entity:created' && payload.entity === rock.id),
+        'The event log keeps the seed, frame times and every event, with entities as ids');
+    check(log.events.filter(entry => entry[4] === 1).map(entry => entry[2]).every(name => name === 'combat:start' || name === 'player:attack'),
+        'Only player input is marked for replay');
+    original.destroy();
+
+    const replay = new HeadlessGame({ replay: json });
+    const fresh = setup(replay);
+    check(Random.getSeed() === log.seed && fresh.rock.id !== rock.id, 'Replays boot a fresh world with the recorded seed');
+
+    replay.eventReplay.feedInputs();
+    check(replay.eventBus.emit('player:attack') === true, 'Live input is ignored while a replay runs');
+
+    const played = replay.runReplay();
+    check(played.frames === original.eventRecorder.frame && replay.getEvents('replay:finished').length === 1,
+        `Every recorded frame is played back (${played.frames} frames, ${played.inputs} inputs)`);
+    check(summarize(replay, fresh.rock) === recorded && replay.getEvents('combat:ended').length === 1,
+        'The replay repeats the same enemy moves, result, loot and pickups');
+    check(replay.eventBus.emit('player:attack') === false, 'Input is live again once the replay finishes');
+
+    replay.destroy();
+}
+
+// Saving and loading restores persistent entities and system slices
+async function testSaveLoadRoundTrip() {
+    const game = new HeadlessGame();
+    game.record('save:completed', 'save:restored');
+
+    const player = game.createPlayer();
+    game.emit('progression:add-xp', { entityId: player.id, amount: 40 });
+    game.emit('time:set', { hour: 15, minute: 30 });
+    game.emit('relationship:modify', { entityId: player.id, faction: 'merchants', amount: 25 });
+    game.advance(5000);
+
+    const savedXP = player.getComponent('progression').experience;
+    const merchantStanding = () => game.systems.relationshipSystem.reputationModifiers.get(player.id).merchants;
+    const savedMerchants = merchantStanding();
+    await game.systems.saveSystem.save('slot1');
+    check(game.getEvents('save:completed').length === 1, 'Save completed');
+
+    const saves = await game.resourceManager.listSaves();
+    check(saves.length === 1 && saves[0].slotId === 'slot1' && saves[0].level >= 1 && saves[0].playTime > 0,
+        'Slot metadata lists level and play time');
+
+    // Change everything, then load
+    game.emit('progression:add-xp', { entityId: player.id, amount: 500 });
+    game.emit('time:set', { hour: 2, minute: 0 });
+    game.emit('relationship:modify', { entityId: player.id, faction: 'merchants', amount: -80 });
+    game.advance(100);
+
+    check(await game.systems.saveSystem.load('slot1'), 'Load found slot1');
+    check(game.getEvents('save:restored').length === 1, 'Restore finished');
+    check(player.getComponent('progression').experience === savedXP, 'Player XP restored in place');
+    check(game.systems.timeSystem.timeState.currentHour === 15, 'Time of day restored');
+    check(savedMerchants === 25 && merchantStanding() === savedMerchants, 'Faction standing restored');
+
+    // A fresh session sharing the same storage gets the saved player back
+    const nextGame = new HeadlessGame({ storage: game.storage });
+    const freshPlayer = nextGame.createPlayer();
+    await nextGame.systems.saveSystem.load('slot1');
+
+    const restoredPlayer = nextGame.systems.entityManager.getEntitiesByTag('player')[0];
+    check(nextGame.systems.entityManager.getEntitiesByTag('player').length === 1, 'Only one player after loading');
+    check(restoredPlayer.id === player.id && restoredPlayer.id !== freshPlayer.id, 'Saved player replaced the new one');
+    check(restoredPlayer.getComponent('progression').experience === savedXP, 'Saved XP loaded in new session');
+
+    // Overlapping saves both stay in the slot index
+    await Promise.all([game.systems.saveSystem.save('autosave'), game.systems.saveSystem.save('slot3')]);
+    const listed = (await game.resourceManager.listSaves()).map(save => save.slotId);
+    check(['slot1', 'autosave', 'slot3'].every(slotId => listed.includes(slotId)), `Overlapping saves are all listed (${listed.join(', ')})`);
+
+    // A cancelled or failing write still settles the save
+    const removeBlock = game.eventBus.intercept('save:write', (data, event) => event.cancel('blocked'));
+    check(await game.systems.saveSystem.save('slot2') === false, 'Cancelled save resolves false');
+    removeBlock();
+
+    const saveGame = game.resourceManager.saveGame;
+    game.resourceManager.saveGame = async () => { throw new Error('disk full'); };
+    check(await game.systems.saveSystem.save('slot2') === false, 'Failed write resolves false');
+    game.resourceManager.saveGame = saveGame;
+    check(!(await game.resourceManager.hasSave('slot2')), 'Nothing written to slot2');
+
+    nextGame.destroy();
+    game.destroy();
+}
+
+// Walking back into a bonfire autosaves
+async function testBonfireAutosave() {
+    const game = new HeadlessGame();
+    game.record('save:autosaved');
+
+    const player = game.createPlayer();
+    check(game.getEvents('save:autosaved').length === 0, 'Spawning at a bonfire does not autosave');
+
+    const written = game.nextEvent('save:completed');
+    game.emit('entity:moved', { entityId: player.id, newPosition: { x: 20, y: 0 } });
+    game.emit('entity:moved', { entityId: player.id, newPosition: { x: 0, y: 0 } });
+    await written;
+
+    check(game.getEvents('save:autosaved').length === 1, 'Entering the bonfire autosaved');
+    check(await game.resourceManager.hasSave('autosave'), 'Autosave slot written');
+
+    game.destroy();
+}
+
+// Old saves are migrated slice by slice; newer or broken saves fail with a reason
+async function testSaveMigrations() {
+    const game = new HeadlessGame();
+    game.record('game:load-error');
+
+    const player = game.createPlayer();
+    game.emit('time:set', { hour: 10, minute: 0 });
+    game.advance(100);
+    await game.systems.saveSystem.save('slot1');
+
+    // Pretend this build is two versions newer and the time slice changed shape twice
+    const resourceManager = game.resourceManager;
+    const storedVersion = resourceManager.saveVersion;
+    resourceManager.saveVersion = storedVersion + 2;
+
+    const applied = [];
+    game.emit('resource:register-migration', {
+        slice: 'time',
+        from: storedVersion + 1,
+        to: storedVersion + 2,
+        migrate: (time) => {
+            applied.push('second');
+            return { ...time, weather: time.season === 'spring' ? 'rain' : 'clear' };
+        }
+    });
+    resourceManager.registerMigration('time', storedVersion, storedVersion + 1, (time) => {
+        applied.push('first');
+        return { ...time, season: 'spring' };
+    });
+
+    const loaded = await resourceManager.loadGame('slot1');
+    check(applied.join(',') === 'first,second', 'Migrations ran oldest first');
+    check(loaded && loaded.slices.time.weather === 'rain', 'Migrated slice has the new shape');
+
+    // A save written by a newer build is refused
+    resourceManager.saveVersion = storedVersion;
+    const slotKey = resourceManager.getSlotKey('future');
+    await game.storage.setItem(slotKey, JSON.stringify({ version: storedVersion + 5, data: {} }));
+    check(await resourceManager.loadGame('future') === null, 'Newer save refused');
+    check(game.getEvents('game:load-error').some(e => e.reason === 'save-too-new'), 'Load error reason is save-too-new');
+
+    // A throwing migration reports which slice failed
+    resourceManager.saveVersion = storedVersion + 1;
+    resourceManager.migrations.clear();
+    resourceManager.registerMigration('time', storedVersion, storedVersion + 1, () => {
+        throw new Error('bad shape');
+    });
+    check(!(await game.systems.saveSystem.load('slot1')), 'Load fails when a migration throws');
+    const failure = game.getEvents('game:load-error').find(e => e.reason === 'migration-failed');
+    check(failure && failure.slice === 'time', 'Load error names the failed slice');
+    check(player.getComponent('progression'), 'World untouched after failed load');
+
+    game.destroy();
+}
+
+// A save exported as JSON can be imported into another slot or storage
+async function testExportImport() {
+    const game = new HeadlessGame();
+    game.record('game:load-error');
+
+    const player = game.createPlayer();
+    game.emit('progression:add-xp', { entityId: player.id, amount: 30 });
+    await game.systems.saveSystem.save('slot1');
+
+    const json = await game.resourceManager.exportSave('slot1');
+    check(typeof json === 'string' && JSON.parse(json).data.entities.length === 1, 'Exported save is JSON with the player');
+
+    const otherGame = new HeadlessGame();
+    check(await otherGame.resourceManager.importSave(json, 'slot2'), 'Imported into another storage');
+    const saves = await otherGame.resourceManager.listSaves();
+    check(saves.length === 1 && saves[0].slotId === 'slot2', 'Imported slot shows in the slot list');
+
+    otherGame.createPlayer();
+    await otherGame.systems.saveSystem.load('slot2');
+    const restored = otherGame.systems.entityManager.getEntitiesByTag('player')[0];
+    check(restored.getComponent('progression').experience === 30, 'Imported save loads');
+
+    check(!(await game.resourceManager.importSave('{"nope": true}', 'slot3')), 'Malformed import rejected');
+    check(!(await game.resourceManager.hasSave('slot3')), 'Rejected import left no slot behind');
+
+    otherGame.destroy();
+    game.destroy();
+}
+
+// The item catalog loads from JSON, validates, and drives use/equip
+function testItemCatalog() {
+    const game = new HeadlessGame();
+    game.record('inventory:item-used', 'inventory:item-equipped', 'inventory:catalog-error', 'item:effect:heal');
+
+    const inventory = game.systems.inventorySystem;
+    check(inventory.itemDefinitions.has('protein_shake') && inventory.itemDefinitions.has('stone_gloves')
+        && inventory.itemDefinitions.has('pebble_dust'), 'Catalog registered consumables, gear and materials');
+    check(game.getEvents('inventory:catalog-error').length === 0, 'Shipped catalog and loot tables are valid');
+
+    const player = game.createPlayer();
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'protein_shake', quantity: 2 });
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'stone_gloves' });
+    game.emit('inventory:use-item', { entityId: player.id, itemId: 'protein_shake' });
+    game.emit('inventory:equip-item', { entityId: player.id, itemId: 'stone_gloves', slot: 'gloves' });
+
+    const shake = player.getComponent('inventory').items.find(item => item.itemId === 'protein_shake');
+    check(game.getEvents('item:effect:heal').length === 1 && shake.quantity === 1, 'Protein shake used and consumed');
+    game.emit('inventory:use-item', { entityId: player.id, itemId: 'protein_bar' });
+    check(game.getEvents('item:effect:heal').length === 1 && game.getEvents('inventory:item-used').length === 1,
+        'Items not carried cannot be used');
+    check(game.getEvents('inventory:item-equipped').length === 1
+        && player.getComponent('equipmentBonuses').flat.clickPower === 2, 'Stone gloves equipped with their stats');
+
+    // Removing by item id takes across stacks and reports what actually went
+    game.record('inventory:item-removed');
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'pebble_dust', quantity: 150 });
+    const dustCount = () => inventory.getItemCount(player.getComponent('inventory'), 'pebble_dust');
+    check(inventory.removeItem({ entityId: player.id, itemId: 'pebble_dust', quantity: 120 }) === 120 && dustCount() === 30,
+        'Removal spans stacks');
+    check(inventory.removeItem({ entityId: player.id, itemId: 'pebble_dust', quantity: 50 }) === 30 && dustCount() === 0,
+        'Removing more than carried takes what there is');
+    check(game.getEvents('inventory:item-removed').map(removed => removed.quantity).join() === '120,30',
+        'Removal events report the quantity removed');
+
+    // Bad entries are skipped with a reason; unknown loot ids are named
+    const errors = inventory.registerCatalog({
+        items: [
+            { id: 'mystery_box', name: 'Mystery Box', type: 'box' },
+            { name: 'No Id', type: 'material' }
+        ]
+    });
+    check(errors.length === 2 && !inventory.itemDefinitions.has('mystery_box'), 'Invalid catalog entries rejected');
+    check(errors[0].includes('mystery_box') && errors[0].includes('"type"'), 'Catalog error names the item and field');
+
+    const lootErrors = inventory.validateLootReferences({ Pebble: [{ itemId: 'pebble_gold', chance: 1, min: 1, max: 1 }] });
+    check(lootErrors.length === 1 && lootErrors[0].includes('Pebble') && lootErrors[0].includes('pebble_gold'),
+        'Unknown loot item reported with its enemy');
+
+    game.destroy();
+}
+
+// Loot comes from the enemy's own table, with groups, guarantees and tier scaling
+function testLootTables() {
+    const game = new HeadlessGame();
+    game.record('loot:dropped');
+
+    const inventory = game.systems.inventorySystem;
+    const player = game.createPlayer();
+    const boss = game.spawnEnemy('BoulderBoss', { x: 3, y: 2 });
+
+    game.emit('combat:victory', { winnerId: player.id, loserId: boss.id });
+    const dropped = game.getEvents('loot:dropped')[0];
+    check(dropped && dropped.sourceId === boss.id && dropped.position.x === 3
+        && dropped.loot.some(drop => drop.itemId === 'boss_trophy_boulder'), 'loot:dropped carries the drop position and items');
+
+    const nested = inventory.generateLoot([{
+        guaranteed: true,
+        oneOf: [
+            { oneOf: [{ itemId: 'acorn' }, { itemId: 'fluffy_tail' }] },
+            { itemId: 'rock_chunk', weight: 0 }
+        ]
+    }]);
+    check(nested.length === 1 && ['acorn', 'fluffy_tail'].includes(nested[0].itemId), 'Nested oneOf picks exactly one item');
+
+    const pooled = inventory.generateLoot([{ pool: [{ itemId: 'acorn' }], rolls: 3 }]);
+    check(pooled.length === 1 && pooled[0].quantity === 3, 'Pool rolls merge into one stack');
+
+    const scaled = inventory.generateLoot([
+        { itemId: 'pebble_dust', guaranteed: true, min: 4, max: 4 },
+        { itemId: 'stone_gloves', guaranteed: true }
+    ], { tier: 3 });
+    const quantityOf = (itemId) => scaled.find(drop => drop.itemId === itemId).quantity;
+    check(quantityOf('pebble_dust') === 6 && quantityOf('stone_gloves') === 1, 'Tier scales stacks but not gear');
+
+    game.destroy();
+}
+
+// Drops become pickup entities that are walked over, magnetised, despawned or overflow
+function testPickups() {
+    const game = new HeadlessGame();
+    game.record('pickup:collected', 'pickup:despawned', 'pickup:overflow');
+
+    const pickups = () => game.systems.entityManager.query(entity => entity.hasTag('pickup'));
+    const moveTo = (entity, x, y) => Object.assign(entity.getComponent('position'), { x, y, worldX: x, worldY: y });
+    const countOf = (entity, itemId) => entity.getComponent('inventory').items
+        .filter(item => item.itemId === itemId)
+        .reduce((total, item) => total + item.quantity, 0);
+
+    const player = game.createPlayer();
+    const boss = game.spawnEnemy('BoulderBoss', { x: 3, y: 2 });
+    game.emit('combat:victory', { winnerId: player.id, loserId: boss.id });
+
+    check(pickups().length > 0 && countOf(player, 'boss_trophy_boulder') === 0, 'Boss loot lies on the ground');
+    game.advance(100);
+    check(pickups().length > 0, 'Distant drops stay put');
+
+    moveTo(player, 3, 2);
+    game.advance(16);
+    check(pickups().length === 0 && countOf(player, 'boss_trophy_boulder') === 1, 'Walking over drops collects them');
+
+    // Interact reaches the neighbouring tile
+    game.emit('pickup:spawn', { itemId: 'acorn', quantity: 2, position: { x: 4, y: 3 } });
+    game.advance(16);
+    check(pickups().length === 1, 'Adjacent drop not collected by walking');
+    game.emit('player:interact');
+    check(countOf(player, 'acorn') === 2, 'Interact picks up an adjacent drop');
+
+    // Magnetism talent widens the radius
+    player.getComponent('progression').talentPoints = 2;
+    game.emit('progression:spend-talent', { entityId: player.id, treeName: 'scavenging', talentName: 'magnetism' });
+    game.emit('progression:spend-talent', { entityId: player.id, treeName: 'scavenging', talentName: 'magnetism' });
+    game.emit('pickup:spawn', { itemId: 'acorn', quantity: 1, position: { x: 5, y: 4 } });
+    game.advance(16);
+    check(countOf(player, 'acorn') === 3, 'Magnetism pulls in drops two tiles away');
+
+    // Uncollected drops despawn on the game clock
+    game.emit('pickup:spawn', { itemId: 'pebble_dust', position: { x: 40, y: 40 } });
+    game.clock.step(game.systems.pickupSystem.config.despawnTime);
+    check(pickups().length === 0 && game.getEvents('pickup:despawned').length === 1, 'Drop despawned after its timer');
+
+    // A full inventory drops the excess back at the player's feet
+    const inventory = player.getComponent('inventory');
+    inventory.maxSize = inventory.items.length;
+    game.emit('pickup:spawn', { itemId: 'stone_gloves', position: { x: 3, y: 2 } });
+    game.advance(48);
+    const overflow = pickups()[0];
+    check(game.getEvents('pickup:overflow').length === 1 && pickups().length === 1
+        && overflow.getComponent('pickup').itemId === 'stone_gloves', 'Overflow dropped on the ground once');
+
+    // Walking back onto a drop that still doesn't fit keeps the same drop on its first timer
+    const despawnAt = overflow.getComponent('pickup').despawnAt;
+    moveTo(player, 10, 10);
+    game.advance(16);
+    moveTo(player, 3, 2);
+    game.advance(16);
+    check(game.getEvents('pickup:overflow').length === 2 && pickups().length === 1 && pickups()[0] === overflow
+        && overflow.getComponent('pickup').despawnAt === despawnAt, 'A drop that still does not fit keeps its despawn timer');
+
+    inventory.maxSize = 20;
+    moveTo(player, 10, 10);
+    game.advance(16);
+    moveTo(player, 3, 2);
+    game.advance(16);
+    check(countOf(player, 'stone_gloves') === 1 && pickups().length === 0, 'Overflow collected after stepping back on');
+
+    game.destroy();
+}
+
+// Final stats combine base, progression, equipment (flat, percent, sets) and modifiers
+function testStatAggregation() {
+    const game = new HeadlessGame();
+    game.record('stats:changed', 'combat:player-click');
+
+    const player = game.createPlayer();
+    const stats = player.getComponent('stats');
+    const near = (a, b) => Math.abs(a - b) < 1e-9;
+    check(stats && near(stats.clickPower, 3.5) && stats.maxHealth === 115 && near(stats.drainResistance, 0.01),
+        `Level 1 stats derived (${stats?.clickPower}/${stats?.maxHealth}/${stats?.drainResistance})`);
+    check(game.getEvents('stats:changed').length > 0, 'stats:changed emitted');
+
+    const give = (itemId) => game.emit('inventory:add-item', { entityId: player.id, itemId });
+    const equip = (itemId, slot) => game.emit('inventory:equip-item', { entityId: player.id, itemId, slot });
+    give('boulder_gloves');
+    give('boss_trophy_boulder');
+    give('creatine_tub');
+
+    equip('boulder_gloves', 'gloves');
+    check(near(stats.clickPower, 7.5) && stats.maxHealth === 121, 'Gloves add flat power and percent health');
+
+    equip('boss_trophy_boulder', 'trophy');
+    check(near(stats.clickPower, 7.5 * 1.15) && stats.maxHealth === 142 && near(stats.drainResistance, 0.11),
+        'Two-piece Boulder set bonus applied');
+    check(player.getComponent('power').value === stats.clickPower && player.getComponent('health').max === 142,
+        'Power and health components follow derived stats');
+
+    equip('creatine_tub', 'protein');
+    check(near(stats.clickPower, 7.5 * 1.25), 'Protein slot percent bonus stacks with the set');
+
+    game.emit('inventory:unequip-item', { entityId: player.id, slot: 'gloves' });
+    check(near(stats.clickPower, 3.5 * 1.1) && player.getComponent('equipmentBonuses').sets.boulder === 1,
+        'Set bonus drops with one piece');
+
+    // Timed modifiers expire on the game clock
+    game.emit('stats:add-modifier', { entityId: player.id, source: 'rage', flat: { clickPower: 10 }, duration: 5000 });
+    check(near(stats.clickPower, 13.5 * 1.1), 'Modifier raises click power');
+    game.advance(5100);
+    check(near(stats.clickPower, 3.5 * 1.1), 'Modifier expired');
+
+    // Combat reads the derived click power
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+    game.advance(1100);
+    game.emit('player:attack');
+    const click = game.getEvents('combat:player-click')[0];
+    check(click && click.clickPower === stats.clickPower, 'Combat clicks use derived click power');
+
+    game.destroy();
+}
+
+// Gear drops as rolled instances with rarity, affixes and a gear score
+function testGear() {
+    const game = new HeadlessGame();
+    game.record('inventory:auto-equipped', 'inventory:disenchanted');
+
+    const inventorySystem = game.systems.inventorySystem;
+    const player = game.createPlayer();
+    const inventory = player.getComponent('inventory');
+    const gearOf = (itemId) => inventory.items.filter(item => item.itemId === itemId);
+
+    // Tier scales item level; rarity never drops below the catalog rarity
+    const rolls = Array.from({ length: 50 }, () => inventorySystem.createGear('squirrel_gloves', { tier: 4 }));
+    const rarityIds = Object.keys(inventorySystem.config.rarities);
+    check(rolls.every(gear => gear.itemLevel >= 16 && gear.itemLevel <= 20), 'Tier 4 gear rolls item level 16-20');
+    check(rolls.every(gear => rarityIds.indexOf(gear.rarity) >= rarityIds.indexOf('uncommon')),
+        'Rolled rarity is at least the catalog rarity');
+    check(rolls.every(gear => gear.affixes.length === inventorySystem.getRarity(gear.rarity).affixes
+        && new Set(gear.affixes.map(affix => affix.id)).size === gear.affixes.length), 'Affix count follows rarity');
+    check(new Set(rolls.map(gear => gear.instanceId)).size === rolls.length, 'Every roll has its own instance id');
+
+    // Instance ids count up, so a fresh world mints the same ones; the count is saved with the world
+    const slices = {};
+    game.emit('save:collect', { slotId: 'slot1', slices });
+    const nextGame = new HeadlessGame();
+    const firstId = nextGame.systems.inventorySystem.createGear('squirrel_gloves').instanceId;
+    check(firstId === rolls[0].instanceId, `A fresh world mints the same first instance id (${firstId})`);
+    nextGame.emit('save:restore', { slotId: 'slot1', slices });
+    check(!rolls.some(gear => gear.instanceId === nextGame.systems.inventorySystem.createGear('squirrel_gloves').instanceId),
+        'A loaded world keeps counting past the saved instance ids');
+    nextGame.destroy();
+
+    // Equipable loot is split into separate instances
+    const drops = inventorySystem.rollGearDrops([{ itemId: 'stone_gloves', quantity: 2 }, { itemId: 'acorn', quantity: 3 }], 2);
+    check(drops.length === 3 && drops.filter(drop => drop.gear).length === 2, 'Gear drops rolled one per piece');
+
+    // A plain copy keeps catalog stats; a rolled epic multiplies them and adds affixes
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'stone_gloves' });
+    const epic = inventorySystem.createGear('stone_gloves', { tier: 3, rarity: 'epic' });
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'stone_gloves', gear: epic });
+    const [plain, rolled] = gearOf('stone_gloves');
+    check(gearOf('stone_gloves').length === 2 && plain.gear.rarity === 'uncommon' && plain.gear.affixes.length === 0,
+        'Plain gear copy added alongside the rolled one');
+    check(inventorySystem.getItemStats(rolled).flat.clickPower >= 4 && rolled.gear.affixes.length === 2,
+        'Epic gear multiplies base stats and carries two affixes');
+    check(inventorySystem.getItemGearScore(rolled) > inventorySystem.getItemGearScore(plain), 'Epic outscores plain');
+
+    // Auto-equip picks the best piece per slot
+    game.emit('inventory:equip-item', { entityId: player.id, instanceId: plain.gear.instanceId });
+    game.emit('inventory:auto-equip', { entityId: player.id });
+    const autoEquipped = game.getEvents('inventory:auto-equipped')[0];
+    check(inventory.equipment.gloves === epic.instanceId && rolled.equipped && !plain.equipped,
+        'Auto-equip swapped in the epic gloves');
+    check(autoEquipped && autoEquipped.gearScore === inventorySystem.getItemGearScore(rolled)
+        && autoEquipped.gearScore === inventorySystem.getGearScore(player.id), 'Character gear score reported');
+
+    // Disenchanting turns gear into materials and takes it off first
+    game.emit('inventory:disenchant', { entityId: player.id, instanceId: epic.instanceId });
+    const disenchanted = game.getEvents('inventory:disenchanted')[0];
+    check(disenchanted && !inventory.equipment.gloves && gearOf('stone_gloves').length === 1, 'Equipped gear disenchanted');
+    check(gearOf('gear_scrap').length === 1 && gearOf('flex_essence').length === 1, 'Epic gear yields scrap and essence');
+
+    game.emit('inventory:disenchant', { entityId: player.id, instanceId: 'gear_missing' });
+    check(game.getEvents('inventory:disenchanted').length === 1, 'Unknown instance not disenchanted');
+
+    game.destroy();
+}
+
+// Merchants sell from their own stock during opening hours, priced by standing
+function testShop() {
+    const game = new HeadlessGame();
+    game.record('shop:opened', 'shop:updated', 'shop:error', 'shop:closed', 'shop:restocked');
+
+    const player = game.createPlayer();
+    const merchant = game.spawnNeutral('Merchant', { x: 1, y: 0 });
+    const inventory = player.getComponent('inventory');
+    const wallet = player.getComponent('wallet');
+    const lastError = () => game.getEvents('shop:error').at(-1)?.error;
+    const countOf = (itemId) => inventory.items
+        .filter(item => item.itemId === itemId)
+        .reduce((total, item) => total + item.quantity, 0);
+    const stockOf = (itemId) => merchant.getComponent('shop').stock.find(entry => entry.itemId === itemId);
+
+    // Closed before shopOpenHour
+    game.emit('shop:open', { entityId: merchant.id, playerId: player.id, shopId: 'general_store' });
+    check(lastError() === 'The shop is closed' && game.getEvents('shop:opened').length === 0, 'Shop closed at 6 AM');
+
+    game.emit('time:set', { hour: 9 });
+    game.emit('shop:open', { entityId: merchant.id, playerId: player.id });
+    const opened = game.getEvents('shop:opened')[0];
+    check(opened && opened.shopId === 'general_store' && opened.standing === 25, 'Shop opens during opening hours');
+    check(opened?.stock.find(entry => entry.itemId === 'protein_shake')?.price === 9, 'Friendly standing lowers prices');
+
+    // Buying spends gold and takes from the merchant's stock
+    game.emit('currency:earn', { entityId: player.id, amount: 20, reason: 'test' });
+    game.emit('shop:buy', { entityId: player.id, merchantId: merchant.id, itemId: 'protein_shake' });
+    check(wallet.balances.gold === 11 && countOf('protein_shake') === 1 && stockOf('protein_shake').quantity === 4,
+        `Bought a protein shake (gold ${wallet.balances.gold})`);
+    game.emit('shop:buy', { entityId: player.id, merchantId: merchant.id, itemId: 'creatine_tub' });
+    check(lastError() === 'Not enough gold' && countOf('creatine_tub') === 0, 'Purchase refused without gold');
+
+    // Selling pays out and the goods can be bought back until restock
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'stone_gloves' });
+    game.emit('shop:sell', { entityId: player.id, merchantId: merchant.id, itemId: 'stone_gloves' });
+    check(wallet.balances.gold === 24 && countOf('stone_gloves') === 0 && stockOf('stone_gloves')?.quantity === 1,
+        'Sold gloves to the merchant');
+    check(game.getEvents('shop:updated').at(-1)?.balances.gold === 24, 'Open shop window refreshed');
+
+    // Trades queued together are checked again once they run
+    const inQueue = (...events) => {
+        game.eventBus.once('test:queued-trades', () => events.forEach(([name, payload]) => game.emit(name, payload)));
+        game.emit('test:queued-trades');
+    };
+    stockOf('protein_shake').quantity = 1;
+    const buy = ['shop:buy', { entityId: player.id, merchantId: merchant.id, itemId: 'protein_shake' }];
+    inQueue(buy, buy);
+    check(wallet.balances.gold === 15 && countOf('protein_shake') === 2 && stockOf('protein_shake').quantity === 0
+        && lastError() === 'Out of stock', `Two queued buys of the last shake charge once (gold ${wallet.balances.gold})`);
+
+    const shopSystem = game.systems.shopSystem;
+    const payout = wallet.balances.gold + 2 * shopSystem.getSellPrice(player, shopSystem.getShop(merchant), 'protein_shake');
+    const sell = ['shop:sell', { entityId: player.id, merchantId: merchant.id, itemId: 'protein_shake', quantity: 2 }];
+    inQueue(sell, sell);
+    check(wallet.balances.gold === payout && countOf('protein_shake') === 0 && stockOf('protein_shake').quantity === 2
+        && lastError() === 'Nothing to sell', `Two queued sells of the same shakes pay once (gold ${wallet.balances.gold})`);
+    stockOf('protein_shake').quantity = 4;
+
+    // Standing moves prices and can end trade altogether
+    game.emit('relationship:modify', { entityId: player.id, faction: 'merchants', amount: 75 });
+    const revered = game.getEvents('shop:updated').at(-1);
+    check(revered.standing === 100 && revered.stock.find(entry => entry.itemId === 'protein_shake').price === 8,
+        'Revered standing discounts further');
+    game.emit('relationship:modify', { entityId: player.id, faction: 'merchants', amount: -175 });
+    game.emit('shop:buy', { entityId: player.id, merchantId: merchant.id, itemId: 'small_protein' });
+    check(lastError() === 'The merchant refuses to trade with you', 'Hostile merchants refuse to trade');
+    game.emit('relationship:modify', { entityId: player.id, faction: 'merchants', amount: 100 });
+
+    // Closing time shuts the window; a new day restocks
+    game.emit('time:advance', { minutes: 24 * 60 });
+    check(game.getEvents('shop:closed')[0]?.reason === 'closing-time', 'Shop window closed at closing time');
+    check(game.getEvents('shop:restocked').length === 2 && stockOf('protein_shake').quantity === 5
+        && !stockOf('stone_gloves'), 'Stock refilled and buyback cleared on a new day');
+
+    game.destroy();
+}
+
+// NPCs talk through JSON dialogue graphs with conditions and actions
+function testDialogue() {
+    const game = new HeadlessGame();
+    game.record('dialogue:node', 'dialogue:ended', 'dialogue:show', 'shop:opened');
+
+    const player = game.createPlayer();
+    const merchant = game.spawnNeutral('Merchant', { x: 1, y: 0 });
+    const villager = game.spawnNeutral('Villager', { x: 0, y: 1 });
+    const guard = game.spawnNeutral('TownGuard', { x: -1, y: 0 });
+    const wallet = player.getComponent('wallet');
+    const lastNode = () => game.getEvents('dialogue:node').at(-1);
+    const countOf = (itemId) => player.getComponent('inventory').items
+        .filter(item => item.itemId === itemId)
+        .reduce((total, item) => total + item.quantity, 0);
+    const talkTo = (npc) => game.emit('dialogue:start', { entityId: npc.id, playerId: player.id });
+    const choose = (choiceIndex) => game.emit('dialogue:choose', { playerId: player.id, choiceIndex });
+
+    // Branches route on shop hours before any text shows
+    talkTo(merchant);
+    check(lastNode()?.nodeId === 'closed' && lastNode().canAdvance, 'Merchant turns you away before opening');
+    game.emit('dialogue:advance', { playerId: player.id });
+    check(game.getEvents('dialogue:ended').at(-1)?.reason === 'finished', 'Advancing past the last line ends the talk');
+
+    game.emit('time:set', { hour: 9 });
+    talkTo(merchant);
+    check(lastNode()?.nodeId === 'greet' && lastNode().speaker === 'Merchant' && lastNode().choices.length === 3,
+        'Merchant greets with three choices');
+
+    // Branches follow quest state; the delivery is turned in through the merchant
+    choose(1);
+    check(lastNode()?.nodeId === 'work_offer' && lastNode().choices.length === 2, 'Merchant offers a delivery job');
+    choose(0);
+    check(lastNode()?.nodeId === 'work_accepted'
+        && player.getComponent('quests').active.rock_delivery, 'Accepting the job starts the quest');
+    game.emit('dialogue:advance', { playerId: player.id });
+
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'rock_chunk', quantity: 5 });
+    talkTo(merchant);
+    choose(1);
+    check(lastNode()?.nodeId === 'work_ready', 'Merchant notices the rock chunks');
+    choose(0);
+    check(lastNode()?.nodeId === 'thanks' && countOf('rock_chunk') === 0 && wallet.balances.gold === 40
+        && player.getComponent('faction').reputation.merchants === 30, 'Turn-in traded chunks for gold and standing');
+    game.emit('dialogue:advance', { playerId: player.id });
+
+    // The shop opens from the conversation
+    talkTo(merchant);
+    choose(0);
+    check(game.getEvents('shop:opened').length === 1 && !game.systems.dialogueSystem.getSession(player.id),
+        'Asking for wares opens the shop and ends the talk');
+
+    // Level gates and one-time flags
+    talkTo(villager);
+    choose(1);
+    check(lastNode()?.choices.length === 1, 'Tournament gift needs level 3');
+    game.emit('dialogue:end', { playerId: player.id });
+    player.getComponent('progression').level = 3;
+    talkTo(villager);
+    choose(1);
+    choose(0);
+    check(lastNode()?.nodeId === 'luck' && countOf('protein_bar') === 1, 'Villager gives a protein bar for luck');
+    game.emit('dialogue:advance', { playerId: player.id });
+    talkTo(villager);
+    choose(1);
+    check(lastNode()?.choices.length === 1, 'Gift is only offered once');
+    game.emit('dialogue:end', { playerId: player.id });
+
+    // Time of day
+    game.emit('time:set', { hour: 22 });
+    talkTo(guard);
+    check(lastNode()?.nodeId === 'night', 'Guard warns about the night');
+
+    // Broken graphs are rejected; NPCs without one fall back to one-liners
+    game.systems.dialogueSystem.registerDialogues({
+        dialogues: { broken: { start: 'a', nodes: { a: { text: 'Hi', next: 'missing' } } } }
+    });
+    check(!game.systems.dialogueSystem.dialogues.has('broken'), 'Dialogue with a missing node rejected');
+    guard.getComponent('neutralData').dialogueId = 'broken';
+    talkTo(guard);
+    check(game.getEvents('dialogue:show').length === 1, 'Unknown dialogue falls back to a one-liner');
+
+    game.destroy();
+}
+
+// Tournaments open on their calendar days and run best-of-N bouts up the bracket
+function testTournament() {
+    const game = new HeadlessGame();
+    game.record('tournament:registration-opened', 'tournament:registration-closed', 'tournament:error',
+        'tournament:round-won', 'tournament:ended', 'combat:victory');
+
+    const tournaments = game.systems.tournamentSystem;
+    const timeState = game.systems.timeSystem.timeState;
+    const player = game.createPlayer();
+    const balances = player.getComponent('wallet').balances;
+    const lastError = () => game.getEvents('tournament:error').at(-1)?.error;
+    const register = () => game.emit('tournament:register', { entityId: player.id, tournamentId: 'village_cup' });
+    const advanceTo = (day, hour) => game.emit('time:advance', {
+        minutes: (day - 1) * 1440 + hour * 60 - Math.floor(timeState.totalMinutes)
+    });
+    // Let the bout go active, then settle it from the tug bar
+    const playGame = (result) => {
+        game.advance(1100);
+        const combatData = game.systems.combatSystem.activeCombats.get(player.id);
+        if (result === 'victory') {
+            combatData.tugPosition = 0.99;
+            game.emit('player:attack');
+        } else {
+            combatData.tugPosition = 0;
+            game.advance(16);
+        }
+    };
+
+    register();
+    check(lastError() === 'Registration is closed' && !tournaments.getRun(player.id), 'Registration closed on day 1');
+
+    advanceTo(3, 9);
+    check(game.getEvents('tournament:registration-opened').length === 1 && tournaments.isRegistrationOpen('village_cup'),
+        'Registration opens on the morning of day 3');
+
+    register();
+    check(lastError() === 'Requires level 3', 'Level requirement enforced');
+    player.getComponent('progression').level = 3;
+    register();
+    check(lastError() === 'Not enough gold', 'Entry fee required');
+
+    game.emit('currency:earn', { entityId: player.id, amount: 15 });
+    register();
+    const run = tournaments.getRun(player.id);
+    check(run && balances.gold === 5, 'Registered and paid the 10 gold fee');
+    register();
+    check(lastError() === 'Already competing', 'Cannot enter twice');
+
+    // Quarterfinal: win two straight
+    game.advance(tournaments.config.prepDuration);
+    const firstOpponent = game.systems.entityManager.getEntity(run.opponentId);
+    check(firstOpponent?.hasTag('tournament_opponent') && !firstOpponent.hasTag('enemy'),
+        'Opponent only exists at the tournament table');
+    playGame('victory');
+    check(run.wins === 1 && run.state === 'resting', 'Game won, resting before the next');
+    game.advance(tournaments.config.gameBreakDuration);
+    playGame('victory');
+    check(game.getEvents('tournament:round-won').length === 1 && balances.gold === 15
+        && !game.systems.entityManager.getEntity(firstOpponent.id), 'Quarterfinal won and paid');
+    check(game.getEvents('combat:victory').length === 0, 'Bouts pay no combat rewards');
+
+    // Semifinal goes the distance, the final is a sweep
+    game.advance(tournaments.config.restDuration);
+    check(run.roundIndex === 1 && run.state === 'bout', 'Semifinal starts after the rest');
+    playGame('victory');
+    game.advance(tournaments.config.gameBreakDuration);
+    playGame('defeat');
+    check(run.wins === 1 && run.losses === 1 && tournaments.getRun(player.id), 'Split games keep the round going');
+    game.advance(tournaments.config.gameBreakDuration);
+    playGame('victory');
+    game.advance(tournaments.config.restDuration);
+    playGame('victory');
+    game.advance(tournaments.config.gameBreakDuration);
+    playGame('victory');
+
+    const ended = game.getEvents('tournament:ended').at(-1);
+    const record = player.getComponent('tournamentRecord');
+    check(ended?.outcome === 'champion' && !tournaments.getRun(player.id), 'Player crowned champion');
+    check(balances.gold === 100 && balances.trophy_tokens === 9
+        && player.getComponent('inventory').items.some(item => item.itemId === 'championship_trophy'),
+        'Round prizes, tokens and the championship trophy paid');
+    check(record.championships === 1 && record.bestFinish === 3, 'Championship recorded');
+
+    register();
+    check(lastError() === 'Already entered today', 'One entry per tournament day');
+
+    // Registration closes in the evening and reopens a week later
+    advanceTo(3, 19);
+    check(!tournaments.isRegistrationOpen('village_cup')
+        && game.getEvents('tournament:registration-closed').length === 1, 'Registration closes at 18:00');
+    advanceTo(10, 9);
+    check(game.getEvents('tournament:registration-opened').length === 2, 'Tournament comes back every 7 days');
+
+    // Losing two games knocks the player out
+    register();
+    game.advance(tournaments.config.prepDuration);
+    playGame('defeat');
+    game.advance(tournaments.config.gameBreakDuration);
+    playGame('defeat');
+    check(game.getEvents('tournament:ended').at(-1)?.outcome === 'eliminated' && record.bestFinish === 3,
+        'Two lost games eliminate the player without lowering the best finish');
+
+    game.destroy();
+}
+
+// Wallet balances change only through logged, all-or-nothing transactions
+async function testCurrency() {
+    const game = new HeadlessGame();
+    game.record('currency:changed', 'currency:insufficient-funds', 'currency:error');
+
+    const currency = game.systems.currencySystem;
+    const player = game.createPlayer();
+    const balances = player.getComponent('wallet')?.balances;
+    check(balances && balances.gold === 0 && balances.trophy_tokens === 0, 'Player starts with an empty wallet');
+
+    game.emit('currency:earn', { entityId: player.id, currency: 'gold', amount: 50, reason: 'quest' });
+    const changed = game.getEvents('currency:changed')[0];
+    check(balances.gold === 50 && changed?.delta === 50 && changed.balance === 50 && changed.reason === 'quest',
+        'Earning emits currency:changed');
+
+    let result = null;
+    game.emit('currency:spend', {
+        entityId: player.id, currency: 'gold', amount: 80, reason: 'shop',
+        onComplete: (transaction, error) => { result = { transaction, error }; }
+    });
+    const shortfall = game.getEvents('currency:insufficient-funds')[0];
+    check(balances.gold === 50 && result?.transaction === null && result.error === 'Not enough gold'
+        && shortfall?.required === 80 && shortfall.balance === 50, 'Overspending refused with insufficient funds');
+
+    // Multi-currency exchange applies entirely or not at all
+    game.emit('currency:transaction', { entityId: player.id, changes: { gold: -30, trophy_tokens: 1 }, reason: 'exchange' });
+    check(balances.gold === 20 && balances.trophy_tokens === 1, 'Exchange applied both changes');
+    game.emit('currency:transaction', { entityId: player.id, changes: { gold: 100, trophy_tokens: -5 }, reason: 'exchange' });
+    check(balances.gold === 20 && balances.trophy_tokens === 1, 'Failed exchange changed nothing');
+    game.emit('currency:earn', { entityId: player.id, currency: 'gems', amount: 1 });
+    check(game.getEvents('currency:error').length === 1, 'Unknown currency rejected');
+
+    // Retried requests with the same id apply once
+    game.emit('currency:earn', { entityId: player.id, amount: 5, transactionId: 'reward_1' });
+    game.emit('currency:earn', { entityId: player.id, amount: 5, transactionId: 'reward_1' });
+    check(balances.gold === 25, 'Duplicate transaction id ignored');
+
+    // Combat pays gold
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    game.emit('combat:victory', { winnerId: player.id, loserId: pebble.id, goldGained: 7 });
+    check(balances.gold === 32 && currency.getTransactions(player.id)[0].reason === 'combat', 'Victory gold logged');
+
+    // The log saves with the game
+    const logSize = currency.transactionLog.length;
+    await game.systems.saveSystem.save('slot1');
+    currency.transactionLog = [];
+    await game.systems.saveSystem.load('slot1');
+    check(currency.transactionLog.length === logSize && player.getComponent('wallet').balances.gold === 32,
+        'Transaction log and balances restored');
+
+    // Version 1 saves kept gold on the inventory
+    const saveKey = game.resourceManager.getSlotKey('old');
+    const oldPlayer = player.serialize();
+    delete oldPlayer.components.wallet;
+    oldPlayer.components.inventory = { ...oldPlayer.components.inventory, gold: 123 };
+    await game.storage.setItem(saveKey, JSON.stringify({ version: 1, data: { entities: [oldPlayer], slices: {} } }));
+    const migrated = await game.resourceManager.loadGame('old');
+    const migratedPlayer = migrated?.entities[0].components;
+    check(migratedPlayer?.wallet.balances.gold === 123 && !('gold' in migratedPlayer.inventory),
+        'Version 1 inventory gold migrated into the wallet');
+
+    game.destroy();
+}
+
+// Combat clicks spend grip stamina; a tired grip pushes less and recovers between fights
+async function testStamina() {
+    const game = new HeadlessGame();
+    game.record('stamina:exhausted');
+
+    const staminaSystem = game.systems.staminaSystem;
+    const player = game.createPlayer();
+    const stamina = player.getComponent('stamina');
+    check(stamina?.current === 100 && stamina.max === 100 && stamina.grip === 1, 'Player starts with a full grip');
+
+    const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+    game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+    game.advance(1100);
+    const combatData = game.systems.combatSystem.activeCombats.get(player.id);
+    const pushFrom = (tugPosition) => {
+        combatData.tugPosition = tugPosition;
+        game.emit('player:attack');
+        return combatData.tugPosition - tugPosition;
+    };
+
+    const freshPush = pushFrom(0.5);
+    check(stamina.current === 100 - staminaSystem.config.clickCost, 'Each click costs stamina');
+
+    staminaSystem.drain(player.id, 200);
+    const tiredPush = pushFrom(0.5);
+    check(stamina.current === 0 && game.getEvents('stamina:exhausted').length === 1, 'Draining to zero exhausts the grip');
+    check(Math.abs(tiredPush - freshPush * staminaSystem.config.minGrip) < 1e-9, 'An exhausted grip pushes at minGrip strength');
+
+    combatData.tugPosition = 0.5;
+    game.advance(1000);
+    check(stamina.current === 0, 'No recovery mid-fight');
+
+    // Recovery is three times faster at the bonfire
+    game.emit('combat:flee', { entityId: player.id });
+    game.advance(1000);
+    const bonfireRegen = stamina.current;
+    check(stamina.grip > staminaSystem.config.minGrip && stamina.grip < 1, 'Grip strengthens as stamina returns');
+    game.emit('entity:moved', { entityId: player.id, oldPosition: { x: 0, y: 0 }, newPosition: { x: 20, y: 20 } });
+    game.advance(1000);
+    const fieldRegen = stamina.current - bonfireRegen;
+    check(Math.abs(bonfireRegen - 3 * fieldRegen) < 1 && fieldRegen > 7 && fieldRegen < 9,
+        `Stamina regenerates faster at the bonfire (${bonfireRegen.toFixed(1)} vs ${fieldRegen.toFixed(1)})`);
+
+    // Protein shakes and talents
+    const before = stamina.current;
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'protein_shake' });
+    game.emit('inventory:use-item', { entityId: player.id, itemId: 'protein_shake' });
+    check(stamina.current === before + 50, 'Protein shake restores stamina');
+    game.emit('inventory:use-item', { entityId: player.id, itemId: 'protein_shake' });
+    check(stamina.current === before + 50, 'A shake you no longer have restores nothing');
+
+    player.getComponent('progression').talentPoints = 2;
+    game.emit('progression:spend-talent', { entityId: player.id, treeName: 'defense', talentName: 'endurance' });
+    check(stamina.max === 120, 'Endurance raises max stamina');
+    game.emit('progression:spend-talent', { entityId: player.id, treeName: 'defense', talentName: 'secondWind' });
+    const beforeRegen = stamina.current;
+    game.advance(1000);
+    check(Math.abs(stamina.current - beforeRegen - fieldRegen * 1.25) < 0.5, 'Second Wind speeds up recovery');
+
+    // Stamina saves with the player
+    await game.systems.saveSystem.save('stamina');
+    staminaSystem.drain(player.id, 120);
+    await game.systems.saveSystem.load('stamina');
+    const restored = game.systems.entityManager.getEntitiesByTag('player')[0].getComponent('stamina');
+    check(restored.current > 0 && restored.max === 120, 'Stamina restored from the save');
+
+    game.destroy();
+}
+
+// Hold and rhythm input push like clicks, reduced intensity slows the drain, and rewards stay the same
+async function testInputModes() {
+    const game = new HeadlessGame();
+    game.record('combat:victory', 'combat:player-click', 'combat:rhythm-beat', 'combat:rhythm-press', 'settings:error');
+
+    const combatSystem = game.systems.combatSystem;
+    const settingsSystem = game.systems.settingsSystem;
+    const player = game.createPlayer();
+    const stamina = player.getComponent('stamina');
+    const fight = () => {
+        game.emit('stamina:restore', { entityId: player.id, amount: Infinity });
+        const pebble = game.spawnEnemy('Pebble', { x: 1, y: 0 });
+        pebble.getComponent('enemyData').moveSet = [];
+        game.emit('combat:start', { attackerId: player.id, defenderId: pebble.id });
+        game.advance(1100);
+        return combatSystem.activeCombats.get(player.id);
+    };
+    const won = (count) => game.getEvents('combat:victory').length === count;
+
+    check(settingsSystem.get('combatInput') === 'mash', 'Combat input defaults to mashing');
+    game.emit('settings:set', { key: 'combatInput', value: 'turbo' });
+    check(game.getEvents('settings:error').length === 1 && settingsSystem.get('combatInput') === 'mash',
+        'Unknown input modes are rejected');
+
+    // Mashing at 8 clicks a second
+    let combatData = fight();
+    game.runUntil(() => {
+        if (game.clock.now() % 125 < game.config.frameTime) game.emit('player:attack');
+        return won(1);
+    }, 20000);
+    check(won(1), 'Mashing wins the fight');
+
+    // Hold: the charge builds up, then pushes like 8 clicks a second
+    game.emit('settings:set', { key: 'combatInput', value: 'hold' });
+    combatData = fight();
+    check(combatData.inputMode === 'hold', 'New fights use the hold input mode');
+    combatData.tugPosition = 0.2;
+    game.emit('player:push-start');
+    game.advance(combatSystem.config.holdChargeTime / 2);
+    check(Math.abs(combatData.hold.charge - 0.5) < 0.05, 'Holding charges the push');
+    game.advance(combatSystem.config.holdChargeTime);
+    const clicksBefore = combatData.clickCount;
+    combatData.tugPosition = 0.3;
+    game.advance(500);
+    check(combatData.clickCount - clicksBefore === combatSystem.config.holdClicksPerSecond / 2,
+        `A full hold pushes like ${combatSystem.config.holdClicksPerSecond} clicks a second`);
+    game.emit('player:push-end');
+    game.advance(32);
+    check(combatData.hold.charge === 0, 'Letting go drops the charge');
+    game.emit('player:push-start');
+    game.runUntil(() => won(2), 20000);
+    game.emit('player:push-end');
+    check(won(2), 'Holding wins the fight');
+
+    // Rhythm: presses on the beat push like several clicks, off the beat they do nothing
+    game.emit('settings:set', { key: 'combatInput', value: 'rhythm' });
+    combatData = fight();
+    const nextBeat = () => {
+        const count = game.getEvents('combat:rhythm-beat').length;
+        game.runUntil(() => game.getEvents('combat:rhythm-beat').length > count, 2000);
+        return game.getEvents('combat:rhythm-beat').at(-1);
+    };
+    let beat = nextBeat();
+    game.emit('player:attack');
+    check(game.getEvents('combat:rhythm-press').at(-1)?.result === 'off-beat' && combatData.clickCount === 0,
+        'An off-beat press does not push');
+    game.advance(beat.beatAt - game.clock.now());
+    const staminaBefore = stamina.current;
+    game.emit('player:attack');
+    const click = game.getEvents('combat:player-click').at(-1);
+    check(game.getEvents('combat:rhythm-press').at(-1)?.result === 'hit' && click.clicks === combatSystem.config.rhythmClicksPerBeat,
+        'An on-beat press pushes like several clicks');
+    check(stamina.current === staminaBefore - game.systems.staminaSystem.config.clickCost * click.clicks,
+        'Each counted click costs stamina');
+    while (!won(3) && combatSystem.activeCombats.has(player.id)) {
+        beat = nextBeat();
+        game.advance(beat.beatAt - game.clock.now());
+        game.emit('player:attack');
+    }
+    check(won(3), 'Keeping the beat wins the fight');
+
+    const rewards = game.getEvents('combat:victory').map(victory => `${victory.xpGained}/${victory.goldGained}`);
+    check(new Set(rewards).size === 1, `Every input mode earns the same rewards (${rewards[0]})`);
+
+    // Reduced intensity scales the drain
+    combatData = fight();
+    const fullDrain = combatData.drainRate;
+    game.emit('settings:set', { key: 'reducedIntensity', value: true });
+    game.advance(combatSystem.config.enemyClickInterval + 16);
+    check(Math.abs(combatData.drainRate - fullDrain * combatSystem.config.reducedDrainScale) < 1e-9,
+        'Reduced intensity scales the drain rate');
+
+    // Switching mid-fight takes effect straight away
+    game.emit('settings:set', { key: 'combatInput', value: 'mash' });
+    check(combatData.inputMode === 'mash' && combatData.rhythm === null, 'Changing the input mode switches the fight over');
+
+    // Settings persist outside the save slots
+    game.emit('settings:set', { key: 'combatInput', value: 'hold' });
+    const reloaded = new HeadlessGame({ storage: game.storage });
+    const settings = await reloaded.systems.settingsSystem.load();
+    check(settings.combatInput === 'hold' && settings.reducedIntensity === true
+        && reloaded.systems.combatSystem.inputSettings.combatInput === 'hold', 'Settings are stored and loaded');
+
+    reloaded.destroy();
+    game.destroy();
+}
+
+// Quests advance from combat, pickups, exploration and taming, then pay out
+async function testQuests() {
+    const game = new HeadlessGame();
+    game.record('quest:completed', 'quest:error', 'quest:ready', 'quest:not-ready', 'zone:biome-entered',
+        'progression:xp-gained');
+
+    const player = game.createPlayer();
+    const pebble = game.spawnEnemy('Pebble', { x: 3, y: 0 });
+    const stick = game.spawnEnemy('Stick', { x: 4, y: 0 });
+    const rabbit = game.spawnNeutral('Rabbit', { x: 0, y: 3 });
+    const quests = player.getComponent('quests') || {};
+    const questLog = () => player.getComponent('quests');
+    const lastError = () => game.getEvents('quest:error').at(-1)?.error;
+    const defeat = (enemy) => game.emit('combat:victory', {
+        winnerId: player.id, loserId: enemy.id, xpGained: 0, goldGained: 0
+    });
+    check(!quests.active, 'No quest log before the first quest');
+
+    // Defeat objectives count only the named enemy type
+    game.emit('quest:start', { entityId: player.id, questId: 'pebble_trouble' });
+    defeat(stick);
+    for (let i = 0; i < 4; i++) defeat(pebble);
+    check(questLog().active.pebble_trouble?.progress.pebbles === 4, 'Four Pebbles counted, the Stick ignored');
+    defeat(pebble);
+    check(game.getEvents('quest:completed')[0]?.questId === 'pebble_trouble' && questLog().completed.pebble_trouble === 1,
+        'Fifth Pebble completes the quest');
+    check(player.getComponent('wallet').balances.gold === 30 && game.getEvents('progression:xp-gained').at(-1)?.amount === 100
+        && player.getComponent('faction').reputation.guards === 15, 'Rewards paid in XP, gold and standing');
+    game.emit('quest:start', { entityId: player.id, questId: 'pebble_trouble' });
+    check(lastError() === 'Quest already completed', 'Finished quests are not repeatable');
+
+    // Requirements and reach objectives
+    player.getComponent('progression').level = 1;
+    game.emit('quest:start', { entityId: player.id, questId: 'ruins_treasure' });
+    check(lastError() === 'Requires level 2' && !questLog().active.ruins_treasure, 'Level requirement enforced');
+    player.getComponent('progression').level = 2;
+    game.emit('quest:start', { entityId: player.id, questId: 'ruins_treasure' });
+    game.emit('entity:moved', { entityId: player.id, oldPosition: { x: 0, y: 0 }, newPosition: { x: -16, y: 31 } });
+    check(game.getEvents('zone:biome-entered').at(-1)?.biomeId === 'swamp', 'ZoneManager announces the swamp');
+    check(questLog().completed.ruins_treasure === 1
+        && player.getComponent('inventory').items.some(item => item.itemId === 'training_gloves'),
+        'Reaching the swamp completes the quest with an item reward');
+
+    // Collect objectives count what is carried and can fall back
+    game.emit('inventory:add-item', { entityId: player.id, itemId: 'rock_chunk', quantity: 5 });
+    game.emit('quest:turn-in', { entityId: player.id, questId: 'rock_delivery' });
+    check(lastError() === 'Quest is not active', 'Cannot turn in a quest never started');
+    game.emit('quest:start', { entityId: player.id, questId: 'rock_delivery' });
+    check(questLog().active.rock_delivery?.ready && game.getEvents('quest:ready').length === 1,
+        'Chunks already carried make the delivery ready');
+    game.emit('inventory:remove-item', { entityId: player.id, itemId: 'rock_chunk', quantity: 2 });
+    check(!questLog().active.rock_delivery.ready && game.getEvents('quest:not-ready').length === 1,
+        'Dropping chunks puts the delivery back in progress');
+    game.emit('quest:turn-in', { entityId: player.id, questId: 'rock_delivery' });
+    check(lastError() === 'Objectives are not finished', 'Unfinished turn-in refused');
+
+    // Taming, and progress survives a save
+    game.emit('quest:start', { entityId: player.id, questId: 'wild_friend' });
+    await game.systems.saveSystem.save('quests');
+    game.emit('pet:tamed', { ownerId: player.id, petId: rabbit.id });
+    check(questLog().completed.wild_friend === 1, 'Taming completes the companion quest');
+
+    await game.systems.saveSystem.load('quests');
+    const restored = game.systems.entityManager.getEntitiesByTag('player')[0].getComponent('quests');
+    check(restored.active.wild_friend && restored.active.rock_delivery?.progress.chunks === 3
+        && restored.completed.pebble_trouble === 1, 'Quest progress restored from the save');
+
+    game.destroy();
+}
+
+try {
+    testPebbleVictory();
+    testEnemyMoves();
+    testParry();
+    testAutoclickerDetection();
+    testHealthLifecycle();
+    testMovementEvents();
+    testEventInterceptors();
+    testEventCatalog();
+    testEventReplay();
+    testTimeAdvances();
+    testPauseFreezesCombat();
+    testFastForwardDays();
+    testClockScale();
+    testItemCatalog();
+    testLootTables();
+    testPickups();
+    testStatAggregation();
+    testGear();
+    testShop();
+    testDialogue();
+    testTournament();
+    await testSaveLoadRoundTrip();
+    await testBonfireAutosave();
+    await testSaveMigrations();
+    await testExportImport();
+    await testCurrency();
+    await testQuests();
+    await testStamina();
+    await testInputModes();
+} catch (error) {
+    console.error('❌ Headless test crashed:', error);
+    failures.push(error.message);
+}
+
+if (failures.length > 0) {
+    console.error(`=== ${failures.length} CHECK(S) FAILED ===`);
+    process.exitCode = 1;
+} else {
+    console.log('=== ALL HEADLESS CHECKS PASSED ===');
+}
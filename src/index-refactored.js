@@ -7,6 +7,11 @@ import GameStateManager from './core/GameStateManager.js';
 import InputController from './core/InputController.js';
 import ResourceManager from './core/ResourceManager.js';
 import Entity from './core/Entity.js';
+import GameClock from './core/GameClock.js';
+import EventCatalog from './core/EventCatalog.js';
+import EventRecorder from './core/EventRecorder.js';
+import EventReplay from './core/EventReplay.js';
+import Random from './core/Random.js';
 
 // Import major systems (BRANCHES)
 import EntityManager from './systems/EntityManager.js';
@@ -20,25 +25,67 @@ import PartySystem from './systems/PartySystem.js';
 import PetSystem from './systems/PetSystem.js';
 import DebugSystem from './systems/DebugSystem.js';
 import MovementManager from './systems/MovementManager.js';
+import SaveSystem from './systems/SaveSystem.js';
+import PickupSystem from './systems/PickupSystem.js';
+import StatsSystem from './systems/StatsSystem.js';
+import StaminaSystem from './systems/StaminaSystem.js';
+import HealthSystem from './systems/HealthSystem.js';
+import ShopSystem from './systems/ShopSystem.js';
+import CurrencySystem from './systems/CurrencySystem.js';
+import DialogueSystem from './systems/DialogueSystem.js';
+import QuestSystem from './systems/QuestSystem.js';
+import TournamentSystem from './systems/TournamentSystem.js';
+import SettingsSystem from './systems/SettingsSystem.js';
+
+// Game data (emitted as files by webpack, fetched through ResourceManager)
+import itemCatalogUrl from './data/items.json';
+import shopDefinitionsUrl from './data/shops.json';
+import dialogueDefinitionsUrl from './data/dialogues.json';
+import questDefinitionsUrl from './data/quests.json';
+import tournamentDefinitionsUrl from './data/tournaments.json';
+import eventCatalogUrl from './data/events.json';
+import { EnemyFactory } from './entities/enemies/index.js';
 
 // Initialize core systems (TRUNK)
 const eventBus = new EventBus();
 const gameStateManager = new GameStateManager(eventBus);
 const inputController = new InputController(eventBus);
 const resourceManager = new ResourceManager(eventBus);
+const gameClock = new GameClock(eventBus); // Ticked by the scene's update
+
+// Every session is seeded and recorded so testers can export it with a bug report.
+// A log picked for replay waits in sessionStorage for this fresh boot and brings its own seed.
+const storedReplay = sessionStorage.getItem(EventReplay.storageKey);
+sessionStorage.removeItem(EventReplay.storageKey);
+const replayLog = storedReplay && EventRecorder.parse(storedReplay);
+const eventReplay = replayLog ? new EventReplay(eventBus, replayLog) : null;
+if (!eventReplay) Random.seed();
+const eventRecorder = new EventRecorder(eventBus, gameClock); // Ticked by the scene's update
+eventRecorder.start();
 
 // Initialize major systems (BRANCHES) - only depend on trunk
 const entityManager = new EntityManager(eventBus);
-const combatSystem = new CombatSystem(eventBus, entityManager);
+const combatSystem = new CombatSystem(eventBus, entityManager, gameClock);
 const progressionSystem = new ProgressionSystem(eventBus, entityManager);
+const statsSystem = new StatsSystem(eventBus, entityManager, gameClock);
+const staminaSystem = new StaminaSystem(eventBus, entityManager, gameClock);
 const inventorySystem = new InventorySystem(eventBus, entityManager);
-const zoneManager = new ZoneManager(eventBus, entityManager);
-const timeSystem = new TimeSystem(eventBus);
+const zoneManager = new ZoneManager(eventBus, entityManager, gameClock);
+const timeSystem = new TimeSystem(eventBus, gameClock);
 const relationshipSystem = new RelationshipSystem(eventBus, entityManager);
-const partySystem = new PartySystem(eventBus, entityManager);
-const petSystem = new PetSystem(eventBus, entityManager);
+const partySystem = new PartySystem(eventBus, entityManager, gameClock);
+const petSystem = new PetSystem(eventBus, entityManager, gameClock);
 const debugSystem = new DebugSystem(eventBus, entityManager);
-const movementManager = new MovementManager(eventBus, entityManager);
+const healthSystem = new HealthSystem(eventBus, entityManager);
+const movementManager = new MovementManager(eventBus, entityManager, gameClock);
+const saveSystem = new SaveSystem(eventBus, entityManager, resourceManager, gameClock);
+const pickupSystem = new PickupSystem(eventBus, entityManager, gameClock);
+const currencySystem = new CurrencySystem(eventBus, entityManager, gameClock);
+const shopSystem = new ShopSystem(eventBus, entityManager);
+const dialogueSystem = new DialogueSystem(eventBus, entityManager);
+const questSystem = new QuestSystem(eventBus, entityManager);
+const tournamentSystem = new TournamentSystem(eventBus, entityManager, gameClock);
+const settingsSystem = new SettingsSystem(eventBus, resourceManager);
 
 // Make systems globally accessible (temporary - will use DI later)
 window.gameCore = {
@@ -47,12 +94,18 @@ window.gameCore = {
     gameStateManager,
     inputController,
     resourceManager,
+    gameClock,
+    eventRecorder,
+    eventReplay,
     Entity,
     
     // Branches
     entityManager,
     combatSystem,
     progressionSystem,
+    statsSystem,
+    staminaSystem,
+    healthSystem,
     inventorySystem,
     zoneManager,
     timeSystem,
@@ -60,7 +113,15 @@ window.gameCore = {
     partySystem,
     petSystem,
     debugSystem,
-    movementManager
+    movementManager,
+    saveSystem,
+    pickupSystem,
+    currencySystem,
+    shopSystem,
+    dialogueSystem,
+    questSystem,
+    tournamentSystem,
+    settingsSystem
 };
 
 // Register game states
@@ -128,6 +189,45 @@ eventBus.on('time:hour-changed', (data) => {
     console.log(`Time: Day ${data.day}, Hour ${data.hour}`);
 });
 
+// Event logs for bug reports
+eventBus.on('debug:export-event-log', () => eventRecorder.download());
+eventBus.on('replay:finished', (data) => {
+    console.log(`Replay finished: ${data.frames} frames, ${data.inputs} inputs - the controls are yours`);
+});
+if (eventReplay) console.log(`Replaying event log recorded ${new Date(replayLog.recordedAt).toLocaleString()} (seed ${replayLog.seed})`);
+
+// Load the item catalog, then make sure every loot table points at real items
+resourceManager.loadJSON('items', itemCatalogUrl)
+    .then(() => inventorySystem.validateLootReferences(EnemyFactory.getLootTables()))
+    .catch(error => console.error('Failed to load item catalog:', error));
+resourceManager.loadJSON('shops', shopDefinitionsUrl)
+    .catch(error => console.error('Failed to load shop definitions:', error));
+resourceManager.loadJSON('dialogues', dialogueDefinitionsUrl)
+    .catch(error => console.error('Failed to load dialogues:', error));
+resourceManager.loadJSON('quests', questDefinitionsUrl)
+    .catch(error => console.error('Failed to load quests:', error));
+resourceManager.loadJSON('tournaments', tournamentDefinitionsUrl)
+    .catch(error => console.error('Failed to load tournaments:', error));
+
+// Development builds check every event against the event catalog
+if (process.env.NODE_ENV !== 'production') {
+    resourceManager.loadJSON('events', eventCatalogUrl)
+        .then(definitions => {
+            const eventCatalog = new EventCatalog(definitions);
+            eventBus.enableChecks(eventCatalog);
+            eventBus.on('debug:show-event-report', () => console.log(eventCatalog.generateReport(eventBus)));
+            window.gameCore.eventCatalog = eventCatalog;
+        })
+        .catch(error => console.error('Failed to load event catalog:', error));
+}
+
+// Player settings are shared by every save slot; a replay uses the ones its tester had
+const replaySettings = eventReplay && Object.fromEntries(eventReplay.getRecorded('settings:changed')
+    .filter(change => change.source === 'load')
+    .map(change => [change.key, change.value]));
+settingsSystem.load(replaySettings)
+    .catch(error => console.error('Failed to load settings:', error));
+
 // Phaser configuration
 const config = {
     type: Phaser.AUTO,
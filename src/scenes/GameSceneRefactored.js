@@ -3,14 +3,22 @@
  * Leaf-level scene that orchestrates all systems
  */
 import Phaser from 'phaser';
+import Random from '../core/Random.js';
+import EventReplay from '../core/EventReplay.js';
 import Player from '../entities/Player.js';
 import { EnemyFactory } from '../entities/enemies/index.js';
 import { NeutralFactory } from '../entities/neutrals/index.js';
 import BaseEnemy from '../entities/enemies/BaseEnemy.js';
 import BaseNeutral from '../entities/neutrals/BaseNeutral.js';
+import Pickup from '../entities/Pickup.js';
 import CombatUI from '../ui/CombatUI.js';
 import DebugUI from '../ui/DebugUI.js';
 import KeybindUI from '../ui/KeybindUI.js';
+import ShopUI from '../ui/ShopUI.js';
+import DialogueUI from '../ui/DialogueUI.js';
+import QuestLogUI from '../ui/QuestLogUI.js';
+import TournamentUI from '../ui/TournamentUI.js';
+import SettingsUI from '../ui/SettingsUI.js';
 
 export default class GameSceneRefactored extends Phaser.Scene {
     constructor() {
@@ -65,6 +73,11 @@ export default class GameSceneRefactored extends Phaser.Scene {
         this.combatUI = new CombatUI(this, this.systems.combatSystem);
         this.debugUI = new DebugUI(this, this.systems.debugSystem);
         this.keybindUI = new KeybindUI(this);
+        this.shopUI = new ShopUI(this, this.systems.shopSystem);
+        this.dialogueUI = new DialogueUI(this, this.systems.dialogueSystem);
+        this.questLogUI = new QuestLogUI(this, this.systems.questSystem);
+        this.tournamentUI = new TournamentUI(this, this.systems.tournamentSystem);
+        this.settingsUI = new SettingsUI(this, this.systems.settingsSystem);
         
         // Create debug button
         this.createDebugButton();
@@ -96,8 +109,8 @@ export default class GameSceneRefactored extends Phaser.Scene {
             startingPower: 2  // Increased for testing combat
         });
         
-        // Initialize player
-        Player.initialize(playerEntity, this.eventBus);
+        // Initialize player (keep the cleanup so a loaded save can re-initialize)
+        this.playerCleanup = Player.initialize(playerEntity, this.eventBus);
         
         // Create visual representation
         const playerVisual = Player.createVisuals(this, playerEntity);
@@ -139,7 +152,8 @@ export default class GameSceneRefactored extends Phaser.Scene {
         // Create visual bonfire
         this.createBonfireVisual(0, 0);
         
-        // Generate initial chunks
+        // Generate initial chunks (requested through the bus so event logs replay them in order)
+        this.eventBus.on('world:generate-chunk', (data) => this.generateChunk(data.chunkX, data.chunkY));
         this.updateVisibleChunks();
         
         // Create some initial NPCs near spawn
@@ -167,6 +181,14 @@ export default class GameSceneRefactored extends Phaser.Scene {
         );
         this.createEntityVisual(guard);
         
+        // The tournament master runs the Village Cup
+        const tournamentMaster = NeutralFactory.create(
+            this.systems.entityManager,
+            'TournamentMaster',
+            { x: -3, y: 2 }
+        );
+        this.createEntityVisual(tournamentMaster);
+        
         // Create some villagers
         for (let i = 0; i < 3; i++) {
             const angle = (i / 3) * Math.PI * 2;
@@ -183,8 +205,8 @@ export default class GameSceneRefactored extends Phaser.Scene {
         
         // Create some wildlife
         for (let i = 0; i < 5; i++) {
-            const x = Math.floor(Math.random() * 20 - 10);
-            const y = Math.floor(Math.random() * 20 - 10);
+            const x = Math.floor(Random.next() * 20 - 10);
+            const y = Math.floor(Random.next() * 20 - 10);
             
             // Don't spawn in safe zone
             if (Math.abs(x) < 5 && Math.abs(y) < 5) continue;
@@ -369,17 +391,25 @@ export default class GameSceneRefactored extends Phaser.Scene {
             const power = player.getComponent('power');
             const position = player.getComponent('position');
             const progression = player.getComponent('progression');
+            const wallet = player.getComponent('wallet');
+            const stamina = player.getComponent('stamina');
             
             let statsText = '';
             if (health) {
                 statsText += `Health: ${health.current}/${health.max}\n`;
             }
+            if (stamina) {
+                statsText += `Stamina: ${Math.floor(stamina.current)}/${stamina.max}\n`;
+            }
             if (power) {
                 statsText += `Power: ${power.value}\n`;
             }
             if (progression) {
                 statsText += `Level: ${progression.level}\n`;
-                statsText += `XP: ${progression.experience}/${progression.experienceToNext}`;
+                statsText += `XP: ${progression.experience}/${progression.experienceToNext}\n`;
+            }
+            if (wallet) {
+                statsText += `Gold: ${wallet.balances.gold}`;
             }
             
             this.playerStatsText.setText(statsText);
@@ -414,6 +444,11 @@ export default class GameSceneRefactored extends Phaser.Scene {
         } else if (entity.hasTag('player')) {
             console.log('Creating player visual for:', entity.id);
             visual = Player.createVisuals(this, entity);
+        } else if (entity.hasTag('pickup')) {
+            const itemId = entity.getComponent('pickup').itemId;
+            const itemDef = this.systems.inventorySystem.getItemDefinition(itemId);
+            this.entityVisuals.set(entity.id, Pickup.createVisuals(this, entity, itemDef));
+            return;
         }
         
         if (visual) {
@@ -446,7 +481,9 @@ export default class GameSceneRefactored extends Phaser.Scene {
             for (let dy = -this.config.viewDistance; dy <= this.config.viewDistance; dy++) {
                 const chunkX = playerChunk.x + dx;
                 const chunkY = playerChunk.y + dy;
-                this.generateChunk(chunkX, chunkY);
+                if (!this.chunks.has(this.getChunkKey(chunkX, chunkY))) {
+                    this.eventBus.emit('world:generate-chunk', { chunkX, chunkY });
+                }
             }
         }
         
@@ -466,7 +503,7 @@ export default class GameSceneRefactored extends Phaser.Scene {
         
         // Generate entities for chunk
         const seed = Math.abs(chunkX * 1000 + chunkY);
-        const rng = this.createSeededRandom(seed);
+        const rng = Random.createSeededRandom(seed);
         
         // Check if chunk should have special features
         // Convert chunk coordinates to world grid coordinates
@@ -588,7 +625,7 @@ export default class GameSceneRefactored extends Phaser.Scene {
             
             // Also emit attack event if in combat and left click
             if (pointer.button === 0) { // Left click
-                this.eventBus.emit('player:attack');
+                this.eventBus.emit('player:attack', { inputTime: pointer.event.timeStamp });
             }
         });
     }
@@ -607,9 +644,20 @@ export default class GameSceneRefactored extends Phaser.Scene {
         // Combat visuals
         this.eventBus.on('combat:started', this.handleCombatStarted.bind(this));
         
-        // UI events
-        this.eventBus.on('shop:open', this.handleShopOpen.bind(this));
-        this.eventBus.on('dialogue:show', this.handleDialogueShow.bind(this));
+        // Save/load - explored chunks belong to the scene
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.world = { exploredChunks: Array.from(this.chunks.keys()) };
+        });
+        this.eventBus.on('save:restore', this.handleWorldRestore.bind(this));
+        this.eventBus.on('save:restored', this.handleSaveRestored.bind(this));
+        this.eventBus.on('save:import-request', this.handleImportRequest.bind(this));
+        
+        // Event log replays
+        this.eventBus.on('debug:replay-event-log', this.handleReplayRequest.bind(this));
+        
+        // NPC interaction (click or E next to them); DialogueSystem and ShopSystem take it from there
+        this.eventBus.on('entity:interact', this.handleEntityInteract.bind(this));
+        this.eventBus.on('player:interact', this.handlePlayerInteract.bind(this));
         
         // Scene events for clicks
         this.events.on('enemy:clicked', (data) => {
@@ -655,12 +703,83 @@ export default class GameSceneRefactored extends Phaser.Scene {
         
         if (!playerPos || !entityPos) return;
         
-        const distance = Math.abs(playerPos.x - entityPos.x) + Math.abs(playerPos.y - entityPos.y);
+        // Compare tiles - the player's x/y are pixels, other entities use grid units
+        const playerTileX = playerPos.worldX ?? playerPos.x;
+        const playerTileY = playerPos.worldY ?? playerPos.y;
+        const distance = Math.abs(playerTileX - entityPos.x) + Math.abs(playerTileY - entityPos.y);
         if (distance <= this.config.viewDistance * this.config.chunkSize) {
             this.createEntityVisual(entity);
         }
     }
 
+    handleWorldRestore(data) {
+        const world = data.slices.world;
+        if (!world) return;
+        
+        // Chunks are seeded by their coordinates, so regenerating them rebuilds the same world
+        world.exploredChunks.forEach(key => {
+            const [chunkX, chunkY] = key.split(',').map(Number);
+            this.generateChunk(chunkX, chunkY);
+        });
+    }
+
+    handleSaveRestored() {
+        const playerEntity = this.systems.entityManager.getEntitiesByTag('player')[0];
+        if (!playerEntity) return;
+        
+        // A save from another session brings back a different player entity
+        if (playerEntity.id !== this.playerId) {
+            if (this.playerCleanup) this.playerCleanup();
+            this.playerCleanup = Player.initialize(playerEntity, this.eventBus);
+            this.playerId = playerEntity.id;
+        }
+        
+        const position = playerEntity.getComponent('position');
+        let playerVisual = this.entityVisuals.get(playerEntity.id);
+        
+        if (!playerVisual) {
+            playerVisual = Player.createVisuals(this, playerEntity);
+            this.entityVisuals.set(playerEntity.id, playerVisual);
+            this.cameras.main.startFollow(playerVisual);
+        }
+        
+        playerVisual.x = position.pixelX;
+        playerVisual.y = position.pixelY;
+        
+        this.updateVisibleChunks();
+    }
+
+    handleImportRequest(data = {}) {
+        // Let the player pick an exported .json save
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.onchange = () => {
+            const file = input.files[0];
+            if (file) {
+                this.systems.resourceManager.importSaveFile(file, data.slotId || 'slot1');
+            }
+        };
+        input.click();
+    }
+
+    handleReplayRequest() {
+        if (this.systems.eventReplay?.isActive()) return;
+        
+        // Replays boot a fresh world, so the log waits in sessionStorage across a reload
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            sessionStorage.setItem(EventReplay.storageKey, await file.text());
+            window.location.reload();
+        };
+        input.click();
+    }
+
     handleDayNightTransition(data) {
         const { to, modifiers } = data;
         
@@ -729,14 +848,38 @@ export default class GameSceneRefactored extends Phaser.Scene {
     }
 
 
-    handleShopOpen(data) {
-        // This would open shop UI
-        console.log('Shop opened:', data);
+    handleEntityInteract(data) {
+        const player = this.systems.entityManager.getEntity(data.playerId);
+        const npc = this.systems.entityManager.getEntity(data.entityId);
+        if (!player || !npc || !npc.hasTag('neutral')) return;
+        
+        const playerPos = player.getComponent('position');
+        const npcPos = npc.getComponent('position');
+        const distance = Math.abs(playerPos.worldX - npcPos.worldX) + Math.abs(playerPos.worldY - npcPos.worldY);
+        
+        if (distance <= 1) {
+            BaseNeutral.handleInteraction(npc, this.eventBus, data.playerId);
+        } else {
+            this.showFloatingText('Move closer to talk!', { x: playerPos.worldX, y: playerPos.worldY });
+        }
     }
 
-    handleDialogueShow(data) {
-        // This would show dialogue UI
-        console.log('Dialogue:', data.text);
+    handlePlayerInteract() {
+        const player = this.systems.entityManager.getEntity(this.playerId);
+        if (!player) return;
+        
+        // Talk to the first NPC standing next to the player
+        const playerPos = player.getComponent('position');
+        const npc = this.systems.entityManager.getEntitiesByTag('npc').find(entity => {
+            const npcPos = entity.getComponent('position');
+            const neutralData = entity.getComponent('neutralData');
+            return (neutralData?.canTalk || neutralData?.canTrade)
+                && Math.abs(playerPos.worldX - npcPos.worldX) + Math.abs(playerPos.worldY - npcPos.worldY) <= 1;
+        });
+        
+        if (npc) {
+            this.eventBus.emit('entity:interact', { entityId: npc.id, playerId: this.playerId });
+        }
     }
 
     handleNeutralClicked(data) {
@@ -876,8 +1019,8 @@ export default class GameSceneRefactored extends Phaser.Scene {
             const enemyPosition = enemy.getComponent('position');
             if (enemyPosition) {
                 const distance = Math.sqrt(
-                    Math.pow(position.x - enemyPosition.pixelX, 2) + 
-                    Math.pow(position.y - enemyPosition.pixelY, 2)
+                    Math.pow(position.pixelX - enemyPosition.pixelX, 2) + 
+                    Math.pow(position.pixelY - enemyPosition.pixelY, 2)
                 );
                 
                 if (distance < combatRange) {
@@ -909,20 +1052,27 @@ export default class GameSceneRefactored extends Phaser.Scene {
         };
     }
 
-    createSeededRandom(seed) {
-        return function() {
-            seed = (seed * 9301 + 49297) % 233280;
-            return seed / 233280;
-        };
-    }
-
     update(time, delta) {
+        // A replay feeds recorded input and frame times instead of the real ones
+        const replay = this.systems.eventReplay;
+        const replaying = replay?.isActive();
+        if (replaying) {
+            replay.feedInputs();
+            delta = replay.nextDelta() ?? delta;
+        }
+        this.systems.eventRecorder.tick(delta);
+        
+        // Advance game time first - systems get the scaled delta (0 while paused)
+        const gameDelta = this.systems.gameClock.tick(delta);
+        
         // Update all systems
-        this.systems.entityManager.update(delta);
-        this.systems.combatSystem.update(delta);
-        this.systems.timeSystem.update(delta);
-        this.systems.zoneManager.update(delta);
-        this.systems.movementManager.update(delta);
+        this.systems.entityManager.update(gameDelta);
+        this.systems.combatSystem.update(gameDelta);
+        this.systems.timeSystem.update(gameDelta);
+        this.systems.zoneManager.update(gameDelta);
+        this.systems.movementManager.update(gameDelta);
+        this.systems.pickupSystem.update(gameDelta);
+        this.systems.staminaSystem.update(gameDelta);
         
         // Update UI
         if (this.combatUI) this.combatUI.update(time, delta);
@@ -940,6 +1090,8 @@ export default class GameSceneRefactored extends Phaser.Scene {
                 BaseNeutral.updateVisuals(visual, entity);
             } else if (entity.hasTag('player')) {
                 Player.updateVisuals(visual, entity);
+            } else if (entity.hasTag('pickup')) {
+                Pickup.updateVisuals(visual, entity, this.systems.gameClock.now());
             }
         });
         
@@ -949,8 +1101,21 @@ export default class GameSceneRefactored extends Phaser.Scene {
         // Update grid display
         this.updateGridDisplay();
         
-        // Handle input
-        this.handleInput(time, delta);
+        // Handle input - during a replay the recorded moves already ran, the camera just follows
+        if (replaying) {
+            this.syncPlayerVisual();
+        } else {
+            this.handleInput(time, delta);
+        }
+    }
+
+    syncPlayerVisual() {
+        const position = this.systems.entityManager.getEntity(this.playerId)?.getComponent('position');
+        const visual = this.entityVisuals.get(this.playerId);
+        if (!position || !visual) return;
+        
+        visual.x = position.pixelX;
+        visual.y = position.pixelY;
     }
 
     handleInput(time, delta) {
@@ -983,23 +1148,17 @@ export default class GameSceneRefactored extends Phaser.Scene {
         }
         
         if (dx !== 0 || dy !== 0) {
-            // Update position directly for free movement
-            const newX = position.x + dx * moveSpeed;
-            const newY = position.y + dy * moveSpeed;
-            
             // Check for collisions or boundaries here if needed
             const visual = this.entityVisuals.get(this.playerId);
             if (visual) {
-                visual.x = newX;
-                visual.y = newY;
-                
-                // Update position component
-                position.x = newX;
-                position.y = newY;
-                position.pixelX = newX;
-                position.pixelY = newY;
-                position.worldX = Math.floor(newX / this.config.gridSize);
-                position.worldY = Math.floor(newY / this.config.gridSize);
+                // MovementManager updates the position component and reports tile changes
+                this.eventBus.emit('movement:move-by', {
+                    entityId: this.playerId,
+                    dx: dx * moveSpeed,
+                    dy: dy * moveSpeed
+                });
+                visual.x = position.pixelX;
+                visual.y = position.pixelY;
                 
                 // Check for combat encounters based on distance
                 this.checkCombatProximity(player, position);
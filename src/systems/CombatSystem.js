@@ -1,11 +1,41 @@
 /**
  * CombatSystem - Handles arm wrestling combat mechanics
  * Manages DPS calculations, combat states, victory/defeat conditions
+ *
+ * Defenders fight with the move set and boss phases on their `enemyData`:
+ * - moveSet [{ type, name, weight, telegraph, duration, drainMultiplier, pushMultiplier, pull, tugAbove, disguise }]
+ *   'surge' spikes the drain, 'stall' freezes the bar, 'feint' telegraphs a fake (`disguise`) move,
+ *   'secondWind' pulls the bar back once the player is close to winning (`tugAbove`)
+ * - phases [{ name, tugAbove, message, drainMultiplier, pull, moveSet }] change the fight as the bar climbs
+ * Every move is announced with 'combat:move-telegraph' before it lands so the player can react.
+ *
+ * Parryable moves open a timing window around the moment they land. The first click once the
+ * warning is up decides it: 'perfect' or 'good' counters the move for a big tug swing, clicking
+ * too early, too late or into a feint is a 'miss' ('combat:parry').
+ *
+ * Accessible input modes follow the SettingsSystem 'combatInput' and 'reducedIntensity' settings:
+ * - 'mash' (default): every click pushes the bar
+ * - 'hold': 'player:push-start'/'player:push-end' - holding charges up to a steady push
+ * - 'rhythm': 'player:attack' on a beat ('combat:rhythm-beat') pushes like several clicks
+ * - reduced intensity scales the defender's drainRate down
+ * Hold and rhythm pushes are made of whole clicks, so click power, grip and stamina work the same,
+ * and rewards never depend on the mode.
+ *
+ * Mashed clicks are screened for autoclickers (`config.inputCheck`): over the last `sampleSize`
+ * intervals, a rate above the human ceiling or timing too regular to be a hand is suspicious.
+ * The responses are configurable - 'event' emits 'combat:suspicious-input', 'flag' marks the fight
+ * (`flagged` on the result events) and 'cap' stops counting clicks beyond `capClicksPerSecond`.
+ * Clicks are timed by the input event (`inputTime`, the DOM event's timeStamp) when the emitter passes it:
+ * the game clock only moves once per frame, which would snap human clicks onto a few regular intervals.
  */
+import GameClock from '../core/GameClock.js';
+import Random from '../core/Random.js';
+
 export default class CombatSystem {
-    constructor(eventBus, entityManager) {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
+        this.clock = clock;
         
         // Combat state
         this.activeCombats = new Map(); // entityId -> combat data
@@ -18,7 +48,39 @@ export default class CombatSystem {
             combatStartDelay: 1000, // 1 second before combat starts
             tugThreshold: 0.65, // 65% for victory (easier)
             defeatThreshold: 0.35, // 35% for defeat (harder to lose)
-            enemyClickInterval: 200 // Enemy clicks every 200ms (slower)
+            enemyClickInterval: 200, // Enemy clicks every 200ms (slower)
+            loserDamage: 1, // Share of max health the loser of a fight loses (1 = knocked out)
+            aiTags: ['enemy', 'tournament_opponent'], // Defenders that pull back on their own
+            moveInterval: 3000, // Game ms between enemy special moves
+            moveIntervalJitter: 1500, // Up to this much extra wait, so moves can't be timed
+            // Parrying
+            parryableMoves: ['surge', 'secondWind', 'feint'], // Feints look parryable but bait a miss
+            parryPerfectWindow: 80, // Game ms either side of the landing for a perfect parry
+            parryGoodWindow: 200, // Game ms either side of the landing for a good parry
+            parrySwing: { perfect: 0.2, good: 0.08 }, // Tug gained by a counter
+            // Accessible input modes
+            holdChargeTime: 600, // Game ms for a held push to reach full strength
+            holdClicksPerSecond: 8, // A fully charged hold pushes like this many clicks a second
+            rhythmInterval: 500, // Game ms between beats
+            rhythmWindow: 150, // Game ms either side of a beat that still counts
+            rhythmClicksPerBeat: 4, // 8 clicks a second on every beat, same as a full hold
+            reducedDrainScale: 0.6, // drainRate multiplier in reduced intensity
+            // Autoclicker detection (mash mode only - rhythm presses are meant to be regular)
+            inputCheck: {
+                enabled: true,
+                sampleSize: 20, // Click intervals looked at, newest first
+                maxClicksPerSecond: 16, // Human ceiling
+                minIntervalVariation: 0.03, // Interval std deviation / mean below this is machine-regular
+                regularAboveRate: 5, // Slow, steady clicking gains nothing, so only judge regularity above this
+                responses: ['event', 'flag', 'cap'], // Any of 'event', 'flag', 'cap'
+                capClicksPerSecond: 10 // Clicks that count once a fight is suspicious
+            }
+        };
+        
+        // Player input settings (kept in sync by 'settings:changed')
+        this.inputSettings = {
+            combatInput: 'mash',
+            reducedIntensity: false
         };
         
         this.setupEventListeners();
@@ -31,13 +93,17 @@ export default class CombatSystem {
         // Player input events
         this.eventBus.on('player:click-attack', this.handlePlayerClick.bind(this));
         this.eventBus.on('player:attack', this.handlePlayerClick.bind(this));
+        this.eventBus.on('player:push-start', this.handlePushStart.bind(this));
+        this.eventBus.on('player:push-end', this.handlePushEnd.bind(this));
+        this.eventBus.on('settings:changed', this.handleSettingChanged.bind(this));
         
         // Combat initiation
         this.eventBus.on('combat:start', this.startCombat.bind(this));
         this.eventBus.on('combat:flee', this.fleeCombat.bind(this));
-        this.eventBus.on('player:flee', (data) => {
-            // Convert player:flee to combat:flee with player's entity ID
-            this.fleeCombat({ entityId: data.attackerId });
+        this.eventBus.on('player:flee', () => {
+            // Input carries no ids - flee the player's own fight
+            const { player } = this.getPlayerCombat();
+            if (player) this.fleeCombat({ entityId: player.id });
         });
         
         // Entity events
@@ -48,10 +114,11 @@ export default class CombatSystem {
 
     /**
      * Start combat between two entities
-     * @param {Object} data - { attackerId, defenderId }
+     * 'bout' mode is a sporting match: no rewards, and the loser walks away
+     * @param {Object} data - { attackerId, defenderId, mode }
      */
     startCombat(data) {
-        const { attackerId, defenderId } = data;
+        const { attackerId, defenderId, mode = 'standard' } = data;
         
         const attacker = this.entityManager.getEntity(attackerId);
         const defender = this.entityManager.getEntity(defenderId);
@@ -67,11 +134,18 @@ export default class CombatSystem {
             return;
         }
         
+        // Nobody fights while knocked out
+        if (attacker.getComponent('health').current <= 0 || defender.getComponent('health').current <= 0) {
+            console.error('Cannot start combat - entity is knocked out');
+            return;
+        }
+        
         // Initialize combat data
         const combatData = {
             attackerId,
             defenderId,
-            startTime: Date.now(),
+            mode,
+            startTime: this.clock.now(),
             tugPosition: 0.8, // Start at 80% (player advantage but not full)
             drainRate: 0.1, // Base drain rate - will be adjusted by enemy level
             attackerDPS: 0,
@@ -79,6 +153,24 @@ export default class CombatSystem {
             lastAttackerClick: 0,
             lastDefenderClick: 0,
             clickCount: 0,
+            // Enemy special moves
+            move: null, // Current move { ...definition, state: 'telegraph' | 'active', startsAt, endsAt }
+            nextMoveAt: 0,
+            usedMoves: [], // Names of once-per-fight moves already used
+            parry: null, // Window of the current move { opensAt, perfectFrom, perfectUntil, closesAt, landsAt, feint, result }
+            phaseIndex: -1, // Current boss phase, -1 before the first
+            drainMultiplier: 1,
+            pushMultiplier: 1,
+            // Input mode
+            inputMode: this.inputSettings.combatInput,
+            hold: { held: false, charge: 0, pending: 0 }, // charge 0-1, pending = clicks not pushed yet
+            rhythm: null, // Current beat { beatAt, hit }
+            // Autoclicker detection
+            clickTimes: [], // Recent mashed clicks, oldest first
+            clickTimeSource: null, // 'input' (event timeStamps) or 'clock' - what clickTimes were measured with
+            suspicion: null, // { reasons, clicksPerSecond, variation } once detected
+            flagged: false,
+            lastCountedClick: -Infinity, // Last click that counted while capped
             state: 'preparing', // preparing, active, ending
             result: null // victory, defeat, fled
         };
@@ -101,10 +193,11 @@ export default class CombatSystem {
         });
         
         // Start combat after delay
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             if (this.activeCombats.has(attackerId)) {
                 combatData.state = 'active';
-                combatData.startTime = Date.now();
+                combatData.startTime = this.clock.now();
+                combatData.nextMoveAt = combatData.startTime + this.getMoveDelay();
                 this.eventBus.emit('combat:active', { attackerId, defenderId });
             }
         }, this.config.combatStartDelay);
@@ -117,37 +210,167 @@ export default class CombatSystem {
     handlePlayerClick(data) {
         console.log('Player click detected!', data);
         
-        // Find player entity (tagged as 'player')
-        const players = this.entityManager.getEntitiesByTag('player');
-        if (players.length === 0) {
-            console.log('No player found!');
-            return;
-        }
-        
-        const player = players[0];
-        const combatData = this.activeCombats.get(player.id);
+        // Clicks don't count while the game clock is frozen
+        if (this.clock.isPaused()) return;
         
-        if (!combatData || combatData.state !== 'active') {
+        const { player, combatData } = this.getPlayerCombat();
+        if (!combatData) {
             console.log('No active combat for player');
             return;
         }
         
-        console.log('Processing player click in combat');
-        
         // Check click cooldown
-        const now = Date.now();
+        const now = this.clock.now();
         if (now - combatData.lastAttackerClick < this.config.clickCooldown) return;
+        combatData.lastAttackerClick = now;
+        
+        if (combatData.inputMode === 'rhythm') {
+            this.handleRhythmPress(player, combatData, now);
+        } else if (this.screenClick(combatData, data?.inputTime ?? null, now)) {
+            this.pushBar(player, combatData, 1);
+        }
+        
+        // The click may also be a parry attempt
+        this.checkParry(combatData, now);
+        
+        // Check victory/defeat conditions
+        this.checkCombatEnd(combatData);
+    }
+
+    /**
+     * Record a mashed click, look for autoclicker patterns and decide whether the click counts
+     * @param {Object} combatData 
+     * @param {number|null} inputTime - When the input event happened, null if the emitter didn't say
+     * @param {number} now - Game clock time, used when there's no input time
+     * @returns {boolean} False when the click is over the cap
+     */
+    screenClick(combatData, inputTime, now) {
+        const check = this.config.inputCheck;
+        if (!check.enabled) return true;
+        
+        // Input times and clock times can't be compared, so start over when the source changes
+        const source = inputTime === null ? 'clock' : 'input';
+        if (combatData.clickTimeSource !== source) {
+            combatData.clickTimeSource = source;
+            combatData.clickTimes = [];
+            combatData.lastCountedClick = -Infinity;
+        }
+        const clickTime = inputTime ?? now;
+        
+        const times = combatData.clickTimes;
+        times.push(clickTime);
+        if (times.length > check.sampleSize + 1) times.shift();
+        
+        if (!combatData.suspicion) {
+            const analysis = this.analyseClicks(times);
+            if (analysis.reasons.length > 0) this.reportSuspiciousInput(combatData, analysis);
+        }
+        
+        if (!combatData.suspicion || !check.responses.includes('cap')) return true;
+        if (clickTime - combatData.lastCountedClick < 1000 / check.capClicksPerSecond) return false;
+        
+        combatData.lastCountedClick = clickTime;
+        return true;
+    }
+
+    /**
+     * Rate and regularity of a run of clicks
+     * @param {Array<number>} times - Click times, oldest first
+     * @returns {Object} { reasons, clicksPerSecond, variation } - reasons: 'rate' | 'regular'
+     */
+    analyseClicks(times) {
+        const { sampleSize, maxClicksPerSecond, minIntervalVariation, regularAboveRate } = this.config.inputCheck;
+        if (times.length <= sampleSize) return { reasons: [], clicksPerSecond: 0, variation: 0 };
+        
+        const intervals = times.slice(1).map((time, index) => time - times[index]);
+        const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+        const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+        const clicksPerSecond = mean > 0 ? 1000 / mean : Infinity;
+        const variation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+        
+        const reasons = [];
+        if (clicksPerSecond > maxClicksPerSecond) reasons.push('rate');
+        if (variation < minIntervalVariation && clicksPerSecond > regularAboveRate) reasons.push('regular');
+        
+        return { reasons, clicksPerSecond, variation };
+    }
+
+    /**
+     * Apply the configured responses to suspicious input, once per fight
+     * @param {Object} combatData 
+     * @param {Object} analysis - { reasons, clicksPerSecond, variation }
+     */
+    reportSuspiciousInput(combatData, analysis) {
+        const { responses } = this.config.inputCheck;
+        
+        combatData.suspicion = analysis;
+        if (responses.includes('flag')) combatData.flagged = true;
         
-        // Calculate click power
+        if (responses.includes('event')) {
+            this.eventBus.emit('combat:suspicious-input', {
+                attackerId: combatData.attackerId,
+                defenderId: combatData.defenderId,
+                ...analysis,
+                capped: responses.includes('cap')
+            });
+        }
+    }
+
+    /**
+     * Start holding in 'hold' mode; the press itself is a parry attempt, holding on is not
+     */
+    handlePushStart() {
+        if (this.clock.isPaused()) return;
+        
+        const { combatData } = this.getPlayerCombat();
+        if (combatData?.inputMode !== 'hold' || combatData.hold.held) return;
+        
+        combatData.hold.held = true;
+        this.checkParry(combatData, this.clock.now());
+        this.checkCombatEnd(combatData);
+    }
+
+    /**
+     * Let go in 'hold' mode
+     */
+    handlePushEnd() {
+        const { combatData } = this.getPlayerCombat();
+        if (combatData) combatData.hold.held = false;
+    }
+
+    /**
+     * The player and their active combat
+     * @returns {Object} { player, combatData } - combatData is null outside an active fight
+     */
+    getPlayerCombat() {
+        const player = this.entityManager.getEntitiesByTag('player')[0];
+        const combatData = player && this.activeCombats.get(player.id);
+        
+        return {
+            player,
+            combatData: combatData?.state === 'active' ? combatData : null
+        };
+    }
+
+    /**
+     * Push the bar by a number of clicks' worth of the player's strength
+     * @param {Entity} player 
+     * @param {Object} combatData 
+     * @param {number} clicks 
+     */
+    pushBar(player, combatData, clicks) {
+        // Calculate click power (derived by StatsSystem)
+        const stats = player.getComponent('stats');
         const powerComponent = player.getComponent('power');
-        const clickPower = powerComponent ? powerComponent.value : this.config.baseClickPower;
+        const clickPower = stats?.clickPower ?? powerComponent?.value ?? this.config.baseClickPower;
         
-        // Update combat
-        combatData.lastAttackerClick = now;
-        combatData.clickCount++;
+        // A tired grip pushes less (StaminaSystem keeps grip between minGrip and 1)
+        const grip = player.getComponent('stamina')?.grip ?? 1;
+        
+        combatData.clickCount += clicks;
         
         // Each click pushes the bar up more noticeably
-        const pushAmount = 0.08 + (clickPower * 0.01); // Bigger push so player can see impact
+        const pushAmount = (0.08 + (clickPower * 0.01)) * grip * combatData.pushMultiplier * clicks; // Bigger push so player can see impact
         combatData.tugPosition = Math.min(1, combatData.tugPosition + pushAmount);
         
         // Visual feedback - emit immediate update
@@ -161,11 +384,55 @@ export default class CombatSystem {
             playerId: player.id,
             combatData,
             clickPower,
+            grip,
+            clicks,
+            inputMode: combatData.inputMode,
             tugPosition: combatData.tugPosition
         });
+    }
+
+    /**
+     * Judge a press in 'rhythm' mode: on the beat it pushes, off the beat it does nothing
+     * @param {Entity} player 
+     * @param {Object} combatData 
+     * @param {number} now 
+     */
+    handleRhythmPress(player, combatData, now) {
+        const rhythm = combatData.rhythm;
+        if (!rhythm) return;
         
-        // Check victory/defeat conditions
-        this.checkCombatEnd(combatData);
+        const offset = now - rhythm.beatAt;
+        const onBeat = !rhythm.hit && Math.abs(offset) <= this.config.rhythmWindow;
+        if (onBeat) {
+            rhythm.hit = true;
+            this.pushBar(player, combatData, this.config.rhythmClicksPerBeat);
+        }
+        
+        this.eventBus.emit('combat:rhythm-press', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            result: onBeat ? 'hit' : 'off-beat',
+            offset,
+            tugPosition: combatData.tugPosition
+        });
+    }
+
+    /**
+     * Follow the player's input settings, switching fights in progress over straight away
+     * @param {Object} data - { key, value }
+     */
+    handleSettingChanged(data) {
+        if (!(data.key in this.inputSettings)) return;
+        this.inputSettings[data.key] = data.value;
+        
+        if (data.key !== 'combatInput') return;
+        this.activeCombats.forEach((combatData, entityId) => {
+            if (combatData.attackerId !== entityId) return;
+            
+            combatData.inputMode = data.value;
+            combatData.hold = { held: false, charge: 0, pending: 0 };
+            combatData.rhythm = null;
+        });
     }
 
     /**
@@ -173,7 +440,7 @@ export default class CombatSystem {
      * @param {number} deltaTime 
      */
     update(deltaTime) {
-        const now = Date.now();
+        const now = this.clock.now();
         
         // Process each active combat
         this.activeCombats.forEach((combatData, entityId) => {
@@ -182,8 +449,15 @@ export default class CombatSystem {
             
             if (combatData.state !== 'active') return;
             
-            // Process enemy clicks
+            // Process enemy clicks and special moves
             this.processEnemyClicks(combatData, now);
+            this.processEnemyMoves(combatData, now);
+            
+            // Held pushes and rhythm beats; a push can win before the drain pulls back
+            this.processHold(combatData, deltaTime);
+            this.processRhythm(combatData, now);
+            this.checkCombatEnd(combatData);
+            if (combatData.state !== 'active') return;
             
             // Update tug position based on DPS difference
             this.updateTugPosition(combatData, deltaTime);
@@ -200,7 +474,7 @@ export default class CombatSystem {
      */
     processEnemyClicks(combatData, now) {
         const defender = this.entityManager.getEntity(combatData.defenderId);
-        if (!defender || !defender.hasTag('enemy')) return;
+        if (!defender || !this.config.aiTags.some(tag => defender.hasTag(tag))) return;
         
         // Check if it's time for enemy to click
         if (now - combatData.lastDefenderClick >= this.config.enemyClickInterval) {
@@ -219,8 +493,357 @@ export default class CombatSystem {
             // Level 2: ~5-8 clicks/sec needed  
             // Level 3: ~8-12 clicks/sec needed
             // Level 4: ~12-15 clicks/sec needed
-            combatData.drainRate = 0.15 + (enemyLevel * 0.08) + (enemyPower * 0.02);
+            combatData.drainRate = (0.15 + (enemyLevel * 0.08) + (enemyPower * 0.02)) * this.getDrainScale();
+        }
+    }
+
+    /**
+     * drainRate multiplier from the reduced intensity setting
+     * @returns {number}
+     */
+    getDrainScale() {
+        return this.inputSettings.reducedIntensity ? this.config.reducedDrainScale : 1;
+    }
+
+    /**
+     * Charge a held push and turn it into whole clicks; letting go drops the charge
+     * @param {Object} combatData 
+     * @param {number} deltaTime 
+     */
+    processHold(combatData, deltaTime) {
+        const hold = combatData.hold;
+        if (combatData.inputMode !== 'hold') return;
+        
+        if (!hold.held) {
+            hold.charge = 0;
+            hold.pending = 0;
+            return;
+        }
+        
+        hold.charge = Math.min(1, hold.charge + deltaTime / this.config.holdChargeTime);
+        hold.pending += this.config.holdClicksPerSecond * hold.charge * (deltaTime / 1000);
+        
+        const clicks = Math.floor(hold.pending);
+        const player = this.entityManager.getEntity(combatData.attackerId);
+        if (clicks < 1 || !player) return;
+        
+        hold.pending -= clicks;
+        this.pushBar(player, combatData, clicks);
+    }
+
+    /**
+     * Keep the beat going in 'rhythm' mode, announcing each one before it arrives
+     * @param {Object} combatData 
+     * @param {number} now 
+     */
+    processRhythm(combatData, now) {
+        if (combatData.inputMode !== 'rhythm') return;
+        
+        const { rhythmInterval, rhythmWindow } = this.config;
+        const rhythm = combatData.rhythm;
+        if (rhythm && now <= rhythm.beatAt + rhythmWindow) return;
+        
+        // First beat, or the last one has passed; fall back in step after a long frame
+        let beatAt = rhythm ? rhythm.beatAt + rhythmInterval : now + rhythmInterval;
+        if (beatAt + rhythmWindow < now) beatAt = now + rhythmInterval;
+        combatData.rhythm = { beatAt, hit: false };
+        
+        this.eventBus.emit('combat:rhythm-beat', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            beatAt,
+            window: rhythmWindow,
+            interval: rhythmInterval
+        });
+    }
+
+    /**
+     * Run the defender's special moves and boss phases
+     * @param {Object} combatData 
+     * @param {number} now 
+     */
+    processEnemyMoves(combatData, now) {
+        const defender = this.entityManager.getEntity(combatData.defenderId);
+        if (!defender || !this.config.aiTags.some(tag => defender.hasTag(tag))) return;
+        
+        const enemyData = defender.getComponent('enemyData');
+        if (!enemyData) return;
+        
+        this.checkPhase(combatData, enemyData, now);
+        
+        // Nobody clicked inside the window
+        const parry = combatData.parry;
+        if (parry && !parry.result && now > parry.closesAt) {
+            if (parry.feint) {
+                parry.result = 'ignored'; // Not biting on a feint is the right call
+            } else {
+                this.resolveParry(combatData, 'miss', 'late', now);
+            }
+        }
+        
+        // A move in progress plays out first
+        const move = combatData.move;
+        if (move) {
+            if (move.state === 'telegraph' && now >= move.startsAt) {
+                this.startMove(combatData, now);
+            } else if (move.state === 'active' && now >= move.endsAt) {
+                this.endMove(combatData, now);
+            }
+            return;
+        }
+        
+        const moveSet = this.getMoveSet(combatData, enemyData);
+        
+        // Reactive moves answer the bar position, once per fight
+        const reactive = moveSet.find(candidate => candidate.tugAbove !== undefined
+            && combatData.tugPosition >= candidate.tugAbove
+            && !combatData.usedMoves.includes(candidate.name));
+        if (reactive) {
+            this.telegraphMove(combatData, reactive, now);
+            return;
+        }
+        
+        if (now < combatData.nextMoveAt) return;
+        
+        const next = this.pickMove(moveSet.filter(candidate => candidate.tugAbove === undefined));
+        if (next) {
+            this.telegraphMove(combatData, next, now);
+        } else {
+            combatData.nextMoveAt = now + this.getMoveDelay();
+        }
+    }
+
+    /**
+     * Enter the highest boss phase the bar has reached
+     * @param {Object} combatData 
+     * @param {Object} enemyData 
+     * @param {number} now 
+     */
+    checkPhase(combatData, enemyData, now) {
+        const phases = enemyData.phases || [];
+        let phaseIndex = combatData.phaseIndex;
+        
+        phases.forEach((phase, index) => {
+            if (index > phaseIndex && combatData.tugPosition >= phase.tugAbove) phaseIndex = index;
+        });
+        if (phaseIndex === combatData.phaseIndex) return;
+        
+        const phase = phases[phaseIndex];
+        combatData.phaseIndex = phaseIndex;
+        
+        // A phase change interrupts whatever move was coming
+        combatData.move = null;
+        combatData.parry = null;
+        combatData.drainMultiplier = phase.drainMultiplier ?? 1;
+        combatData.pushMultiplier = 1;
+        combatData.nextMoveAt = now + this.getMoveDelay();
+        if (phase.pull) {
+            combatData.tugPosition = Math.max(0, combatData.tugPosition - phase.pull);
+        }
+        
+        this.eventBus.emit('combat:phase-changed', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            phaseIndex,
+            name: phase.name,
+            message: phase.message || null,
+            tugPosition: combatData.tugPosition
+        });
+    }
+
+    /**
+     * Moves available in the current phase
+     * @param {Object} combatData 
+     * @param {Object} enemyData 
+     * @returns {Array}
+     */
+    getMoveSet(combatData, enemyData) {
+        const phase = enemyData.phases?.[combatData.phaseIndex];
+        return phase?.moveSet || enemyData.moveSet || [];
+    }
+
+    /**
+     * Pick a move by weight
+     * @param {Array} moves 
+     * @returns {Object|null}
+     */
+    pickMove(moves) {
+        const totalWeight = moves.reduce((total, move) => total + (move.weight ?? 1), 0);
+        if (totalWeight <= 0) return null;
+        
+        let roll = Random.next() * totalWeight;
+        for (const move of moves) {
+            roll -= move.weight ?? 1;
+            if (roll < 0) return move;
         }
+        return moves[moves.length - 1];
+    }
+
+    /**
+     * Wait before the next random move
+     * @returns {number}
+     */
+    getMoveDelay() {
+        return this.config.moveInterval + Random.next() * this.config.moveIntervalJitter;
+    }
+
+    /**
+     * Warn the player that a move is coming; feints look like the move they disguise
+     * @param {Object} combatData 
+     * @param {Object} move - Move definition
+     * @param {number} now 
+     */
+    telegraphMove(combatData, move, now) {
+        const startsAt = now + (move.telegraph ?? 0);
+        combatData.move = { ...move, state: 'telegraph', startsAt };
+        combatData.parry = this.config.parryableMoves.includes(move.type)
+            ? this.createParryWindow(combatData, startsAt, move.type === 'feint')
+            : null;
+        if (move.tugAbove !== undefined) combatData.usedMoves.push(move.name);
+        
+        const isFeint = move.type === 'feint';
+        this.eventBus.emit('combat:move-telegraph', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            type: isFeint ? 'surge' : move.type,
+            name: isFeint ? (move.disguise || move.name) : move.name,
+            telegraph: move.telegraph ?? 0,
+            parry: combatData.parry && { ...combatData.parry, shownAt: now }
+        });
+    }
+
+    /**
+     * Timing window around a move's landing, widened by the attacker's talents
+     * @param {Object} combatData 
+     * @param {number} landsAt 
+     * @param {boolean} feint 
+     * @returns {Object}
+     */
+    createParryWindow(combatData, landsAt, feint) {
+        const attacker = this.entityManager.getEntity(combatData.attackerId);
+        const widen = attacker?.getComponent('talentBonuses')?.parryWindowMultiplier || 1;
+        const perfect = this.config.parryPerfectWindow * widen;
+        const good = this.config.parryGoodWindow * widen;
+        
+        return {
+            opensAt: landsAt - good,
+            perfectFrom: landsAt - perfect,
+            perfectUntil: landsAt + perfect,
+            closesAt: landsAt + good,
+            landsAt,
+            feint,
+            result: null
+        };
+    }
+
+    /**
+     * Judge a click against the open parry window
+     * @param {Object} combatData 
+     * @param {number} now 
+     */
+    checkParry(combatData, now) {
+        const parry = combatData.parry;
+        if (!parry || parry.result) return;
+        
+        if (now < parry.opensAt) {
+            this.resolveParry(combatData, 'miss', 'early', now);
+        } else if (parry.feint) {
+            this.resolveParry(combatData, 'miss', 'feint', now);
+        } else if (now >= parry.perfectFrom && now <= parry.perfectUntil) {
+            this.resolveParry(combatData, 'perfect', null, now);
+        } else {
+            this.resolveParry(combatData, 'good', null, now);
+        }
+    }
+
+    /**
+     * Apply a parry result; a counter cancels the move and swings the bar
+     * @param {Object} combatData 
+     * @param {string} result - 'perfect' | 'good' | 'miss'
+     * @param {string|null} reason - Why it missed: 'early' | 'late' | 'feint'
+     * @param {number} now 
+     */
+    resolveParry(combatData, result, reason, now) {
+        combatData.parry.result = result;
+        const moveName = combatData.move?.name || null;
+        
+        const swing = this.config.parrySwing[result] || 0;
+        if (swing > 0) {
+            combatData.tugPosition = Math.min(1, combatData.tugPosition + swing);
+            if (combatData.move) this.endMove(combatData, now, true);
+        }
+        
+        this.eventBus.emit('combat:parry', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            result,
+            reason,
+            moveName,
+            swing,
+            tugPosition: combatData.tugPosition
+        });
+    }
+
+    /**
+     * Land the telegraphed move
+     * @param {Object} combatData 
+     * @param {number} now 
+     */
+    startMove(combatData, now) {
+        const move = combatData.move;
+        const phaseDrain = this.getPhaseDrain(combatData);
+        
+        move.state = 'active';
+        move.endsAt = now + (move.duration ?? 0);
+        combatData.drainMultiplier = phaseDrain * (move.drainMultiplier ?? 1);
+        combatData.pushMultiplier = move.pushMultiplier ?? 1;
+        if (move.pull) {
+            combatData.tugPosition = Math.max(0, combatData.tugPosition - move.pull);
+        }
+        
+        this.eventBus.emit('combat:move-started', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            type: move.type,
+            name: move.name,
+            duration: move.duration ?? 0,
+            tugPosition: combatData.tugPosition
+        });
+    }
+
+    /**
+     * Finish a move and schedule the next one
+     * @param {Object} combatData 
+     * @param {number} now 
+     * @param {boolean} countered - Cut short by a parry
+     */
+    endMove(combatData, now, countered = false) {
+        const move = combatData.move;
+        
+        combatData.move = null;
+        combatData.parry = null;
+        combatData.drainMultiplier = this.getPhaseDrain(combatData);
+        combatData.pushMultiplier = 1;
+        combatData.nextMoveAt = now + this.getMoveDelay();
+        
+        this.eventBus.emit('combat:move-ended', {
+            attackerId: combatData.attackerId,
+            defenderId: combatData.defenderId,
+            type: move.type,
+            name: move.name,
+            countered
+        });
+    }
+
+    /**
+     * Drain multiplier of the current boss phase
+     * @param {Object} combatData 
+     * @returns {number}
+     */
+    getPhaseDrain(combatData) {
+        const defender = this.entityManager.getEntity(combatData.defenderId);
+        const phase = defender?.getComponent('enemyData')?.phases?.[combatData.phaseIndex];
+        return phase?.drainMultiplier ?? 1;
     }
 
     /**
@@ -229,8 +852,10 @@ export default class CombatSystem {
      * @param {number} deltaTime 
      */
     updateTugPosition(combatData, deltaTime) {
-        // Automatically drain the bar
-        const drainPerFrame = combatData.drainRate * (deltaTime / 1000);
+        // Automatically drain the bar, slowed by the attacker's drain resistance
+        const attacker = this.entityManager.getEntity(combatData.attackerId);
+        const drainResistance = attacker?.getComponent('stats')?.drainResistance || 0;
+        const drainPerFrame = combatData.drainRate * combatData.drainMultiplier * (1 - drainResistance) * (deltaTime / 1000);
         combatData.tugPosition -= drainPerFrame;
         
         // Clamp between 0 and 1
@@ -269,7 +894,16 @@ export default class CombatSystem {
             const attacker = this.entityManager.getEntity(combatData.attackerId);
             const defender = this.entityManager.getEntity(combatData.defenderId);
             
-            if (result === 'victory' && attacker && defender) {
+            if (combatData.mode === 'bout') {
+                // Tournament bouts report the result and leave rewards to the organiser
+                this.eventBus.emit('combat:bout-ended', {
+                    attackerId: combatData.attackerId,
+                    defenderId: combatData.defenderId,
+                    result,
+                    flagged: combatData.flagged,
+                    combatData
+                });
+            } else if (result === 'victory' && attacker && defender) {
                 // Calculate XP and loot
                 const defenderPower = defender.getComponent('power');
                 const xpGained = Math.floor((defenderPower?.value || 1) * 10);
@@ -280,17 +914,22 @@ export default class CombatSystem {
                     loserId: combatData.defenderId,
                     xpGained,
                     goldGained,
+                    flagged: combatData.flagged,
                     combatData
                 });
                 
-                // Destroy defeated enemy
+                // The loser takes the hit through HealthSystem, then the defeated enemy goes
+                this.dealLoserDamage(combatData.attackerId, combatData.defenderId);
                 this.entityManager.scheduleDestroy(combatData.defenderId);
             } else if (result === 'defeat') {
                 this.eventBus.emit('combat:defeat', {
                     winnerId: combatData.defenderId,
                     loserId: combatData.attackerId,
+                    flagged: combatData.flagged,
                     combatData
                 });
+                
+                this.dealLoserDamage(combatData.defenderId, combatData.attackerId);
             }
             
             // End combat
@@ -298,6 +937,23 @@ export default class CombatSystem {
         }
     }
 
+    /**
+     * Damage the loser of a fight by `config.loserDamage` of their max health
+     * @param {string} winnerId 
+     * @param {string} loserId 
+     */
+    dealLoserDamage(winnerId, loserId) {
+        const health = this.entityManager.getEntity(loserId)?.getComponent('health');
+        if (!health) return;
+        
+        this.eventBus.emit('damage:deal', {
+            attackerId: winnerId,
+            targetId: loserId,
+            amount: health.max * this.config.loserDamage,
+            type: 'combat'
+        });
+    }
+
     /**
      * Flee from combat
      * @param {Object} data - { entityId }
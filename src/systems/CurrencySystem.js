@@ -0,0 +1,280 @@
+/**
+ * CurrencySystem - Wallets, balances and the transaction log
+ * Branch-level system that owns every currency balance in the game
+ *
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
+ *
+ * Balances live in a `wallet { balances: { currencyId: amount } }` component.
+ * Every change is a transaction: all of its changes apply or none do.
+ * - 'currency:earn' / 'currency:spend' { entityId, currency, amount, reason, transactionId, onComplete }
+ * - 'currency:transaction' { entityId, changes: { currencyId: delta }, reason, transactionId, onComplete }
+ * onComplete(transaction, error) gets the logged transaction, or null and a reason.
+ */
+import GameClock from '../core/GameClock.js';
+
+export default class CurrencySystem {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.clock = clock;
+
+        // Currency configuration
+        this.config = {
+            currencies: {
+                gold: { name: 'Gold', symbol: 'g' },
+                trophy_tokens: { name: 'Trophy Tokens', symbol: 'TT' }
+            },
+            walletTags: ['player'], // Entities that start with a wallet
+            maxLogEntries: 200
+        };
+
+        // Most recent transactions, oldest first
+        this.transactionLog = [];
+        this.nextTransactionId = 1;
+
+        this.setupEventListeners();
+        this.registerMigrations();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Wallet requests
+        this.eventBus.on('currency:earn', (data) => this.earn(data));
+        this.eventBus.on('currency:spend', (data) => this.spend(data));
+        this.eventBus.on('currency:transaction', (data) => this.applyTransaction(data));
+
+        // Entity events
+        this.eventBus.on('entity:created', this.initializeWallet.bind(this));
+
+        // Rewards
+        this.eventBus.on('combat:victory', (data) => {
+            if (data.goldGained > 0) {
+                this.earn({ entityId: data.winnerId, currency: 'gold', amount: data.goldGained, reason: 'combat' });
+            }
+        });
+
+        // Save/load - balances save with the entities, the log saves here
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.currency = {
+                transactionLog: this.transactionLog.map(transaction => ({ ...transaction })),
+                nextTransactionId: this.nextTransactionId
+            };
+        });
+        this.eventBus.on('save:restore', this.restoreState.bind(this));
+    }
+
+    /**
+     * Move gold kept on the inventory by older saves into the wallet
+     */
+    registerMigrations() {
+        this.eventBus.emit('resource:register-migration', {
+            slice: 'entities',
+            from: 1,
+            to: 2,
+            migrate: (entities) => entities.map(entityData => {
+                const inventory = entityData.components?.inventory;
+                if (!inventory || !('gold' in inventory)) return entityData;
+
+                const { gold, ...rest } = inventory;
+                const wallet = entityData.components.wallet || { balances: {} };
+                wallet.balances.gold = (wallet.balances.gold || 0) + (gold || 0);
+
+                return {
+                    ...entityData,
+                    components: { ...entityData.components, inventory: rest, wallet }
+                };
+            })
+        });
+    }
+
+    /**
+     * Restore the transaction log from a save
+     * @param {Object} data - { slices }
+     */
+    restoreState(data) {
+        const saved = data.slices.currency;
+        if (!saved) return;
+
+        this.transactionLog = (saved.transactionLog || []).map(transaction => ({ ...transaction }));
+        this.nextTransactionId = saved.nextTransactionId || this.transactionLog.length + 1;
+    }
+
+    /**
+     * Give new players an empty wallet
+     * @param {Object} data - { entity }
+     */
+    initializeWallet(data) {
+        const { entity } = data;
+        if (!this.config.walletTags.some(tag => entity.hasTag(tag))) return;
+
+        this.getWallet(entity);
+    }
+
+    /**
+     * An entity's wallet, created on first use
+     * @param {Entity} entity
+     * @returns {Object} { balances }
+     */
+    getWallet(entity) {
+        if (!entity.hasComponent('wallet')) {
+            entity.addComponent('wallet', { balances: {} });
+        }
+
+        const wallet = entity.getComponent('wallet');
+        Object.keys(this.config.currencies).forEach(currency => {
+            wallet.balances[currency] = wallet.balances[currency] || 0;
+        });
+
+        return wallet;
+    }
+
+    /**
+     * Add to a balance
+     * @param {Object} data - { entityId, currency, amount, reason, transactionId, onComplete }
+     * @returns {Object|null} The logged transaction
+     */
+    earn(data) {
+        const { currency = 'gold', amount } = data;
+        return this.applyTransaction({ ...data, changes: { [currency]: amount } });
+    }
+
+    /**
+     * Take from a balance, failing if there isn't enough
+     * @param {Object} data - { entityId, currency, amount, reason, transactionId, onComplete }
+     * @returns {Object|null} The logged transaction
+     */
+    spend(data) {
+        const { currency = 'gold', amount } = data;
+        return this.applyTransaction({ ...data, changes: { [currency]: -amount } });
+    }
+
+    /**
+     * Apply a set of balance changes all together, or not at all
+     * @param {Object} data - { entityId, changes, reason, transactionId, onComplete }
+     * @returns {Object|null} The logged transaction
+     */
+    applyTransaction(data) {
+        const { entityId, changes = {}, reason = 'unknown', onComplete } = data;
+        const finish = (transaction, error = null) => {
+            if (onComplete) onComplete(transaction, error);
+            return transaction;
+        };
+
+        // A retried request with the same id is applied once
+        if (data.transactionId) {
+            const existing = this.transactionLog.find(transaction => transaction.id === data.transactionId);
+            if (existing) return finish(existing);
+        }
+
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity) {
+            return finish(null, this.reportError(entityId, 'No such entity', data));
+        }
+
+        const entries = Object.entries(changes).filter(([, delta]) => delta !== 0);
+        for (const [currency, delta] of entries) {
+            if (!this.config.currencies[currency]) {
+                return finish(null, this.reportError(entityId, `Unknown currency: ${currency}`, data));
+            }
+            if (!Number.isFinite(delta) || !Number.isInteger(delta)) {
+                return finish(null, this.reportError(entityId, `Invalid ${currency} amount: ${delta}`, data));
+            }
+        }
+
+        const wallet = this.getWallet(entity);
+
+        // Check everything before touching any balance
+        for (const [currency, delta] of entries) {
+            const balance = wallet.balances[currency];
+            if (balance + delta < 0) {
+                const error = `Not enough ${this.config.currencies[currency].name.toLowerCase()}`;
+                this.eventBus.emit('currency:insufficient-funds', {
+                    entityId,
+                    currency,
+                    required: -delta,
+                    balance,
+                    reason,
+                    transactionId: data.transactionId
+                });
+                return finish(null, error);
+            }
+        }
+
+        const transaction = {
+            id: data.transactionId || `txn_${this.nextTransactionId++}`,
+            entityId,
+            changes: Object.fromEntries(entries),
+            reason,
+            gameTime: this.clock.now()
+        };
+
+        entries.forEach(([currency, delta]) => {
+            wallet.balances[currency] += delta;
+            this.eventBus.emit('currency:changed', {
+                entityId,
+                currency,
+                balance: wallet.balances[currency],
+                delta,
+                reason,
+                transactionId: transaction.id
+            });
+        });
+
+        this.transactionLog.push(transaction);
+        if (this.transactionLog.length > this.config.maxLogEntries) {
+            this.transactionLog.shift();
+        }
+
+        this.eventBus.emit('currency:transaction-completed', { transaction });
+        return finish(transaction);
+    }
+
+    /**
+     * Report a malformed request
+     * @param {string} entityId
+     * @param {string} error
+     * @param {Object} data - The request
+     * @returns {string} The error
+     */
+    reportError(entityId, error, data) {
+        this.eventBus.emit('currency:error', {
+            entityId,
+            error,
+            transactionId: data.transactionId
+        });
+        return error;
+    }
+
+    /**
+     * Current balance
+     * @param {string} entityId
+     * @param {string} currency
+     * @returns {number}
+     */
+    getBalance(entityId, currency = 'gold') {
+        const entity = this.entityManager.getEntity(entityId);
+        return entity?.getComponent('wallet')?.balances[currency] || 0;
+    }
+
+    /**
+     * Logged transactions for an entity, newest first
+     * @param {string} entityId
+     * @param {number} limit
+     * @returns {Array<Object>}
+     */
+    getTransactions(entityId, limit = 20) {
+        return this.transactionLog
+            .filter(transaction => transaction.entityId === entityId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.transactionLog = [];
+    }
+}
@@ -41,7 +41,28 @@ export default class DebugSystem {
                     { label: 'Advance 1 Hour', event: 'time:advance', data: { minutes: 60 } },
                     { label: 'Advance 1 Day', event: 'time:advance', data: { minutes: 1440 } },
                     { label: 'Pause Time', event: 'time:pause' },
-                    { label: 'Resume Time', event: 'time:resume' }
+                    { label: 'Resume Time', event: 'time:resume' },
+                    { label: 'Pause Game Clock', event: 'game:pause' },
+                    { label: 'Resume Game Clock', event: 'game:resume' },
+                    { label: 'Game Speed x1', event: 'clock:set-scale', data: { scale: 1 } },
+                    { label: 'Game Speed x4', event: 'clock:set-scale', data: { scale: 4 } },
+                    { label: 'Fast-Forward 1 Day', event: 'clock:step', data: { ms: 24 * 60 * 1000 } }
+                ]
+            },
+            
+            saves: {
+                name: 'Save/Load',
+                items: [
+                    { label: 'Save to Slot 1', event: 'save:request', data: { slotId: 'slot1' } },
+                    { label: 'Save to Slot 2', event: 'save:request', data: { slotId: 'slot2' } },
+                    { label: 'Save to Slot 3', event: 'save:request', data: { slotId: 'slot3' } },
+                    { label: 'Load Slot 1', event: 'save:load', data: { slotId: 'slot1' } },
+                    { label: 'Load Slot 2', event: 'save:load', data: { slotId: 'slot2' } },
+                    { label: 'Load Slot 3', event: 'save:load', data: { slotId: 'slot3' } },
+                    { label: 'Load Autosave', event: 'save:load', data: { slotId: 'autosave' } },
+                    { label: 'List Saves', event: 'save:list' },
+                    { label: 'Export Slot 1 (.json)', event: 'save:export', data: { slotId: 'slot1' } },
+                    { label: 'Import File to Slot 1', event: 'save:import-request', data: { slotId: 'slot1' } }
                 ]
             },
             
@@ -51,9 +72,13 @@ export default class DebugSystem {
                     { label: 'Heal Full', event: 'debug:player-heal', data: { amount: 9999 } },
                     { label: 'Damage Player (20)', event: 'debug:player-damage', data: { amount: 20 } },
                     { label: 'Add 1000 XP', event: 'progression:add-xp', data: { amount: 1000 } },
-                    { label: 'Add Power (+5)', event: 'debug:player-stat', data: { stat: 'power', amount: 5 } },
+                    { label: 'Add Power (+5)', event: 'debug:player-stat', data: { stat: 'clickPower', amount: 5 } },
                     { label: 'Give Protein Shake', event: 'debug:give-item', data: { itemId: 'protein_shake', quantity: 5 } },
+                    { label: 'Give Rolled Gloves (Tier 4)', event: 'debug:give-gear', data: { itemId: 'squirrel_gloves', tier: 4 } },
+                    { label: 'Auto-Equip Best Gear', event: 'debug:auto-equip' },
+                    { label: 'Disenchant Spare Gear', event: 'debug:disenchant-spare' },
                     { label: 'Give 1000 Gold', event: 'debug:give-gold', data: { amount: 1000 } },
+                    { label: 'Give 10 Trophy Tokens', event: 'debug:give-gold', data: { amount: 10, currency: 'trophy_tokens' } },
                     { label: 'Teleport to Spawn', event: 'debug:teleport', data: { x: 0, y: 0 } }
                 ]
             },
@@ -125,11 +150,19 @@ export default class DebugSystem {
                     { label: 'Show Player Stats', event: 'debug:show-player-stats' },
                     { label: 'Show Current Zone', event: 'debug:show-current-zone' },
                     { label: 'Clear Console', event: 'debug:clear-console' },
-                    { label: 'Toggle Debug Logging', event: 'debug:toggle-logging' }
+                    { label: 'Toggle Debug Logging', event: 'debug:toggle-logging' },
+                    { label: 'Show Event Graph', event: 'debug:show-event-report' },
+                    { label: 'Export Event Log (.json)', event: 'debug:export-event-log' },
+                    { label: 'Replay Event Log File', event: 'debug:replay-event-log' }
                 ]
             }
         };
         
+        // Debug configuration
+        this.config = {
+            damageInterceptPriority: 100 // Runs before other damage interceptors
+        };
+        
         // Debug flags
         this.debugFlags = {
             godMode: false,
@@ -165,6 +198,9 @@ export default class DebugSystem {
         this.eventBus.on('debug:player-stat', this.modifyPlayerStat.bind(this));
         this.eventBus.on('debug:give-item', this.giveItem.bind(this));
         this.eventBus.on('debug:give-gold', this.giveGold.bind(this));
+        this.eventBus.on('debug:give-gear', this.giveGear.bind(this));
+        this.eventBus.on('debug:auto-equip', this.autoEquip.bind(this));
+        this.eventBus.on('debug:disenchant-spare', this.disenchantSpareGear.bind(this));
         this.eventBus.on('debug:teleport', this.teleportPlayer.bind(this));
         
         // System commands
@@ -175,6 +211,12 @@ export default class DebugSystem {
             this.debugFlags.verboseLogging = !this.debugFlags.verboseLogging;
             console.log('Verbose logging:', this.debugFlags.verboseLogging);
         });
+        this.eventBus.on('save:list-result', (data) => {
+            console.log('[DEBUG] Save slots:');
+            data.saves.forEach(save => {
+                console.log(`  ${save.slotId}: Lv ${save.level}, Day ${save.day}, ${Math.floor(save.playTime / 60000)} min played`);
+            });
+        });
         
         // Combat cheats
         this.eventBus.on('debug:toggle-god-mode', () => {
@@ -187,14 +229,17 @@ export default class DebugSystem {
             console.log('One-hit mode:', this.debugFlags.oneHitMode);
         });
         
-        // Intercept damage events for god mode
-        this.eventBus.on('damage:deal', (data) => {
+        // Intercept damage before HealthSystem sees it
+        this.eventBus.intercept('damage:deal', (data, event) => {
             if (this.debugFlags.godMode && this.isPlayer(data.targetId)) {
-                data.amount = 0;
+                event.cancel('god mode');
             } else if (this.debugFlags.oneHitMode && this.isPlayer(data.attackerId)) {
-                data.amount = 9999;
+                return { ...data, amount: 9999 };
             }
-        });
+        }, this.config.damageInterceptPriority);
+        this.eventBus.intercept('damage:environmental', (data, event) => {
+            if (this.debugFlags.godMode && this.isPlayer(data.entityId)) event.cancel('god mode');
+        }, this.config.damageInterceptPriority);
     }
 
     /**
@@ -312,15 +357,11 @@ export default class DebugSystem {
         const player = this.getPlayer();
         if (!player) return;
         
-        const health = player.getComponent('health');
-        if (health) {
-            health.current = Math.min(health.max, health.current + data.amount);
-            this.eventBus.emit('entity:healed', {
-                entityId: player.id,
-                amount: data.amount,
-                source: 'debug'
-            });
-        }
+        this.eventBus.emit('health:heal', {
+            entityId: player.id,
+            amount: data.amount,
+            source: 'debug'
+        });
     }
 
     /**
@@ -328,20 +369,16 @@ export default class DebugSystem {
      * @param {Object} data - { amount }
      */
     damagePlayer(data) {
-        if (this.debugFlags.godMode) {
-            console.log('[DEBUG] God mode active, no damage dealt');
-            return;
-        }
-        
         const player = this.getPlayer();
         if (!player) return;
         
-        this.eventBus.emit('damage:deal', {
+        const cancelled = this.eventBus.emit('damage:deal', {
             attackerId: 'debug',
             targetId: player.id,
             amount: data.amount,
             type: 'debug'
         });
+        if (cancelled) console.log('[DEBUG] God mode active, no damage dealt');
     }
 
     /**
@@ -352,6 +389,20 @@ export default class DebugSystem {
         const player = this.getPlayer();
         if (!player) return;
         
+        // Derived stats go through a StatsSystem modifier so recalculation keeps them
+        const stats = player.getComponent('stats');
+        if (stats && stats[data.stat] !== undefined) {
+            const modifiers = player.getComponent('statModifiers') || {};
+            const current = modifiers.debug?.flat || {};
+            this.eventBus.emit('stats:add-modifier', {
+                entityId: player.id,
+                source: 'debug',
+                flat: { ...current, [data.stat]: (current[data.stat] || 0) + data.amount }
+            });
+            console.log(`[DEBUG] ${data.stat} increased by ${data.amount}`);
+            return;
+        }
+        
         const component = player.getComponent(data.stat);
         if (component && component.value !== undefined) {
             component.value += data.amount;
@@ -375,12 +426,64 @@ export default class DebugSystem {
     }
 
     /**
-     * Give gold to player
-     * @param {Object} data - { amount }
+     * Give player a gear piece rolled as if an enemy of the given tier dropped it
+     * @param {Object} data - { itemId, tier }
+     */
+    giveGear(data) {
+        const player = this.getPlayer();
+        if (!player) return;
+        
+        this.eventBus.emit('inventory:add-item', {
+            entityId: player.id,
+            itemId: data.itemId,
+            tier: data.tier || 1
+        });
+    }
+
+    /**
+     * Equip the best gear the player is carrying
+     */
+    autoEquip() {
+        const player = this.getPlayer();
+        if (!player) return;
+        
+        this.eventBus.emit('inventory:auto-equip', { entityId: player.id });
+    }
+
+    /**
+     * Disenchant every unequipped gear piece the player is carrying
+     */
+    disenchantSpareGear() {
+        const player = this.getPlayer();
+        const inventory = player?.getComponent('inventory');
+        if (!inventory) return;
+        
+        inventory.items
+            .filter(item => item.gear && !item.equipped)
+            .forEach(item => {
+                this.eventBus.emit('inventory:disenchant', {
+                    entityId: player.id,
+                    instanceId: item.gear.instanceId
+                });
+            });
+    }
+
+    /**
+     * Give gold (or another currency) to player
+     * @param {Object} data - { amount, currency }
      */
     giveGold(data) {
-        // This would integrate with economy system
-        console.log(`[DEBUG] Gave ${data.amount} gold to player`);
+        const player = this.getPlayer();
+        if (!player) return;
+        
+        const currency = data.currency || 'gold';
+        this.eventBus.emit('currency:earn', {
+            entityId: player.id,
+            currency,
+            amount: data.amount,
+            reason: 'debug'
+        });
+        console.log(`[DEBUG] Gave ${data.amount} ${currency} to player`);
     }
 
     /**
@@ -391,14 +494,8 @@ export default class DebugSystem {
         const player = this.getPlayer();
         if (!player) return;
         
-        const position = player.getComponent('position');
-        if (position) {
-            position.x = data.x;
-            position.y = data.y;
-            position.worldX = data.x;
-            position.worldY = data.y;
-            position.pixelX = data.x * 32;
-            position.pixelY = data.y * 32;
+        if (player.hasComponent('position')) {
+            this.eventBus.emit('movement:set-position', { entityId: player.id, x: data.x, y: data.y });
             
             this.eventBus.emit('entity:teleported', {
                 entityId: player.id,
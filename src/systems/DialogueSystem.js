@@ -0,0 +1,548 @@
+/**
+ * DialogueSystem - Branching NPC conversations
+ * Branch-level system that walks JSON-authored dialogue graphs
+ *
+ * Dependencies: EventBus, EntityManager (trunk only)
+ *
+ * Dialogue graphs come from `src/data/dialogues.json` through 'resource:loaded':
+ *   { start, nodes: { nodeId: { speaker, text, choices, actions, next, branches } } }
+ * - branches: [{ conditions, next }] - silent routing, the first match wins
+ * - choices: [{ text, conditions, actions, next }] - hidden when conditions fail
+ * - no `next` ends the conversation
+ *
+ * Conditions read components owned by other systems:
+ * - progression.level (ProgressionSystem), faction.reputation (RelationshipSystem)
+ * - inventory.items (InventorySystem), wallet.balances (CurrencySystem)
+ * - quests { active, completed } (QuestSystem)
+ * - open tournament registrations, mirrored from tournament:* events
+ * - dialogueFlags (this system) for one-time choices
+ * Actions only ever emit requests to the systems that own the data.
+ */
+import Random from '../core/Random.js';
+
+export default class DialogueSystem {
+    constructor(eventBus, entityManager) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+
+        // Dialogue configuration
+        this.config = {
+            dialoguesKey: 'dialogues', // ResourceManager key of the dialogue graphs
+            maxBranchHops: 20 // Guards against branch loops that never show text
+        };
+
+        // dialogueId -> { start, nodes }
+        this.dialogues = new Map();
+
+        // playerId -> { npcId, dialogueId, nodeId, choices }
+        this.sessions = new Map();
+
+        // Mirrored from TimeSystem and TournamentSystem events
+        this.timeOfDay = 'day';
+        this.shopsOpen = false;
+        this.openTournaments = new Set();
+
+        // Condition checkers: (condition, player, session) -> boolean
+        this.conditionCheckers = {
+            level: (condition, player) => {
+                const level = player.getComponent('progression')?.level || 1;
+                return this.inRange(level, condition);
+            },
+            standing: (condition, player) => {
+                const standing = player.getComponent('faction')?.reputation?.[condition.faction] || 0;
+                return this.inRange(standing, condition);
+            },
+            timeOfDay: (condition) => [].concat(condition.is).includes(this.timeOfDay),
+            shopsOpen: (condition) => this.shopsOpen === (condition.is ?? true),
+            hasItem: (condition, player) => {
+                return this.countItem(player, condition.itemId) >= (condition.quantity || 1);
+            },
+            currency: (condition, player) => {
+                const balance = player.getComponent('wallet')?.balances[condition.currency || 'gold'] || 0;
+                return this.inRange(balance, condition);
+            },
+            flag: (condition, player) => {
+                const value = !!player.getComponent('dialogueFlags')?.[condition.flag];
+                return value === (condition.is ?? true);
+            },
+            quest: (condition, player) => {
+                return [].concat(condition.status).includes(this.getQuestStatus(player, condition.questId));
+            },
+            tournamentOpen: (condition) => {
+                const isOpen = condition.tournamentId
+                    ? this.openTournaments.has(condition.tournamentId)
+                    : this.openTournaments.size > 0;
+                return isOpen === (condition.is ?? true);
+            }
+        };
+
+        // Action handlers: (action, session) -> void
+        this.actionHandlers = {
+            giveItem: (action, session) => {
+                this.eventBus.emit('inventory:add-item', {
+                    entityId: session.playerId,
+                    itemId: action.itemId,
+                    quantity: action.quantity || 1
+                });
+            },
+            takeItem: (action, session) => this.takeItem(session.playerId, action.itemId, action.quantity || 1),
+            giveCurrency: (action, session) => {
+                this.eventBus.emit('currency:earn', {
+                    entityId: session.playerId,
+                    currency: action.currency || 'gold',
+                    amount: action.amount,
+                    reason: `dialogue:${session.dialogueId}`
+                });
+            },
+            reputation: (action, session) => {
+                this.eventBus.emit('relationship:modify', {
+                    entityId: session.playerId,
+                    faction: action.faction,
+                    amount: action.amount
+                });
+            },
+            startQuest: (action, session) => {
+                this.eventBus.emit('quest:start', {
+                    entityId: session.playerId,
+                    questId: action.questId,
+                    giverId: session.npcId
+                });
+            },
+            turnInQuest: (action, session) => {
+                this.eventBus.emit('quest:turn-in', {
+                    entityId: session.playerId,
+                    questId: action.questId
+                });
+            },
+            openShop: (action, session) => {
+                const neutralData = this.entityManager.getEntity(session.npcId)?.getComponent('neutralData');
+                this.eventBus.emit('shop:open', {
+                    entityId: session.npcId,
+                    playerId: session.playerId,
+                    shopType: neutralData?.type,
+                    shopId: action.shopId || neutralData?.shopId
+                });
+            },
+            setFlag: (action, session) => {
+                const player = this.entityManager.getEntity(session.playerId);
+                if (!player) return;
+                if (!player.hasComponent('dialogueFlags')) {
+                    player.addComponent('dialogueFlags', {});
+                }
+                player.getComponent('dialogueFlags')[action.flag] = action.value ?? true;
+            },
+            emit: (action, session) => {
+                this.eventBus.emit(action.event, {
+                    entityId: session.playerId,
+                    npcId: session.npcId,
+                    ...action.data
+                });
+            }
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Data
+        this.eventBus.on('resource:loaded', (data) => {
+            if (data.key === this.config.dialoguesKey) this.registerDialogues(data.data);
+        });
+
+        // Conversation requests
+        this.eventBus.on('dialogue:start', this.startDialogue.bind(this));
+        this.eventBus.on('dialogue:choose', this.choose.bind(this));
+        this.eventBus.on('dialogue:advance', (data) => this.advance(data.playerId));
+        this.eventBus.on('dialogue:end', (data) => this.endDialogue(data.playerId, 'closed-by-player'));
+
+        // Time of day conditions
+        this.eventBus.on('time:updated', (data) => this.setTime(data));
+        this.eventBus.on('time:changed', (data) => this.setTime(data.to));
+
+        // Tournament registration conditions
+        this.eventBus.on('tournament:registration-opened', (data) => this.openTournaments.add(data.tournamentId));
+        this.eventBus.on('tournament:registration-closed', (data) => this.openTournaments.delete(data.tournamentId));
+
+        // Conversations end when either side goes away
+        this.eventBus.on('entity:destroyed', (data) => {
+            this.sessions.forEach((session, playerId) => {
+                if (playerId === data.entityId || session.npcId === data.entityId) {
+                    this.endDialogue(playerId, 'entity-destroyed');
+                }
+            });
+        });
+    }
+
+    /**
+     * Track TimeSystem state used by conditions
+     * @param {Object} time - { timeOfDay, shopsOpen }
+     */
+    setTime(time) {
+        if (!time) return;
+        if (time.timeOfDay) this.timeOfDay = time.timeOfDay;
+        if (typeof time.shopsOpen === 'boolean') this.shopsOpen = time.shopsOpen;
+    }
+
+    /**
+     * Register dialogue graphs, skipping any that fail validation
+     * @param {Object} definitions - { version, dialogues: { dialogueId: { start, nodes } } }
+     */
+    registerDialogues(definitions) {
+        Object.entries(definitions?.dialogues || {}).forEach(([dialogueId, graph]) => {
+            const errors = this.validateDialogue(graph);
+            if (errors.length > 0) {
+                errors.forEach(error => console.error(`[DialogueSystem] Dialogue "${dialogueId}": ${error}`));
+                return;
+            }
+
+            this.dialogues.set(dialogueId, graph);
+        });
+
+        this.eventBus.emit('dialogue:definitions-loaded', { dialogueCount: this.dialogues.size });
+    }
+
+    /**
+     * Check a graph's node references, conditions and actions
+     * @param {Object} graph - { start, nodes }
+     * @returns {Array<string>} Errors, empty when valid
+     */
+    validateDialogue(graph) {
+        const nodes = graph?.nodes;
+        if (!nodes || typeof nodes !== 'object') return ['needs a "nodes" object'];
+
+        const errors = [];
+        const checkNext = (next, where) => {
+            if (next && !nodes[next]) errors.push(`${where} points to missing node "${next}"`);
+        };
+        const checkConditions = (conditions = [], where) => {
+            conditions.forEach(condition => {
+                if (!this.conditionCheckers[condition?.type]) {
+                    errors.push(`${where} has unknown condition "${condition?.type}"`);
+                }
+            });
+        };
+        const checkActions = (actions = [], where) => {
+            actions.forEach(action => {
+                if (!this.actionHandlers[action?.type]) {
+                    errors.push(`${where} has unknown action "${action?.type}"`);
+                }
+            });
+        };
+
+        if (!nodes[graph.start]) errors.push(`start node "${graph.start}" does not exist`);
+
+        Object.entries(nodes).forEach(([nodeId, node]) => {
+            const where = `node "${nodeId}"`;
+            checkNext(node.next, where);
+            checkActions(node.actions, where);
+
+            (node.branches || []).forEach((branch, index) => {
+                checkNext(branch.next, `${where} branch ${index}`);
+                checkConditions(branch.conditions, `${where} branch ${index}`);
+            });
+            (node.choices || []).forEach((choice, index) => {
+                checkNext(choice.next, `${where} choice ${index}`);
+                checkConditions(choice.conditions, `${where} choice ${index}`);
+                checkActions(choice.actions, `${where} choice ${index}`);
+            });
+
+            if (!node.text && !node.branches && !node.next) {
+                errors.push(`${where} has no text, branches or next`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Start a conversation between a player and an NPC
+     * @param {Object} data - { entityId (npc), playerId, dialogueId }
+     */
+    startDialogue(data) {
+        const { entityId: npcId, playerId } = data;
+        const npc = this.entityManager.getEntity(npcId);
+        const player = this.entityManager.getEntity(playerId);
+        if (!npc || !player) return;
+
+        const dialogueId = data.dialogueId || npc.getComponent('neutralData')?.dialogueId;
+        const graph = this.dialogues.get(dialogueId);
+        if (!graph) {
+            this.showOneLiner(npc);
+            return;
+        }
+
+        // Talking to someone new drops the old conversation
+        if (this.sessions.has(playerId)) {
+            this.endDialogue(playerId, 'replaced');
+        }
+
+        const session = { playerId, npcId, dialogueId, nodeId: null, choices: [] };
+        this.sessions.set(playerId, session);
+
+        this.eventBus.emit('dialogue:started', { playerId, npcId, dialogueId });
+        this.enterNode(session, graph.start);
+    }
+
+    /**
+     * Fall back to one of the NPC's flat one-liners
+     * @param {Entity} npc
+     */
+    showOneLiner(npc) {
+        const lines = npc.getComponent('neutralData')?.dialogues || [];
+        if (lines.length === 0) return;
+
+        this.eventBus.emit('dialogue:show', {
+            entityId: npc.id,
+            text: lines[Math.floor(Random.next() * lines.length)],
+            position: npc.getComponent('position')
+        });
+    }
+
+    /**
+     * Move to a node, following silent branches until one has text to show
+     * @param {Object} session
+     * @param {string} nodeId
+     */
+    enterNode(session, nodeId) {
+        const graph = this.dialogues.get(session.dialogueId);
+        const player = this.entityManager.getEntity(session.playerId);
+        let hops = 0;
+
+        while (nodeId) {
+            if (++hops > this.config.maxBranchHops) {
+                console.error(`[DialogueSystem] Dialogue "${session.dialogueId}" loops at node "${nodeId}"`);
+                break;
+            }
+
+            const node = graph.nodes[nodeId];
+            this.runActions(node.actions, session);
+
+            if (node.branches) {
+                const branch = node.branches.find(entry => this.checkConditions(entry.conditions, player, session));
+                nodeId = branch?.next || null;
+                continue;
+            }
+
+            if (!node.text) {
+                nodeId = node.next || null;
+                continue;
+            }
+
+            this.showNode(session, nodeId, node, player);
+            return;
+        }
+
+        this.endDialogue(session.playerId, 'finished');
+    }
+
+    /**
+     * Show a node's text and the choices the player qualifies for
+     * @param {Object} session
+     * @param {string} nodeId
+     * @param {Object} node
+     * @param {Entity} player
+     */
+    showNode(session, nodeId, node, player) {
+        const npc = this.entityManager.getEntity(session.npcId);
+
+        session.nodeId = nodeId;
+        session.choices = (node.choices || [])
+            .map((choice, index) => ({ ...choice, index }))
+            .filter(choice => this.checkConditions(choice.conditions, player, session));
+
+        this.eventBus.emit('dialogue:node', {
+            playerId: session.playerId,
+            npcId: session.npcId,
+            dialogueId: session.dialogueId,
+            nodeId,
+            speaker: node.speaker || npc?.getComponent('appearance')?.name || 'Stranger',
+            text: node.text,
+            choices: session.choices.map(choice => ({ index: choice.index, text: choice.text })),
+            canAdvance: session.choices.length === 0
+        });
+    }
+
+    /**
+     * Pick one of the choices on the current node
+     * @param {Object} data - { playerId, choiceIndex }
+     */
+    choose(data) {
+        const session = this.sessions.get(data.playerId);
+        if (!session) return;
+
+        const choice = session.choices.find(entry => entry.index === data.choiceIndex);
+        const player = this.entityManager.getEntity(session.playerId);
+
+        // Re-check: gold or items may have changed since the node was shown
+        if (!choice || !this.checkConditions(choice.conditions, player, session)) {
+            this.eventBus.emit('dialogue:error', {
+                playerId: session.playerId,
+                error: 'That choice is not available'
+            });
+            return;
+        }
+
+        this.eventBus.emit('dialogue:choice-made', {
+            playerId: session.playerId,
+            npcId: session.npcId,
+            dialogueId: session.dialogueId,
+            nodeId: session.nodeId,
+            choiceIndex: choice.index
+        });
+
+        this.runActions(choice.actions, session);
+
+        if (choice.next) {
+            this.enterNode(session, choice.next);
+        } else {
+            this.endDialogue(session.playerId, 'finished');
+        }
+    }
+
+    /**
+     * Continue past a node that has no choices
+     * @param {string} playerId
+     */
+    advance(playerId) {
+        const session = this.sessions.get(playerId);
+        if (!session || session.choices.length > 0) return;
+
+        const node = this.dialogues.get(session.dialogueId).nodes[session.nodeId];
+        if (node.next) {
+            this.enterNode(session, node.next);
+        } else {
+            this.endDialogue(playerId, 'finished');
+        }
+    }
+
+    /**
+     * End a player's conversation
+     * @param {string} playerId
+     * @param {string} reason
+     */
+    endDialogue(playerId, reason) {
+        const session = this.sessions.get(playerId);
+        if (!session) return;
+
+        this.sessions.delete(playerId);
+        this.eventBus.emit('dialogue:ended', {
+            playerId,
+            npcId: session.npcId,
+            dialogueId: session.dialogueId,
+            nodeId: session.nodeId,
+            reason
+        });
+    }
+
+    /**
+     * True when every condition passes
+     * @param {Array} conditions
+     * @param {Entity} player
+     * @param {Object} session
+     * @returns {boolean}
+     */
+    checkConditions(conditions = [], player, session) {
+        if (!player) return false;
+
+        return conditions.every(condition => {
+            const checker = this.conditionCheckers[condition.type];
+            const passed = checker ? checker(condition, player, session) : false;
+            return condition.not ? !passed : passed;
+        });
+    }
+
+    /**
+     * Run a list of actions in order
+     * @param {Array} actions
+     * @param {Object} session
+     */
+    runActions(actions = [], session) {
+        actions.forEach(action => {
+            const handler = this.actionHandlers[action.type];
+            if (handler) handler(action, session);
+        });
+    }
+
+    /**
+     * Inclusive { min, max } check
+     * @param {number} value
+     * @param {Object} range - { min, max }
+     * @returns {boolean}
+     */
+    inRange(value, range) {
+        if (range.min !== undefined && value < range.min) return false;
+        if (range.max !== undefined && value > range.max) return false;
+        return true;
+    }
+
+    /**
+     * Where a player stands with a quest
+     * @param {Entity} player
+     * @param {string} questId
+     * @returns {string} 'none' | 'active' | 'ready' | 'completed'
+     */
+    getQuestStatus(player, questId) {
+        const questLog = player.getComponent('quests');
+        const active = questLog?.active[questId];
+        if (active) return active.ready ? 'ready' : 'active';
+        return questLog?.completed[questId] ? 'completed' : 'none';
+    }
+
+    /**
+     * How many of an item the entity carries
+     * @param {Entity} entity
+     * @param {string} itemId
+     * @returns {number}
+     */
+    countItem(entity, itemId) {
+        const items = entity.getComponent('inventory')?.items || [];
+        return items
+            .filter(item => item.itemId === itemId && !item.equipped)
+            .reduce((total, item) => total + item.quantity, 0);
+    }
+
+    /**
+     * Ask the InventorySystem to remove items, one request per stack
+     * @param {string} entityId
+     * @param {string} itemId
+     * @param {number} quantity
+     */
+    takeItem(entityId, itemId, quantity) {
+        const items = this.entityManager.getEntity(entityId)?.getComponent('inventory')?.items || [];
+        let remaining = quantity;
+
+        items
+            .filter(item => item.itemId === itemId && !item.equipped)
+            .forEach(item => {
+                if (remaining <= 0) return;
+                const taken = Math.min(remaining, item.quantity);
+                remaining -= taken;
+                this.eventBus.emit('inventory:remove-item', {
+                    entityId,
+                    itemId,
+                    instanceId: item.gear?.instanceId,
+                    quantity: taken
+                });
+            });
+    }
+
+    /**
+     * Current conversation for a player
+     * @param {string} playerId
+     * @returns {Object|null}
+     */
+    getSession(playerId) {
+        return this.sessions.get(playerId) || null;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.sessions.clear();
+        this.dialogues.clear();
+    }
+}
@@ -2,6 +2,8 @@
  * EntityManager - Manages all entities in the game
  * Handles spawning, updating, querying, and destroying entities
  */
+import Entity from '../core/Entity.js';
+
 export default class EntityManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
@@ -30,11 +32,11 @@ export default class EntityManager {
      * @returns {Entity}
      */
     createEntity(components = {}, tags = []) {
-        const Entity = window.gameCore.Entity; // Will be injected properly later
         const entity = new Entity();
         
-        // Add components
+        // Add components (null marks a component another system initializes)
         Object.entries(components).forEach(([type, data]) => {
+            if (data === null || data === undefined) return;
             entity.addComponent(type, data);
         });
         
@@ -73,6 +75,37 @@ export default class EntityManager {
         });
     }
 
+    /**
+     * Restore an entity from serialized data
+     * Entities that still exist are updated in place so references stay valid
+     * @param {Object} data - Output of Entity.serialize
+     * @returns {Entity}
+     */
+    restoreEntity(data) {
+        const existing = this.entities.get(data.id);
+        
+        if (existing) {
+            this.unindexEntity(existing);
+            existing.components.clear();
+            existing.tags.clear();
+            
+            const restored = Entity.deserialize(data);
+            restored.components.forEach((componentData, type) => existing.components.set(type, componentData));
+            restored.tags.forEach(tag => existing.tags.add(tag));
+            existing.active = restored.active;
+            
+            this.addEntity(existing);
+            this.eventBus.emit('entity:restored', { entity: existing });
+            return existing;
+        }
+        
+        const entity = Entity.deserialize(data);
+        this.addEntity(entity);
+        this.eventBus.emit('entity:created', { entity, restored: true });
+        
+        return entity;
+    }
+
     /**
      * Remove an entity from the manager
      * @param {string} entityId 
@@ -81,6 +114,22 @@ export default class EntityManager {
         const entity = this.entities.get(entityId);
         if (!entity) return;
         
+        this.unindexEntity(entity);
+        
+        // Remove entity
+        this.entities.delete(entityId);
+        entity.destroy();
+        
+        this.eventBus.emit('entity:destroyed', { entityId });
+    }
+
+    /**
+     * Remove an entity from the tag and component indexes
+     * @param {Entity} entity 
+     */
+    unindexEntity(entity) {
+        const entityId = entity.id;
+        
         // Remove from tag index
         entity.tags.forEach(tag => {
             const tagSet = this.entitiesByTag.get(tag);
@@ -102,12 +151,6 @@ export default class EntityManager {
                 }
             }
         });
-        
-        // Remove entity
-        this.entities.delete(entityId);
-        entity.destroy();
-        
-        this.eventBus.emit('entity:destroyed', { entityId });
     }
 
     /**
@@ -0,0 +1,157 @@
+/**
+ * HealthSystem - Owns every HP change: damage, healing, death and revival
+ * Branch-level system that turns damage and heal requests into one lifecycle
+ *
+ * Dependencies: EventBus, EntityManager (trunk only)
+ *
+ * Requests (anyone may emit these):
+ * - 'damage:deal' { attackerId, targetId, amount, type } - combat losses, pet abilities, debug
+ * - 'damage:environmental' { entityId, amount, source } - hazard zones
+ * - 'health:heal' { entityId, amount, source } and 'item:effect:heal' { entityId, value }
+ * - 'health:revive' { entityId, percent, source } - brings a downed entity back
+ * Lifecycle (emitted in this order for every hit):
+ * - 'entity:attacked' { targetId, attackerId, sourceId, type, amount }
+ * - 'entity:damaged' { entityId, attackerId, sourceId, type, amount, current, max }
+ * - 'entity:died' { entityId, killerId, sourceId, type } when health reaches 0
+ * An entity at 0 health is down: it takes no more damage or healing until revived ('entity:revived').
+ */
+export default class HealthSystem {
+    constructor(eventBus, entityManager) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+
+        // Health configuration
+        this.config = {
+            invulnerableTag: 'invulnerable', // Attacked, but never damaged
+            defaultRevivePercent: 0.5
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Damage
+        this.eventBus.on('damage:deal', (data) => {
+            this.applyDamage(data.targetId, data.amount, {
+                attackerId: data.attackerId,
+                sourceId: data.attackerId,
+                type: data.type || 'attack'
+            });
+        });
+        this.eventBus.on('damage:environmental', (data) => {
+            this.applyDamage(data.entityId, data.amount, {
+                attackerId: null,
+                sourceId: data.source,
+                type: 'environmental'
+            });
+        });
+
+        // Healing and revival
+        this.eventBus.on('health:heal', (data) => this.heal(data.entityId, data.amount, data.source || 'heal'));
+        this.eventBus.on('item:effect:heal', (data) => this.heal(data.entityId, data.value, 'item'));
+        this.eventBus.on('health:revive', (data) => {
+            this.revive(data.entityId, data.percent ?? this.config.defaultRevivePercent, data.source || 'revive');
+        });
+    }
+
+    /**
+     * Run a hit through the attacked -> damaged -> died lifecycle
+     * @param {string} targetId
+     * @param {number} amount
+     * @param {Object} context - { attackerId, sourceId, type }
+     * @returns {number} Health actually lost
+     */
+    applyDamage(targetId, amount, context) {
+        const target = this.entityManager.getEntity(targetId);
+        const health = target?.getComponent('health');
+        if (!health || this.isDown(target)) return 0;
+
+        const { attackerId = null, sourceId = null, type } = context;
+
+        this.eventBus.emit('entity:attacked', { targetId, attackerId, sourceId, type, amount });
+
+        if (!(amount > 0) || target.hasTag(this.config.invulnerableTag)) return 0;
+
+        const previous = health.current;
+        health.current = Math.max(0, health.current - amount);
+        const lost = previous - health.current;
+
+        this.eventBus.emit('entity:damaged', {
+            entityId: targetId,
+            attackerId,
+            sourceId,
+            type,
+            amount: lost,
+            current: health.current,
+            max: health.max
+        });
+
+        if (health.current === 0) {
+            this.eventBus.emit('entity:died', { entityId: targetId, killerId: attackerId, sourceId, type });
+        }
+
+        return lost;
+    }
+
+    /**
+     * Restore health, capped at max
+     * @param {string} entityId
+     * @param {number} amount
+     * @param {string} source
+     * @returns {number} Health actually gained
+     */
+    heal(entityId, amount, source) {
+        const entity = this.entityManager.getEntity(entityId);
+        const health = entity?.getComponent('health');
+        if (!health || !(amount > 0) || this.isDown(entity)) return 0;
+
+        const previous = health.current;
+        health.current = Math.min(health.max, health.current + amount);
+        const gained = health.current - previous;
+
+        if (gained > 0) {
+            this.eventBus.emit('entity:healed', {
+                entityId,
+                amount: gained,
+                current: health.current,
+                max: health.max,
+                source
+            });
+        }
+
+        return gained;
+    }
+
+    /**
+     * Bring a downed entity back with a share of its max health
+     * @param {string} entityId
+     * @param {number} percent - 0-1
+     * @param {string} source
+     */
+    revive(entityId, percent, source) {
+        const entity = this.entityManager.getEntity(entityId);
+        const health = entity?.getComponent('health');
+        if (!health || !this.isDown(entity)) return;
+
+        health.current = Math.max(1, Math.floor(health.max * percent));
+
+        this.eventBus.emit('entity:revived', {
+            entityId,
+            current: health.current,
+            max: health.max,
+            source
+        });
+    }
+
+    /**
+     * @param {Entity} entity
+     * @returns {boolean} Whether the entity is at 0 health
+     */
+    isDown(entity) {
+        const health = entity?.getComponent('health');
+        return Boolean(health) && health.current <= 0;
+    }
+}
@@ -1,7 +1,32 @@
 /**
  * InventorySystem - Manages items, equipment, and storage
  * Branch-level system that handles all inventory-related operations
+ *
+ * Item definitions come from the JSON catalog (src/data/items.json), loaded
+ * by ResourceManager at boot and picked up here from 'resource:loaded'.
  */
+import Random from '../core/Random.js';
+
+// Shape of one catalog entry: field -> { type, required, values }
+const ITEM_SCHEMA = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true, values: ['consumable', 'material', 'equipment', 'trophy', 'food'] },
+    description: { type: 'string' },
+    rarity: { type: 'string', values: ['common', 'uncommon', 'rare', 'epic', 'legendary'] },
+    value: { type: 'number' },
+    usable: { type: 'boolean' },
+    consumable: { type: 'boolean' },
+    effect: { type: 'string' },
+    effectValue: { type: 'number' },
+    stamina: { type: 'number' }, // Stamina restored on use, alongside any effect
+    equipable: { type: 'boolean' },
+    slot: { type: 'string', values: ['gloves', 'wristband', 'protein', 'trophy'] },
+    stats: { type: 'object' }, // Flat bonuses: { clickPower: 0.5 }
+    percentStats: { type: 'object' }, // Percentage bonuses: { maxHealth: 0.1 } = +10%
+    set: { type: 'string' } // Set id from the catalog's "sets"
+};
+
 export default class InventorySystem {
     constructor(eventBus, entityManager) {
         this.eventBus = eventBus;
@@ -16,13 +41,58 @@ export default class InventorySystem {
                 protein: null,     // Consumable slot
                 trophy: null       // Special item slot
             },
-            stackableTypes: ['consumable', 'material'],
-            maxStackSize: 99
+            stackableTypes: ['consumable', 'material', 'food'],
+            maxStackSize: 99,
+            catalogKey: 'items', // ResourceManager key of the item catalog
+            lootTierQuantityScale: 0.25, // +25% stack size per enemy tier above 1
+            
+            // Gear instances
+            rarities: {
+                common: { multiplier: 1, weight: 50, affixes: 0 },
+                uncommon: { multiplier: 1.5, weight: 30, affixes: 1 },
+                rare: { multiplier: 2, weight: 15, affixes: 1 },
+                epic: { multiplier: 3, weight: 4, affixes: 2 },
+                legendary: { multiplier: 5, weight: 1, affixes: 3 }
+            },
+            rarityTierBonus: 0.5, // Non-common weights grow 50% per enemy tier above 1
+            itemLevelPerTier: 5,
+            itemLevelSpread: 4, // Random extra item levels on top of the tier
+            affixScalePerLevel: 0.05, // +5% affix value per item level above 1
+            gearScoreWeights: {
+                flat: { clickPower: 10, maxHealth: 1, drainResistance: 200 },
+                percent: { clickPower: 100, maxHealth: 50, drainResistance: 200 }
+            },
+            // Disenchant results per rarity, rolled like loot tables
+            disenchantYields: {
+                common: [{ itemId: 'gear_scrap', guaranteed: true, min: 1, max: 2 }],
+                uncommon: [{ itemId: 'gear_scrap', guaranteed: true, min: 2, max: 3 }],
+                rare: [
+                    { itemId: 'gear_scrap', guaranteed: true, min: 2, max: 4 },
+                    { itemId: 'flex_essence', guaranteed: true, min: 1, max: 1 }
+                ],
+                epic: [
+                    { itemId: 'gear_scrap', guaranteed: true, min: 3, max: 5 },
+                    { itemId: 'flex_essence', guaranteed: true, min: 1, max: 2 }
+                ],
+                legendary: [
+                    { itemId: 'flex_essence', guaranteed: true, min: 2, max: 3 },
+                    { itemId: 'legendary_shard', guaranteed: true, min: 1, max: 1 }
+                ]
+            }
         };
         
-        // Item definitions would normally come from data files
+        // itemId -> definition, filled from the item catalog
         this.itemDefinitions = new Map();
         
+        // setId -> { name, bonuses: { pieceCount: { stats, percentStats } } }
+        this.setDefinitions = new Map();
+        
+        // Affixes rolled onto gear: [{ id, name, weight, stats, percentStats }]
+        this.affixDefinitions = [];
+        
+        // Gear ids count up (not random) so a seeded replay mints the same ids; saved with the world
+        this.nextGearId = 1;
+        
         this.setupEventListeners();
     }
 
@@ -36,12 +106,206 @@ export default class InventorySystem {
         this.eventBus.on('inventory:use-item', this.useItem.bind(this));
         this.eventBus.on('inventory:equip-item', this.equipItem.bind(this));
         this.eventBus.on('inventory:unequip-item', this.unequipItem.bind(this));
+        this.eventBus.on('inventory:auto-equip', this.autoEquipBest.bind(this));
+        this.eventBus.on('inventory:disenchant', this.disenchantItem.bind(this));
         
         // Entity events
         this.eventBus.on('entity:created', this.initializeInventory.bind(this));
         
         // Loot events
         this.eventBus.on('combat:victory', this.handleCombatLoot.bind(this));
+
+        
+        // Item catalog
+        this.eventBus.on('resource:loaded', this.handleResourceLoaded.bind(this));
+        
+        // Save/load
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.inventory = { nextGearId: this.nextGearId };
+        });
+        this.eventBus.on('save:restore', (data) => {
+            const saved = data.slices.inventory;
+            if (saved?.nextGearId) this.nextGearId = saved.nextGearId;
+        });
+    }
+
+    /**
+     * Register the item catalog once ResourceManager has loaded it
+     * @param {Object} data - { key, type, data }
+     */
+    handleResourceLoaded(data) {
+        if (data.key !== this.config.catalogKey) return;
+        this.registerCatalog(data.data);
+    }
+
+    /**
+     * Validate and register every item in a catalog
+     * Invalid entries are skipped and reported through 'inventory:catalog-error'
+     * @param {Object} catalog - { version, items: [...] }
+     * @returns {Array<string>} Validation errors
+     */
+    registerCatalog(catalog) {
+        if (!catalog || !Array.isArray(catalog.items)) {
+            const errors = ['Item catalog must have an "items" array'];
+            this.reportCatalogErrors(errors);
+            return errors;
+        }
+        
+        const errors = [];
+        
+        catalog.items.forEach((itemDef, index) => {
+            const itemErrors = this.validateItemDefinition(itemDef);
+            
+            if (!itemErrors.length && this.itemDefinitions.has(itemDef.id)) {
+                itemErrors.push(`duplicate item id "${itemDef.id}"`);
+            }
+            
+            if (itemErrors.length) {
+                const label = itemDef?.id ? `"${itemDef.id}"` : `#${index}`;
+                itemErrors.forEach(error => errors.push(`Item ${label}: ${error}`));
+                return;
+            }
+            
+            this.itemDefinitions.set(itemDef.id, { ...itemDef });
+        });
+        
+        Object.entries(catalog.sets || {}).forEach(([setId, setDef]) => {
+            if (!setDef || typeof setDef.bonuses !== 'object') {
+                errors.push(`Set "${setId}": missing "bonuses"`);
+                return;
+            }
+            this.setDefinitions.set(setId, { name: setDef.name || setId, bonuses: setDef.bonuses });
+        });
+        
+        (catalog.affixes || []).forEach((affix, index) => {
+            if (!affix || typeof affix.id !== 'string' || typeof affix.name !== 'string') {
+                errors.push(`Affix #${index}: needs a string "id" and "name"`);
+                return;
+            }
+            if (!affix.stats && !affix.percentStats) {
+                errors.push(`Affix "${affix.id}": needs "stats" or "percentStats"`);
+                return;
+            }
+            this.affixDefinitions = this.affixDefinitions.filter(existing => existing.id !== affix.id);
+            this.affixDefinitions.push({ weight: 1, ...affix });
+        });
+        
+        // Items must point at sets that exist
+        catalog.items.forEach(itemDef => {
+            if (itemDef?.set && !this.setDefinitions.has(itemDef.set)) {
+                errors.push(`Item "${itemDef.id}": unknown set "${itemDef.set}"`);
+            }
+        });
+        
+        this.reportCatalogErrors(errors);
+        
+        this.eventBus.emit('inventory:catalog-loaded', {
+            itemCount: this.itemDefinitions.size,
+            errors
+        });
+        
+        return errors;
+    }
+
+    /**
+     * Check one item definition against ITEM_SCHEMA
+     * @param {Object} itemDef 
+     * @returns {Array<string>} Problems found (empty when valid)
+     */
+    validateItemDefinition(itemDef) {
+        if (!itemDef || typeof itemDef !== 'object') {
+            return ['entry is not an object'];
+        }
+        
+        const errors = [];
+        
+        Object.entries(ITEM_SCHEMA).forEach(([field, rule]) => {
+            const value = itemDef[field];
+            
+            if (value === undefined) {
+                if (rule.required) errors.push(`missing required field "${field}"`);
+                return;
+            }
+            
+            const actualType = value === null ? 'null' : typeof value;
+            if (actualType !== rule.type) {
+                errors.push(`"${field}" should be a ${rule.type}, got ${actualType}`);
+                return;
+            }
+            
+            if (rule.values && !rule.values.includes(value)) {
+                errors.push(`"${field}" must be one of ${rule.values.join(', ')}, got "${value}"`);
+            }
+        });
+        
+        Object.keys(itemDef).forEach(field => {
+            if (!ITEM_SCHEMA[field]) errors.push(`unknown field "${field}"`);
+        });
+        
+        // Flags that need a companion field
+        if (itemDef.usable && !itemDef.effect) {
+            errors.push('usable items need an "effect"');
+        }
+        if (itemDef.equipable && !itemDef.slot) {
+            errors.push('equipable items need a "slot"');
+        }
+        ['stats', 'percentStats'].forEach(field => {
+            if (!itemDef[field] || typeof itemDef[field] !== 'object') return;
+            Object.entries(itemDef[field]).forEach(([stat, value]) => {
+                if (typeof value !== 'number') errors.push(`${field} "${stat}" should be a number`);
+            });
+        });
+        
+        return errors;
+    }
+
+    /**
+     * Check loot tables for item ids missing from the catalog
+     * @param {Object} lootTables - { enemyType: [{ itemId, ... }] }
+     * @returns {Array<string>} One error per unknown reference
+     */
+    validateLootReferences(lootTables) {
+        const errors = [];
+        
+        Object.entries(lootTables).forEach(([enemyType, lootTable]) => {
+            this.getLootItemIds(lootTable).forEach(itemId => {
+                if (!this.itemDefinitions.has(itemId)) {
+                    errors.push(`Loot table "${enemyType}" references unknown item "${itemId}"`);
+                }
+            });
+        });
+        
+        // Disenchanting hands out catalog materials too
+        Object.entries(this.config.disenchantYields).forEach(([rarity, yields]) => {
+            this.getLootItemIds(yields).forEach(itemId => {
+                if (!this.itemDefinitions.has(itemId)) {
+                    errors.push(`Disenchant yield "${rarity}" references unknown item "${itemId}"`);
+                }
+            });
+        });
+        
+        this.reportCatalogErrors(errors);
+        return errors;
+    }
+
+    /**
+     * Log catalog problems and let the debug tools know
+     * @param {Array<string>} errors 
+     */
+    reportCatalogErrors(errors) {
+        errors.forEach(error => {
+            console.error(`[InventorySystem] ${error}`);
+            this.eventBus.emit('inventory:catalog-error', { error });
+        });
+    }
+
+    /**
+     * Get an item definition
+     * @param {string} itemId 
+     * @returns {Object|undefined}
+     */
+    getItemDefinition(itemId) {
+        return this.itemDefinitions.get(itemId);
     }
 
     /**
@@ -66,13 +330,22 @@ export default class InventorySystem {
 
     /**
      * Add item to entity's inventory
-     * @param {Object} data - { entityId, itemId, quantity }
+     * Whatever doesn't fit is reported through 'inventory:overflow', unless dropOverflow is false
+     * (the caller keeps it, e.g. a pickup that stays on the ground)
+     * Equipable items take one slot each and carry a gear instance:
+     * the one passed in, one rolled for `tier`, or a plain copy
+     * @param {Object} data - { entityId, itemId, quantity, gear, tier, dropOverflow, onComplete }
+     *   onComplete(added) is called with the quantity actually added
+     * @returns {number} Quantity actually added
      */
     addItem(data) {
-        const { entityId, itemId, quantity = 1 } = data;
+        const { entityId, itemId, quantity = 1, gear = null, tier = null, dropOverflow = true, onComplete = null } = data;
         const entity = this.entityManager.getEntity(entityId);
         
-        if (!entity || !entity.hasComponent('inventory')) return;
+        if (!entity || !entity.hasComponent('inventory')) {
+            if (onComplete) onComplete(0);
+            return 0;
+        }
         
         const inventory = entity.getComponent('inventory');
         const itemDef = this.itemDefinitions.get(itemId);
@@ -82,94 +355,183 @@ export default class InventorySystem {
                 entityId,
                 error: `Unknown item: ${itemId}`
             });
-            return;
+            if (onComplete) onComplete(0);
+            return 0;
         }
         
-        // Check if item is stackable
-        if (this.config.stackableTypes.includes(itemDef.type)) {
-            // Find existing stack
-            const existingStack = inventory.items.find(item => item.itemId === itemId);
-            
-            if (existingStack) {
-                const spaceInStack = this.config.maxStackSize - existingStack.quantity;
-                const toAdd = Math.min(quantity, spaceInStack);
-                existingStack.quantity += toAdd;
-                
-                if (toAdd < quantity) {
-                    // Need to create new stack for remainder
-                    this.addItem({ entityId, itemId, quantity: quantity - toAdd });
-                }
-                
-                this.eventBus.emit('inventory:item-added', {
-                    entityId,
-                    itemId,
-                    quantity: toAdd,
-                    totalQuantity: existingStack.quantity
+        const stackable = this.config.stackableTypes.includes(itemDef.type);
+        let remaining = quantity;
+        
+        // Top up existing stacks first
+        if (stackable) {
+            inventory.items
+                .filter(item => item.itemId === itemId)
+                .forEach(stack => {
+                    const toAdd = Math.min(remaining, this.config.maxStackSize - stack.quantity);
+                    if (toAdd <= 0) return;
+                    stack.quantity += toAdd;
+                    remaining -= toAdd;
                 });
-                return;
+        }
+        
+        // Then open new slots while there's space
+        while (remaining > 0 && inventory.items.length < inventory.maxSize) {
+            const stackSize = stackable ? Math.min(remaining, this.config.maxStackSize) : 1;
+            const item = {
+                itemId,
+                quantity: stackSize,
+                equipped: false
+            };
+            
+            if (itemDef.equipable) {
+                // The first copy keeps a rolled instance if one came with the item
+                item.gear = (remaining === quantity && gear)
+                    || this.createGear(itemId, tier ? { tier } : { plain: true });
             }
+            
+            inventory.items.push(item);
+            remaining -= stackSize;
         }
         
-        // Check inventory space
-        if (inventory.items.length >= inventory.maxSize) {
+        const added = quantity - remaining;
+        
+        if (added > 0) {
+            this.eventBus.emit('inventory:item-added', {
+                entityId,
+                itemId,
+                quantity: added,
+                totalQuantity: this.getItemCount(inventory, itemId)
+            });
+        }
+        
+        if (remaining > 0) {
             this.eventBus.emit('inventory:error', {
                 entityId,
                 error: 'Inventory full'
             });
-            return;
+            if (dropOverflow) {
+                this.eventBus.emit('inventory:overflow', {
+                    entityId,
+                    itemId,
+                    quantity: remaining,
+                    gear: remaining === quantity ? gear : null
+                });
+            }
         }
         
-        // Add new item
-        inventory.items.push({
-            itemId,
-            quantity,
-            equipped: false
-        });
-        
-        this.eventBus.emit('inventory:item-added', {
-            entityId,
-            itemId,
-            quantity,
-            totalQuantity: quantity
-        });
+        if (onComplete) onComplete(added);
+        return added;
+    }
+
+    /**
+     * Total quantity of an item across all stacks
+     * @param {Object} inventory - Inventory component
+     * @param {string} itemId 
+     * @returns {number}
+     */
+    getItemCount(inventory, itemId) {
+        return inventory.items
+            .filter(item => item.itemId === itemId)
+            .reduce((total, item) => total + item.quantity, 0);
     }
 
     /**
      * Remove item from inventory
-     * @param {Object} data - { entityId, itemId, quantity }
+     * By instanceId only that entry is touched; by itemId the quantity is taken across stacks,
+     * unequipped stacks first
+     * @param {Object} data - { entityId, itemId, instanceId, quantity, onComplete }
+     *   onComplete(removed) is called with the quantity actually removed
+     * @returns {number} Quantity actually removed
      */
     removeItem(data) {
-        const { entityId, itemId, quantity = 1 } = data;
+        const { entityId, instanceId, quantity = 1, onComplete = null } = data;
         const entity = this.entityManager.getEntity(entityId);
         
-        if (!entity || !entity.hasComponent('inventory')) return;
+        if (!entity || !entity.hasComponent('inventory')) {
+            if (onComplete) onComplete(0);
+            return 0;
+        }
         
         const inventory = entity.getComponent('inventory');
-        const itemIndex = inventory.items.findIndex(item => item.itemId === itemId);
+        const stacks = instanceId
+            ? [this.findItem(inventory, instanceId)].filter(Boolean)
+            : inventory.items
+                .filter(item => item.itemId === data.itemId)
+                .sort((a, b) => a.equipped - b.equipped);
         
-        if (itemIndex === -1) {
+        if (stacks.length === 0) {
             this.eventBus.emit('inventory:error', {
                 entityId,
                 error: 'Item not found'
             });
-            return;
+            if (onComplete) onComplete(0);
+            return 0;
         }
         
-        const item = inventory.items[itemIndex];
+        const { itemId } = stacks[0];
+        let removed = 0;
         
-        if (item.quantity > quantity) {
-            item.quantity -= quantity;
-        } else {
-            // Remove the entire stack
-            inventory.items.splice(itemIndex, 1);
+        for (const item of stacks) {
+            if (removed >= quantity) break;
+            
+            // Take gear off before it leaves the inventory
+            if (item.equipped) {
+                const slot = Object.keys(inventory.equipment)
+                    .find(key => inventory.equipment[key] === this.getItemKey(item));
+                if (slot) this.unequipItem({ entityId, slot });
+            }
+            
+            const taken = Math.min(quantity - removed, item.quantity);
+            if (item.quantity > taken) {
+                item.quantity -= taken;
+            } else {
+                // Remove the entire stack
+                inventory.items.splice(inventory.items.indexOf(item), 1);
+            }
+            removed += taken;
         }
         
         this.eventBus.emit('inventory:item-removed', {
             entityId,
             itemId,
-            quantity,
-            remaining: item.quantity > quantity ? item.quantity - quantity : 0
+            instanceId: instanceId || undefined,
+            quantity: removed,
+            remaining: this.getItemCount(inventory, itemId)
         });
+        
+        if (onComplete) onComplete(removed);
+        return removed;
+    }
+
+    /**
+     * Key stored in equipment slots: the gear instance id, or the item id for plain items
+     * @param {Object} item - Inventory entry
+     * @returns {string}
+     */
+    getItemKey(item) {
+        return item.gear?.instanceId || item.itemId;
+    }
+
+    /**
+     * Find an inventory entry by equipment key
+     * @param {Object} inventory 
+     * @param {string} key - Instance id or item id
+     * @returns {Object|undefined}
+     */
+    findItem(inventory, key) {
+        return inventory.items.find(item => item.gear?.instanceId === key)
+            || inventory.items.find(item => !item.gear && item.itemId === key);
+    }
+
+    /**
+     * Find an inventory entry by item id, preferring unequipped copies
+     * @param {Object} inventory 
+     * @param {string} itemId 
+     * @returns {Object|undefined}
+     */
+    findItemById(inventory, itemId) {
+        return inventory.items.find(item => item.itemId === itemId && !item.equipped)
+            || inventory.items.find(item => item.itemId === itemId);
     }
 
     /**
@@ -191,6 +553,15 @@ export default class InventorySystem {
             return;
         }
         
+        // Effects only fire for an item the entity actually holds
+        if (!this.findItemById(entity.getComponent('inventory'), itemId)) {
+            this.eventBus.emit('inventory:error', {
+                entityId,
+                error: 'Item not found'
+            });
+            return;
+        }
+        
         // Execute item effect
         if (itemDef.effect) {
             this.eventBus.emit(`item:effect:${itemDef.effect}`, {
@@ -200,6 +571,14 @@ export default class InventorySystem {
             });
         }
         
+        if (itemDef.stamina) {
+            this.eventBus.emit('item:effect:stamina', {
+                entityId,
+                itemId,
+                value: itemDef.stamina
+            });
+        }
+        
         // Consume item if consumable
         if (itemDef.consumable) {
             this.removeItem({ entityId, itemId, quantity: 1 });
@@ -213,15 +592,21 @@ export default class InventorySystem {
 
     /**
      * Equip an item
-     * @param {Object} data - { entityId, itemId, slot }
+     * @param {Object} data - { entityId, itemId, instanceId, slot }
      */
     equipItem(data) {
-        const { entityId, itemId, slot } = data;
+        const { entityId, instanceId } = data;
         const entity = this.entityManager.getEntity(entityId);
         
         if (!entity || !entity.hasComponent('inventory')) return;
         
         const inventory = entity.getComponent('inventory');
+        
+        // Find item in inventory
+        const item = instanceId
+            ? this.findItem(inventory, instanceId)
+            : this.findItemById(inventory, data.itemId);
+        const itemId = item?.itemId || data.itemId;
         const itemDef = this.itemDefinitions.get(itemId);
         
         if (!itemDef || !itemDef.equipable) {
@@ -233,6 +618,7 @@ export default class InventorySystem {
         }
         
         // Check if slot is valid for item
+        const slot = data.slot || itemDef.slot;
         if (itemDef.slot !== slot) {
             this.eventBus.emit('inventory:error', {
                 entityId,
@@ -241,13 +627,6 @@ export default class InventorySystem {
             return;
         }
         
-        // Unequip current item in slot if any
-        if (inventory.equipment[slot]) {
-            this.unequipItem({ entityId, slot });
-        }
-        
-        // Find item in inventory
-        const item = inventory.items.find(i => i.itemId === itemId);
         if (!item) {
             this.eventBus.emit('inventory:error', {
                 entityId,
@@ -256,8 +635,16 @@ export default class InventorySystem {
             return;
         }
         
+        const key = this.getItemKey(item);
+        if (inventory.equipment[slot] === key) return;
+        
+        // Unequip current item in slot if any
+        if (inventory.equipment[slot]) {
+            this.unequipItem({ entityId, slot });
+        }
+        
         // Equip item
-        inventory.equipment[slot] = itemId;
+        inventory.equipment[slot] = key;
         item.equipped = true;
         
         // Apply equipment stats
@@ -266,6 +653,7 @@ export default class InventorySystem {
         this.eventBus.emit('inventory:item-equipped', {
             entityId,
             itemId,
+            instanceId: item.gear?.instanceId,
             slot
         });
     }
@@ -281,12 +669,12 @@ export default class InventorySystem {
         if (!entity || !entity.hasComponent('inventory')) return;
         
         const inventory = entity.getComponent('inventory');
-        const itemId = inventory.equipment[slot];
+        const key = inventory.equipment[slot];
         
-        if (!itemId) return;
+        if (!key) return;
         
         // Find item in inventory
-        const item = inventory.items.find(i => i.itemId === itemId);
+        const item = this.findItem(inventory, key);
         if (item) {
             item.equipped = false;
         }
@@ -298,50 +686,114 @@ export default class InventorySystem {
         
         this.eventBus.emit('inventory:item-unequipped', {
             entityId,
-            itemId,
+            itemId: item?.itemId || key,
+            instanceId: item?.gear?.instanceId,
             slot
         });
     }
 
     /**
-     * Apply equipment stat bonuses
+     * Sum equipment bonuses into the equipmentBonuses component
+     * StatsSystem turns these into final stats on 'inventory:equipment-changed'
      * @param {Entity} entity 
      */
     applyEquipmentStats(entity) {
         const inventory = entity.getComponent('inventory');
         if (!inventory) return;
         
-        // Reset equipment bonuses
-        if (!entity.hasComponent('equipmentBonuses')) {
-            entity.addComponent('equipmentBonuses', {});
-        }
-        
-        const bonuses = entity.getComponent('equipmentBonuses');
+        const bonuses = {
+            flat: {},
+            percent: {},
+            sets: {}, // setId -> equipped piece count
+            gearScore: 0
+        };
         
-        // Clear previous bonuses
-        Object.keys(bonuses).forEach(key => delete bonuses[key]);
+        const addStats = (target, stats = {}) => {
+            Object.entries(stats).forEach(([stat, value]) => {
+                target[stat] = (target[stat] || 0) + value;
+            });
+        };
         
-        // Apply bonuses from each equipped item
-        Object.entries(inventory.equipment).forEach(([slot, itemId]) => {
-            if (!itemId) return;
+        // Bonuses from each equipped item
+        Object.values(inventory.equipment).forEach(key => {
+            if (!key) return;
             
-            const itemDef = this.itemDefinitions.get(itemId);
-            if (!itemDef || !itemDef.stats) return;
+            const item = this.findItem(inventory, key);
+            const itemDef = item && this.itemDefinitions.get(item.itemId);
+            if (!itemDef) return;
             
-            Object.entries(itemDef.stats).forEach(([stat, value]) => {
-                bonuses[stat] = (bonuses[stat] || 0) + value;
+            const itemStats = this.getItemStats(item);
+            addStats(bonuses.flat, itemStats.flat);
+            addStats(bonuses.percent, itemStats.percent);
+            bonuses.gearScore += this.getItemGearScore(item);
+            
+            if (itemDef.set) {
+                bonuses.sets[itemDef.set] = (bonuses.sets[itemDef.set] || 0) + 1;
+            }
+        });
+        
+        // Set bonuses for every threshold reached
+        Object.entries(bonuses.sets).forEach(([setId, pieces]) => {
+            const setDef = this.setDefinitions.get(setId);
+            if (!setDef) return;
+            
+            Object.entries(setDef.bonuses).forEach(([required, setBonus]) => {
+                if (pieces < Number(required)) return;
+                addStats(bonuses.flat, setBonus.stats);
+                addStats(bonuses.percent, setBonus.percentStats);
             });
         });
         
+        if (!entity.hasComponent('equipmentBonuses')) {
+            entity.addComponent('equipmentBonuses', {});
+        }
+        Object.assign(entity.getComponent('equipmentBonuses'), bonuses);
+        
         this.eventBus.emit('inventory:equipment-changed', {
             entityId: entity.id,
-            bonuses
+            bonuses,
+            gearScore: bonuses.gearScore
         });
     }
 
+    /**
+     * Flat and percent stats of one inventory entry, including its rarity and affixes
+     * @param {Object} item - Inventory entry
+     * @returns {Object} { flat, percent }
+     */
+    getItemStats(item) {
+        const itemDef = this.itemDefinitions.get(item.itemId);
+        const flat = {};
+        const percent = {};
+        if (!itemDef) return { flat, percent };
+        
+        // Rarity scales the base stats relative to the catalog rarity
+        const multiplier = item.gear
+            ? this.getRarity(item.gear.rarity).multiplier / this.getRarity(itemDef.rarity).multiplier
+            : 1;
+        
+        Object.entries(itemDef.stats || {}).forEach(([stat, value]) => {
+            flat[stat] = value * multiplier;
+        });
+        Object.entries(itemDef.percentStats || {}).forEach(([stat, value]) => {
+            percent[stat] = value * multiplier;
+        });
+        
+        (item.gear?.affixes || []).forEach(affix => {
+            Object.entries(affix.stats || {}).forEach(([stat, value]) => {
+                flat[stat] = (flat[stat] || 0) + value;
+            });
+            Object.entries(affix.percentStats || {}).forEach(([stat, value]) => {
+                percent[stat] = (percent[stat] || 0) + value;
+            });
+        });
+        
+        return { flat, percent };
+    }
+
     /**
      * Handle combat loot
-     * @param {Object} data 
+     * @param {Object} data - { winnerId, loserId }
      */
     handleCombatLoot(data) {
         const { winnerId, loserId } = data;
@@ -349,20 +801,28 @@ export default class InventorySystem {
         
         if (!loser) return;
         
-        // Generate loot based on enemy type
+        // Roll the defeated entity's own loot table
+        const enemyData = loser.getComponent('enemyData');
         const lootTable = this.getLootTable(loser);
-        const loot = this.generateLoot(lootTable);
-        
-        // Add loot to winner's inventory
-        loot.forEach(({ itemId, quantity }) => {
-            this.addItem({ entityId: winnerId, itemId, quantity });
-        });
+        const tier = enemyData?.tier || 1;
+        const loot = this.rollGearDrops(this.generateLoot(lootTable, { tier }), tier);
         
         this.eventBus.emit('loot:generated', {
             winnerId,
             loserId,
             loot
         });
+        
+        // Loot lands on the ground; PickupSystem turns it into pickups
+        if (loot.length > 0) {
+            const position = loser.getComponent('position');
+            this.eventBus.emit('loot:dropped', {
+                sourceId: loserId,
+                winnerId,
+                position: position ? { ...position } : null,
+                loot
+            });
+        }
     }
 
     /**
@@ -371,41 +831,376 @@ export default class InventorySystem {
      * @returns {Array}
      */
     getLootTable(entity) {
-        // This would normally be data-driven
-        const enemyType = entity.getComponent('enemyType');
-        if (!enemyType) return [];
-        
-        // Example loot tables
-        const lootTables = {
-            'Pebble': [
-                { itemId: 'small_protein', chance: 0.3, min: 1, max: 2 },
-                { itemId: 'worn_gloves', chance: 0.05, min: 1, max: 1 }
-            ],
-            'Rock': [
-                { itemId: 'protein_shake', chance: 0.5, min: 1, max: 3 },
-                { itemId: 'training_gloves', chance: 0.1, min: 1, max: 1 }
-            ]
-        };
-        
-        return lootTables[enemyType.name] || [];
+        const enemyData = entity.getComponent('enemyData');
+        return enemyData?.lootTable || [];
     }
 
     /**
-     * Generate loot from loot table
+     * Generate loot from a loot table
+     *
+     * Entries are either items or groups:
+     * - { itemId, chance, min, max } - rolled independently
+     * - { itemId, guaranteed: true, min, max } - always drops
+     * - { oneOf: [...entries], chance } - exactly one child, picked by child `weight`
+     * - { pool: [...entries], rolls, chance } - `rolls` weighted picks (repeats allowed)
+     * Children can be groups themselves. A child with no itemId is an empty slot.
+     * Stackable items drop more at higher enemy tiers; `scaleWithTier` overrides that.
+     *
      * @param {Array} lootTable 
-     * @returns {Array}
+     * @param {Object} options - { tier }
+     * @returns {Array} Merged [{ itemId, quantity }]
      */
-    generateLoot(lootTable) {
-        const loot = [];
+    generateLoot(lootTable, options = {}) {
+        const { tier = 1 } = options;
+        const drops = new Map();
         
         lootTable.forEach(entry => {
-            if (Math.random() < entry.chance) {
-                const quantity = Math.floor(Math.random() * (entry.max - entry.min + 1)) + entry.min;
-                loot.push({ itemId: entry.itemId, quantity });
+            if (!this.passesChance(entry)) return;
+            this.resolveLootEntry(entry, tier, drops);
+        });
+        
+        return Array.from(drops, ([itemId, quantity]) => ({ itemId, quantity }));
+    }
+
+    /**
+     * Resolve one loot entry that has already passed its chance roll
+     * @param {Object} entry 
+     * @param {number} tier 
+     * @param {Map} drops - itemId -> quantity
+     */
+    resolveLootEntry(entry, tier, drops) {
+        const children = entry.oneOf || entry.pool;
+        
+        if (children) {
+            const rolls = entry.oneOf ? 1 : (entry.rolls || 1);
+            for (let i = 0; i < rolls; i++) {
+                const child = this.pickWeighted(children);
+                if (child) this.resolveLootEntry(child, tier, drops);
+            }
+            return;
+        }
+        
+        // Empty slot in a group
+        if (!entry.itemId) return;
+        
+        const quantity = this.rollLootQuantity(entry, tier);
+        if (quantity > 0) {
+            drops.set(entry.itemId, (drops.get(entry.itemId) || 0) + quantity);
+        }
+    }
+
+    /**
+     * Roll an entry's drop chance
+     * @param {Object} entry 
+     * @returns {boolean}
+     */
+    passesChance(entry) {
+        if (entry.guaranteed) return true;
+        return Random.next() < (entry.chance ?? 1);
+    }
+
+    /**
+     * Pick one entry by `weight` (default 1)
+     * @param {Array} entries 
+     * @returns {Object|null}
+     */
+    pickWeighted(entries) {
+        const totalWeight = entries.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+        if (totalWeight <= 0) return null;
+        
+        let roll = Random.next() * totalWeight;
+        for (const entry of entries) {
+            roll -= entry.weight ?? 1;
+            if (roll < 0) return entry;
+        }
+        
+        return entries[entries.length - 1];
+    }
+
+    /**
+     * Roll a quantity between min and max, scaled by enemy tier
+     * @param {Object} entry - { itemId, min, max, scaleWithTier }
+     * @param {number} tier 
+     * @returns {number}
+     */
+    rollLootQuantity(entry, tier) {
+        const min = entry.min ?? 1;
+        const max = Math.max(min, entry.max ?? min);
+        const quantity = Math.floor(Random.next() * (max - min + 1)) + min;
+        
+        const itemDef = this.itemDefinitions.get(entry.itemId);
+        const scales = entry.scaleWithTier ?? this.config.stackableTypes.includes(itemDef?.type);
+        if (!scales) return quantity;
+        
+        const multiplier = 1 + (tier - 1) * this.config.lootTierQuantityScale;
+        return Math.round(quantity * multiplier);
+    }
+
+    /**
+     * Collect every item id a loot table can drop, including nested groups
+     * @param {Array} lootTable 
+     * @returns {Array<string>}
+     */
+    getLootItemIds(lootTable) {
+        const itemIds = [];
+        
+        (lootTable || []).forEach(entry => {
+            const children = entry.oneOf || entry.pool;
+            if (children) {
+                itemIds.push(...this.getLootItemIds(children));
+            } else if (entry.itemId) {
+                itemIds.push(entry.itemId);
+            }
+        });
+        
+        return itemIds;
+    }
+
+    /**
+     * Split equipable drops into single gear instances rolled for the enemy tier
+     * @param {Array} loot - [{ itemId, quantity }]
+     * @param {number} tier 
+     * @returns {Array} [{ itemId, quantity, gear? }]
+     */
+    rollGearDrops(loot, tier) {
+        const drops = [];
+        
+        loot.forEach(drop => {
+            const itemDef = this.itemDefinitions.get(drop.itemId);
+            if (!itemDef?.equipable) {
+                drops.push(drop);
+                return;
+            }
+            
+            for (let i = 0; i < drop.quantity; i++) {
+                drops.push({ itemId: drop.itemId, quantity: 1, gear: this.createGear(drop.itemId, { tier }) });
             }
         });
         
-        return loot;
+        return drops;
+    }
+
+    /**
+     * Create a gear instance for an equipable item
+     * @param {string} itemId 
+     * @param {Object} options - { tier, rarity, plain }
+     *   plain: catalog rarity, item level 1, no affixes (shop stock, rewards)
+     * @returns {Object} { instanceId, name, rarity, itemLevel, affixes, gearScore }
+     */
+    createGear(itemId, options = {}) {
+        const { tier = 1, plain = false } = options;
+        const itemDef = this.itemDefinitions.get(itemId);
+        const baseRarity = this.getRarityId(itemDef?.rarity);
+        
+        const rarity = options.rarity || (plain ? baseRarity : this.rollRarity(baseRarity, tier));
+        const itemLevel = plain
+            ? 1
+            : (tier - 1) * this.config.itemLevelPerTier + 1 + Math.floor(Random.next() * (this.config.itemLevelSpread + 1));
+        const affixes = plain ? [] : this.rollAffixes(this.getRarity(rarity).affixes, itemLevel);
+        
+        const gear = {
+            instanceId: `gear_${this.nextGearId++}`,
+            name: affixes.length > 0 ? `${itemDef?.name || itemId} ${affixes[0].name}` : (itemDef?.name || itemId),
+            rarity,
+            itemLevel,
+            affixes,
+            gearScore: 0
+        };
+        gear.gearScore = this.getItemGearScore({ itemId, quantity: 1, gear });
+        
+        return gear;
+    }
+
+    /**
+     * Rarity settings, falling back to common
+     * @param {string} rarityId 
+     * @returns {Object} { multiplier, weight, affixes }
+     */
+    getRarity(rarityId) {
+        return this.config.rarities[this.getRarityId(rarityId)];
+    }
+
+    /**
+     * @param {string} rarityId 
+     * @returns {string} A known rarity id
+     */
+    getRarityId(rarityId) {
+        return this.config.rarities[rarityId] ? rarityId : 'common';
+    }
+
+    /**
+     * Roll a rarity no lower than the item's catalog rarity
+     * Higher tier enemies shift weight away from common
+     * @param {string} baseRarity 
+     * @param {number} tier 
+     * @returns {string}
+     */
+    rollRarity(baseRarity, tier) {
+        const rarityIds = Object.keys(this.config.rarities);
+        const allowed = rarityIds.slice(rarityIds.indexOf(baseRarity));
+        const tierBonus = 1 + (tier - 1) * this.config.rarityTierBonus;
+        
+        const choice = this.pickWeighted(allowed.map(id => ({
+            id,
+            weight: this.config.rarities[id].weight * (id === 'common' ? 1 : tierBonus)
+        })));
+        
+        return choice ? choice.id : baseRarity;
+    }
+
+    /**
+     * Roll distinct affixes with values scaled by item level
+     * @param {number} count 
+     * @param {number} itemLevel 
+     * @returns {Array<Object>}
+     */
+    rollAffixes(count, itemLevel) {
+        const available = [...this.affixDefinitions];
+        const scale = 1 + (itemLevel - 1) * this.config.affixScalePerLevel;
+        const affixes = [];
+        
+        const scaleStats = (stats) => {
+            if (!stats) return undefined;
+            const scaled = {};
+            Object.entries(stats).forEach(([stat, value]) => {
+                scaled[stat] = Math.round(value * scale * 1000) / 1000;
+            });
+            return scaled;
+        };
+        
+        while (affixes.length < count && available.length > 0) {
+            const affix = this.pickWeighted(available);
+            available.splice(available.indexOf(affix), 1);
+            
+            affixes.push({
+                id: affix.id,
+                name: affix.name,
+                stats: scaleStats(affix.stats),
+                percentStats: scaleStats(affix.percentStats)
+            });
+        }
+        
+        return affixes;
+    }
+
+    /**
+     * Gear score of one inventory entry (0 for non-gear)
+     * @param {Object} item - Inventory entry
+     * @returns {number}
+     */
+    getItemGearScore(item) {
+        const itemDef = this.itemDefinitions.get(item.itemId);
+        if (!itemDef?.equipable) return 0;
+        
+        const { flat, percent } = this.getItemStats(item);
+        const weights = this.config.gearScoreWeights;
+        let score = item.gear?.itemLevel || 1;
+        
+        Object.entries(flat).forEach(([stat, value]) => {
+            score += value * (weights.flat[stat] || 0);
+        });
+        Object.entries(percent).forEach(([stat, value]) => {
+            score += value * (weights.percent[stat] || 0);
+        });
+        
+        return Math.round(score);
+    }
+
+    /**
+     * Total gear score of everything an entity has equipped
+     * @param {string} entityId 
+     * @returns {number}
+     */
+    getGearScore(entityId) {
+        const entity = this.entityManager.getEntity(entityId);
+        const inventory = entity?.getComponent('inventory');
+        if (!inventory) return 0;
+        
+        return Object.values(inventory.equipment).reduce((total, key) => {
+            const item = key && this.findItem(inventory, key);
+            return total + (item ? this.getItemGearScore(item) : 0);
+        }, 0);
+    }
+
+    /**
+     * Equip the highest gear score item for every slot
+     * @param {Object} data - { entityId }
+     */
+    autoEquipBest(data) {
+        const { entityId } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity || !entity.hasComponent('inventory')) return;
+        
+        const inventory = entity.getComponent('inventory');
+        const changes = [];
+        
+        Object.keys(inventory.equipment).forEach(slot => {
+            const current = inventory.equipment[slot] && this.findItem(inventory, inventory.equipment[slot]);
+            let best = current;
+            let bestScore = current ? this.getItemGearScore(current) : -Infinity;
+            
+            inventory.items.forEach(item => {
+                const itemDef = this.itemDefinitions.get(item.itemId);
+                if (!itemDef?.equipable || itemDef.slot !== slot || item === current) return;
+                
+                const score = this.getItemGearScore(item);
+                if (score > bestScore) {
+                    best = item;
+                    bestScore = score;
+                }
+            });
+            
+            if (best && best !== current) {
+                this.equipItem({ entityId, instanceId: this.getItemKey(best), itemId: best.itemId, slot });
+                changes.push({ slot, itemId: best.itemId, instanceId: best.gear?.instanceId, gearScore: bestScore });
+            }
+        });
+        
+        this.eventBus.emit('inventory:auto-equipped', {
+            entityId,
+            changes,
+            gearScore: this.getGearScore(entityId)
+        });
+    }
+
+    /**
+     * Break a gear instance down into materials
+     * @param {Object} data - { entityId, instanceId }
+     * @returns {Array} Materials given [{ itemId, quantity }]
+     */
+    disenchantItem(data) {
+        const { entityId, instanceId } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity || !entity.hasComponent('inventory')) return [];
+        
+        const inventory = entity.getComponent('inventory');
+        const item = inventory.items.find(entry => entry.gear?.instanceId === instanceId);
+        
+        if (!item) {
+            this.eventBus.emit('inventory:error', {
+                entityId,
+                error: 'Only gear can be disenchanted'
+            });
+            return [];
+        }
+        
+        const { itemId, gear } = item;
+        if (!this.removeItem({ entityId, instanceId })) return [];
+        
+        // Materials that don't fit go to the ground like any other overflow
+        const yields = this.config.disenchantYields[this.getRarityId(gear.rarity)] || [];
+        const materials = this.generateLoot(yields);
+        materials.forEach(material => this.addItem({ entityId, ...material }));
+        
+        this.eventBus.emit('inventory:disenchanted', {
+            entityId,
+            itemId,
+            instanceId,
+            rarity: gear.rarity,
+            materials
+        });
+        
+        return materials;
     }
 
     /**
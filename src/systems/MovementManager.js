@@ -3,11 +3,27 @@
  * Branch-level system that handles all entity movement consistently
  * 
  * Based on the working enemy movement system
+ *
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
+ *
+ * Every position change goes through setPixelPosition, which keeps the `position` component in one shape:
+ * - x/y and worldX/worldY are tiles, pixelX/pixelY are pixels (`tileSize` per tile)
+ * - 'entity:moved' { entityId, oldPosition, newPosition } reports tile changes, at most once per
+ *   `movedEventInterval` per entity; the last tile reached is reported once the interval passes
+ * Requests:
+ * - 'movement:move-by' { entityId, dx, dy } - free movement in pixels (player input)
+ * - 'movement:set-position' { entityId, x, y } in tiles or { entityId, pixelX, pixelY } - teleports, reported at once
+ * - 'entity:request-move' { entityId, targetPosition | newPosition } - walk to a tile (pets, party members)
+ * - 'movement:request-move-to' { entityId, targetX, targetY } - walk a wandering entity to a pixel position
  */
+import GameClock from '../core/GameClock.js';
+import Random from '../core/Random.js';
+
 export default class MovementManager {
-    constructor(eventBus, entityManager) {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
+        this.clock = clock;
         
         // Movement configuration
         this.config = {
@@ -19,12 +35,20 @@ export default class MovementManager {
                 min: 30,
                 max: 80
             },
-            maxDistanceFromSpawn: 150      // Max pixels from spawn point
+            maxDistanceFromSpawn: 150,     // Max pixels from spawn point
+            tileSize: 32,                  // Pixels per tile
+            movedEventInterval: 100        // Min ms between 'entity:moved' reports per entity
         };
         
         // Track all moving entities
         this.movingEntities = new Map(); // entityId -> movement data
         
+        // Last reported tile per entity
+        this.reportedMoves = new Map(); // entityId -> { tile, at, pending }
+        
+        // Walks requested by tile, so a newer target replaces the old one
+        this.tileWalks = new Map(); // entityId -> tween
+        
         this.setupEventListeners();
     }
     
@@ -36,6 +60,20 @@ export default class MovementManager {
         // Listen for movement requests
         this.eventBus.on('movement:request-wander', this.handleWanderRequest.bind(this));
         this.eventBus.on('movement:request-move-to', this.handleMoveToRequest.bind(this));
+        this.eventBus.on('entity:request-move', this.handleTileMoveRequest.bind(this));
+        
+        // Direct position changes
+        this.eventBus.on('movement:move-by', (data) => {
+            const position = this.entityManager.getEntity(data.entityId)?.getComponent('position');
+            if (position) this.setPixelPosition(data.entityId, position.pixelX + data.dx, position.pixelY + data.dy);
+        });
+        this.eventBus.on('movement:set-position', (data) => {
+            if (data.pixelX !== undefined) {
+                this.setPixelPosition(data.entityId, data.pixelX, data.pixelY, { immediate: true });
+            } else {
+                this.setTilePosition(data.entityId, data.x, data.y, { immediate: true });
+            }
+        });
     }
     
     handleEntityCreated(data) {
@@ -44,7 +82,7 @@ export default class MovementManager {
         // Register all non-player entities for movement
         if (!entity.hasTag('player') && entity.hasTag('enemy')) {
             // Wait one frame to ensure visual is created
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.registerEntity(entity);
             }, 0);
         }
@@ -53,18 +91,24 @@ export default class MovementManager {
     handleEntityDestroyed(data) {
         const { entityId } = data;
         this.movingEntities.delete(entityId);
+        this.reportedMoves.delete(entityId);
+        this.tileWalks.get(entityId)?.stop();
+        this.tileWalks.delete(entityId);
     }
     
     registerEntity(entity) {
         const visual = this.getEntityVisual(entity.id);
-        if (!visual) {
+        if (!visual && this.getScene()) {
             console.warn(`No visual found for entity ${entity.id}`);
             return;
         }
         
-        // Get initial position from visual
-        const spawnX = visual.x;
-        const spawnY = visual.y;
+        // Get initial position from visual (or the component when running without a scene)
+        const source = this.getPixelSource(entity, visual);
+        if (!source) return;
+        
+        const spawnX = source.x;
+        const spawnY = source.y;
         
         // Determine movement pattern
         let movePattern = 'wander';
@@ -78,11 +122,11 @@ export default class MovementManager {
             entityId: entity.id,
             spawnPoint: { x: spawnX, y: spawnY },
             currentPosition: { x: spawnX, y: spawnY },
-            lastMoveTime: Date.now() + Math.random() * 2000, // Stagger initial movement
+            lastMoveTime: this.clock.now() + Random.next() * 2000, // Stagger initial movement
             nextMoveInterval: this.getRandomInterval(),
             movePattern: movePattern,
             isMoving: false,
-            personalityMultiplier: 0.7 + Math.random() * 0.6 // 0.7-1.3x speed
+            personalityMultiplier: 0.7 + Random.next() * 0.6 // 0.7-1.3x speed
         };
         
         this.movingEntities.set(entity.id, movementData);
@@ -90,7 +134,10 @@ export default class MovementManager {
     }
     
     update(deltaTime) {
-        const now = Date.now();
+        const now = this.clock.now();
+        
+        // Report moves held back by the throttle
+        this.flushMoves(now);
         
         // Process each entity
         this.movingEntities.forEach((movementData, entityId) => {
@@ -108,11 +155,12 @@ export default class MovementManager {
             }
             
             const visual = this.getEntityVisual(entityId);
-            if (!visual) return;
+            const source = this.getPixelSource(entity, visual);
+            if (!source) return;
             
             // Update current position from visual (source of truth)
-            movementData.currentPosition.x = visual.x;
-            movementData.currentPosition.y = visual.y;
+            movementData.currentPosition.x = source.x;
+            movementData.currentPosition.y = source.y;
             
             // Process movement based on pattern
             this.processMovement(entity, movementData, visual);
@@ -126,11 +174,11 @@ export default class MovementManager {
     processMovement(entity, movementData, visual) {
         let targetX, targetY;
         const distance = this.config.wanderDistance.min + 
-                        Math.random() * (this.config.wanderDistance.max - this.config.wanderDistance.min);
+                        Random.next() * (this.config.wanderDistance.max - this.config.wanderDistance.min);
         
         switch (movementData.movePattern) {
             case 'wander':
-                const angle = Math.random() * Math.PI * 2;
+                const angle = Random.next() * Math.PI * 2;
                 targetX = movementData.currentPosition.x + Math.cos(angle) * distance;
                 targetY = movementData.currentPosition.y + Math.sin(angle) * distance;
                 break;
@@ -149,7 +197,7 @@ export default class MovementManager {
                 if (distToSpawn > 100) {
                     moveAngle = toSpawn; // Move back to spawn
                 } else {
-                    moveAngle = toSpawn + Math.PI/2 + (Math.random() - 0.5); // Circle around
+                    moveAngle = toSpawn + Math.PI/2 + (Random.next() - 0.5); // Circle around
                 }
                 
                 targetX = movementData.currentPosition.x + Math.cos(moveAngle) * distance;
@@ -161,7 +209,7 @@ export default class MovementManager {
                 
             default:
                 // Default to wander
-                const defaultAngle = Math.random() * Math.PI * 2;
+                const defaultAngle = Random.next() * Math.PI * 2;
                 targetX = movementData.currentPosition.x + Math.cos(defaultAngle) * distance;
                 targetY = movementData.currentPosition.y + Math.sin(defaultAngle) * distance;
         }
@@ -186,31 +234,42 @@ export default class MovementManager {
         this.moveEntity(entity, visual, targetX, targetY, movementData);
     }
     
-    moveEntity(entity, visual, targetX, targetY, movementData) {
-        movementData.isMoving = true;
+    /**
+     * Walk an entity to a pixel position, tweening its visual when a scene is running
+     * @param {Entity} entity 
+     * @param {Object|null} visual 
+     * @param {number} targetX 
+     * @param {number} targetY 
+     * @param {Object|null} movementData - Wander state, if the entity wanders
+     */
+    moveEntity(entity, visual, targetX, targetY, movementData = null) {
+        if (movementData) movementData.isMoving = true;
         
-        // Get scene reference
+        // Get scene reference - without one (headless) the move completes instantly
         const scene = this.getScene();
-        if (!scene) return;
+        if (!scene || !visual) {
+            this.setPixelPosition(entity.id, targetX, targetY);
+            if (movementData) {
+                movementData.isMoving = false;
+                movementData.currentPosition.x = targetX;
+                movementData.currentPosition.y = targetY;
+            }
+            return;
+        }
         
         // Calculate duration
         const duration = (this.config.baseMoveDuration + 
-                         (Math.random() * this.config.durationVariance * 2 - this.config.durationVariance)) *
-                         movementData.personalityMultiplier;
+                         (Random.next() * this.config.durationVariance * 2 - this.config.durationVariance)) *
+                         (movementData?.personalityMultiplier || 1);
         
         // Update position component to current visual position BEFORE tween
-        const position = entity.getComponent('position');
-        if (position) {
-            position.x = visual.x;
-            position.y = visual.y;
-            position.pixelX = visual.x;
-            position.pixelY = visual.y;
-            position.worldX = Math.floor(visual.x / 32);
-            position.worldY = Math.floor(visual.y / 32);
-        }
+        this.setPixelPosition(entity.id, visual.x, visual.y);
+        
+        // A new tile walk replaces the one in progress
+        this.tileWalks.get(entity.id)?.stop();
         
         // Create movement tween
-        scene.tweens.add({
+        const tween = scene.tweens.add({
             targets: visual,
             x: targetX,
             y: targetY,
@@ -218,26 +277,141 @@ export default class MovementManager {
             ease: 'Sine.easeInOut',
             onUpdate: () => {
                 // Keep position in sync during movement
-                if (position) {
-                    position.x = visual.x;
-                    position.y = visual.y;
-                    position.pixelX = visual.x;
-                    position.pixelY = visual.y;
-                    position.worldX = Math.floor(visual.x / 32);
-                    position.worldY = Math.floor(visual.y / 32);
-                }
+                this.setPixelPosition(entity.id, visual.x, visual.y);
             },
             onComplete: () => {
+                this.tileWalks.delete(entity.id);
+                if (!movementData) return;
                 movementData.isMoving = false;
                 movementData.currentPosition.x = visual.x;
                 movementData.currentPosition.y = visual.y;
             }
         });
+        
+        if (!movementData) this.tileWalks.set(entity.id, tween);
+    }
+    
+    /**
+     * Move an entity to a pixel position - the one place position components change
+     * @param {string} entityId 
+     * @param {number} pixelX 
+     * @param {number} pixelY 
+     * @param {Object} options - { immediate } skips the 'entity:moved' throttle
+     * @returns {boolean} Whether the entity has a position
+     */
+    setPixelPosition(entityId, pixelX, pixelY, options = {}) {
+        const position = this.entityManager.getEntity(entityId)?.getComponent('position');
+        if (!position) return false;
+        
+        const oldTile = { x: position.worldX, y: position.worldY };
+        this.applyPixelPosition(position, pixelX, pixelY);
+        this.reportMove(entityId, oldTile, { x: position.worldX, y: position.worldY }, options.immediate);
+        return true;
+    }
+    
+    /**
+     * Move an entity onto a tile
+     * @param {string} entityId 
+     * @param {number} tileX 
+     * @param {number} tileY 
+     * @param {Object} options - { immediate }
+     * @returns {boolean}
+     */
+    setTilePosition(entityId, tileX, tileY, options = {}) {
+        return this.setPixelPosition(entityId, tileX * this.config.tileSize, tileY * this.config.tileSize, options);
+    }
+    
+    /**
+     * Emit 'entity:moved' for a tile change, or hold it until the throttle interval passes
+     * @param {string} entityId 
+     * @param {Object} oldTile - { x, y } before this change
+     * @param {Object} newTile - { x, y }
+     * @param {boolean} immediate 
+     */
+    reportMove(entityId, oldTile, newTile, immediate = false) {
+        let record = this.reportedMoves.get(entityId);
+        if (!record) {
+            record = { tile: oldTile, at: -Infinity, pending: false };
+            this.reportedMoves.set(entityId, record);
+        }
+        
+        // Back on the last reported tile - nothing to tell
+        record.pending = record.tile.x !== newTile.x || record.tile.y !== newTile.y;
+        if (!record.pending) return;
+        
+        if (immediate || this.clock.now() - record.at >= this.config.movedEventInterval) {
+            this.emitMoved(entityId, record, newTile);
+        }
+    }
+    
+    /**
+     * Report every held-back move whose interval has passed
+     * @param {number} now 
+     */
+    flushMoves(now) {
+        this.reportedMoves.forEach((record, entityId) => {
+            if (!record.pending || now - record.at < this.config.movedEventInterval) return;
+            
+            const position = this.entityManager.getEntity(entityId)?.getComponent('position');
+            if (!position) {
+                this.reportedMoves.delete(entityId);
+                return;
+            }
+            this.emitMoved(entityId, record, { x: position.worldX, y: position.worldY });
+        });
+    }
+    
+    /**
+     * @param {string} entityId 
+     * @param {Object} record - { tile, at, pending }
+     * @param {Object} newTile - { x, y }
+     */
+    emitMoved(entityId, record, newTile) {
+        const oldPosition = record.tile;
+        record.tile = { ...newTile };
+        record.at = this.clock.now();
+        record.pending = false;
+        
+        this.eventBus.emit('entity:moved', { entityId, oldPosition, newPosition: { ...newTile } });
+    }
+    
+    /**
+     * Write a pixel position into a position component
+     * @param {Object} position 
+     * @param {number} pixelX 
+     * @param {number} pixelY 
+     */
+    applyPixelPosition(position, pixelX, pixelY) {
+        if (!position) return;
+        
+        position.pixelX = pixelX;
+        position.pixelY = pixelY;
+        position.worldX = Math.floor(pixelX / this.config.tileSize);
+        position.worldY = Math.floor(pixelY / this.config.tileSize);
+        position.x = position.worldX;
+        position.y = position.worldY;
+    }
+    
+    /**
+     * Get the current pixel position, preferring the visual when one exists
+     * @param {Entity} entity 
+     * @param {Object|null} visual 
+     * @returns {Object|null} - { x, y }
+     */
+    getPixelSource(entity, visual) {
+        if (visual) {
+            return { x: visual.x, y: visual.y };
+        }
+        
+        const position = entity.getComponent('position');
+        if (!position) return null;
+        
+        return { x: position.pixelX, y: position.pixelY };
     }
     
     getRandomInterval() {
         return this.config.baseWanderInterval + 
-               (Math.random() * this.config.intervalVariance * 2 - this.config.intervalVariance);
+               (Random.next() * this.config.intervalVariance * 2 - this.config.intervalVariance);
     }
     
     getEntityVisual(entityId) {
@@ -249,7 +423,7 @@ export default class MovementManager {
     }
     
     getScene() {
-        if (window.gameCore && window.gameCore.phaserGame) {
+        if (typeof window !== 'undefined' && window.gameCore && window.gameCore.phaserGame) {
             return window.gameCore.phaserGame.scene.getScene('GameSceneRefactored');
         }
         return null;
@@ -269,16 +443,34 @@ export default class MovementManager {
         const entity = this.entityManager.getEntity(entityId);
         const visual = this.getEntityVisual(entityId);
         
-        if (entity && visual) {
+        if (entity && (visual || !this.getScene())) {
             const movementData = this.movingEntities.get(entityId);
             if (movementData) {
-                movementData.isMoving = true;
                 this.moveEntity(entity, visual, targetX, targetY, movementData);
             }
         }
     }
     
+    /**
+     * Walk any entity to a tile (pets following, party formations)
+     * @param {Object} data - { entityId, targetPosition | newPosition } in tiles
+     */
+    handleTileMoveRequest(data) {
+        const target = data.targetPosition || data.newPosition;
+        const entity = this.entityManager.getEntity(data.entityId);
+        if (!entity || !target) return;
+        
+        // Wandering entities keep their own schedule
+        if (this.movingEntities.get(entity.id)?.isMoving) return;
+        
+        const { tileSize } = this.config;
+        this.moveEntity(entity, this.getEntityVisual(entity.id), target.x * tileSize, target.y * tileSize);
+    }
+    
     destroy() {
         this.movingEntities.clear();
+        this.reportedMoves.clear();
+        this.tileWalks.forEach(tween => tween.stop());
+        this.tileWalks.clear();
     }
 }
\ No newline at end of file
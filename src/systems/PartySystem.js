@@ -2,12 +2,15 @@
  * PartySystem - Manages party members, AI companions, and group mechanics
  * Branch-level system for party management
  * 
- * Dependencies: EventBus, EntityManager (trunk only)
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
  */
+import GameClock from '../core/GameClock.js';
+
 export default class PartySystem {
-    constructor(eventBus, entityManager) {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
+        this.clock = clock;
         
         // Party configuration
         this.config = {
@@ -120,12 +123,39 @@ export default class PartySystem {
         this.eventBus.on('combat:started', this.handleCombatStarted.bind(this));
         this.eventBus.on('entity:died', this.handleMemberDeath.bind(this));
         this.eventBus.on('entity:attacked', this.handleMemberAttacked.bind(this));
+        this.eventBus.on('entity:revived', this.handleMemberRevived.bind(this));
+        this.eventBus.on('party:revive', this.reviveMember.bind(this));
         
         // Movement events
         this.eventBus.on('entity:moved', this.handleLeaderMovement.bind(this));
         
         // XP events
         this.eventBus.on('progression:xp-gained', this.handleXPGained.bind(this));
+        
+        // Save/load
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.parties = {
+                parties: JSON.parse(JSON.stringify(Array.from(this.parties.values())))
+            };
+        });
+        this.eventBus.on('save:restore', this.restoreState.bind(this));
+    }
+
+    /**
+     * Restore parties from a save
+     * @param {Object} data - { slices }
+     */
+    restoreState(data) {
+        const saved = data.slices.parties;
+        if (!saved) return;
+        
+        this.parties.clear();
+        this.entityParties.clear();
+        
+        saved.parties.forEach(party => {
+            this.parties.set(party.id, party);
+            party.members.forEach(memberId => this.entityParties.set(memberId, party.id));
+        });
     }
 
     /**
@@ -138,7 +168,7 @@ export default class PartySystem {
         const leader = this.entityManager.getEntity(leaderId);
         if (!leader) return;
         
-        const partyId = `party_${Date.now()}`;
+        const partyId = `party_${this.clock.now()}`;
         
         const party = {
             id: partyId,
@@ -149,7 +179,7 @@ export default class PartySystem {
             behaviorMode: 'defensive',
             sharedInventory: [],
             partyBuffs: [],
-            created: Date.now()
+            created: this.clock.now()
         };
         
         this.parties.set(partyId, party);
@@ -201,6 +231,7 @@ export default class PartySystem {
         // Add to party
         party.members.push(entityId);
         this.entityParties.set(entityId, partyId);
+        entity.addTag('persistent'); // Party members are kept in saves
         
         // Add party component
         entity.addComponent('partyRole', {
@@ -248,6 +279,7 @@ export default class PartySystem {
         if (entity) {
             entity.removeComponent('partyRole');
             entity.removeComponent('partyAI');
+            if (!entity.hasTag('player')) entity.removeTag('persistent');
         }
         
         // Check if party should disband
@@ -622,6 +654,44 @@ export default class PartySystem {
         }
     }
 
+    /**
+     * Revive a fallen member (HealthSystem restores the health)
+     * @param {Object} data - { memberId }
+     */
+    reviveMember(data) {
+        const { memberId } = data;
+        if (!this.entityParties.has(memberId)) return;
+        
+        const role = this.entityManager.getEntity(memberId)?.getComponent('partyRole');
+        if (!role?.isDead) return;
+        
+        this.eventBus.emit('health:revive', {
+            entityId: memberId,
+            percent: this.config.reviveHealthPercent,
+            source: 'party'
+        });
+    }
+
+    /**
+     * Handle member revived - back on their feet
+     * @param {Object} data - { entityId }
+     */
+    handleMemberRevived(data) {
+        const { entityId } = data;
+        
+        const partyId = this.entityParties.get(entityId);
+        if (!partyId) return;
+        
+        const role = this.entityManager.getEntity(entityId)?.getComponent('partyRole');
+        if (role) role.isDead = false;
+        
+        this.eventBus.emit('party:member-revived', {
+            partyId,
+            memberId: entityId,
+            party: this.parties.get(partyId)
+        });
+    }
+
     /**
      * Handle XP gained - share with party
      * @param {Object} data - { entityId, amount }
@@ -664,7 +734,7 @@ export default class PartySystem {
             if (ai) {
                 ai.state = 'commanded';
                 ai.target = targetId;
-                ai.commandTimeout = Date.now() + 30000; // 30 second timeout
+                ai.commandTimeout = this.clock.now() + 30000; // 30 second timeout
             }
         });
     }
@@ -676,7 +746,7 @@ export default class PartySystem {
             if (ai) {
                 ai.state = 'commanded';
                 ai.targetPosition = position;
-                ai.commandTimeout = Date.now() + 10000; // 10 second timeout
+                ai.commandTimeout = this.clock.now() + 10000; // 10 second timeout
             }
         });
     }
@@ -2,12 +2,16 @@
  * PetSystem - Manages pet ownership, taming, evolution, and pet AI
  * Branch-level system for pet mechanics
  * 
- * Dependencies: EventBus, EntityManager (trunk only)
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
  */
+import GameClock from '../core/GameClock.js';
+import Random from '../core/Random.js';
+
 export default class PetSystem {
-    constructor(eventBus, entityManager) {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
+        this.clock = clock;
         
         // Pet configuration
         this.config = {
@@ -208,6 +212,7 @@ export default class PetSystem {
         // Combat events
         this.eventBus.on('combat:started', this.handleCombat.bind(this));
         this.eventBus.on('entity:died', this.handlePetDeath.bind(this));
+        this.eventBus.on('entity:revived', this.handlePetRevived.bind(this));
         
         // Owner events
         this.eventBus.on('entity:attacked', this.handleOwnerAttacked.bind(this));
@@ -215,6 +220,35 @@ export default class PetSystem {
         
         // Time events for happiness decay
         this.eventBus.on('time:hour-changed', this.updatePetHappiness.bind(this));
+        
+        // Save/load
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.pets = {
+                petData: JSON.parse(JSON.stringify(Object.fromEntries(this.petData)))
+            };
+        });
+        this.eventBus.on('save:restore', this.restoreState.bind(this));
+    }
+
+    /**
+     * Restore pets from a save
+     * @param {Object} data - { slices }
+     */
+    restoreState(data) {
+        const saved = data.slices.pets;
+        if (!saved) return;
+        
+        this.petData.clear();
+        this.petOwnership.clear();
+        
+        Object.entries(saved.petData).forEach(([petId, petInfo]) => {
+            this.petData.set(petId, petInfo);
+            
+            if (!this.petOwnership.has(petInfo.ownerId)) {
+                this.petOwnership.set(petInfo.ownerId, new Set());
+            }
+            this.petOwnership.get(petInfo.ownerId).add(petId);
+        });
     }
 
     /**
@@ -253,7 +287,7 @@ export default class PetSystem {
         const tamingData = {
             tamerId,
             targetId,
-            startTime: Date.now(),
+            startTime: this.clock.now(),
             progress: 0,
             difficulty: targetData.tamingDifficulty || 0.5,
             interrupted: false
@@ -269,7 +303,7 @@ export default class PetSystem {
         });
         
         // Schedule completion
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             if (!tamingData.interrupted) {
                 this.completeTaming({ tamerId, targetId });
             }
@@ -291,7 +325,7 @@ export default class PetSystem {
         
         // Success chance based on difficulty
         const successChance = 1 - tamingData.difficulty;
-        if (Math.random() > successChance) {
+        if (Random.next() > successChance) {
             this.eventBus.emit('pet:taming-failed', {
                 tamerId,
                 targetId
@@ -325,6 +359,7 @@ export default class PetSystem {
         // Add pet tags
         entity.addTag('pet');
         entity.addTag('friendly');
+        entity.addTag('persistent'); // Pets are kept in saves
         
         // Initialize pet data
         const petInfo = {
@@ -335,8 +370,8 @@ export default class PetSystem {
             experience: 0,
             happiness: 100,
             loyalty: 50,
-            lastFed: Date.now(),
-            lastPetted: Date.now(),
+            lastFed: this.clock.now(),
+            lastPetted: this.clock.now(),
             abilities: [],
             mood: 'happy'
         };
@@ -401,6 +436,7 @@ export default class PetSystem {
         // Remove pet tags
         pet.removeTag('pet');
         pet.removeTag('friendly');
+        pet.removeTag('persistent');
         
         // Make neutral
         pet.addTag('neutral');
@@ -426,7 +462,7 @@ export default class PetSystem {
         if (!petInfo || petInfo.ownerId !== ownerId) return;
         
         // Check feed cooldown
-        const timeSinceLastFed = Date.now() - petInfo.lastFed;
+        const timeSinceLastFed = this.clock.now() - petInfo.lastFed;
         if (timeSinceLastFed < this.config.feedCooldown) {
             this.eventBus.emit('pet:error', {
                 ownerId,
@@ -440,7 +476,7 @@ export default class PetSystem {
         const isPreferred = typeData?.preferredFood?.includes(itemId);
         
         // Update pet stats
-        petInfo.lastFed = Date.now();
+        petInfo.lastFed = this.clock.now();
         petInfo.happiness = Math.min(100, petInfo.happiness + (isPreferred ? 20 : 10));
         petInfo.loyalty = Math.min(100, petInfo.loyalty + this.config.loyaltyGainRate * 10);
         
@@ -473,7 +509,7 @@ export default class PetSystem {
         if (!petInfo || petInfo.ownerId !== ownerId) return;
         
         // Update stats
-        petInfo.lastPetted = Date.now();
+        petInfo.lastPetted = this.clock.now();
         petInfo.happiness = Math.min(100, petInfo.happiness + 5);
         petInfo.loyalty = Math.min(100, petInfo.loyalty + this.config.loyaltyGainRate * 5);
         
@@ -580,7 +616,7 @@ export default class PetSystem {
         
         // Check cooldown
         const lastUse = ai.lastAbilityUse[abilityName] || 0;
-        if (Date.now() - lastUse < ability.cooldown) {
+        if (this.clock.now() - lastUse < ability.cooldown) {
             this.eventBus.emit('pet:error', {
                 ownerId,
                 error: 'Ability on cooldown'
@@ -596,7 +632,7 @@ export default class PetSystem {
         this.executeAbility(petId, abilityName, target, abilityPower);
         
         // Update cooldown
-        ai.lastAbilityUse[abilityName] = Date.now();
+        ai.lastAbilityUse[abilityName] = this.clock.now();
         
         this.eventBus.emit('pet:ability-used', {
             petId,
@@ -775,6 +811,28 @@ export default class PetSystem {
         });
     }
 
+    /**
+     * Handle pet revived - back with its owner
+     * @param {Object} data - { entityId }
+     */
+    handlePetRevived(data) {
+        const { entityId } = data;
+        
+        const petInfo = this.petData.get(entityId);
+        if (!petInfo) return;
+        
+        if (!this.petOwnership.has(petInfo.ownerId)) {
+            this.petOwnership.set(petInfo.ownerId, new Set());
+        }
+        this.petOwnership.get(petInfo.ownerId).add(entityId);
+        
+        this.eventBus.emit('pet:revived', {
+            ownerId: petInfo.ownerId,
+            petId: entityId,
+            petInfo
+        });
+    }
+
     /**
      * Handle owner being attacked
      * @param {Object} data - { targetId, attackerId }
@@ -835,8 +893,7 @@ export default class PetSystem {
                 
                 // Teleport if too far
                 if (distance > this.config.petFollowDistance.teleport) {
-                    petPos.x = ownerPos.x;
-                    petPos.y = ownerPos.y;
+                    this.eventBus.emit('movement:set-position', { entityId: petId, x: ownerPos.x, y: ownerPos.y });
                     this.eventBus.emit('pet:teleported', { petId });
                 }
                 // Move closer if needed
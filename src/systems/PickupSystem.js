@@ -0,0 +1,329 @@
+/**
+ * PickupSystem - Items lying on the ground as pickup entities
+ * Branch-level system that spawns, collects and despawns world drops
+ *
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
+ *
+ * Items reach the inventory through 'inventory:add-item'; anything that
+ * doesn't fit comes back as 'inventory:overflow' and is dropped at the
+ * owner's feet. A pickup that doesn't fit stays where it is, on its
+ * original despawn timer.
+ */
+import GameClock from '../core/GameClock.js';
+
+export default class PickupSystem {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.clock = clock;
+
+        // Pickup configuration
+        this.config = {
+            despawnTime: 120000, // Game ms before an uncollected drop disappears
+            collectRadius: 0, // Tiles; 0 = walk onto the drop's tile
+            interactRadius: 1 // Tiles reachable with the interact key
+        };
+
+        // pickupId -> despawn timer handle
+        this.despawnTimers = new Map();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Drops
+        this.eventBus.on('loot:dropped', this.handleLootDropped.bind(this));
+        this.eventBus.on('inventory:overflow', this.handleInventoryOverflow.bind(this));
+        this.eventBus.on('pickup:spawn', (data) => this.spawnPickup(data));
+
+        // Collection
+        this.eventBus.on('player:interact', this.handleInteract.bind(this));
+
+        // Timers
+        this.eventBus.on('entity:destroyed', this.handleEntityDestroyed.bind(this));
+    }
+
+    /**
+     * Drop rolled loot on the ground where the source fell
+     * @param {Object} data - { sourceId, winnerId, position, loot }
+     */
+    handleLootDropped(data) {
+        const { position, loot } = data;
+        if (!position) return;
+
+        loot.forEach(({ itemId, quantity, gear }) => {
+            this.spawnPickup({ itemId, quantity, gear, position });
+        });
+    }
+
+    /**
+     * Drop whatever didn't fit in an inventory at the owner's feet
+     * @param {Object} data - { entityId, itemId, quantity, gear }
+     */
+    handleInventoryOverflow(data) {
+        const { entityId, itemId, quantity, gear } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity) return;
+
+        const position = entity.getComponent('position');
+        if (!position) return;
+
+        // Don't hand it straight back until the owner steps away
+        this.spawnPickup({ itemId, quantity, gear, position, blockedFor: entityId });
+
+        this.eventBus.emit('pickup:overflow', { entityId, itemId, quantity });
+    }
+
+    /**
+     * Create a pickup entity on the ground
+     * @param {Object} data - { itemId, quantity, gear, position, blockedFor }
+     * @returns {Entity}
+     */
+    spawnPickup(data) {
+        const { itemId, quantity = 1, gear = null, position, blockedFor = null } = data;
+        const tile = this.getTile(position);
+
+        const pickup = this.entityManager.createEntity({
+            position: {
+                x: tile.x,
+                y: tile.y,
+                worldX: tile.x,
+                worldY: tile.y,
+                pixelX: tile.x * 32,
+                pixelY: tile.y * 32,
+                moving: false
+            },
+            appearance: {
+                type: 'pickup',
+                name: itemId,
+                radius: 6
+            },
+            pickup: {
+                itemId,
+                quantity,
+                gear,
+                droppedAt: this.clock.now(),
+                despawnAt: this.clock.now() + this.config.despawnTime,
+                blockedFor,
+                collecting: false // Waiting on 'inventory:add-item'
+            }
+        }, ['pickup']);
+
+        const handle = this.clock.setTimeout(() => this.despawnPickup(pickup.id), this.config.despawnTime);
+        this.despawnTimers.set(pickup.id, handle);
+
+        this.eventBus.emit('pickup:spawned', {
+            pickupId: pickup.id,
+            itemId,
+            quantity,
+            position: tile
+        });
+
+        return pickup;
+    }
+
+    /**
+     * Collect nearby pickups for every player
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        if (this.clock.isPaused()) return;
+
+        const pickups = this.getPickups();
+        if (pickups.length === 0) return;
+
+        this.entityManager.getEntitiesByTag('player').forEach(player => {
+            const playerTile = this.getTile(player.getComponent('position'));
+            if (!playerTile) return;
+
+            const radius = this.getCollectRadius(player);
+
+            pickups.forEach(pickupEntity => {
+                const pickup = pickupEntity.getComponent('pickup');
+                const distance = this.getDistance(playerTile, pickupEntity.getComponent('position'));
+
+                if (pickup.blockedFor === player.id) {
+                    // Overflow drops become collectable once the owner walks off them
+                    if (distance > radius) pickup.blockedFor = null;
+                    return;
+                }
+
+                if (distance <= radius) {
+                    this.collectPickup(player, pickupEntity);
+                }
+            });
+        });
+    }
+
+    /**
+     * Pick up everything within reach, including drops that didn't fit before
+     * @param {Object} data - { entityId }
+     */
+    handleInteract(data = {}) {
+        const player = data.entityId
+            ? this.entityManager.getEntity(data.entityId)
+            : this.entityManager.getEntitiesByTag('player')[0];
+        if (!player) return;
+
+        const playerTile = this.getTile(player.getComponent('position'));
+        if (!playerTile) return;
+
+        const radius = Math.max(this.config.interactRadius, this.getCollectRadius(player));
+
+        this.getPickups().forEach(pickupEntity => {
+            const distance = this.getDistance(playerTile, pickupEntity.getComponent('position'));
+            if (distance <= radius) {
+                this.collectPickup(player, pickupEntity);
+            }
+        });
+    }
+
+    /**
+     * Move a pickup into an entity's inventory
+     * @param {Entity} entity
+     * @param {Entity} pickupEntity
+     */
+    collectPickup(entity, pickupEntity) {
+        const pickup = pickupEntity.getComponent('pickup');
+        if (pickup.collecting) return;
+
+        const { itemId, quantity, gear } = pickup;
+        pickup.collecting = true;
+
+        this.eventBus.emit('inventory:add-item', {
+            entityId: entity.id,
+            itemId,
+            quantity,
+            gear,
+            dropOverflow: false,
+            onComplete: (added) => this.finishCollect(entity, pickupEntity, added)
+        });
+    }
+
+    /**
+     * Remove what was collected; what didn't fit stays on the ground, blocked until the entity steps away
+     * @param {Entity} entity
+     * @param {Entity} pickupEntity
+     * @param {number} added - Quantity that made it into the inventory
+     */
+    finishCollect(entity, pickupEntity, added) {
+        const pickup = pickupEntity.getComponent('pickup');
+        const { itemId, quantity } = pickup;
+        pickup.collecting = false;
+
+        if (added > 0) {
+            this.eventBus.emit('pickup:collected', {
+                entityId: entity.id,
+                pickupId: pickupEntity.id,
+                itemId,
+                quantity: added
+            });
+        }
+
+        if (added >= quantity) {
+            this.removePickup(pickupEntity.id);
+            return;
+        }
+
+        pickup.quantity = quantity - added;
+        if (added > 0) pickup.gear = null;
+        pickup.blockedFor = entity.id;
+
+        this.eventBus.emit('pickup:overflow', { entityId: entity.id, itemId, quantity: pickup.quantity });
+    }
+
+    /**
+     * Remove an uncollected pickup when its timer runs out
+     * @param {string} pickupId
+     */
+    despawnPickup(pickupId) {
+        const pickupEntity = this.entityManager.getEntity(pickupId);
+        if (!pickupEntity) return;
+
+        const { itemId, quantity } = pickupEntity.getComponent('pickup');
+        this.despawnTimers.delete(pickupId);
+        this.removePickup(pickupId);
+
+        this.eventBus.emit('pickup:despawned', { pickupId, itemId, quantity });
+    }
+
+    /**
+     * Remove a pickup entity and its timer
+     * @param {string} pickupId
+     */
+    removePickup(pickupId) {
+        const handle = this.despawnTimers.get(pickupId);
+        if (handle) {
+            this.clock.clearTimeout(handle);
+            this.despawnTimers.delete(pickupId);
+        }
+
+        this.entityManager.removeEntity(pickupId);
+    }
+
+    /**
+     * Drop timers for pickups removed elsewhere
+     * @param {Object} data - { entityId }
+     */
+    handleEntityDestroyed(data) {
+        const handle = this.despawnTimers.get(data.entityId);
+        if (!handle) return;
+
+        this.clock.clearTimeout(handle);
+        this.despawnTimers.delete(data.entityId);
+    }
+
+    /**
+     * Collection radius in tiles, widened by the magnetism talent
+     * @param {Entity} entity
+     * @returns {number}
+     */
+    getCollectRadius(entity) {
+        const talentBonuses = entity.getComponent('talentBonuses');
+        return this.config.collectRadius + (talentBonuses?.pickupRadius || 0);
+    }
+
+    /**
+     * All pickup entities
+     * @returns {Array<Entity>}
+     */
+    getPickups() {
+        return this.entityManager.query(entity => entity.hasTag('pickup'));
+    }
+
+    /**
+     * Tile coordinates of a position component
+     * @param {Object} position
+     * @returns {Object|null} { x, y }
+     */
+    getTile(position) {
+        if (!position) return null;
+
+        return {
+            x: Math.round(position.worldX ?? position.x),
+            y: Math.round(position.worldY ?? position.y)
+        };
+    }
+
+    /**
+     * Chebyshev distance in tiles, so diagonal neighbours count as adjacent
+     * @param {Object} tile - { x, y }
+     * @param {Object} position
+     * @returns {number}
+     */
+    getDistance(tile, position) {
+        const other = this.getTile(position);
+        return Math.max(Math.abs(tile.x - other.x), Math.abs(tile.y - other.y));
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.despawnTimers.forEach(handle => this.clock.clearTimeout(handle));
+        this.despawnTimers.clear();
+    }
+}
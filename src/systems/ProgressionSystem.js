@@ -11,8 +11,6 @@ export default class ProgressionSystem {
         this.config = {
             baseXPRequired: 100,
             xpScalingFactor: 2,
-            basePowerPerLevel: 1.5,
-            baseHealthPerLevel: 10,
             statPointsPerLevel: 3,
             talentPointsPerLevel: 1
         };
@@ -34,6 +32,12 @@ export default class ProgressionSystem {
                         effect: 'attackSpeedBonus',
                         value: 0.05 // 5% per rank
                     },
+                    quickReflexes: {
+                        name: 'Quick Reflexes',
+                        maxRanks: 3,
+                        effect: 'parryWindowBonus',
+                        value: 0.25 // 25% wider parry window per rank
+                    },
                     titanStrength: {
                         name: 'Titan Strength',
                         maxRanks: 1,
@@ -58,6 +62,18 @@ export default class ProgressionSystem {
                         effect: 'healthRegenPerSecond',
                         value: 1
                     },
+                    endurance: {
+                        name: 'Endurance',
+                        maxRanks: 3,
+                        effect: 'maxStaminaBonus',
+                        value: 0.2 // 20% per rank
+                    },
+                    secondWind: {
+                        name: 'Second Wind',
+                        maxRanks: 3,
+                        effect: 'staminaRegenBonus',
+                        value: 0.25 // 25% per rank
+                    },
                     unstoppable: {
                         name: 'Unstoppable',
                         maxRanks: 1,
@@ -66,6 +82,17 @@ export default class ProgressionSystem {
                         value: true
                     }
                 }
+            },
+            scavenging: {
+                name: 'Scavenging',
+                talents: {
+                    magnetism: {
+                        name: 'Magnetism',
+                        maxRanks: 3,
+                        effect: 'pickupRadiusBonus',
+                        value: 1 // +1 tile pickup radius per rank
+                    }
+                }
             }
         };
         
@@ -325,40 +352,16 @@ export default class ProgressionSystem {
         const progression = entity.getComponent('progression');
         if (!progression) return;
         
-        // Calculate base stats from level
-        const basePower = this.config.basePowerPerLevel * progression.level;
-        const baseHealth = this.config.baseHealthPerLevel * progression.level;
-        
-        // Apply stat bonuses (ensure stats exist)
+        // Ensure stats exist
         if (!progression.stats) {
             progression.stats = { strength: 1, vitality: 1, agility: 1 };
         }
-        const strengthBonus = progression.stats.strength * 2;
-        const vitalityBonus = progression.stats.vitality * 5;
-        
-        // Update power component
-        if (!entity.hasComponent('power')) {
-            entity.addComponent('power', { value: 1 });
-        }
-        const powerComponent = entity.getComponent('power');
-        powerComponent.value = basePower + strengthBonus;
-        
-        // Update health component
-        if (!entity.hasComponent('health')) {
-            entity.addComponent('health', { current: 100, max: 100 });
-        }
-        const healthComponent = entity.getComponent('health');
-        const oldMaxHealth = healthComponent.max;
-        healthComponent.max = baseHealth + vitalityBonus;
-        
-        // Scale current health if max increased
-        if (healthComponent.max > oldMaxHealth) {
-            const healthRatio = healthComponent.current / oldMaxHealth;
-            healthComponent.current = Math.floor(healthComponent.max * healthRatio);
-        }
         
         // Apply talent effects
         this.applyTalentEffects(entity);
+        
+        // StatsSystem turns level, stats and talents into power/health
+        this.eventBus.emit('stats:recalculate', { entityId: entity.id });
     }
 
     /**
@@ -401,9 +404,21 @@ export default class ProgressionSystem {
                     case 'maxHealthBonus':
                         bonuses.maxHealthMultiplier = (bonuses.maxHealthMultiplier || 1) + (talent.value * rank);
                         break;
+                    case 'parryWindowBonus':
+                        bonuses.parryWindowMultiplier = (bonuses.parryWindowMultiplier || 1) + (talent.value * rank);
+                        break;
+                    case 'maxStaminaBonus':
+                        bonuses.maxStaminaMultiplier = (bonuses.maxStaminaMultiplier || 1) + (talent.value * rank);
+                        break;
+                    case 'staminaRegenBonus':
+                        bonuses.staminaRegenMultiplier = (bonuses.staminaRegenMultiplier || 1) + (talent.value * rank);
+                        break;
                     case 'healthRegenPerSecond':
                         bonuses.healthRegen = (bonuses.healthRegen || 0) + (talent.value * rank);
                         break;
+                    case 'pickupRadiusBonus':
+                        bonuses.pickupRadius = (bonuses.pickupRadius || 0) + (talent.value * rank);
+                        break;
                     case 'doubleSizeWhenWinning':
                     case 'immuneWhileFlexing':
                         bonuses[talent.effect] = true;
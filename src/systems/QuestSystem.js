@@ -0,0 +1,475 @@
+/**
+ * QuestSystem - Quests, objectives and rewards
+ * Branch-level system that advances objectives from events other systems already emit
+ *
+ * Dependencies: EventBus, EntityManager (trunk only)
+ *
+ * Quest definitions come from `src/data/quests.json` through 'resource:loaded'.
+ * Progress lives on the player in a `quests { active, completed }` component, so
+ * it saves and loads with the entity. Objectives advance on:
+ * - defeat  { target }  - 'combat:victory' (enemyData/neutralData type of the loser)
+ * - collect { itemId }  - inventory count, re-read on 'inventory:item-added/removed'
+ * - reach   { biome | zoneId | zoneType } - 'zone:biome-entered' / 'entity:entered-zone'
+ * - tame    { target }  - 'pet:tamed'
+ * Rewards are paid through progression:*, currency:*, inventory:* and relationship:* events.
+ */
+export default class QuestSystem {
+    constructor(eventBus, entityManager) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+
+        // Quest configuration
+        this.config = {
+            questsKey: 'quests', // ResourceManager key of the quest definitions
+            maxActiveQuests: 10,
+            objectiveTypes: ['defeat', 'collect', 'reach', 'tame']
+        };
+
+        // questId -> { name, description, giver, turnIn, requirements, objectives, rewards, repeatable }
+        this.questDefinitions = new Map();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Data
+        this.eventBus.on('resource:loaded', (data) => {
+            if (data.key === this.config.questsKey) this.registerQuests(data.data);
+        });
+
+        // Quest requests (dialogue actions, debug)
+        this.eventBus.on('quest:start', this.startQuest.bind(this));
+        this.eventBus.on('quest:turn-in', this.turnInQuest.bind(this));
+        this.eventBus.on('quest:abandon', this.abandonQuest.bind(this));
+
+        // Objective sources
+        this.eventBus.on('combat:victory', (data) => {
+            const loser = this.entityManager.getEntity(data.loserId);
+            const type = loser?.getComponent('enemyData')?.type || loser?.getComponent('neutralData')?.type;
+            this.advanceObjectives(data.winnerId, 'defeat', objective => this.matchesTarget(objective, type));
+        });
+        this.eventBus.on('pet:tamed', (data) => {
+            const pet = this.entityManager.getEntity(data.petId);
+            const type = pet?.getComponent('enemyData')?.type || pet?.getComponent('neutralData')?.type;
+            this.advanceObjectives(data.ownerId, 'tame', objective => this.matchesTarget(objective, type));
+        });
+        this.eventBus.on('zone:biome-entered', (data) => {
+            this.advanceObjectives(data.entityId, 'reach', objective => objective.biome === data.biomeId);
+        });
+        this.eventBus.on('entity:entered-zone', (data) => {
+            this.advanceObjectives(data.entityId, 'reach', objective =>
+                objective.zoneId === data.zoneId || objective.zoneType === data.zone?.type);
+        });
+        this.eventBus.on('inventory:item-added', (data) => this.updateCollectObjectives(data.entityId));
+        this.eventBus.on('inventory:item-removed', (data) => this.updateCollectObjectives(data.entityId));
+
+        // Loaded players may carry items the save didn't count yet
+        this.eventBus.on('entity:restored', (data) => this.updateCollectObjectives(data.entity.id));
+    }
+
+    /**
+     * Register quest definitions, skipping malformed ones
+     * @param {Object} definitions - { version, quests: { questId: { ... } } }
+     */
+    registerQuests(definitions) {
+        Object.entries(definitions?.quests || {}).forEach(([questId, questDef]) => {
+            if (!Array.isArray(questDef?.objectives) || questDef.objectives.length === 0) {
+                console.error(`[QuestSystem] Quest "${questId}" needs at least one objective`);
+                return;
+            }
+
+            const badObjective = questDef.objectives.find(objective =>
+                !objective.id || !this.config.objectiveTypes.includes(objective.type));
+            if (badObjective) {
+                console.error(`[QuestSystem] Quest "${questId}" has an invalid objective: ${JSON.stringify(badObjective)}`);
+                return;
+            }
+
+            this.questDefinitions.set(questId, {
+                name: questDef.name || questId,
+                description: questDef.description || '',
+                giver: questDef.giver || null,
+                turnIn: !!questDef.turnIn,
+                repeatable: !!questDef.repeatable,
+                requirements: questDef.requirements || {},
+                objectives: questDef.objectives.map(objective => ({ count: 1, ...objective })),
+                rewards: questDef.rewards || {}
+            });
+        });
+
+        this.eventBus.emit('quest:definitions-loaded', { questCount: this.questDefinitions.size });
+    }
+
+    /**
+     * An entity's quest log, created on first use
+     * @param {Entity} entity
+     * @returns {Object} { active, completed }
+     */
+    getQuestLog(entity) {
+        if (!entity.hasComponent('quests')) {
+            entity.addComponent('quests', { active: {}, completed: {} });
+        }
+        return entity.getComponent('quests');
+    }
+
+    /**
+     * Accept a quest
+     * @param {Object} data - { entityId, questId, giverId }
+     */
+    startQuest(data) {
+        const { entityId, questId } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        const questDef = this.questDefinitions.get(questId);
+        if (!entity) return;
+
+        if (!questDef) {
+            this.rejectQuest(entityId, questId, `Unknown quest: ${questId}`);
+            return;
+        }
+
+        const questLog = this.getQuestLog(entity);
+        if (questLog.active[questId]) {
+            this.rejectQuest(entityId, questId, 'Quest already active');
+            return;
+        }
+        if (questLog.completed[questId] && !questDef.repeatable) {
+            this.rejectQuest(entityId, questId, 'Quest already completed');
+            return;
+        }
+        if (Object.keys(questLog.active).length >= this.config.maxActiveQuests) {
+            this.rejectQuest(entityId, questId, 'Quest log is full');
+            return;
+        }
+
+        const level = entity.getComponent('progression')?.level || 1;
+        if (level < (questDef.requirements.level || 0)) {
+            this.rejectQuest(entityId, questId, `Requires level ${questDef.requirements.level}`);
+            return;
+        }
+
+        questLog.active[questId] = {
+            progress: Object.fromEntries(questDef.objectives.map(objective => [objective.id, 0])),
+            ready: false
+        };
+
+        this.eventBus.emit('quest:started', {
+            entityId,
+            questId,
+            name: questDef.name,
+            giverId: data.giverId
+        });
+
+        // Objectives that are already satisfied count straight away
+        this.checkExistingProgress(entity, questId);
+    }
+
+    /**
+     * Count items already carried and places already reached
+     * @param {Entity} entity
+     * @param {string} questId
+     */
+    checkExistingProgress(entity, questId) {
+        const questDef = this.questDefinitions.get(questId);
+        const zones = entity.getComponent('zones');
+
+        questDef.objectives.forEach(objective => {
+            if (objective.type === 'collect') {
+                this.setProgress(entity, questId, objective, this.countItem(entity, objective.itemId));
+            } else if (objective.type === 'reach') {
+                const isThere = (objective.biome && zones?.biome === objective.biome)
+                    || (objective.zoneId && zones?.current.includes(objective.zoneId));
+                if (isThere) this.setProgress(entity, questId, objective, objective.count);
+            }
+        });
+
+        this.checkQuestDone(entity, questId);
+    }
+
+    /**
+     * Add progress to matching objectives of every active quest
+     * @param {string} entityId
+     * @param {string} type - Objective type
+     * @param {Function} matches - objective -> boolean
+     * @param {number} amount
+     */
+    advanceObjectives(entityId, type, matches, amount = 1) {
+        const entity = this.entityManager.getEntity(entityId);
+        const questLog = entity?.getComponent('quests');
+        if (!questLog) return;
+
+        Object.entries(questLog.active).forEach(([questId, state]) => {
+            const questDef = this.questDefinitions.get(questId);
+            if (!questDef) return;
+
+            questDef.objectives
+                .filter(objective => objective.type === type && matches(objective))
+                .forEach(objective => {
+                    this.setProgress(entity, questId, objective, state.progress[objective.id] + amount);
+                });
+
+            this.checkQuestDone(entity, questId);
+        });
+    }
+
+    /**
+     * Re-read inventory counts for collect objectives
+     * @param {string} entityId
+     */
+    updateCollectObjectives(entityId) {
+        const entity = this.entityManager.getEntity(entityId);
+        const questLog = entity?.getComponent('quests');
+        if (!questLog) return;
+
+        Object.keys(questLog.active).forEach(questId => {
+            const questDef = this.questDefinitions.get(questId);
+            if (!questDef) return;
+
+            questDef.objectives
+                .filter(objective => objective.type === 'collect')
+                .forEach(objective => {
+                    this.setProgress(entity, questId, objective, this.countItem(entity, objective.itemId));
+                });
+
+            this.checkQuestDone(entity, questId);
+        });
+    }
+
+    /**
+     * Set an objective's progress, capped at its count
+     * @param {Entity} entity
+     * @param {string} questId
+     * @param {Object} objective
+     * @param {number} value
+     */
+    setProgress(entity, questId, objective, value) {
+        const state = entity.getComponent('quests').active[questId];
+        const progress = Math.min(objective.count, Math.max(0, value));
+        if (state.progress[objective.id] === progress) return;
+
+        state.progress[objective.id] = progress;
+        this.eventBus.emit('quest:progress', {
+            entityId: entity.id,
+            questId,
+            objectiveId: objective.id,
+            progress,
+            count: objective.count
+        });
+    }
+
+    /**
+     * Complete the quest, or mark it ready for turn-in, once every objective is done
+     * @param {Entity} entity
+     * @param {string} questId
+     */
+    checkQuestDone(entity, questId) {
+        const state = entity.getComponent('quests').active[questId];
+        const questDef = this.questDefinitions.get(questId);
+        if (!state || !questDef) return;
+
+        const done = questDef.objectives.every(objective => state.progress[objective.id] >= objective.count);
+
+        if (!questDef.turnIn) {
+            if (done) this.completeQuest(entity, questId);
+            return;
+        }
+
+        // Turn-in quests can drop back if collected items are lost
+        if (done !== state.ready) {
+            state.ready = done;
+            this.eventBus.emit(done ? 'quest:ready' : 'quest:not-ready', {
+                entityId: entity.id,
+                questId,
+                name: questDef.name
+            });
+        }
+    }
+
+    /**
+     * Hand in a finished turn-in quest
+     * @param {Object} data - { entityId, questId }
+     */
+    turnInQuest(data) {
+        const { entityId, questId } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        const state = entity?.getComponent('quests')?.active[questId];
+
+        if (!state) {
+            this.rejectQuest(entityId, questId, 'Quest is not active');
+            return;
+        }
+        if (!state.ready) {
+            this.rejectQuest(entityId, questId, 'Objectives are not finished');
+            return;
+        }
+
+        this.completeQuest(entity, questId);
+    }
+
+    /**
+     * Finish a quest, take collected items and pay rewards
+     * @param {Entity} entity
+     * @param {string} questId
+     */
+    completeQuest(entity, questId) {
+        const questDef = this.questDefinitions.get(questId);
+        const questLog = entity.getComponent('quests');
+
+        delete questLog.active[questId];
+        questLog.completed[questId] = (questLog.completed[questId] || 0) + 1;
+
+        // Items gathered for the quest go to the quest giver
+        questDef.objectives
+            .filter(objective => objective.type === 'collect' && objective.consume !== false)
+            .forEach(objective => this.takeItem(entity, objective.itemId, objective.count));
+
+        this.grantRewards(entity.id, questId, questDef.rewards);
+
+        this.eventBus.emit('quest:completed', {
+            entityId: entity.id,
+            questId,
+            name: questDef.name,
+            rewards: questDef.rewards
+        });
+    }
+
+    /**
+     * Pay out a quest's rewards through the systems that own them
+     * @param {string} entityId
+     * @param {string} questId
+     * @param {Object} rewards - { xp, gold, currencies, items, reputation }
+     */
+    grantRewards(entityId, questId, rewards) {
+        const reason = `quest:${questId}`;
+
+        if (rewards.xp > 0) {
+            this.eventBus.emit('progression:add-xp', { entityId, amount: rewards.xp });
+        }
+
+        const currencies = { ...rewards.currencies };
+        if (rewards.gold > 0) currencies.gold = (currencies.gold || 0) + rewards.gold;
+        if (Object.keys(currencies).length > 0) {
+            this.eventBus.emit('currency:transaction', { entityId, changes: currencies, reason });
+        }
+
+        (rewards.items || []).forEach(({ itemId, quantity = 1 }) => {
+            this.eventBus.emit('inventory:add-item', { entityId, itemId, quantity });
+        });
+
+        Object.entries(rewards.reputation || {}).forEach(([faction, amount]) => {
+            this.eventBus.emit('relationship:modify', { entityId, faction, amount });
+        });
+    }
+
+    /**
+     * Drop an active quest
+     * @param {Object} data - { entityId, questId }
+     */
+    abandonQuest(data) {
+        const { entityId, questId } = data;
+        const questLog = this.entityManager.getEntity(entityId)?.getComponent('quests');
+        if (!questLog?.active[questId]) return;
+
+        delete questLog.active[questId];
+        this.eventBus.emit('quest:abandoned', { entityId, questId });
+    }
+
+    /**
+     * Report a refused quest request
+     * @param {string} entityId
+     * @param {string} questId
+     * @param {string} error
+     */
+    rejectQuest(entityId, questId, error) {
+        this.eventBus.emit('quest:error', { entityId, questId, error });
+    }
+
+    /**
+     * True when the objective has no target or names this type
+     * @param {Object} objective
+     * @param {string} type
+     * @returns {boolean}
+     */
+    matchesTarget(objective, type) {
+        return !objective.target || objective.target === type;
+    }
+
+    /**
+     * How many of an item the entity carries
+     * @param {Entity} entity
+     * @param {string} itemId
+     * @returns {number}
+     */
+    countItem(entity, itemId) {
+        const items = entity.getComponent('inventory')?.items || [];
+        return items
+            .filter(item => item.itemId === itemId && !item.equipped)
+            .reduce((total, item) => total + item.quantity, 0);
+    }
+
+    /**
+     * Ask the InventorySystem to remove items, one request per stack
+     * @param {Entity} entity
+     * @param {string} itemId
+     * @param {number} quantity
+     */
+    takeItem(entity, itemId, quantity) {
+        const items = entity.getComponent('inventory')?.items || [];
+        let remaining = quantity;
+
+        items
+            .filter(item => item.itemId === itemId && !item.equipped)
+            .forEach(item => {
+                if (remaining <= 0) return;
+                const taken = Math.min(remaining, item.quantity);
+                remaining -= taken;
+                this.eventBus.emit('inventory:remove-item', {
+                    entityId: entity.id,
+                    itemId,
+                    instanceId: item.gear?.instanceId,
+                    quantity: taken
+                });
+            });
+    }
+
+    /**
+     * Quest log entries for display
+     * @param {string} entityId
+     * @returns {Object} { active: [{ questId, name, description, ready, objectives }], completed: [{ questId, name, times }] }
+     */
+    getQuestLogView(entityId) {
+        const questLog = this.entityManager.getEntity(entityId)?.getComponent('quests') || { active: {}, completed: {} };
+
+        const active = Object.entries(questLog.active).map(([questId, state]) => {
+            const questDef = this.questDefinitions.get(questId);
+            return {
+                questId,
+                name: questDef?.name || questId,
+                description: questDef?.description || '',
+                ready: state.ready,
+                objectives: (questDef?.objectives || []).map(objective => ({
+                    description: objective.description || objective.id,
+                    progress: state.progress[objective.id] || 0,
+                    count: objective.count
+                }))
+            };
+        });
+
+        const completed = Object.entries(questLog.completed).map(([questId, times]) => ({
+            questId,
+            name: this.questDefinitions.get(questId)?.name || questId,
+            times
+        }));
+
+        return { active, completed };
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.questDefinitions.clear();
+    }
+}
@@ -84,6 +84,7 @@ export default class RelationshipSystem {
     setupEventListeners() {
         // Entity events
         this.eventBus.on('entity:created', this.initializeRelationships.bind(this));
+        this.eventBus.on('entity:restored', (data) => this.syncReputation(data.entity.id));
         this.eventBus.on('entity:attacked', this.handleAttack.bind(this));
         this.eventBus.on('entity:died', this.handleDeath.bind(this));
         
@@ -98,6 +99,28 @@ export default class RelationshipSystem {
         
         // Zone events (safe zones clear aggro)
         this.eventBus.on('entity:entered-zone', this.handleZoneEntry.bind(this));
+        
+        // Save/load
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.relationships = {
+                relationships: JSON.parse(JSON.stringify(this.relationships)),
+                reputationModifiers: Object.fromEntries(this.reputationModifiers)
+            };
+        });
+        this.eventBus.on('save:restore', this.restoreState.bind(this));
+    }
+
+    /**
+     * Restore faction standings from a save
+     * @param {Object} data - { slices }
+     */
+    restoreState(data) {
+        const saved = data.slices.relationships;
+        if (!saved) return;
+        
+        this.relationships = JSON.parse(JSON.stringify(saved.relationships));
+        this.reputationModifiers = new Map(Object.entries(saved.reputationModifiers || {}));
+        this.syncAllReputations();
     }
 
     /**
@@ -127,6 +150,36 @@ export default class RelationshipSystem {
         
         // Initialize aggro state
         this.aggroStates.set(entity.id, new Set());
+        
+        this.syncReputation(entity.id);
+    }
+
+    /**
+     * Mirror an entity's standing with every other faction into its
+     * faction component, so other systems can read it (e.g. shop prices)
+     * @param {string} entityId 
+     */
+    syncReputation(entityId) {
+        const entity = this.entityManager.getEntity(entityId);
+        const faction = entity?.getComponent('faction');
+        if (!faction) return;
+        
+        const modifiers = this.reputationModifiers.get(entityId) || {};
+        faction.reputation = faction.reputation || {};
+        
+        Object.keys(this.factions).forEach(factionName => {
+            if (factionName === faction.faction) return;
+            faction.reputation[factionName] = this.getRelationship(faction.faction, factionName)
+                + (modifiers[factionName] || 0);
+        });
+    }
+
+    /**
+     * Re-sync every entity's mirrored standings
+     */
+    syncAllReputations() {
+        this.entityManager.query(entity => entity.hasComponent('faction'))
+            .forEach(entity => this.syncReputation(entity.id));
     }
 
     /**
@@ -308,6 +361,8 @@ export default class RelationshipSystem {
         // Clamp to reasonable bounds
         modifiers[faction] = Math.max(-100, Math.min(100, modifiers[faction]));
         
+        this.syncReputation(entityId);
+        
         this.eventBus.emit('relationship:changed', {
             entityId,
             faction,
@@ -331,6 +386,7 @@ export default class RelationshipSystem {
         this.reputationModifiers.forEach((modifiers, entityId) => {
             delete modifiers[faction];
         });
+        this.syncAllReputations();
         
         this.eventBus.emit('faction:reset', { faction });
     }
@@ -0,0 +1,211 @@
+/**
+ * SaveSystem - Collects and restores the full world state
+ * Branch-level system that drives save/load through ResourceManager
+ *
+ * Dependencies: EventBus, EntityManager, ResourceManager, GameClock (trunk only)
+ *
+ * Other systems own their own state and take part through events:
+ * - 'save:collect' { slotId, slices } - write your state into slices[yourKey]
+ * - 'save:restore' { slotId, slices } - read your state back from slices[yourKey]
+ */
+import GameClock from '../core/GameClock.js';
+
+export default class SaveSystem {
+    constructor(eventBus, entityManager, resourceManager, clock = new GameClock()) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.resourceManager = resourceManager;
+        this.clock = clock;
+
+        // Save configuration
+        this.config = {
+            defaultSlot: 'slot1',
+            autosaveSlot: 'autosave',
+            autosaveEnabled: true,
+            autosaveCooldown: 60000, // Game ms between bonfire autosaves
+            persistentTag: 'persistent'
+        };
+
+        this.lastAutosave = -Infinity;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Save/load requests
+        this.eventBus.on('save:request', (data = {}) => this.save(data.slotId));
+        this.eventBus.on('save:load', (data = {}) => this.load(data.slotId));
+        this.eventBus.on('save:delete', (data = {}) => this.resourceManager.deleteSave(data.slotId));
+        this.eventBus.on('save:list', async () => {
+            this.eventBus.emit('save:list-result', { saves: await this.listSaves() });
+        });
+        this.eventBus.on('save:export', (data = {}) => {
+            this.resourceManager.downloadSave(data.slotId || this.config.defaultSlot);
+        });
+
+        // Runs after every 'save:collect' handler because the queue is FIFO
+        this.eventBus.on('save:write', this.writeSave.bind(this));
+
+        // Autosave at bonfires
+        this.eventBus.on('entity:entered-zone', this.handleZoneEntry.bind(this));
+    }
+
+    /**
+     * Save the world to a slot
+     * @param {string} slotId
+     * @returns {Promise<boolean>} Resolves once the save is written
+     */
+    save(slotId = this.config.defaultSlot) {
+        const slices = {};
+
+        return new Promise(resolve => {
+            // Systems fill in their slices, then the write happens once they're done.
+            // A cancelled collect or write (interceptors) saves nothing.
+            if (this.eventBus.emit('save:collect', { slotId, slices }) ||
+                this.eventBus.emit('save:write', { slotId, slices, onComplete: resolve })) {
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Write collected state to storage
+     * @param {Object} data - { slotId, slices, onComplete }
+     */
+    async writeSave(data) {
+        const { slotId, slices, onComplete } = data;
+        let saved = false;
+
+        try {
+            const saveData = {
+                clockTime: this.clock.now(),
+                entities: this.collectEntities(),
+                slices
+            };
+
+            const metadata = this.buildMetadata(slices);
+
+            saved = await this.resourceManager.saveGame(saveData, slotId, metadata);
+            if (saved) {
+                this.eventBus.emit('save:completed', { slotId, metadata });
+            }
+        } catch (error) {
+            console.error(`Failed to save slot ${slotId}:`, error);
+            this.eventBus.emit('game:save-error', { slotId, error });
+        } finally {
+            if (onComplete) onComplete(saved);
+        }
+    }
+
+    /**
+     * Serialize every persistent entity
+     * @returns {Array<Object>}
+     */
+    collectEntities() {
+        return this.entityManager
+            .query(entity => entity.hasTag(this.config.persistentTag))
+            .map(entity => JSON.parse(JSON.stringify(entity.serialize())));
+    }
+
+    /**
+     * Build the per-slot metadata shown in the load menu
+     * @param {Object} slices
+     * @returns {Object} - { level, playTime, day, playerName }
+     */
+    buildMetadata(slices) {
+        const player = this.entityManager.getEntitiesByTag('player')[0];
+        const progression = player?.getComponent('progression');
+        const playerData = player?.getComponent('playerData');
+
+        return {
+            playerName: playerData?.name || 'Hero',
+            level: progression?.level || 1,
+            playTime: this.clock.now(),
+            day: slices.time?.currentDay || 1
+        };
+    }
+
+    /**
+     * Load the world from a slot
+     * @param {string} slotId
+     * @returns {Promise<boolean>} Whether a save was found and restored
+     */
+    async load(slotId = this.config.defaultSlot) {
+        const saveData = await this.resourceManager.loadGame(slotId);
+
+        if (!saveData) {
+            // ResourceManager has already emitted game:load-error with the details
+            const reason = (await this.resourceManager.hasSave(slotId)) ? 'load-error' : 'not-found';
+            this.eventBus.emit('save:load-failed', { slotId, reason });
+            return false;
+        }
+
+        this.restoreEntities(saveData.entities || []);
+
+        if (typeof saveData.clockTime === 'number') {
+            this.clock.setTime(saveData.clockTime);
+        }
+
+        this.eventBus.emit('save:restore', { slotId, slices: saveData.slices || {} });
+        this.eventBus.emit('save:restored', {
+            slotId,
+            metadata: this.resourceManager.saveData?.metadata || {}
+        });
+
+        return true;
+    }
+
+    /**
+     * Replace persistent entities with the saved ones
+     * @param {Array<Object>} savedEntities
+     */
+    restoreEntities(savedEntities) {
+        const savedIds = new Set(savedEntities.map(data => data.id));
+
+        // Drop persistent entities that aren't part of the save
+        this.entityManager
+            .query(entity => entity.hasTag(this.config.persistentTag) && !savedIds.has(entity.id))
+            .forEach(entity => this.entityManager.removeEntity(entity.id));
+
+        savedEntities.forEach(data => this.entityManager.restoreEntity(data));
+    }
+
+    /**
+     * Autosave when the player reaches a bonfire
+     * @param {Object} data - { entityId, zoneId, zone, initial }
+     */
+    handleZoneEntry(data) {
+        const { entityId, zone, initial } = data;
+
+        if (!this.config.autosaveEnabled || initial) return;
+        if (!zone || zone.type !== 'bonfire') return;
+
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity || !entity.hasTag('player')) return;
+
+        const now = this.clock.now();
+        if (now - this.lastAutosave < this.config.autosaveCooldown) return;
+
+        this.lastAutosave = now;
+        this.save(this.config.autosaveSlot);
+        this.eventBus.emit('save:autosaved', { slotId: this.config.autosaveSlot, zoneId: zone.id });
+    }
+
+    /**
+     * List save slots with metadata for the load menu
+     * @returns {Promise<Array<Object>>}
+     */
+    listSaves() {
+        return this.resourceManager.listSaves();
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.lastAutosave = -Infinity;
+    }
+}
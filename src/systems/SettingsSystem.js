@@ -0,0 +1,134 @@
+/**
+ * SettingsSystem - Player preferences such as the combat input mode
+ * Branch-level system that keeps settings and persists them through ResourceManager
+ *
+ * Dependencies: EventBus, ResourceManager (trunk only)
+ *
+ * Settings are shared by every save slot. Each one has a fixed list of options:
+ * - 'settings:set' { key, value } picks an option, 'settings:cycle' { key } steps to the next one
+ * - 'settings:changed' { key, value, previous, source } fires for every change, and once per
+ *   setting after load() so systems pick up the stored choice
+ */
+export default class SettingsSystem {
+    constructor(eventBus, resourceManager) {
+        this.eventBus = eventBus;
+        this.resourceManager = resourceManager;
+
+        // Settings configuration
+        this.config = {
+            definitions: {
+                combatInput: {
+                    label: 'Combat input',
+                    options: ['mash', 'hold', 'rhythm'], // Click rapidly, hold to push, or press on the beat
+                    default: 'mash'
+                },
+                reducedIntensity: {
+                    label: 'Reduced intensity',
+                    options: [false, true], // Slows the enemy's pull in every fight
+                    default: false
+                }
+            }
+        };
+
+        this.settings = this.getDefaults();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('settings:set', (data) => this.set(data.key, data.value));
+        this.eventBus.on('settings:cycle', (data) => this.cycle(data.key));
+    }
+
+    /**
+     * Default value of every setting
+     * @returns {Object}
+     */
+    getDefaults() {
+        const defaults = {};
+        Object.entries(this.config.definitions).forEach(([key, definition]) => {
+            defaults[key] = definition.default;
+        });
+        return defaults;
+    }
+
+    /**
+     * Read stored settings, dropping unknown keys and stale options
+     * @param {Object} overrides - Used instead of the stored settings (replays bring the tester's)
+     * @returns {Promise<Object>} The settings in effect
+     */
+    async load(overrides = null) {
+        const stored = overrides || await this.resourceManager.readSettings();
+
+        Object.keys(this.config.definitions).forEach(key => {
+            const previous = this.settings[key];
+            if (this.isValid(key, stored[key])) this.settings[key] = stored[key];
+
+            this.eventBus.emit('settings:changed', { key, value: this.settings[key], previous, source: 'load' });
+        });
+
+        return this.getAll();
+    }
+
+    /**
+     * Change a setting and store it
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean} Whether the value was accepted
+     */
+    set(key, value) {
+        if (!this.isValid(key, value)) {
+            this.eventBus.emit('settings:error', { key, value, error: `Invalid value for setting ${key}` });
+            return false;
+        }
+
+        const previous = this.settings[key];
+        if (previous === value) return true;
+
+        this.settings[key] = value;
+        this.eventBus.emit('settings:changed', { key, value, previous, source: 'player' });
+
+        this.resourceManager.writeSettings(this.settings)
+            .catch(error => console.error('Failed to store settings:', error));
+        return true;
+    }
+
+    /**
+     * Step a setting to its next option, wrapping around
+     * @param {string} key
+     */
+    cycle(key) {
+        const definition = this.config.definitions[key];
+        if (!definition) return;
+
+        const index = definition.options.indexOf(this.settings[key]);
+        this.set(key, definition.options[(index + 1) % definition.options.length]);
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isValid(key, value) {
+        return this.config.definitions[key]?.options.includes(value) ?? false;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {*}
+     */
+    get(key) {
+        return this.settings[key];
+    }
+
+    /**
+     * @returns {Object} Copy of every setting
+     */
+    getAll() {
+        return { ...this.settings };
+    }
+}
@@ -0,0 +1,523 @@
+/**
+ * ShopSystem - Merchant stock, prices and trading
+ * Branch-level system that turns 'shop:open' into a live shop session
+ *
+ * Dependencies: EventBus, EntityManager (trunk only)
+ *
+ * Shop definitions come from `src/data/shops.json` and item values from the
+ * item catalog, both through 'resource:loaded'. Reads components owned by
+ * other systems:
+ * - inventory { items } (InventorySystem) - changed only through inventory:* events
+ * - wallet { balances } (CurrencySystem) - paid through currency:* transactions
+ * - faction.reputation (RelationshipSystem) - merchant standing shifts prices
+ * - neutralData.shopId - which stock list a merchant sells
+ *
+ * Each merchant keeps its own `shop { shopId, stock, restockedDay }` component.
+ */
+export default class ShopSystem {
+    constructor(eventBus, entityManager) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+
+        // Shop configuration
+        this.config = {
+            shopsKey: 'shops', // ResourceManager key of the shop definitions
+            itemsKey: 'items', // ResourceManager key of the item catalog
+            standingFaction: 'merchants',
+            standingPriceShift: 0.25, // Prices move up to 25% at -100/+100 standing
+            minTradeStanding: -50, // Hostile merchants refuse to trade
+            defaultBuyMultiplier: 1,
+            defaultSellMultiplier: 0.5
+        };
+
+        // shopId -> { name, buyMultiplier, sellMultiplier, stock }
+        this.shopDefinitions = new Map();
+
+        // itemId -> { name, value, rarity }
+        this.itemCatalog = new Map();
+
+        // Shops follow TimeSystem's opening hours
+        this.shopsOpen = false;
+        this.currentDay = 1;
+
+        // customerId -> merchantId for open shop windows
+        this.sessions = new Map();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Data
+        this.eventBus.on('resource:loaded', this.handleResourceLoaded.bind(this));
+
+        // Shop requests
+        this.eventBus.on('shop:open', this.openShop.bind(this));
+        this.eventBus.on('shop:close', (data) => this.closeShop(data.entityId, 'closed-by-player'));
+        this.eventBus.on('shop:buy', this.buyItem.bind(this));
+        this.eventBus.on('shop:sell', this.sellItem.bind(this));
+
+        // Opening hours and restocking
+        this.eventBus.on('time:updated', (data) => this.setShopsOpen(data.shopsOpen));
+        this.eventBus.on('time:changed', (data) => this.setShopsOpen(data.to.shopsOpen));
+        this.eventBus.on('time:shops-opened', () => this.setShopsOpen(true));
+        this.eventBus.on('time:shops-closed', () => this.setShopsOpen(false));
+        this.eventBus.on('time:new-day', this.handleNewDay.bind(this));
+
+        // Keep open shop windows current
+        this.eventBus.on('currency:changed', (data) => this.refreshSession(data.entityId));
+        this.eventBus.on('inventory:item-added', (data) => this.refreshSession(data.entityId));
+        this.eventBus.on('inventory:item-removed', (data) => this.refreshSession(data.entityId));
+        this.eventBus.on('relationship:changed', (data) => this.refreshSession(data.entityId));
+        this.eventBus.on('entity:destroyed', this.handleEntityDestroyed.bind(this));
+    }
+
+    /**
+     * Pick up shop definitions and item values
+     * @param {Object} data - { key, data }
+     */
+    handleResourceLoaded(data) {
+        if (data.key === this.config.shopsKey) {
+            this.registerShops(data.data);
+        } else if (data.key === this.config.itemsKey && Array.isArray(data.data?.items)) {
+            data.data.items.forEach(itemDef => {
+                if (!itemDef?.id) return;
+                this.itemCatalog.set(itemDef.id, {
+                    name: itemDef.name || itemDef.id,
+                    value: itemDef.value || 0,
+                    rarity: itemDef.rarity
+                });
+            });
+        }
+    }
+
+    /**
+     * Register shop definitions
+     * @param {Object} definitions - { version, shops: { shopId: { name, stock, ... } } }
+     */
+    registerShops(definitions) {
+        Object.entries(definitions?.shops || {}).forEach(([shopId, shopDef]) => {
+            if (!Array.isArray(shopDef?.stock)) {
+                console.error(`[ShopSystem] Shop "${shopId}" needs a "stock" array`);
+                return;
+            }
+
+            this.shopDefinitions.set(shopId, {
+                name: shopDef.name || shopId,
+                buyMultiplier: shopDef.buyMultiplier ?? this.config.defaultBuyMultiplier,
+                sellMultiplier: shopDef.sellMultiplier ?? this.config.defaultSellMultiplier,
+                stock: shopDef.stock
+            });
+        });
+
+        this.eventBus.emit('shop:definitions-loaded', { shopCount: this.shopDefinitions.size });
+    }
+
+    /**
+     * Open a merchant's shop for a customer
+     * @param {Object} data - { entityId (merchant), playerId, shopId }
+     */
+    openShop(data) {
+        const merchant = this.entityManager.getEntity(data.entityId);
+        const customer = this.getCustomer(data.playerId);
+        if (!merchant || !customer) return;
+
+        const shop = this.getShop(merchant, data.shopId);
+        if (!shop) {
+            this.rejectTrade(customer.id, merchant.id, 'This merchant has nothing to sell');
+            return;
+        }
+
+        if (!this.checkCanTrade(customer, merchant)) return;
+
+        this.sessions.set(customer.id, merchant.id);
+        this.eventBus.emit('shop:opened', this.getShopView(customer, merchant));
+    }
+
+    /**
+     * Close a customer's shop window
+     * @param {string} customerId
+     * @param {string} reason
+     */
+    closeShop(customerId, reason) {
+        const merchantId = this.sessions.get(customerId);
+        if (!merchantId) return;
+
+        this.sessions.delete(customerId);
+        this.eventBus.emit('shop:closed', { entityId: customerId, merchantId, reason });
+    }
+
+    /**
+     * Buy from a merchant's stock
+     * @param {Object} data - { entityId, merchantId, itemId, quantity }
+     * @returns {boolean} Whether the purchase went through (false while a
+     *   payment requested from inside another handler is still queued)
+     */
+    buyItem(data) {
+        const { itemId, quantity = 1 } = data;
+        const customer = this.getCustomer(data.entityId);
+        const merchant = this.entityManager.getEntity(data.merchantId || this.sessions.get(customer?.id));
+        if (!customer || !merchant || !this.checkCanTrade(customer, merchant)) return false;
+
+        const shop = this.getShop(merchant);
+        const entry = shop?.stock.find(stockEntry => stockEntry.itemId === itemId);
+        if (!entry || entry.quantity < quantity) {
+            this.rejectTrade(customer.id, merchant.id, 'Out of stock');
+            return false;
+        }
+
+        const price = this.getBuyPrice(customer, shop, entry) * quantity;
+        const currency = entry.currency || 'gold';
+        let purchased = false;
+
+        // Goods change hands only once the payment has gone through
+        this.eventBus.emit('currency:spend', {
+            entityId: customer.id,
+            currency,
+            amount: price,
+            reason: `shop:${shop.shopId}`,
+            onComplete: (transaction, error) => {
+                if (!transaction) {
+                    this.rejectTrade(customer.id, merchant.id, error);
+                    return;
+                }
+
+                // Another purchase queued alongside this one may have taken the stock first
+                if (entry.quantity < quantity) {
+                    this.eventBus.emit('currency:earn', {
+                        entityId: customer.id,
+                        currency,
+                        amount: price,
+                        reason: `shop:${shop.shopId}:refund`
+                    });
+                    this.rejectTrade(customer.id, merchant.id, 'Out of stock');
+                    return;
+                }
+
+                entry.quantity -= quantity;
+                purchased = true;
+
+                this.eventBus.emit('inventory:add-item', { entityId: customer.id, itemId, quantity });
+                this.eventBus.emit('shop:purchased', {
+                    entityId: customer.id,
+                    merchantId: merchant.id,
+                    itemId,
+                    quantity,
+                    price,
+                    currency
+                });
+                this.refreshSession(customer.id);
+            }
+        });
+
+        return purchased;
+    }
+
+    /**
+     * Sell an item from the customer's inventory
+     * @param {Object} data - { entityId, merchantId, itemId, instanceId, quantity }
+     * @returns {boolean} Whether the sale went through (false while a removal
+     *   requested from inside another handler is still queued)
+     */
+    sellItem(data) {
+        const { instanceId, quantity = 1 } = data;
+        const customer = this.getCustomer(data.entityId);
+        const merchant = this.entityManager.getEntity(data.merchantId || this.sessions.get(customer?.id));
+        if (!customer || !merchant || !this.checkCanTrade(customer, merchant)) return false;
+
+        const items = customer.getComponent('inventory')?.items || [];
+        const item = instanceId
+            ? items.find(entry => entry.gear?.instanceId === instanceId)
+            : items.find(entry => entry.itemId === data.itemId && !entry.equipped);
+
+        if (!item || item.quantity < quantity) {
+            this.rejectTrade(customer.id, merchant.id, 'Nothing to sell');
+            return false;
+        }
+        if (item.equipped) {
+            this.rejectTrade(customer.id, merchant.id, 'Unequip it first');
+            return false;
+        }
+
+        const shop = this.getShop(merchant);
+        const { itemId } = item;
+        const unitPrice = this.getSellPrice(customer, shop, itemId);
+        if (unitPrice <= 0) {
+            this.rejectTrade(customer.id, merchant.id, 'The merchant won\'t buy that');
+            return false;
+        }
+
+        let sold = false;
+
+        // Pay only for what actually left the inventory (a queued duplicate sale finds nothing)
+        this.eventBus.emit('inventory:remove-item', {
+            entityId: customer.id,
+            itemId,
+            instanceId: item.gear?.instanceId,
+            quantity,
+            onComplete: (removed) => {
+                if (removed <= 0) {
+                    this.rejectTrade(customer.id, merchant.id, 'Nothing to sell');
+                    return;
+                }
+
+                // Sold goods can be bought back until the next restock
+                const entry = shop.stock.find(stockEntry => stockEntry.itemId === itemId);
+                if (entry) {
+                    entry.quantity += removed;
+                } else {
+                    shop.stock.push({ itemId, quantity: removed, maxQuantity: 0 });
+                }
+
+                const price = unitPrice * removed;
+                sold = true;
+
+                this.eventBus.emit('currency:earn', {
+                    entityId: customer.id,
+                    currency: 'gold',
+                    amount: price,
+                    reason: `shop:${shop.shopId}`
+                });
+                this.eventBus.emit('shop:sold', {
+                    entityId: customer.id,
+                    merchantId: merchant.id,
+                    itemId,
+                    quantity: removed,
+                    price
+                });
+                this.refreshSession(customer.id);
+            }
+        });
+
+        return sold;
+    }
+
+    /**
+     * Whether a customer may trade with a merchant right now
+     * Emits 'shop:error' with the reason when not
+     * @param {Entity} customer
+     * @param {Entity} merchant
+     * @returns {boolean}
+     */
+    checkCanTrade(customer, merchant) {
+        if (!this.shopsOpen) {
+            this.rejectTrade(customer.id, merchant.id, 'The shop is closed');
+            return false;
+        }
+        if (this.getStanding(customer) <= this.config.minTradeStanding) {
+            this.rejectTrade(customer.id, merchant.id, 'The merchant refuses to trade with you');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Report a failed trade
+     * @param {string} customerId
+     * @param {string} merchantId
+     * @param {string} error
+     */
+    rejectTrade(customerId, merchantId, error) {
+        this.eventBus.emit('shop:error', { entityId: customerId, merchantId, error });
+    }
+
+    /**
+     * A merchant's shop component, created from its stock list on first use
+     * @param {Entity} merchant
+     * @param {string} shopId - Overrides neutralData.shopId
+     * @returns {Object|null} { shopId, stock, restockedDay }
+     */
+    getShop(merchant, shopId = null) {
+        if (merchant.hasComponent('shop')) return merchant.getComponent('shop');
+
+        const id = shopId || merchant.getComponent('neutralData')?.shopId;
+        if (!this.shopDefinitions.has(id)) return null;
+
+        merchant.addComponent('shop', { shopId: id, stock: [], restockedDay: 0 });
+        this.restockShop(merchant);
+
+        return merchant.getComponent('shop');
+    }
+
+    /**
+     * Refill a merchant's stock from its definition and drop buyback goods
+     * @param {Entity} merchant
+     */
+    restockShop(merchant) {
+        const shop = merchant.getComponent('shop');
+        const shopDef = this.shopDefinitions.get(shop?.shopId);
+        if (!shopDef) return;
+
+        shop.stock = shopDef.stock.map(entry => ({
+            itemId: entry.itemId,
+            quantity: entry.quantity ?? 1,
+            maxQuantity: entry.quantity ?? 1,
+            price: entry.price,
+            currency: entry.currency
+        }));
+        shop.restockedDay = this.currentDay;
+
+        this.eventBus.emit('shop:restocked', {
+            merchantId: merchant.id,
+            shopId: shop.shopId,
+            day: this.currentDay
+        });
+    }
+
+    /**
+     * Restock every merchant at the start of a new day
+     * @param {Object} data - { day }
+     */
+    handleNewDay(data) {
+        this.currentDay = data.day;
+
+        this.entityManager.query(entity => entity.hasComponent('shop'))
+            .forEach(merchant => this.restockShop(merchant));
+
+        this.sessions.forEach((merchantId, customerId) => this.refreshSession(customerId));
+    }
+
+    /**
+     * Track opening hours, closing any shop windows at closing time
+     * @param {boolean} open
+     */
+    setShopsOpen(open) {
+        if (open === undefined || open === this.shopsOpen) return;
+
+        this.shopsOpen = open;
+        if (!open) {
+            Array.from(this.sessions.keys()).forEach(customerId => this.closeShop(customerId, 'closing-time'));
+        }
+    }
+
+    /**
+     * Close shop windows whose merchant or customer is gone
+     * @param {Object} data - { entityId }
+     */
+    handleEntityDestroyed(data) {
+        this.sessions.forEach((merchantId, customerId) => {
+            if (customerId === data.entityId || merchantId === data.entityId) {
+                this.closeShop(customerId, 'gone');
+            }
+        });
+    }
+
+    /**
+     * Send a fresh view of an open shop window
+     * @param {string} customerId
+     */
+    refreshSession(customerId) {
+        const merchantId = this.sessions.get(customerId);
+        if (!merchantId) return;
+
+        const customer = this.entityManager.getEntity(customerId);
+        const merchant = this.entityManager.getEntity(merchantId);
+        if (!customer || !merchant) return;
+
+        this.eventBus.emit('shop:updated', this.getShopView(customer, merchant));
+    }
+
+    /**
+     * Everything a shop window needs to draw itself
+     * @param {Entity} customer
+     * @param {Entity} merchant
+     * @returns {Object}
+     */
+    getShopView(customer, merchant) {
+        const shop = this.getShop(merchant);
+        const shopDef = this.shopDefinitions.get(shop.shopId);
+        const inventory = customer.getComponent('inventory') || { items: [] };
+        const balances = customer.getComponent('wallet')?.balances || {};
+
+        return {
+            entityId: customer.id,
+            merchantId: merchant.id,
+            shopId: shop.shopId,
+            name: shopDef.name,
+            balances: { ...balances },
+            standing: this.getStanding(customer),
+            stock: shop.stock.map(entry => ({
+                itemId: entry.itemId,
+                name: this.itemCatalog.get(entry.itemId)?.name || entry.itemId,
+                quantity: entry.quantity,
+                price: this.getBuyPrice(customer, shop, entry),
+                currency: entry.currency || 'gold'
+            })),
+            sellable: inventory.items
+                .filter(item => !item.equipped)
+                .map(item => ({
+                    itemId: item.itemId,
+                    instanceId: item.gear?.instanceId,
+                    name: item.gear?.name || this.itemCatalog.get(item.itemId)?.name || item.itemId,
+                    quantity: item.quantity,
+                    price: this.getSellPrice(customer, shop, item.itemId)
+                }))
+        };
+    }
+
+    /**
+     * Price of one unit from a merchant's stock
+     * @param {Entity} customer
+     * @param {Object} shop - Shop component
+     * @param {Object} entry - Stock entry
+     * @returns {number}
+     */
+    getBuyPrice(customer, shop, entry) {
+        const shopDef = this.shopDefinitions.get(shop.shopId);
+        const basePrice = entry.price ?? (this.itemCatalog.get(entry.itemId)?.value || 0) * shopDef.buyMultiplier;
+
+        return Math.max(1, Math.round(basePrice * (1 - this.getStandingShift(customer))));
+    }
+
+    /**
+     * What a merchant pays for one unit
+     * @param {Entity} customer
+     * @param {Object} shop - Shop component
+     * @param {string} itemId
+     * @returns {number}
+     */
+    getSellPrice(customer, shop, itemId) {
+        const shopDef = this.shopDefinitions.get(shop.shopId);
+        const basePrice = (this.itemCatalog.get(itemId)?.value || 0) * shopDef.sellMultiplier;
+
+        return Math.floor(basePrice * (1 + this.getStandingShift(customer)));
+    }
+
+    /**
+     * Fraction prices move in the customer's favour (negative when disliked)
+     * @param {Entity} customer
+     * @returns {number}
+     */
+    getStandingShift(customer) {
+        const standing = Math.max(-100, Math.min(100, this.getStanding(customer)));
+        return (standing / 100) * this.config.standingPriceShift;
+    }
+
+    /**
+     * Customer's standing with merchants
+     * @param {Entity} customer
+     * @returns {number} -100 to 100
+     */
+    getStanding(customer) {
+        return customer.getComponent('faction')?.reputation?.[this.config.standingFaction] || 0;
+    }
+
+    /**
+     * The customer for a shop request, defaulting to the player
+     * @param {string} entityId
+     * @returns {Entity|null}
+     */
+    getCustomer(entityId) {
+        if (entityId) return this.entityManager.getEntity(entityId);
+        return this.entityManager.getEntitiesByTag('player')[0] || null;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.sessions.clear();
+    }
+}
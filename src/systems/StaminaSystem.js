@@ -0,0 +1,182 @@
+/**
+ * StaminaSystem - Grip stamina spent by arm wrestling clicks
+ * Branch-level system that owns the player's stamina pool
+ *
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
+ *
+ * Stamina lives in a `stamina { current, max, grip }` component, so it saves with the entity.
+ * - Every combat click ('combat:player-click') costs stamina; hold and rhythm pushes cost per click they count as
+ * - Below `fatigueThreshold` the grip weakens; CombatSystem scales each click by `grip`
+ * - Regenerates outside of combat, faster at bonfires (`in_safe_zone`)
+ * - Restored by items ('item:effect:stamina') and 'stamina:restore'
+ * Reads `talentBonuses` (ProgressionSystem) for max stamina and regeneration.
+ */
+import GameClock from '../core/GameClock.js';
+
+export default class StaminaSystem {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.clock = clock;
+
+        // Stamina configuration
+        this.config = {
+            staminaTags: ['player'], // Entities that get a stamina pool
+            baseMax: 100,
+            clickCost: 2.5, // Stamina per combat click
+            regenPerSecond: 8, // Out of combat
+            bonfireRegenMultiplier: 3,
+            fatigueThreshold: 0.3, // Grip weakens below 30% stamina
+            minGrip: 0.25 // Click strength with an empty pool
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Entity events
+        this.eventBus.on('entity:created', (data) => {
+            if (this.config.staminaTags.some(tag => data.entity.hasTag(tag))) this.getStamina(data.entity);
+        });
+        this.eventBus.on('entity:restored', (data) => this.refreshMax(data.entity.id));
+        this.eventBus.on('progression:talents-updated', (data) => this.refreshMax(data.entityId));
+
+        // Spending and restoring
+        this.eventBus.on('combat:player-click', (data) => this.drain(data.playerId, this.config.clickCost * (data.clicks ?? 1)));
+        this.eventBus.on('item:effect:stamina', (data) => this.restore(data.entityId, data.value, 'item'));
+        this.eventBus.on('stamina:restore', (data) => this.restore(data.entityId, data.amount, data.source || 'restore'));
+        this.eventBus.on('player:respawned', (data) => this.restore(data.playerId, Infinity, 'respawn'));
+    }
+
+    /**
+     * An entity's stamina, created on first use
+     * @param {Entity} entity
+     * @returns {Object} { current, max, grip }
+     */
+    getStamina(entity) {
+        if (!entity.hasComponent('stamina')) {
+            const max = this.getMaxStamina(entity);
+            entity.addComponent('stamina', { current: max, max, grip: 1 });
+        }
+        return entity.getComponent('stamina');
+    }
+
+    /**
+     * Max stamina after talents
+     * @param {Entity} entity
+     * @returns {number}
+     */
+    getMaxStamina(entity) {
+        const multiplier = entity.getComponent('talentBonuses')?.maxStaminaMultiplier || 1;
+        return Math.round(this.config.baseMax * multiplier);
+    }
+
+    /**
+     * Recalculate max stamina when talents change, keeping the same fraction filled
+     * @param {string} entityId
+     */
+    refreshMax(entityId) {
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity?.hasComponent('stamina')) return;
+
+        const stamina = entity.getComponent('stamina');
+        const max = this.getMaxStamina(entity);
+        if (max === stamina.max) return;
+
+        const filled = stamina.max > 0 ? stamina.current / stamina.max : 1;
+        stamina.max = max;
+        this.setCurrent(entity, filled * max, 'talents');
+    }
+
+    /**
+     * Spend stamina
+     * @param {string} entityId
+     * @param {number} amount
+     */
+    drain(entityId, amount) {
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity?.hasComponent('stamina')) return;
+
+        const stamina = entity.getComponent('stamina');
+        const wasEmpty = stamina.current <= 0;
+        this.setCurrent(entity, stamina.current - amount, 'click');
+
+        if (!wasEmpty && stamina.current <= 0) {
+            this.eventBus.emit('stamina:exhausted', { entityId });
+        }
+    }
+
+    /**
+     * Give stamina back
+     * @param {string} entityId
+     * @param {number} amount - Infinity refills the pool
+     * @param {string} source
+     */
+    restore(entityId, amount, source) {
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity || !amount) return;
+
+        const stamina = this.getStamina(entity);
+        this.setCurrent(entity, stamina.current + amount, source);
+    }
+
+    /**
+     * Clamp, update grip and report a change
+     * @param {Entity} entity
+     * @param {number} value
+     * @param {string} source
+     */
+    setCurrent(entity, value, source) {
+        const stamina = entity.getComponent('stamina');
+        const previous = stamina.current;
+
+        stamina.current = Math.max(0, Math.min(stamina.max, value));
+        stamina.grip = this.getGrip(stamina);
+
+        if (stamina.current === previous) return;
+
+        this.eventBus.emit('stamina:changed', {
+            entityId: entity.id,
+            current: stamina.current,
+            max: stamina.max,
+            grip: stamina.grip,
+            delta: stamina.current - previous,
+            source
+        });
+    }
+
+    /**
+     * Click strength for a stamina level: full until fatigue sets in, then down to minGrip
+     * @param {Object} stamina - { current, max }
+     * @returns {number}
+     */
+    getGrip(stamina) {
+        const ratio = stamina.max > 0 ? stamina.current / stamina.max : 0;
+        if (ratio >= this.config.fatigueThreshold) return 1;
+
+        const { minGrip, fatigueThreshold } = this.config;
+        return minGrip + (1 - minGrip) * (ratio / fatigueThreshold);
+    }
+
+    /**
+     * Regenerate stamina between fights (called by game loop after the clock ticks)
+     * @param {number} deltaTime - Game ms since last frame
+     */
+    update(deltaTime) {
+        if (this.clock.isPaused() || deltaTime <= 0) return;
+
+        this.config.staminaTags.forEach(tag => this.entityManager.getEntitiesByTag(tag).forEach(entity => {
+            const stamina = entity.getComponent('stamina');
+            if (!stamina || stamina.current >= stamina.max || entity.hasComponent('inCombat')) return;
+
+            const talentMultiplier = entity.getComponent('talentBonuses')?.staminaRegenMultiplier || 1;
+            const zoneMultiplier = entity.hasTag('in_safe_zone') ? this.config.bonfireRegenMultiplier : 1;
+            const amount = this.config.regenPerSecond * talentMultiplier * zoneMultiplier * (deltaTime / 1000);
+
+            this.setCurrent(entity, stamina.current + amount, 'regen');
+        }));
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * StatsSystem - Derives final character stats in one place
+ * Branch-level system that combines base values, progression and equipment
+ *
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
+ *
+ * Reads components owned by other systems and writes the result to `stats`:
+ * - progression / talentBonuses (ProgressionSystem)
+ * - equipmentBonuses { flat, percent } (InventorySystem)
+ * - statModifiers (temporary buffs added through 'stats:add-modifier')
+ *
+ * final = (base + progression + flat bonuses) * (1 + percent bonuses)
+ */
+import GameClock from '../core/GameClock.js';
+
+export default class StatsSystem {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.clock = clock;
+
+        // Stats configuration
+        this.config = {
+            base: {
+                clickPower: 0,
+                drainResistance: 0,
+                maxHealth: 100
+            },
+            // Progression scaling
+            clickPowerPerLevel: 1.5,
+            clickPowerPerStrength: 2,
+            maxHealthPerLevel: 10,
+            maxHealthPerVitality: 5,
+            drainResistancePerAgility: 0.01,
+            // Limits
+            maxDrainResistance: 0.75,
+            minClickPower: 1,
+            // Consumable buffs
+            powerBoostDuration: 30000 // Game ms a power-boost item lasts
+        };
+
+        // `${entityId}:${source}` -> expiry timer handle
+        this.modifierTimers = new Map();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Sources changed
+        this.eventBus.on('stats:recalculate', (data) => this.recalculate(data.entityId));
+        this.eventBus.on('inventory:equipment-changed', (data) => this.recalculate(data.entityId));
+        this.eventBus.on('entity:restored', (data) => this.recalculate(data.entity.id));
+
+        // Temporary modifiers (buffs, debug)
+        this.eventBus.on('stats:add-modifier', this.addModifier.bind(this));
+        this.eventBus.on('stats:remove-modifier', this.removeModifier.bind(this));
+
+        // Item effects that buff stats
+        this.eventBus.on('item:effect:power-boost', (data) => {
+            this.addModifier({
+                entityId: data.entityId,
+                source: 'power-boost',
+                percent: { clickPower: data.value },
+                duration: this.config.powerBoostDuration
+            });
+        });
+    }
+
+    /**
+     * Recalculate an entity's stats and emit 'stats:changed' if they moved
+     * @param {string} entityId
+     * @returns {Object|null} The new stats
+     */
+    recalculate(entityId) {
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity || !entity.hasComponent('progression')) return null;
+
+        const flat = { ...this.config.base };
+        const percent = {};
+
+        this.addProgressionStats(entity, flat, percent);
+        this.addBonuses(entity.getComponent('equipmentBonuses'), flat, percent);
+
+        const modifiers = entity.getComponent('statModifiers') || {};
+        Object.values(modifiers).forEach(modifier => this.addBonuses(modifier, flat, percent));
+
+        const stats = {};
+        Object.keys(flat).forEach(stat => {
+            stats[stat] = flat[stat] * (1 + (percent[stat] || 0));
+        });
+
+        stats.clickPower = Math.max(this.config.minClickPower, stats.clickPower);
+        stats.drainResistance = Math.min(this.config.maxDrainResistance, Math.max(0, stats.drainResistance));
+        stats.maxHealth = Math.max(1, Math.round(stats.maxHealth));
+
+        return this.applyStats(entity, stats);
+    }
+
+    /**
+     * Add level, attribute and talent contributions
+     * @param {Entity} entity
+     * @param {Object} flat
+     * @param {Object} percent
+     */
+    addProgressionStats(entity, flat, percent) {
+        const progression = entity.getComponent('progression');
+        const attributes = progression.stats || {};
+
+        flat.clickPower += this.config.clickPowerPerLevel * progression.level
+            + this.config.clickPowerPerStrength * (attributes.strength || 0);
+        flat.maxHealth += this.config.maxHealthPerLevel * progression.level
+            + this.config.maxHealthPerVitality * (attributes.vitality || 0);
+        flat.drainResistance += this.config.drainResistancePerAgility * (attributes.agility || 0);
+
+        // Talent multipliers are stored as 1 + bonus
+        const talentBonuses = entity.getComponent('talentBonuses');
+        if (talentBonuses?.clickPowerMultiplier) {
+            percent.clickPower = (percent.clickPower || 0) + talentBonuses.clickPowerMultiplier - 1;
+        }
+        if (talentBonuses?.maxHealthMultiplier) {
+            percent.maxHealth = (percent.maxHealth || 0) + talentBonuses.maxHealthMultiplier - 1;
+        }
+    }
+
+    /**
+     * Add a { flat, percent } bonus block
+     * @param {Object} bonuses
+     * @param {Object} flat
+     * @param {Object} percent
+     */
+    addBonuses(bonuses, flat, percent) {
+        if (!bonuses) return;
+
+        Object.entries(bonuses.flat || {}).forEach(([stat, value]) => {
+            flat[stat] = (flat[stat] || 0) + value;
+        });
+        Object.entries(bonuses.percent || {}).forEach(([stat, value]) => {
+            percent[stat] = (percent[stat] || 0) + value;
+        });
+    }
+
+    /**
+     * Write stats to the entity and keep power/health in sync
+     * @param {Entity} entity
+     * @param {Object} stats
+     * @returns {Object}
+     */
+    applyStats(entity, stats) {
+        if (!entity.hasComponent('stats')) {
+            entity.addComponent('stats', {});
+        }
+        const statsComponent = entity.getComponent('stats');
+        const previous = { ...statsComponent };
+
+        Object.assign(statsComponent, stats);
+
+        // Legacy components other systems still read
+        if (!entity.hasComponent('power')) {
+            entity.addComponent('power', { value: stats.clickPower });
+        }
+        entity.getComponent('power').value = stats.clickPower;
+
+        if (!entity.hasComponent('health')) {
+            entity.addComponent('health', { current: stats.maxHealth, max: stats.maxHealth });
+        }
+        const health = entity.getComponent('health');
+        const oldMaxHealth = health.max;
+        health.max = stats.maxHealth;
+
+        // Keep the same fraction of health when max grows, clamp when it shrinks
+        if (health.max > oldMaxHealth && oldMaxHealth > 0) {
+            health.current = Math.floor(health.max * (health.current / oldMaxHealth));
+        }
+        health.current = Math.min(health.current, health.max);
+
+        const changed = Object.keys(stats).some(stat => previous[stat] !== stats[stat]);
+        if (changed) {
+            this.eventBus.emit('stats:changed', {
+                entityId: entity.id,
+                stats: { ...stats },
+                previous
+            });
+        }
+
+        return statsComponent;
+    }
+
+    /**
+     * Add or replace a named stat modifier
+     * @param {Object} data - { entityId, source, flat, percent, duration }
+     */
+    addModifier(data) {
+        const { entityId, source, flat = {}, percent = {}, duration = 0 } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        if (!entity || !source) return;
+
+        if (!entity.hasComponent('statModifiers')) {
+            entity.addComponent('statModifiers', {});
+        }
+        entity.getComponent('statModifiers')[source] = { flat, percent };
+
+        const timerKey = `${entityId}:${source}`;
+        if (this.modifierTimers.has(timerKey)) {
+            this.clock.clearTimeout(this.modifierTimers.get(timerKey));
+            this.modifierTimers.delete(timerKey);
+        }
+        if (duration > 0) {
+            const handle = this.clock.setTimeout(() => {
+                this.modifierTimers.delete(timerKey);
+                this.removeModifier({ entityId, source });
+            }, duration);
+            this.modifierTimers.set(timerKey, handle);
+        }
+
+        this.recalculate(entityId);
+    }
+
+    /**
+     * Remove a named stat modifier
+     * @param {Object} data - { entityId, source }
+     */
+    removeModifier(data) {
+        const { entityId, source } = data;
+        const entity = this.entityManager.getEntity(entityId);
+        const modifiers = entity?.getComponent('statModifiers');
+        if (!modifiers || !modifiers[source]) return;
+
+        delete modifiers[source];
+        this.recalculate(entityId);
+    }
+
+    /**
+     * Get an entity's derived stats
+     * @param {string} entityId
+     * @returns {Object|null}
+     */
+    getStats(entityId) {
+        const entity = this.entityManager.getEntity(entityId);
+        return entity?.getComponent('stats') || null;
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.modifierTimers.forEach(handle => this.clock.clearTimeout(handle));
+        this.modifierTimers.clear();
+    }
+}
@@ -2,11 +2,14 @@
  * TimeSystem - Manages game time, day/night cycles, and time-based events
  * Branch-level system that provides time services to the game
  * 
- * Dependencies: EventBus (trunk only)
+ * Dependencies: EventBus, GameClock (trunk only)
  */
+import GameClock from '../core/GameClock.js';
+
 export default class TimeSystem {
-    constructor(eventBus) {
+    constructor(eventBus, clock = new GameClock()) {
         this.eventBus = eventBus;
+        this.clock = clock;
         
         // Time configuration
         this.config = {
@@ -20,7 +23,8 @@ export default class TimeSystem {
             nightHour: 21,
             // Time periods for events
             shopOpenHour: 8,
-            shopCloseHour: 18
+            shopCloseHour: 18,
+            updateInterval: 1000 // Clock ms between time updates
         };
         
         // Current time state
@@ -31,7 +35,7 @@ export default class TimeSystem {
             currentDay: this.config.startDay,
             timeOfDay: 'dawn', // night, dawn, day, dusk
             isPaused: false,
-            lastUpdate: Date.now()
+            lastUpdate: this.clock.now()
         };
         
         // Time-based modifiers
@@ -66,7 +70,6 @@ export default class TimeSystem {
         this.scheduledEvents = new Map();
         
         this.setupEventListeners();
-        this.startTimeLoop();
     }
 
     /**
@@ -87,36 +90,60 @@ export default class TimeSystem {
         this.eventBus.on('time:query', (data) => {
             this.eventBus.emit('time:current', this.getCurrentTime());
         });
-    }
-
-    /**
-     * Start the time update loop
-     */
-    startTimeLoop() {
-        this.timeInterval = setInterval(() => {
-            if (!this.timeState.isPaused) {
-                this.updateTime();
-            }
-        }, 1000); // Update every second
+        
+        // Save/load
+        this.eventBus.on('save:collect', (data) => {
+            data.slices.time = { ...this.timeState };
+        });
+        this.eventBus.on('save:restore', this.restoreState.bind(this));
     }
 
     /**
      * Update game time
      */
     updateTime() {
-        const now = Date.now();
+        const now = this.clock.now();
         const deltaMs = now - this.timeState.lastUpdate;
         this.timeState.lastUpdate = now;
         
         // Calculate minutes passed based on time scale
-        const minutesPassed = (deltaMs / 1000) * this.config.timeScale;
-        this.timeState.totalMinutes += minutesPassed;
+        this.passMinutes((deltaMs / 1000) * this.config.timeScale);
+    }
+
+    /**
+     * Move game time forward, stopping at every hour crossed so a clock fast-forward
+     * still sends each hour change, new day and scheduled event on the way
+     * @param {number} minutes 
+     */
+    passMinutes(minutes) {
+        const targetMinutes = this.timeState.totalMinutes + minutes;
+        let fromMinutes = this.timeState.totalMinutes;
+        let nextHour = (Math.floor(fromMinutes / 60) + 1) * 60;
+        
+        while (nextHour <= targetMinutes) {
+            this.setTotalMinutes(nextHour);
+            this.processScheduledEvents(fromMinutes);
+            fromMinutes = nextHour;
+            nextHour += 60;
+        }
+        
+        this.setTotalMinutes(targetMinutes);
+        this.processScheduledEvents(fromMinutes);
         
-        // Update current time
+        // Emit time update
+        this.eventBus.emit('time:updated', this.getCurrentTime());
+    }
+
+    /**
+     * Set the time state from total minutes and announce hour and time of day changes
+     * @param {number} totalMinutes 
+     */
+    setTotalMinutes(totalMinutes) {
         const oldHour = this.timeState.currentHour;
-        this.timeState.currentMinute = Math.floor(this.timeState.totalMinutes % 60);
-        this.timeState.currentHour = Math.floor((this.timeState.totalMinutes / 60) % 24);
-        this.timeState.currentDay = Math.floor(this.timeState.totalMinutes / (60 * 24)) + this.config.startDay;
+        this.timeState.totalMinutes = totalMinutes;
+        this.timeState.currentMinute = Math.floor(totalMinutes % 60);
+        this.timeState.currentHour = Math.floor((totalMinutes / 60) % 24);
+        this.timeState.currentDay = Math.floor(totalMinutes / (60 * 24)) + this.config.startDay;
         
         // Check for hour change
         if (Math.floor(oldHour) !== Math.floor(this.timeState.currentHour)) {
@@ -130,12 +157,6 @@ export default class TimeSystem {
         if (oldTimeOfDay !== this.timeState.timeOfDay) {
             this.onTimeOfDayChanged(this.timeState.timeOfDay, oldTimeOfDay);
         }
-        
-        // Process scheduled events
-        this.processScheduledEvents();
-        
-        // Emit time update
-        this.eventBus.emit('time:updated', this.getCurrentTime());
     }
 
     /**
@@ -205,14 +226,18 @@ export default class TimeSystem {
 
     /**
      * Schedule an event at a specific time
-     * @param {Object} data - { eventId, hour, minute, callback, recurring }
+     * Without a day the event fires at that time today (and every day when recurring).
+     * With a day it fires on that day, then every `everyDays` days if given.
+     * @param {Object} data - { eventId, hour, minute, day, everyDays, callback, recurring }
      */
     scheduleEvent(data) {
-        const { eventId, hour, minute = 0, callback, recurring = false } = data;
+        const { eventId, hour, minute = 0, day = null, everyDays = 0, callback, recurring = false } = data;
         
         this.scheduledEvents.set(eventId, {
             hour,
             minute,
+            day,
+            everyDays,
             callback,
             recurring,
             lastTriggered: -1
@@ -228,15 +253,29 @@ export default class TimeSystem {
     }
 
     /**
-     * Process scheduled events
+     * Process scheduled events due since the last check
+     * @param {number} fromMinutes - Total minutes at the last check (at most an hour ago, see passMinutes)
      */
-    processScheduledEvents() {
+    processScheduledEvents(fromMinutes = this.timeState.totalMinutes) {
         const currentTotalMinutes = Math.floor(this.timeState.totalMinutes);
+        const fromDay = Math.floor(fromMinutes / (60 * 24)) + this.config.startDay;
         
         this.scheduledEvents.forEach((event, eventId) => {
-            const eventMinutes = (this.timeState.currentDay - 1) * 24 * 60 + event.hour * 60 + event.minute;
+            // Day-scheduled events that were skipped over (loading a save) move on without firing
+            while (event.day !== null && event.day < fromDay) {
+                if (!event.everyDays) {
+                    this.scheduledEvents.delete(eventId);
+                    return;
+                }
+                event.day += event.everyDays;
+            }
             
-            if (currentTotalMinutes >= eventMinutes && event.lastTriggered < eventMinutes) {
+            // Daily events check each day since the last check, in case midnight was crossed
+            const lastDay = event.day ?? this.timeState.currentDay;
+            for (let eventDay = event.day ?? fromDay; eventDay <= lastDay; eventDay++) {
+                const eventMinutes = (eventDay - 1) * 24 * 60 + event.hour * 60 + event.minute;
+                if (currentTotalMinutes < eventMinutes || event.lastTriggered >= eventMinutes) continue;
+                
                 // Trigger event
                 event.lastTriggered = eventMinutes;
                 
@@ -249,14 +288,30 @@ export default class TimeSystem {
                     event.callback(this.getCurrentTime());
                 }
                 
-                // Remove non-recurring events
-                if (!event.recurring) {
+                if (event.day !== null && event.everyDays) {
+                    // Next occurrence
+                    event.day += event.everyDays;
+                } else if (!event.recurring || event.day !== null) {
+                    // Remove one-off events
                     this.scheduledEvents.delete(eventId);
+                    return;
                 }
             }
         });
     }
 
+    /**
+     * Restore time state from a save
+     * @param {Object} data - { slices }
+     */
+    restoreState(data) {
+        const saved = data.slices.time;
+        if (!saved) return;
+        
+        Object.assign(this.timeState, saved, { lastUpdate: this.clock.now() });
+        this.eventBus.emit('time:updated', this.getCurrentTime());
+    }
+
     /**
      * Pause time
      */
@@ -270,7 +325,7 @@ export default class TimeSystem {
      */
     resumeTime() {
         this.timeState.isPaused = false;
-        this.timeState.lastUpdate = Date.now(); // Reset to prevent time jump
+        this.timeState.lastUpdate = this.clock.now(); // Reset to prevent time jump
         this.eventBus.emit('time:resumed');
     }
 
@@ -303,13 +358,7 @@ export default class TimeSystem {
      * @param {number} minutes 
      */
     advanceTime(minutes) {
-        const targetMinutes = this.timeState.totalMinutes + minutes;
-        
-        // Simulate time passing with events
-        while (this.timeState.totalMinutes < targetMinutes) {
-            this.timeState.totalMinutes++;
-            this.updateTime();
-        }
+        this.passMinutes(minutes);
     }
 
     /**
@@ -324,6 +373,7 @@ export default class TimeSystem {
             timeOfDay: this.timeState.timeOfDay,
             totalMinutes: Math.floor(this.timeState.totalMinutes),
             modifiers: this.timeModifiers[this.timeState.timeOfDay],
+            shopsOpen: this.isTimeBetween(this.config.shopOpenHour, this.config.shopCloseHour),
             isPaused: this.timeState.isPaused
         };
     }
@@ -375,26 +425,26 @@ export default class TimeSystem {
     }
 
     /**
-     * Update time system (called by game loop)
+     * Update time system (called by game loop after the clock ticks)
      * @param {number} deltaTime - Time elapsed since last frame in milliseconds
      */
     update(deltaTime) {
-        if (this.timeState.isPaused) return;
-        
-        // Update time based on delta (for smooth time progression)
-        this.updateTime();
+        if (this.timeState.isPaused) {
+            // Keep lastUpdate current so resuming doesn't jump
+            this.timeState.lastUpdate = this.clock.now();
+            return;
+        }
         
-        // Process any scheduled events
-        this.processScheduledEvents();
+        // Step game time once per updateInterval of clock time, like the old 1s loop
+        if (this.clock.now() - this.timeState.lastUpdate >= this.config.updateInterval) {
+            this.updateTime();
+        }
     }
 
     /**
      * Clean up
      */
     destroy() {
-        if (this.timeInterval) {
-            clearInterval(this.timeInterval);
-        }
         this.scheduledEvents.clear();
     }
 }
\ No newline at end of file
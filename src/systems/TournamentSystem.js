@@ -0,0 +1,530 @@
+/**
+ * TournamentSystem - Scheduled arm wrestling tournaments with brackets
+ * Branch-level system that runs a player through rounds of best-of-N bouts
+ *
+ * Dependencies: EventBus, EntityManager, GameClock (trunk only)
+ *
+ * Tournament definitions come from `src/data/tournaments.json` through 'resource:loaded'.
+ * - Registration opens on tournament days through TimeSystem's 'time:schedule-event'
+ * - Each game of a round is a CombatSystem bout ('combat:start' with mode 'bout')
+ * - Rests between games and rounds run on GameClock timers
+ * - Entry fees and prizes go through currency:* and inventory:* events
+ * Players keep a `tournamentRecord { entries, championships, bestFinish }` component.
+ */
+import GameClock from '../core/GameClock.js';
+
+export default class TournamentSystem {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
+        this.eventBus = eventBus;
+        this.entityManager = entityManager;
+        this.clock = clock;
+
+        // Tournament configuration
+        this.config = {
+            tournamentsKey: 'tournaments', // ResourceManager key of the tournament definitions
+            prepDuration: 3000, // Game ms before the first bout
+            gameBreakDuration: 3000, // Game ms between games of a round
+            restDuration: 10000 // Game ms of rest between rounds
+        };
+
+        // tournamentId -> definition
+        this.tournaments = new Map();
+
+        // tournamentId -> true while registration is open
+        this.openRegistrations = new Map();
+
+        // playerId -> run { tournamentId, day, roundIndex, wins, losses, opponentId, state, timer }
+        this.runs = new Map();
+
+        // Mirrored from TimeSystem events
+        this.currentDay = 1;
+        this.currentHour = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Data
+        this.eventBus.on('resource:loaded', (data) => {
+            if (data.key === this.config.tournamentsKey) this.registerTournaments(data.data);
+        });
+
+        // Player requests (dialogue, debug)
+        this.eventBus.on('tournament:register', this.register.bind(this));
+        this.eventBus.on('tournament:forfeit', (data) => this.endRun(data.entityId, 'forfeit'));
+
+        // Bouts
+        this.eventBus.on('combat:ended', this.handleBoutEnded.bind(this));
+
+        // Calendar
+        this.eventBus.on('time:updated', (data) => this.setTime(data));
+        this.eventBus.on('time:changed', (data) => this.setTime(data.to));
+        this.eventBus.on('save:restored', () => {
+            // Loading rewinds the world; a tournament in progress doesn't survive it
+            [...this.runs.keys()].forEach(playerId => this.endRun(playerId, 'forfeit'));
+            this.scheduleAll();
+        });
+
+        this.eventBus.on('entity:destroyed', (data) => {
+            if (this.runs.has(data.entityId)) this.endRun(data.entityId, 'forfeit');
+        });
+    }
+
+    /**
+     * Track the calendar for registration checks
+     * @param {Object} time - { day, hour }
+     */
+    setTime(time) {
+        if (!time) return;
+        if (typeof time.day === 'number') this.currentDay = time.day;
+        if (typeof time.hour === 'number') this.currentHour = time.hour;
+    }
+
+    /**
+     * Register tournament definitions and put them on the calendar
+     * @param {Object} definitions - { version, tournaments: { tournamentId: { ... } } }
+     */
+    registerTournaments(definitions) {
+        Object.entries(definitions?.tournaments || {}).forEach(([tournamentId, tournamentDef]) => {
+            if (!Array.isArray(tournamentDef?.rounds) || tournamentDef.rounds.length === 0) {
+                console.error(`[TournamentSystem] Tournament "${tournamentId}" needs a "rounds" array`);
+                return;
+            }
+
+            this.tournaments.set(tournamentId, {
+                name: tournamentDef.name || tournamentId,
+                firstDay: tournamentDef.firstDay || 1,
+                everyDays: tournamentDef.everyDays || 7,
+                registrationHour: tournamentDef.registrationHour ?? 8,
+                closeHour: tournamentDef.closeHour ?? 18,
+                minLevel: tournamentDef.minLevel || 1,
+                entryFee: tournamentDef.entryFee || {},
+                bestOf: tournamentDef.bestOf || 3,
+                rounds: tournamentDef.rounds,
+                championPrize: tournamentDef.championPrize || {}
+            });
+        });
+
+        this.scheduleAll();
+    }
+
+    /**
+     * Put every tournament's next registration window on TimeSystem's calendar
+     */
+    scheduleAll() {
+        this.tournaments.forEach((tournament, tournamentId) => {
+            const day = this.getNextTournamentDay(tournamentId);
+
+            this.eventBus.emit('time:schedule-event', {
+                eventId: `tournament:${tournamentId}:open`,
+                day,
+                hour: tournament.registrationHour,
+                everyDays: tournament.everyDays,
+                callback: () => this.setRegistrationOpen(tournamentId, true)
+            });
+            this.eventBus.emit('time:schedule-event', {
+                eventId: `tournament:${tournamentId}:close`,
+                day,
+                hour: tournament.closeHour,
+                everyDays: tournament.everyDays,
+                callback: () => this.setRegistrationOpen(tournamentId, false)
+            });
+
+            // A load can land outside the window the calendar last saw
+            const isOpen = day === this.currentDay
+                && this.currentHour >= tournament.registrationHour
+                && this.currentHour < tournament.closeHour;
+            this.setRegistrationOpen(tournamentId, isOpen);
+        });
+    }
+
+    /**
+     * First tournament day whose registration hasn't closed yet
+     * @param {string} tournamentId
+     * @returns {number}
+     */
+    getNextTournamentDay(tournamentId) {
+        const tournament = this.tournaments.get(tournamentId);
+        let day = tournament.firstDay;
+
+        while (day < this.currentDay || (day === this.currentDay && this.currentHour >= tournament.closeHour)) {
+            day += tournament.everyDays;
+        }
+        return day;
+    }
+
+    /**
+     * Open or close registration
+     * @param {string} tournamentId
+     * @param {boolean} isOpen
+     */
+    setRegistrationOpen(tournamentId, isOpen) {
+        if (!!this.openRegistrations.get(tournamentId) === isOpen) return;
+
+        this.openRegistrations.set(tournamentId, isOpen);
+        this.eventBus.emit(isOpen ? 'tournament:registration-opened' : 'tournament:registration-closed', {
+            tournamentId,
+            name: this.tournaments.get(tournamentId).name,
+            day: this.currentDay
+        });
+    }
+
+    /**
+     * Enter a player into a tournament
+     * @param {Object} data - { entityId, tournamentId }
+     */
+    register(data) {
+        const { entityId } = data;
+        const tournamentId = data.tournamentId || this.tournaments.keys().next().value;
+        const tournament = this.tournaments.get(tournamentId);
+        const player = this.entityManager.getEntity(entityId);
+        if (!player) return;
+
+        if (!tournament) {
+            this.rejectEntry(entityId, tournamentId, `Unknown tournament: ${tournamentId}`);
+            return;
+        }
+        if (!this.openRegistrations.get(tournamentId)) {
+            this.rejectEntry(entityId, tournamentId, 'Registration is closed');
+            return;
+        }
+        if (this.runs.has(entityId)) {
+            this.rejectEntry(entityId, tournamentId, 'Already competing');
+            return;
+        }
+
+        const record = this.getRecord(player);
+        if (record.entries[tournamentId] === this.currentDay) {
+            this.rejectEntry(entityId, tournamentId, 'Already entered today');
+            return;
+        }
+        if ((player.getComponent('progression')?.level || 1) < tournament.minLevel) {
+            this.rejectEntry(entityId, tournamentId, `Requires level ${tournament.minLevel}`);
+            return;
+        }
+
+        // The fee is all-or-nothing; entry only happens once it is paid
+        this.eventBus.emit('currency:transaction', {
+            entityId,
+            changes: Object.fromEntries(Object.entries(tournament.entryFee).map(([currency, amount]) => [currency, -amount])),
+            reason: `tournament:${tournamentId}:entry`,
+            onComplete: (transaction, error) => {
+                if (!transaction) {
+                    this.rejectEntry(entityId, tournamentId, error);
+                    return;
+                }
+                this.startRun(player, tournamentId);
+            }
+        });
+    }
+
+    /**
+     * Report a refused entry
+     * @param {string} entityId
+     * @param {string} tournamentId
+     * @param {string} error
+     */
+    rejectEntry(entityId, tournamentId, error) {
+        this.eventBus.emit('tournament:error', { entityId, tournamentId, error });
+    }
+
+    /**
+     * A player's tournament history, created on first use
+     * @param {Entity} player
+     * @returns {Object} { entries, championships, bestFinish }
+     */
+    getRecord(player) {
+        if (!player.hasComponent('tournamentRecord')) {
+            player.addComponent('tournamentRecord', { entries: {}, championships: 0, bestFinish: null });
+        }
+        return player.getComponent('tournamentRecord');
+    }
+
+    /**
+     * Set up the bracket and call the first round
+     * @param {Entity} player
+     * @param {string} tournamentId
+     */
+    startRun(player, tournamentId) {
+        const tournament = this.tournaments.get(tournamentId);
+        this.getRecord(player).entries[tournamentId] = this.currentDay;
+
+        const run = {
+            tournamentId,
+            day: this.currentDay,
+            roundIndex: 0,
+            wins: 0,
+            losses: 0,
+            opponentId: null,
+            state: 'resting',
+            timer: null
+        };
+        this.runs.set(player.id, run);
+
+        this.eventBus.emit('tournament:registered', {
+            entityId: player.id,
+            tournamentId,
+            name: tournament.name,
+            bestOf: tournament.bestOf,
+            bracket: tournament.rounds.map(round => ({ name: round.name, opponent: round.opponent.name }))
+        });
+
+        this.rest(player.id, this.config.prepDuration, () => this.startRound(player.id));
+    }
+
+    /**
+     * Bring out the current round's opponent
+     * @param {string} playerId
+     */
+    startRound(playerId) {
+        const run = this.runs.get(playerId);
+        const round = this.tournaments.get(run.tournamentId).rounds[run.roundIndex];
+
+        run.wins = 0;
+        run.losses = 0;
+        run.opponentId = this.createOpponent(round.opponent).id;
+
+        this.eventBus.emit('tournament:round-started', {
+            entityId: playerId,
+            tournamentId: run.tournamentId,
+            roundIndex: run.roundIndex,
+            round: round.name,
+            opponentId: run.opponentId,
+            opponent: round.opponent.name
+        });
+
+        this.startGame(playerId);
+    }
+
+    /**
+     * Create an opponent that only exists at the tournament table
+     * @param {Object} opponent - { name, tier, power, color, moveSet }
+     * @returns {Entity}
+     */
+    createOpponent(opponent) {
+        const power = opponent.power || 1;
+        return this.entityManager.createEntity({
+            health: { current: 100, max: 100 },
+            power: { value: power },
+            appearance: {
+                type: 'tournament',
+                name: opponent.name,
+                color: opponent.color ?? 0x808080
+            },
+            enemyData: {
+                type: opponent.name,
+                baseType: 'tournament_opponent',
+                tier: opponent.tier || 1,
+                xpValue: 0,
+                lootTable: [],
+                moveSet: opponent.moveSet || [],
+                phases: []
+            }
+        }, ['tournament_opponent']);
+    }
+
+    /**
+     * Start the next game of the current round
+     * @param {string} playerId
+     */
+    startGame(playerId) {
+        const run = this.runs.get(playerId);
+        run.state = 'bout';
+
+        this.eventBus.emit('combat:start', {
+            attackerId: playerId,
+            defenderId: run.opponentId,
+            mode: 'bout'
+        });
+    }
+
+    /**
+     * Score a finished bout and decide what comes next
+     * @param {Object} data - { attackerId, defenderId, result, combatData }
+     */
+    handleBoutEnded(data) {
+        const run = this.runs.get(data.attackerId);
+        if (!run || run.state !== 'bout' || data.defenderId !== run.opponentId) return;
+        run.state = 'scoring';
+
+        if (data.result !== 'victory' && data.result !== 'defeat') {
+            // Walking away from the table forfeits the tournament
+            this.endRun(data.attackerId, 'forfeit');
+            return;
+        }
+
+        const tournament = this.tournaments.get(run.tournamentId);
+        const winsNeeded = Math.ceil(tournament.bestOf / 2);
+        if (data.result === 'victory') run.wins++;
+        else run.losses++;
+
+        this.eventBus.emit('tournament:game-result', {
+            entityId: data.attackerId,
+            tournamentId: run.tournamentId,
+            roundIndex: run.roundIndex,
+            result: data.result,
+            wins: run.wins,
+            losses: run.losses,
+            winsNeeded
+        });
+
+        if (run.losses >= winsNeeded) {
+            this.endRun(data.attackerId, 'eliminated');
+        } else if (run.wins >= winsNeeded) {
+            this.winRound(data.attackerId);
+        } else {
+            this.rest(data.attackerId, this.config.gameBreakDuration, () => this.startGame(data.attackerId));
+        }
+    }
+
+    /**
+     * Pay the round prize and move up the bracket
+     * @param {string} playerId
+     */
+    winRound(playerId) {
+        const run = this.runs.get(playerId);
+        const tournament = this.tournaments.get(run.tournamentId);
+        const round = tournament.rounds[run.roundIndex];
+
+        this.entityManager.removeEntity(run.opponentId);
+        run.opponentId = null;
+
+        this.payPrize(playerId, run.tournamentId, { currencies: round.prize }, `round:${run.roundIndex}`);
+        this.eventBus.emit('tournament:round-won', {
+            entityId: playerId,
+            tournamentId: run.tournamentId,
+            roundIndex: run.roundIndex,
+            round: round.name,
+            prize: round.prize
+        });
+
+        if (run.roundIndex === tournament.rounds.length - 1) {
+            this.payPrize(playerId, run.tournamentId, tournament.championPrize, 'champion');
+            this.endRun(playerId, 'champion');
+            return;
+        }
+
+        run.roundIndex++;
+        this.rest(playerId, this.config.restDuration, () => this.startRound(playerId));
+    }
+
+    /**
+     * Pay a prize through the systems that own currencies and items
+     * @param {string} entityId
+     * @param {string} tournamentId
+     * @param {Object} prize - { currencies, items }
+     * @param {string} label
+     */
+    payPrize(entityId, tournamentId, prize, label) {
+        if (prize.currencies && Object.keys(prize.currencies).length > 0) {
+            this.eventBus.emit('currency:transaction', {
+                entityId,
+                changes: { ...prize.currencies },
+                reason: `tournament:${tournamentId}:${label}`
+            });
+        }
+
+        (prize.items || []).forEach(({ itemId, quantity = 1 }) => {
+            this.eventBus.emit('inventory:add-item', { entityId, itemId, quantity });
+        });
+    }
+
+    /**
+     * Wait on the game clock, then continue
+     * @param {string} playerId
+     * @param {number} duration - Game ms
+     * @param {Function} next
+     */
+    rest(playerId, duration, next) {
+        const run = this.runs.get(playerId);
+        run.state = 'resting';
+
+        this.eventBus.emit('tournament:rest', {
+            entityId: playerId,
+            tournamentId: run.tournamentId,
+            roundIndex: run.roundIndex,
+            duration,
+            until: this.clock.now() + duration
+        });
+
+        run.timer = this.clock.setTimeout(() => {
+            run.timer = null;
+            if (this.runs.get(playerId) === run) next();
+        }, duration);
+    }
+
+    /**
+     * Finish a player's tournament and record how far they got
+     * @param {string} playerId
+     * @param {string} outcome - 'champion' | 'eliminated' | 'forfeit'
+     */
+    endRun(playerId, outcome) {
+        const run = this.runs.get(playerId);
+        if (!run) return;
+
+        this.runs.delete(playerId);
+        if (run.timer) this.clock.clearTimeout(run.timer);
+
+        // A forfeit mid-bout still has to leave the table
+        if (run.state === 'bout') {
+            this.eventBus.emit('combat:flee', { entityId: playerId });
+        }
+        if (run.opponentId) {
+            this.entityManager.removeEntity(run.opponentId);
+        }
+
+        const tournament = this.tournaments.get(run.tournamentId);
+        const player = this.entityManager.getEntity(playerId);
+        if (player) {
+            const record = this.getRecord(player);
+            const reached = outcome === 'champion' ? tournament.rounds.length : run.roundIndex;
+            if (outcome === 'champion') record.championships++;
+            record.bestFinish = Math.max(record.bestFinish ?? 0, reached);
+        }
+
+        this.eventBus.emit('tournament:ended', {
+            entityId: playerId,
+            tournamentId: run.tournamentId,
+            name: tournament.name,
+            outcome,
+            roundIndex: run.roundIndex,
+            round: tournament.rounds[run.roundIndex].name
+        });
+    }
+
+    /**
+     * A player's tournament in progress
+     * @param {string} playerId
+     * @returns {Object|null}
+     */
+    getRun(playerId) {
+        return this.runs.get(playerId) || null;
+    }
+
+    /**
+     * Whether a tournament is taking entries
+     * @param {string} tournamentId
+     * @returns {boolean}
+     */
+    isRegistrationOpen(tournamentId) {
+        return !!this.openRegistrations.get(tournamentId);
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.runs.forEach(run => {
+            if (run.timer) this.clock.clearTimeout(run.timer);
+        });
+        this.runs.clear();
+        this.tournaments.forEach((tournament, tournamentId) => {
+            this.eventBus.emit('time:cancel-event', { eventId: `tournament:${tournamentId}:open` });
+            this.eventBus.emit('time:cancel-event', { eventId: `tournament:${tournamentId}:close` });
+        });
+        this.tournaments.clear();
+    }
+}
@@ -2,10 +2,13 @@
  * ZoneManager - Manages game zones, safe areas, biomes, and environmental effects
  * Branch-level system that handles all zone-related operations
  */
+import GameClock from '../core/GameClock.js';
+
 export default class ZoneManager {
-    constructor(eventBus, entityManager) {
+    constructor(eventBus, entityManager, clock = new GameClock()) {
         this.eventBus = eventBus;
         this.entityManager = entityManager;
+        this.clock = clock;
         
         // Zone configuration
         this.config = {
@@ -23,18 +26,21 @@ export default class ZoneManager {
         // Biome definitions
         this.biomes = {
             plains: {
+                id: 'plains',
                 name: 'Plains',
                 enemySpawnRate: 1.0,
                 weatherTypes: ['clear', 'cloudy', 'light_rain'],
                 movementSpeed: 1.0
             },
             swamp: {
+                id: 'swamp',
                 name: 'Swamp',
                 enemySpawnRate: 1.5,
                 weatherTypes: ['fog', 'heavy_rain', 'storm'],
                 movementSpeed: 0.7
             },
             mountain: {
+                id: 'mountain',
                 name: 'Mountain',
                 enemySpawnRate: 0.8,
                 weatherTypes: ['clear', 'snow', 'blizzard'],
@@ -220,6 +226,36 @@ export default class ZoneManager {
                 this.handleEntityExitZone(entity, zone);
             }
         });
+        
+        this.updateEntityBiome(entity, newPosition);
+    }
+
+    /**
+     * Track which biome a player is in and announce changes
+     * @param {Entity} entity 
+     * @param {Object} position - { x, y } in tiles
+     * @param {boolean} initial - True when the entity just spawned
+     */
+    updateEntityBiome(entity, position, initial = false) {
+        if (!entity.hasTag('player')) return;
+        
+        if (!entity.hasComponent('zones')) {
+            entity.addComponent('zones', { current: [] });
+        }
+        const zonesComponent = entity.getComponent('zones');
+        const biome = this.getBiomeAtPosition(position);
+        const previousBiomeId = zonesComponent.biome || null;
+        
+        if (biome.id === previousBiomeId) return;
+        
+        zonesComponent.biome = biome.id;
+        this.eventBus.emit('zone:biome-entered', {
+            entityId: entity.id,
+            biomeId: biome.id,
+            biome,
+            previousBiomeId,
+            initial
+        });
     }
 
     /**
@@ -234,9 +270,11 @@ export default class ZoneManager {
         
         this.zones.forEach(zone => {
             if (this.isPositionInZone(position, zone)) {
-                this.handleEntityEnterZone(entity, zone);
+                this.handleEntityEnterZone(entity, zone, true);
             }
         });
+        
+        this.updateEntityBiome(entity, { x: position.worldX ?? position.x, y: position.worldY ?? position.y }, true);
     }
 
     /**
@@ -264,8 +302,9 @@ export default class ZoneManager {
      * Handle entity entering a zone
      * @param {Entity} entity 
      * @param {Object} zone 
+     * @param {boolean} initial - True when the entity spawned inside the zone
      */
-    handleEntityEnterZone(entity, zone) {
+    handleEntityEnterZone(entity, zone, initial = false) {
         // Update tracking
         zone.entitiesInZone.add(entity.id);
         
@@ -289,7 +328,8 @@ export default class ZoneManager {
         this.eventBus.emit('entity:entered-zone', {
             entityId: entity.id,
             zoneId: zone.id,
-            zone
+            zone,
+            initial
         });
     }
 
@@ -367,7 +407,7 @@ export default class ZoneManager {
         }
         
         // Schedule respawn
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             this.eventBus.emit('player:respawn', {
                 playerId,
                 position: respawnZone.position,
@@ -407,7 +447,7 @@ export default class ZoneManager {
      * @param {number} deltaTime 
      */
     update(deltaTime) {
-        const now = Date.now();
+        const now = this.clock.now();
         
         this.zones.forEach(zone => {
             if (!zone.active) return;
@@ -433,14 +473,10 @@ export default class ZoneManager {
                 zone.entitiesInZone.forEach(entityId => {
                     const entity = this.entityManager.getEntity(entityId);
                     if (entity && entity.hasComponent('health')) {
-                        const health = entity.getComponent('health');
-                        health.current = Math.min(health.max, health.current + effect.value);
-                        
-                        this.eventBus.emit('entity:healed', {
+                        this.eventBus.emit('health:heal', {
                             entityId,
                             amount: effect.value,
-                            source: 'zone',
-                            zoneId: zone.id
+                            source: 'zone'
                         });
                     }
                 });
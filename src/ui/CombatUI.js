@@ -16,7 +16,31 @@ export default class CombatUI {
             panelHeight: 250,
             tugBarWidth: 400,
             tugBarHeight: 40,
-            clickButtonSize: 100
+            clickButtonSize: 100,
+            gripBarWidth: 120,
+            gripBarHeight: 12,
+            rhythmRingSpread: 45, // How far out a beat's ring starts before closing on the button
+            instructions: {
+                mash: 'Click rapidly or press SPACE!',
+                hold: 'Hold the button or SPACE to push!',
+                rhythm: 'Click or press SPACE as the ring closes!'
+            },
+            moveTextY: -150, // Enemy move warnings just above the panel
+            parryTrackY: -108,
+            parryTrackWidth: 300,
+            parryFeedback: {
+                perfect: { text: 'PERFECT PARRY!', color: '#ffd700' },
+                good: { text: 'GOOD PARRY!', color: '#00ff00' },
+                early: { text: 'Too early!', color: '#ff4444' },
+                late: { text: 'Too late!', color: '#ff4444' },
+                feint: { text: 'Fooled by a feint!', color: '#aaaaaa' }
+            },
+            moveColors: {
+                surge: '#ff4444',
+                feint: '#aaaaaa',
+                stall: '#87cefa',
+                secondWind: '#ff66ff'
+            }
         };
         
         // UI elements
@@ -34,24 +58,58 @@ export default class CombatUI {
     setupEventListeners() {
         this.eventBus.on('combat:started', this.showCombat.bind(this));
         this.eventBus.on('combat:tug-update', this.updateTugBar.bind(this));
+        this.eventBus.on('stamina:changed', (data) => {
+            if (data.entityId === this.currentCombat?.attackerId) this.updateGripBar(data);
+        });
+        
+        // Enemy special moves and boss phases
+        const forCurrentCombat = (handler) => (data) => {
+            if (this.isVisible && data.attackerId === this.currentCombat?.attackerId) handler(data);
+        };
+        this.eventBus.on('combat:move-telegraph', forCurrentCombat(this.showMoveTelegraph.bind(this)));
+        this.eventBus.on('combat:move-started', forCurrentCombat(this.showMoveStarted.bind(this)));
+        this.eventBus.on('combat:move-ended', forCurrentCombat(() => {
+            this.setMoveText('');
+            this.hideParryTrack();
+        }));
+        this.eventBus.on('combat:parry', forCurrentCombat(this.showParryResult.bind(this)));
+        this.eventBus.on('combat:phase-changed', forCurrentCombat(this.showPhaseChange.bind(this)));
+        this.eventBus.on('combat:rhythm-beat', forCurrentCombat((data) => {
+            this.rhythmBeat = data;
+        }));
+        this.eventBus.on('combat:rhythm-press', forCurrentCombat(this.showRhythmPress.bind(this)));
+        this.eventBus.on('combat:suspicious-input', forCurrentCombat((data) => {
+            this.setMoveText(data.capped ? 'Inhuman clicking - clicks capped' : 'Inhuman clicking detected', '#ff8800');
+        }));
+        this.eventBus.on('settings:changed', (data) => {
+            if (data.key === 'combatInput' && this.isVisible) this.showInputMode();
+        });
         this.eventBus.on('combat:ended', this.hideCombat.bind(this));
         this.eventBus.on('combat:victory', this.showVictory.bind(this));
         this.eventBus.on('combat:defeat', this.showDefeat.bind(this));
+        this.eventBus.on('combat:bout-ended', (data) => {
+            if (data.result === 'victory') this.showVictory();
+            else this.showDefeat();
+        });
         
         // Global click handler for combat
         this.scene.input.on('pointerdown', (pointer) => {
             if (this.isVisible && this.currentCombat && pointer.button === 0) {
-                this.handleClick();
+                this.handleClick(pointer.event.timeStamp);
             }
         });
         
         // Space key handler for combat
-        this.scene.input.keyboard.on('keydown-SPACE', () => {
+        this.scene.input.keyboard.on('keydown-SPACE', (event) => {
             if (this.isVisible && this.currentCombat) {
-                this.handleClick();
+                this.handleClick(event.timeStamp);
             }
         });
         
+        // Letting go ends a push in hold mode
+        this.scene.input.on('pointerup', () => this.handleRelease());
+        this.scene.input.keyboard.on('keyup-SPACE', () => this.handleRelease());
+        
         // Escape key handler for fleeing
         this.scene.input.keyboard.on('keydown-ESC', () => {
             if (this.isVisible && this.currentCombat) {
@@ -121,6 +179,71 @@ export default class CombatUI {
         );
         this.container.add(this.tugBar);
         
+        // Enemy move warnings
+        this.moveText = this.scene.add.text(0, this.config.moveTextY, '', {
+            fontSize: '24px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 4,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.container.add(this.moveText);
+        
+        // Parry timing track: the marker sweeps toward the landing, click inside the green zone
+        const trackWidth = this.config.parryTrackWidth;
+        const trackY = this.config.parryTrackY;
+        this.parryTrack = this.scene.add.container(0, trackY);
+        const trackBg = this.scene.add.rectangle(0, 0, trackWidth, 10, 0x333333).setStrokeStyle(1, 0xffffff);
+        this.parryGoodZone = this.scene.add.rectangle(0, 0, 0, 10, 0x00aa00).setOrigin(0, 0.5);
+        this.parryPerfectZone = this.scene.add.rectangle(0, 0, 0, 10, 0xffd700).setOrigin(0, 0.5);
+        this.parryMarker = this.scene.add.rectangle(-trackWidth / 2, 0, 4, 18, 0xffffff);
+        this.parryTrack.add([trackBg, this.parryGoodZone, this.parryPerfectZone, this.parryMarker]);
+        this.parryTrack.setVisible(false);
+        this.container.add(this.parryTrack);
+        this.parryWindow = null;
+        
+        // Grip stamina (left of the click button)
+        const gripLabel = this.scene.add.text(-170, 60, 'GRIP', {
+            fontSize: '14px',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        const gripBg = this.scene.add.rectangle(-170, 80, this.config.gripBarWidth, this.config.gripBarHeight, 0x333333);
+        gripBg.setStrokeStyle(1, 0xffffff);
+        this.gripBar = this.scene.add.rectangle(
+            -170 - this.config.gripBarWidth / 2,
+            80,
+            this.config.gripBarWidth,
+            this.config.gripBarHeight - 2,
+            0x00bfff
+        ).setOrigin(0, 0.5);
+        this.container.add([gripLabel, gripBg, this.gripBar]);
+        
+        const stamina = attacker?.getComponent('stamina');
+        if (stamina) this.updateGripBar(stamina);
+        
+        // Hold mode charge (right of the click button, mirroring the grip bar)
+        this.chargeLabel = this.scene.add.text(170, 60, 'CHARGE', {
+            fontSize: '14px',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        this.chargeBg = this.scene.add.rectangle(170, 80, this.config.gripBarWidth, this.config.gripBarHeight, 0x333333);
+        this.chargeBg.setStrokeStyle(1, 0xffffff);
+        this.chargeBar = this.scene.add.rectangle(
+            170 - this.config.gripBarWidth / 2,
+            80,
+            this.config.gripBarWidth,
+            this.config.gripBarHeight - 2,
+            0xffd700
+        ).setOrigin(0, 0.5);
+        this.chargeBar.scaleX = 0;
+        this.container.add([this.chargeLabel, this.chargeBg, this.chargeBar]);
+        
+        // Rhythm mode beat ring, closing in on the click button
+        this.rhythmRing = this.scene.add.circle(0, 80, this.config.clickButtonSize / 2);
+        this.rhythmRing.setStrokeStyle(4, 0x00ffff);
+        this.container.add(this.rhythmRing);
+        this.rhythmBeat = null;
+        
         // Click button
         const clickButton = this.scene.add.circle(0, 80, this.config.clickButtonSize / 2, 0xff0000);
         clickButton.setStrokeStyle(4, 0xffffff);
@@ -136,12 +259,13 @@ export default class CombatUI {
         this.container.add(clickText);
         
         // Instructions
-        const instructions = this.scene.add.text(0, 140, 'Click rapidly or press SPACE!\nESC to flee', {
+        this.instructions = this.scene.add.text(0, 140, '', {
             fontSize: '16px',
             color: '#ffffff',
             align: 'center'
         }).setOrigin(0.5);
-        this.container.add(instructions);
+        this.container.add(this.instructions);
+        this.showInputMode();
         
         // Click counter
         this.clickCountText = this.scene.add.text(-200, -100, 'Clicks: 0', {
@@ -159,8 +283,8 @@ export default class CombatUI {
         this.container.add(this.dpsText);
         
         // Setup click handlers
-        clickButton.on('pointerdown', () => {
-            this.handleClick();
+        clickButton.on('pointerdown', (pointer) => {
+            this.handleClick(pointer.event.timeStamp);
             
             // Visual feedback
             this.scene.tweens.add({
@@ -178,7 +302,7 @@ export default class CombatUI {
         
         // Also listen for general click anywhere on combat panel
         panel.setInteractive();
-        panel.on('pointerdown', () => this.handleClick());
+        panel.on('pointerdown', (pointer) => this.handleClick(pointer.event.timeStamp));
         
         this.isVisible = true;
         this.clickCount = 0;
@@ -195,9 +319,18 @@ export default class CombatUI {
         });
     }
 
-    handleClick() {
+    /**
+     * @param {number} inputTime - timeStamp of the input event, so CombatSystem can time clicks precisely
+     */
+    handleClick(inputTime) {
         if (!this.isVisible || !this.currentCombat) return;
         
+        // Hold mode pushes for as long as the button stays down
+        if (this.getInputMode() === 'hold') {
+            this.eventBus.emit('player:push-start');
+            return;
+        }
+        
         console.log('CombatUI: Click detected! Current combat:', this.currentCombat);
         
         this.clickCount++;
@@ -209,7 +342,7 @@ export default class CombatUI {
         }
         
         // Emit player attack event
-        this.eventBus.emit('player:attack');
+        this.eventBus.emit('player:attack', { inputTime });
         
         // Visual click feedback
         const clickEffect = this.scene.add.circle(
@@ -235,21 +368,208 @@ export default class CombatUI {
         });
     }
     
+    handleRelease() {
+        if (this.isVisible && this.getInputMode() === 'hold') {
+            this.eventBus.emit('player:push-end');
+        }
+    }
+    
+    /**
+     * @returns {string} Input mode of the current combat
+     */
+    getInputMode() {
+        return this.currentCombat?.combatData.inputMode || 'mash';
+    }
+    
+    /**
+     * Show the controls for the current input mode
+     */
+    showInputMode() {
+        const mode = this.getInputMode();
+        
+        if (this.instructions?.active) {
+            this.instructions.setText(`${this.config.instructions[mode]}\nESC to flee`);
+        }
+        if (this.chargeBar?.active) {
+            [this.chargeLabel, this.chargeBg, this.chargeBar].forEach(element => element.setVisible(mode === 'hold'));
+        }
+        if (this.rhythmRing?.active) {
+            this.rhythmRing.setVisible(false);
+            this.rhythmBeat = null;
+        }
+    }
+    
+    /**
+     * Flash the beat ring green on the beat, grey off it
+     * @param {Object} data - { result }
+     */
+    showRhythmPress(data) {
+        if (!this.rhythmRing?.active) return;
+        
+        const hit = data.result === 'hit';
+        this.rhythmRing.setStrokeStyle(4, hit ? 0x00ff00 : 0x888888);
+        this.scene.time.delayedCall(120, () => {
+            if (this.rhythmRing?.active) this.rhythmRing.setStrokeStyle(4, 0x00ffff);
+        });
+    }
+    
     handleFlee() {
         if (!this.isVisible || !this.currentCombat) return;
         
         console.log('CombatUI: Flee requested!');
         
         // Emit flee event
-        this.eventBus.emit('player:flee', {
-            attackerId: this.currentCombat.attackerId,
-            defenderId: this.currentCombat.defenderId
-        });
+        this.eventBus.emit('combat:flee', { entityId: this.currentCombat.attackerId });
         
         // Hide combat UI
         this.hideCombat();
     }
 
+    /**
+     * Warn about an incoming enemy move (feints arrive disguised as the move they fake)
+     * @param {Object} data - { type, name, telegraph }
+     */
+    showMoveTelegraph(data) {
+        this.setMoveText(`! ${data.name} incoming !`, this.config.moveColors[data.type]);
+        if (data.parry) this.showParryTrack(data.parry);
+        
+        if (this.moveText?.active) {
+            this.scene.tweens.add({
+                targets: this.moveText,
+                alpha: 0.3,
+                duration: 150,
+                yoyo: true,
+                repeat: Math.max(0, Math.floor(data.telegraph / 300) - 1)
+            });
+        }
+    }
+    
+    /**
+     * Show the move as it lands
+     * @param {Object} data - { type, name, duration }
+     */
+    showMoveStarted(data) {
+        const messages = {
+            surge: `${data.name}! Hold on!`,
+            feint: `${data.name} - just a feint!`,
+            stall: `${data.name} - the bar locks up`,
+            secondWind: `${data.name}! They're fighting back!`
+        };
+        this.setMoveText(messages[data.type] || data.name, this.config.moveColors[data.type]);
+        
+        if (data.type === 'surge' || data.type === 'secondWind') {
+            this.scene.cameras.main.shake(200, 0.005);
+        }
+    }
+    
+    /**
+     * Announce a boss phase change
+     * @param {Object} data - { name, message }
+     */
+    showPhaseChange(data) {
+        this.hideParryTrack();
+        this.setMoveText(data.message || `Phase: ${data.name}`, '#ffd700');
+        this.scene.cameras.main.shake(400, 0.01);
+        
+        if (this.moveText?.active) {
+            this.moveText.setScale(1.5);
+            this.scene.tweens.add({
+                targets: this.moveText,
+                scale: 1,
+                duration: 400,
+                ease: 'Back.easeOut'
+            });
+        }
+    }
+    
+    /**
+     * Lay out the parry window on the track
+     * @param {Object} parry - { shownAt, opensAt, perfectFrom, perfectUntil, closesAt } in game ms
+     */
+    showParryTrack(parry) {
+        if (!this.parryTrack?.active) return;
+        
+        this.parryWindow = parry;
+        const toX = (time) => this.getParryX(time);
+        
+        this.parryGoodZone.x = toX(parry.opensAt);
+        this.parryGoodZone.setSize(toX(parry.closesAt) - toX(parry.opensAt), 10);
+        this.parryPerfectZone.x = toX(parry.perfectFrom);
+        this.parryPerfectZone.setSize(toX(parry.perfectUntil) - toX(parry.perfectFrom), 10);
+        this.parryMarker.x = toX(parry.shownAt);
+        this.parryTrack.setVisible(true);
+    }
+    
+    /**
+     * Track position of a game time in the current parry window
+     * @param {number} time 
+     * @returns {number}
+     */
+    getParryX(time) {
+        const { shownAt, closesAt } = this.parryWindow;
+        const progress = Math.min(1, Math.max(0, (time - shownAt) / Math.max(1, closesAt - shownAt)));
+        return -this.config.parryTrackWidth / 2 + progress * this.config.parryTrackWidth;
+    }
+    
+    hideParryTrack() {
+        this.parryWindow = null;
+        if (this.parryTrack?.active) this.parryTrack.setVisible(false);
+    }
+    
+    /**
+     * Pop up perfect/good/miss feedback
+     * @param {Object} data - { result, reason }
+     */
+    showParryResult(data) {
+        this.hideParryTrack();
+        
+        const feedback = this.config.parryFeedback[data.result === 'miss' ? data.reason : data.result];
+        if (!feedback) return;
+        
+        const popup = this.scene.add.text(this.config.centerX, this.config.centerY - 20, feedback.text, {
+            fontSize: data.result === 'perfect' ? '36px' : '28px',
+            color: feedback.color,
+            stroke: '#000000',
+            strokeThickness: 5,
+            fontStyle: 'bold'
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(1001);
+        
+        this.scene.tweens.add({
+            targets: popup,
+            y: popup.y - 40,
+            alpha: 0,
+            delay: 300,
+            duration: 600,
+            onComplete: () => popup.destroy()
+        });
+        
+        if (data.result === 'perfect') this.scene.cameras.main.flash(150, 255, 215, 0);
+    }
+    
+    /**
+     * @param {string} text 
+     * @param {string} color 
+     */
+    setMoveText(text, color = '#ffffff') {
+        if (!this.moveText || !this.moveText.active) return;
+        
+        this.scene.tweens.killTweensOf(this.moveText);
+        this.moveText.setAlpha(1).setScale(1);
+        this.moveText.setText(text);
+        this.moveText.setColor(color);
+    }
+
+    /**
+     * Show remaining stamina; the bar turns orange once the grip starts to weaken
+     * @param {Object} data - { current, max, grip }
+     */
+    updateGripBar(data) {
+        if (!this.gripBar || !this.gripBar.active) return;
+        
+        this.gripBar.scaleX = data.max > 0 ? data.current / data.max : 0;
+        this.gripBar.setFillStyle(data.grip < 1 ? 0xff8800 : 0x00bfff);
+    }
+
     updateTugBar(data) {
         if (!this.tugBar || !this.isVisible || !this.container) return;
         
@@ -388,9 +708,27 @@ export default class CombatUI {
     update(time, delta) {
         if (!this.isVisible) return;
         
+        // Sweep the parry marker on game time, so it freezes with the clock
+        if (this.parryWindow && this.parryMarker?.active) {
+            this.parryMarker.x = this.getParryX(this.combatSystem.clock.now());
+        }
+        
+        // Accessible input mode gauges, also on game time
+        const combatData = this.currentCombat?.combatData;
+        if (combatData?.inputMode === 'hold' && this.chargeBar?.active) {
+            this.chargeBar.scaleX = combatData.hold.charge;
+        }
+        if (this.rhythmBeat && this.rhythmRing?.active) {
+            const { beatAt, interval } = this.rhythmBeat;
+            const untilBeat = Math.max(0, beatAt - this.combatSystem.clock.now());
+            const radius = this.config.clickButtonSize / 2 + this.config.rhythmRingSpread * Math.min(1, untilBeat / interval);
+            this.rhythmRing.setRadius(radius);
+            this.rhythmRing.setVisible(true);
+        }
+        
         // Check keyboard input
         if (Phaser.Input.Keyboard.JustDown(this.spaceKey)) {
-            this.handleClick();
+            this.handleClick(this.spaceKey.timeDown);
         }
         
         if (Phaser.Input.Keyboard.JustDown(this.escKey)) {
@@ -164,7 +164,7 @@ export default class DebugUI {
                     // Item click handler
                     itemBg.on('pointerdown', () => {
                         console.log('Debug menu item clicked:', item.name, item.event);
-                        this.debugSystem.executeTest({
+                        this.eventBus.emit('debug:execute-test', {
                             event: item.event,
                             data: item.data || {}
                         });
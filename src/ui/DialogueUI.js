@@ -0,0 +1,251 @@
+/**
+ * DialogueUI - Conversation box with typewriter text and answer choices
+ * Leaf-level UI component for the dialogue system
+ */
+export default class DialogueUI {
+    constructor(scene, dialogueSystem) {
+        this.scene = scene;
+        this.dialogueSystem = dialogueSystem;
+        this.eventBus = dialogueSystem.eventBus;
+
+        this.config = {
+            x: this.scene.cameras.main.width / 2,
+            y: this.scene.cameras.main.height - 130,
+            width: 760,
+            height: 220,
+            padding: 20,
+            charDelay: 25, // ms per typed character
+            oneLinerDuration: 3000, // How long a flat one-liner stays up
+            speakerSize: '20px',
+            textSize: '16px',
+            choiceSize: '15px',
+            bgColor: 0x1a1a1a,
+            borderColor: 0xffd700,
+            textColor: '#ffffff',
+            speakerColor: '#ffd700',
+            choiceColor: '#88ccff',
+            choiceHoverColor: '#ffffff',
+            hintColor: '#888888'
+        };
+
+        // UI state
+        this.container = null;
+        this.node = null;
+        this.bodyText = null;
+        this.typeTimer = null;
+        this.hideTimer = null;
+        this.typedLength = 0;
+        this.isTyping = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.eventBus.on('dialogue:node', (node) => {
+            if (node.playerId === this.scene.playerId) this.showNode(node);
+        });
+        this.eventBus.on('dialogue:ended', (data) => {
+            if (data.playerId === this.scene.playerId) this.hide();
+        });
+
+        // Flat one-liners from NPCs without a dialogue graph
+        this.eventBus.on('dialogue:show', this.showOneLiner.bind(this));
+
+        // Number keys pick answers, space skips typing or continues
+        this.scene.input.keyboard.on('keydown', (event) => {
+            if (!this.node) return;
+
+            const number = parseInt(event.key, 10);
+            if (number >= 1 && number <= 9) {
+                this.pickChoice(number - 1);
+            }
+        });
+        this.scene.input.keyboard.on('keydown-SPACE', () => {
+            if (this.node) this.skipOrContinue();
+        });
+        this.scene.input.keyboard.on('keydown-ESC', () => {
+            if (this.node) this.eventBus.emit('dialogue:end', { playerId: this.scene.playerId });
+        });
+    }
+
+    /**
+     * Show a dialogue node and start typing its text
+     * @param {Object} node - { speaker, text, choices, canAdvance }
+     */
+    showNode(node) {
+        this.node = node;
+        this.render(node.speaker);
+        this.startTyping(node.text);
+    }
+
+    /**
+     * Show a one-liner that fades on its own
+     * @param {Object} data - { entityId, text }
+     */
+    showOneLiner(data) {
+        if (this.node) return; // Don't interrupt a conversation
+
+        const npc = this.dialogueSystem.entityManager.getEntity(data.entityId);
+        const speaker = npc?.getComponent('appearance')?.name || 'Stranger';
+
+        this.render(speaker);
+        this.startTyping(data.text);
+
+        this.hideTimer = this.scene.time.delayedCall(this.config.oneLinerDuration, () => this.hide());
+    }
+
+    /**
+     * Build the box with the speaker's name and an empty text area
+     * @param {string} speaker
+     */
+    render(speaker) {
+        this.clearTimers();
+
+        if (this.container) {
+            this.container.removeAll(true);
+        } else {
+            this.container = this.scene.add.container(this.config.x, this.config.y);
+            this.container.setScrollFactor(0);
+            this.container.setDepth(850);
+        }
+
+        const { width, height, padding } = this.config;
+        const left = -width / 2 + padding;
+        const top = -height / 2 + padding;
+
+        const bg = this.scene.add.rectangle(0, 0, width, height, this.config.bgColor, 0.92);
+        bg.setStrokeStyle(3, this.config.borderColor);
+        bg.setInteractive(); // Keep clicks from reaching the world
+        bg.on('pointerdown', () => {
+            if (this.node) this.skipOrContinue();
+        });
+
+        const speakerText = this.scene.add.text(left, top, speaker, {
+            fontSize: this.config.speakerSize,
+            color: this.config.speakerColor,
+            fontStyle: 'bold'
+        });
+
+        this.bodyText = this.scene.add.text(left, top + 32, '', {
+            fontSize: this.config.textSize,
+            color: this.config.textColor,
+            wordWrap: { width: width - padding * 2 }
+        });
+
+        this.container.add([bg, speakerText, this.bodyText]);
+    }
+
+    /**
+     * Reveal text one character at a time
+     * @param {string} text
+     */
+    startTyping(text) {
+        this.fullText = text;
+        this.typedLength = 0;
+        this.isTyping = true;
+
+        this.typeTimer = this.scene.time.addEvent({
+            delay: this.config.charDelay,
+            repeat: text.length - 1,
+            callback: () => {
+                this.typedLength++;
+                this.bodyText.setText(text.slice(0, this.typedLength));
+                if (this.typedLength >= text.length) this.finishTyping();
+            }
+        });
+    }
+
+    /**
+     * Show the whole text and, for conversations, the answers
+     */
+    finishTyping() {
+        if (this.typeTimer) {
+            this.typeTimer.remove();
+            this.typeTimer = null;
+        }
+        this.isTyping = false;
+        this.bodyText.setText(this.fullText);
+
+        if (this.node) this.renderChoices();
+    }
+
+    renderChoices() {
+        const { width, height, padding } = this.config;
+        const left = -width / 2 + padding;
+        let y = -height / 2 + padding + 40 + this.bodyText.height;
+
+        this.node.choices.forEach((choice, position) => {
+            const choiceText = this.scene.add.text(left + 10, y, `${position + 1}. ${choice.text}`, {
+                fontSize: this.config.choiceSize,
+                color: this.config.choiceColor
+            });
+            choiceText.setInteractive();
+            choiceText.on('pointerdown', () => this.pickChoice(position));
+            choiceText.on('pointerover', () => choiceText.setColor(this.config.choiceHoverColor));
+            choiceText.on('pointerout', () => choiceText.setColor(this.config.choiceColor));
+
+            this.container.add(choiceText);
+            y += 24;
+        });
+
+        if (this.node.canAdvance) {
+            const hint = this.scene.add.text(width / 2 - padding, height / 2 - padding, 'SPACE to continue', {
+                fontSize: '12px',
+                color: this.config.hintColor,
+                fontStyle: 'italic'
+            }).setOrigin(1, 1);
+            this.container.add(hint);
+        }
+    }
+
+    /**
+     * Answer with the choice at a position in the shown list
+     * @param {number} position
+     */
+    pickChoice(position) {
+        if (this.isTyping) return;
+
+        const choice = this.node.choices[position];
+        if (!choice) return;
+
+        this.eventBus.emit('dialogue:choose', {
+            playerId: this.scene.playerId,
+            choiceIndex: choice.index
+        });
+    }
+
+    skipOrContinue() {
+        if (this.isTyping) {
+            this.finishTyping();
+        } else if (this.node.canAdvance) {
+            this.eventBus.emit('dialogue:advance', { playerId: this.scene.playerId });
+        }
+    }
+
+    clearTimers() {
+        if (this.typeTimer) {
+            this.typeTimer.remove();
+            this.typeTimer = null;
+        }
+        if (this.hideTimer) {
+            this.hideTimer.remove();
+            this.hideTimer = null;
+        }
+    }
+
+    hide() {
+        this.clearTimers();
+        this.node = null;
+        this.isTyping = false;
+
+        if (!this.container) return;
+
+        this.container.destroy();
+        this.container = null;
+        this.bodyText = null;
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
@@ -12,7 +12,7 @@ export default class KeybindUI {
             x: this.scene.cameras.main.width / 2,
             y: this.scene.cameras.main.height / 2,
             width: 500,
-            height: 600,
+            height: 760,
             padding: 20,
             titleSize: '28px',
             categorySize: '20px',
@@ -37,11 +37,14 @@ export default class KeybindUI {
             ],
             'Interaction': [
                 { action: 'Talk/Trade', keys: ['E', 'Click NPC'] },
+                { action: 'Dialogue Answer', keys: ['1-9', 'Click Answer'] },
                 { action: 'Open Inventory', keys: ['I'] },
+                { action: 'Quest Log', keys: ['J'] },
                 { action: 'Pick Up Item', keys: ['F'] }
             ],
             'Interface': [
                 { action: 'Toggle Keybinds', keys: ['K'] },
+                { action: 'Settings (Combat Input)', keys: ['O'] },
                 { action: 'Debug Menu', keys: ['F2'] },
                 { action: 'Toggle Fullscreen', keys: ['F11'] }
             ]
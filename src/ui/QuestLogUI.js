@@ -0,0 +1,198 @@
+/**
+ * QuestLogUI - Active and completed quests, plus quest notifications
+ * Leaf-level UI component for the quest system
+ */
+export default class QuestLogUI {
+    constructor(scene, questSystem) {
+        this.scene = scene;
+        this.questSystem = questSystem;
+        this.eventBus = questSystem.eventBus;
+
+        this.config = {
+            x: this.scene.cameras.main.width / 2,
+            y: this.scene.cameras.main.height / 2,
+            width: 560,
+            height: 520,
+            padding: 25,
+            titleSize: '24px',
+            nameSize: '17px',
+            textSize: '14px',
+            bgColor: 0x2a2a2a,
+            borderColor: 0x88ccff,
+            textColor: '#ffffff',
+            nameColor: '#ffd700',
+            doneColor: '#00ff00',
+            dimColor: '#888888',
+            noticeY: 70, // Quest notifications at the top of the screen
+            noticeDuration: 2500
+        };
+
+        // UI state
+        this.container = null;
+        this.isVisible = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.scene.input.keyboard.on('keydown-J', () => this.toggle());
+
+        // Keep the open log current
+        ['quest:started', 'quest:progress', 'quest:ready', 'quest:not-ready', 'quest:completed', 'quest:abandoned']
+            .forEach(eventName => {
+                this.eventBus.on(eventName, (data) => {
+                    if (this.isVisible && data.entityId === this.scene.playerId) this.render();
+                });
+            });
+
+        // Notifications
+        this.eventBus.on('quest:started', (data) => this.notify(data, `New quest: ${data.name}`));
+        this.eventBus.on('quest:ready', (data) => this.notify(data, `${data.name}: return to the quest giver`));
+        this.eventBus.on('quest:completed', (data) => this.notify(data, `Quest complete: ${data.name}`, this.config.doneColor));
+        this.eventBus.on('quest:error', (data) => this.notify(data, data.error, '#ff4444'));
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.isVisible = true;
+        this.render();
+    }
+
+    hide() {
+        this.isVisible = false;
+        if (!this.container) return;
+
+        this.container.destroy();
+        this.container = null;
+    }
+
+    render() {
+        if (this.container) {
+            this.container.removeAll(true);
+        } else {
+            this.container = this.scene.add.container(this.config.x, this.config.y);
+            this.container.setScrollFactor(0);
+            this.container.setDepth(900);
+        }
+
+        const { width, height, padding } = this.config;
+        const left = -width / 2 + padding;
+        const view = this.questSystem.getQuestLogView(this.scene.playerId);
+
+        const bg = this.scene.add.rectangle(0, 0, width, height, this.config.bgColor);
+        bg.setStrokeStyle(3, this.config.borderColor);
+        bg.setInteractive(); // Keep clicks from reaching the world
+
+        const title = this.scene.add.text(0, -height / 2 + 30, 'QUEST LOG', {
+            fontSize: this.config.titleSize,
+            color: this.config.textColor,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+
+        const closeBtn = this.scene.add.text(width / 2 - 25, -height / 2 + 25, 'X', {
+            fontSize: '22px',
+            color: '#ff4444',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        closeBtn.setInteractive();
+        closeBtn.on('pointerdown', () => this.hide());
+        closeBtn.on('pointerover', () => closeBtn.setScale(1.2));
+        closeBtn.on('pointerout', () => closeBtn.setScale(1));
+
+        this.container.add([bg, title, closeBtn]);
+
+        let y = -height / 2 + 70;
+
+        if (view.active.length === 0) {
+            this.container.add(this.scene.add.text(left, y, 'No active quests. Talk to the townsfolk!', {
+                fontSize: this.config.textSize,
+                color: this.config.dimColor,
+                fontStyle: 'italic'
+            }));
+            y += 30;
+        }
+
+        view.active.forEach(quest => {
+            const status = quest.ready ? ' (return to turn in)' : '';
+            this.container.add(this.scene.add.text(left, y, quest.name + status, {
+                fontSize: this.config.nameSize,
+                color: quest.ready ? this.config.doneColor : this.config.nameColor,
+                fontStyle: 'bold'
+            }));
+            y += 22;
+
+            const description = this.scene.add.text(left + 10, y, quest.description, {
+                fontSize: this.config.textSize,
+                color: this.config.dimColor,
+                wordWrap: { width: width - padding * 2 - 10 }
+            });
+            this.container.add(description);
+            y += description.height + 4;
+
+            quest.objectives.forEach(objective => {
+                const done = objective.progress >= objective.count;
+                this.container.add(this.scene.add.text(left + 10, y,
+                    `${done ? '[x]' : '[ ]'} ${objective.description} ${objective.progress}/${objective.count}`, {
+                        fontSize: this.config.textSize,
+                        color: done ? this.config.doneColor : this.config.textColor
+                    }));
+                y += 20;
+            });
+            y += 12;
+        });
+
+        if (view.completed.length > 0) {
+            const names = view.completed
+                .map(quest => (quest.times > 1 ? `${quest.name} x${quest.times}` : quest.name))
+                .join(', ');
+            this.container.add(this.scene.add.text(left, y, `Completed: ${names}`, {
+                fontSize: this.config.textSize,
+                color: this.config.dimColor,
+                wordWrap: { width: width - padding * 2 }
+            }));
+        }
+
+        this.container.add(this.scene.add.text(0, height / 2 - 20, 'Press J to close', {
+            fontSize: '12px',
+            color: this.config.dimColor,
+            fontStyle: 'italic'
+        }).setOrigin(0.5));
+    }
+
+    /**
+     * Flash a quest message at the top of the screen
+     * @param {Object} data - Event payload with entityId
+     * @param {string} text
+     * @param {string} color
+     */
+    notify(data, text, color = this.config.nameColor) {
+        if (data.entityId !== this.scene.playerId) return;
+
+        const notice = this.scene.add.text(this.config.x, this.config.noticeY, text, {
+            fontSize: '18px',
+            color,
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(950);
+
+        this.scene.tweens.add({
+            targets: notice,
+            y: this.config.noticeY - 20,
+            alpha: 0,
+            delay: this.config.noticeDuration - 500,
+            duration: 500,
+            onComplete: () => notice.destroy()
+        });
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * SettingsUI - Settings panel, including the accessible combat input modes
+ * Leaf-level UI component for the settings system
+ */
+export default class SettingsUI {
+    constructor(scene, settingsSystem) {
+        this.scene = scene;
+        this.settingsSystem = settingsSystem;
+        this.eventBus = settingsSystem.eventBus;
+
+        this.config = {
+            x: this.scene.cameras.main.width / 2,
+            y: this.scene.cameras.main.height / 2,
+            width: 520,
+            height: 300,
+            padding: 25,
+            rowHeight: 60,
+            titleSize: '24px',
+            textSize: '17px',
+            hintSize: '13px',
+            bgColor: 0x2a2a2a,
+            borderColor: 0x88ccff,
+            textColor: '#ffffff',
+            valueColor: '#ffd700',
+            dimColor: '#888888',
+            // Shown under each option so players know what they are picking
+            hints: {
+                combatInput: {
+                    mash: 'Click or press SPACE rapidly',
+                    hold: 'Hold the button or SPACE - the push charges up',
+                    rhythm: 'Press on the beat - each beat counts as several clicks'
+                },
+                reducedIntensity: {
+                    false: 'Enemies pull at full strength',
+                    true: 'Enemies pull more gently - rewards are unchanged'
+                }
+            }
+        };
+
+        // UI state
+        this.container = null;
+        this.isVisible = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.scene.input.keyboard.on('keydown-O', () => this.toggle());
+
+        // Number keys cycle the matching row while the panel is open
+        this.scene.input.keyboard.on('keydown', (event) => {
+            if (!this.isVisible) return;
+
+            const index = parseInt(event.key, 10) - 1;
+            const key = Object.keys(this.settingsSystem.config.definitions)[index];
+            if (key) this.eventBus.emit('settings:cycle', { key });
+        });
+
+        this.eventBus.on('settings:changed', () => {
+            if (this.isVisible) this.render();
+        });
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.isVisible = true;
+        this.render();
+    }
+
+    hide() {
+        this.isVisible = false;
+        if (!this.container) return;
+
+        this.container.destroy();
+        this.container = null;
+    }
+
+    render() {
+        if (this.container) {
+            this.container.removeAll(true);
+        } else {
+            this.container = this.scene.add.container(this.config.x, this.config.y);
+            this.container.setScrollFactor(0);
+            this.container.setDepth(900);
+        }
+
+        const { width, height, padding, rowHeight } = this.config;
+        const left = -width / 2 + padding;
+
+        const bg = this.scene.add.rectangle(0, 0, width, height, this.config.bgColor);
+        bg.setStrokeStyle(3, this.config.borderColor);
+        bg.setInteractive(); // Keep clicks from reaching the world
+
+        const title = this.scene.add.text(0, -height / 2 + 30, 'SETTINGS', {
+            fontSize: this.config.titleSize,
+            color: this.config.textColor,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+
+        const closeBtn = this.scene.add.text(width / 2 - 25, -height / 2 + 25, 'X', {
+            fontSize: '22px',
+            color: '#ff4444',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        closeBtn.setInteractive();
+        closeBtn.on('pointerdown', () => this.hide());
+        closeBtn.on('pointerover', () => closeBtn.setScale(1.2));
+        closeBtn.on('pointerout', () => closeBtn.setScale(1));
+
+        this.container.add([bg, title, closeBtn]);
+
+        Object.entries(this.settingsSystem.config.definitions).forEach(([key, definition], index) => {
+            const y = -height / 2 + 75 + index * rowHeight;
+            const value = this.settingsSystem.get(key);
+            const shown = typeof value === 'boolean' ? (value ? 'On' : 'Off') : value.toUpperCase();
+
+            const row = this.scene.add.text(left, y, `${index + 1}. ${definition.label}: `, {
+                fontSize: this.config.textSize,
+                color: this.config.textColor
+            });
+            const valueText = this.scene.add.text(left + row.width, y, `< ${shown} >`, {
+                fontSize: this.config.textSize,
+                color: this.config.valueColor,
+                fontStyle: 'bold'
+            });
+            valueText.setInteractive();
+            valueText.on('pointerdown', () => this.eventBus.emit('settings:cycle', { key }));
+
+            const hint = this.scene.add.text(left + 20, y + 24, this.config.hints[key]?.[value] || '', {
+                fontSize: this.config.hintSize,
+                color: this.config.dimColor,
+                fontStyle: 'italic'
+            });
+
+            this.container.add([row, valueText, hint]);
+        });
+
+        this.container.add(this.scene.add.text(0, height / 2 - 20, 'Click a value or press its number to change it - O to close', {
+            fontSize: '12px',
+            color: this.config.dimColor,
+            fontStyle: 'italic'
+        }).setOrigin(0.5));
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
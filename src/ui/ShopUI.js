@@ -0,0 +1,237 @@
+/**
+ * ShopUI - Merchant buy/sell window
+ * Leaf-level UI component for the shop system
+ */
+export default class ShopUI {
+    constructor(scene, shopSystem) {
+        this.scene = scene;
+        this.shopSystem = shopSystem;
+        this.eventBus = shopSystem.eventBus;
+
+        this.config = {
+            x: this.scene.cameras.main.width / 2,
+            y: this.scene.cameras.main.height / 2,
+            width: 620,
+            height: 460,
+            rowHeight: 24,
+            maxRows: 14,
+            titleSize: '24px',
+            textSize: '14px',
+            bgColor: 0x2a2a2a,
+            borderColor: 0xffd700,
+            textColor: '#ffffff',
+            goldColor: '#ffd700',
+            buttonColor: '#00ff00',
+            disabledColor: '#666666',
+            errorColor: '#ff4444'
+        };
+
+        // UI state
+        this.container = null;
+        this.view = null;
+        this.messageText = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.eventBus.on('shop:opened', (view) => this.show(view));
+        this.eventBus.on('shop:updated', (view) => {
+            if (this.container) this.render(view);
+        });
+        this.eventBus.on('shop:closed', () => this.hide());
+        this.eventBus.on('shop:error', (data) => this.showMessage(data.error));
+    }
+
+    show(view) {
+        const isNew = !this.container;
+        this.render(view);
+
+        if (!isNew) return;
+
+        // Animate in
+        this.container.setScale(0.8);
+        this.container.setAlpha(0);
+        this.scene.tweens.add({
+            targets: this.container,
+            scale: 1,
+            alpha: 1,
+            duration: 200,
+            ease: 'Back.easeOut'
+        });
+    }
+
+    hide() {
+        if (!this.container) return;
+
+        this.container.destroy();
+        this.container = null;
+        this.messageText = null;
+        this.view = null;
+    }
+
+    render(view) {
+        this.view = view;
+
+        if (this.container) {
+            this.container.removeAll(true);
+        } else {
+            this.container = this.scene.add.container(this.config.x, this.config.y);
+            this.container.setScrollFactor(0);
+            this.container.setDepth(900);
+        }
+
+        const { width, height } = this.config;
+        const top = -height / 2;
+
+        // Background panel
+        const bg = this.scene.add.rectangle(0, 0, width, height, this.config.bgColor);
+        bg.setStrokeStyle(3, this.config.borderColor);
+        bg.setInteractive(); // Keep clicks from reaching the world
+
+        const title = this.scene.add.text(0, top + 25, view.name.toUpperCase(), {
+            fontSize: this.config.titleSize,
+            color: this.config.textColor,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+
+        const balances = Object.entries(view.balances)
+            .map(([currency, amount]) => `${this.getCurrencyName(currency)}: ${amount}`)
+            .join('   ');
+        const summary = this.scene.add.text(0, top + 55, `${balances}   Standing: ${view.standing}`, {
+            fontSize: this.config.textSize,
+            color: this.config.goldColor
+        }).setOrigin(0.5);
+
+        // Close button
+        const closeBtn = this.scene.add.text(width / 2 - 25, top + 20, 'X', {
+            fontSize: '22px',
+            color: this.config.errorColor,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        closeBtn.setInteractive();
+        closeBtn.on('pointerdown', () => this.eventBus.emit('shop:close', { entityId: view.entityId }));
+        closeBtn.on('pointerover', () => closeBtn.setScale(1.2));
+        closeBtn.on('pointerout', () => closeBtn.setScale(1));
+
+        this.container.add([bg, title, summary, closeBtn]);
+
+        // Merchant stock on the left, the customer's goods on the right
+        this.renderColumn('BUY', -width / 2 + 20, view.stock, (entry) => ({
+            label: `${entry.name} (${entry.quantity})`,
+            price: `${entry.price}${this.getCurrencySymbol(entry.currency)}`,
+            enabled: entry.quantity > 0 && entry.price <= (view.balances[entry.currency] || 0),
+            action: () => this.eventBus.emit('shop:buy', {
+                entityId: view.entityId,
+                merchantId: view.merchantId,
+                itemId: entry.itemId
+            })
+        }));
+
+        this.renderColumn('SELL', 20, view.sellable, (item) => ({
+            label: item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name,
+            price: `${item.price}${this.getCurrencySymbol('gold')}`,
+            enabled: item.price > 0,
+            action: () => this.eventBus.emit('shop:sell', {
+                entityId: view.entityId,
+                merchantId: view.merchantId,
+                itemId: item.itemId,
+                instanceId: item.instanceId
+            })
+        }));
+
+        this.messageText = this.scene.add.text(0, height / 2 - 25, '', {
+            fontSize: this.config.textSize,
+            color: this.config.errorColor
+        }).setOrigin(0.5);
+        this.container.add(this.messageText);
+    }
+
+    /**
+     * Draw one list of tradeable rows
+     * @param {string} heading
+     * @param {number} x - Left edge relative to the panel centre
+     * @param {Array} entries
+     * @param {Function} describe - entry -> { label, price, enabled, action }
+     */
+    renderColumn(heading, x, entries, describe) {
+        const columnWidth = this.config.width / 2 - 40;
+        let y = -this.config.height / 2 + 85;
+
+        const headingText = this.scene.add.text(x, y, heading, {
+            fontSize: '18px',
+            color: this.config.goldColor,
+            fontStyle: 'bold'
+        });
+        this.container.add(headingText);
+        y += 30;
+
+        entries.slice(0, this.config.maxRows).forEach(entry => {
+            const { label, price, enabled, action } = describe(entry);
+            const color = enabled ? this.config.textColor : this.config.disabledColor;
+
+            const labelText = this.scene.add.text(x, y, label, {
+                fontSize: this.config.textSize,
+                color
+            });
+            const priceText = this.scene.add.text(x + columnWidth - 60, y, price, {
+                fontSize: this.config.textSize,
+                color: enabled ? this.config.goldColor : this.config.disabledColor
+            }).setOrigin(1, 0);
+            const button = this.scene.add.text(x + columnWidth, y, heading === 'BUY' ? '[Buy]' : '[Sell]', {
+                fontSize: this.config.textSize,
+                color: enabled ? this.config.buttonColor : this.config.disabledColor
+            }).setOrigin(1, 0);
+
+            if (enabled) {
+                button.setInteractive();
+                button.on('pointerdown', action);
+                button.on('pointerover', () => button.setScale(1.1));
+                button.on('pointerout', () => button.setScale(1));
+            }
+
+            this.container.add([labelText, priceText, button]);
+            y += this.config.rowHeight;
+        });
+
+        if (entries.length === 0) {
+            this.container.add(this.scene.add.text(x, y, 'Nothing here', {
+                fontSize: this.config.textSize,
+                color: this.config.disabledColor,
+                fontStyle: 'italic'
+            }));
+        }
+    }
+
+    getCurrencyName(currency) {
+        return this.scene.systems.currencySystem?.config.currencies[currency]?.name || currency;
+    }
+
+    getCurrencySymbol(currency) {
+        const symbol = this.scene.systems.currencySystem?.config.currencies[currency]?.symbol || currency;
+        return symbol.length > 1 ? ` ${symbol}` : symbol;
+    }
+
+    showMessage(text) {
+        if (!this.messageText) {
+            // Errors before the window opened (closed shop, bad standing)
+            this.scene.showFloatingText?.(text, this.getPlayerPosition());
+            return;
+        }
+
+        this.messageText.setText(text);
+        this.scene.time.delayedCall(2000, () => {
+            if (this.messageText?.text === text) this.messageText.setText('');
+        });
+    }
+
+    getPlayerPosition() {
+        const player = this.shopSystem.entityManager.getEntity(this.scene.playerId);
+        const position = player?.getComponent('position');
+        return { x: position?.worldX ?? 0, y: position?.worldY ?? 0 };
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * TournamentUI - Bracket panel and announcements for a tournament run
+ * Leaf-level UI component for the tournament system
+ */
+export default class TournamentUI {
+    constructor(scene, tournamentSystem) {
+        this.scene = scene;
+        this.tournamentSystem = tournamentSystem;
+        this.eventBus = tournamentSystem.eventBus;
+
+        this.config = {
+            x: this.scene.cameras.main.width - 170,
+            y: 140,
+            width: 300,
+            rowHeight: 22,
+            textSize: '14px',
+            bgColor: 0x1a1a1a,
+            borderColor: 0xb22222,
+            textColor: '#ffffff',
+            currentColor: '#ffd700',
+            wonColor: '#00ff00',
+            dimColor: '#888888',
+            announceY: 110
+        };
+
+        // UI state
+        this.container = null;
+        this.bracket = null;
+        this.roundIndex = 0;
+        this.score = '';
+        this.restText = '';
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const forPlayer = (handler) => (data) => {
+            if (data.entityId === this.scene.playerId) handler(data);
+        };
+
+        this.eventBus.on('tournament:registered', forPlayer((data) => {
+            this.bracket = data;
+            this.roundIndex = 0;
+            this.score = 'Get ready...';
+            this.render();
+        }));
+        this.eventBus.on('tournament:round-started', forPlayer((data) => {
+            this.roundIndex = data.roundIndex;
+            this.score = 'Games 0 - 0';
+            this.restText = '';
+            this.render();
+            this.announce(`${data.round}: ${data.opponent}!`);
+        }));
+        this.eventBus.on('tournament:game-result', forPlayer((data) => {
+            this.score = `Games ${data.wins} - ${data.losses} (first to ${data.winsNeeded})`;
+            this.render();
+        }));
+        this.eventBus.on('tournament:rest', forPlayer((data) => {
+            this.restText = `Rest ${Math.round(data.duration / 1000)}s`;
+            this.render();
+        }));
+        this.eventBus.on('tournament:round-won', forPlayer((data) => {
+            this.announce(`${data.round} won!`, this.config.wonColor);
+        }));
+        this.eventBus.on('tournament:ended', forPlayer((data) => {
+            const messages = {
+                champion: `CHAMPION OF THE ${data.name.toUpperCase()}!`,
+                eliminated: `Knocked out in the ${data.round}`,
+                forfeit: 'Forfeited the tournament'
+            };
+            this.announce(messages[data.outcome] || data.outcome,
+                data.outcome === 'champion' ? this.config.currentColor : this.config.dimColor);
+            this.hide();
+        }));
+        this.eventBus.on('tournament:registration-opened', (data) => this.announce(`${data.name} registration is open!`));
+        this.eventBus.on('tournament:error', forPlayer((data) => this.announce(data.error, '#ff4444')));
+    }
+
+    render() {
+        if (!this.bracket) return;
+
+        if (this.container) {
+            this.container.removeAll(true);
+        } else {
+            this.container = this.scene.add.container(this.config.x, this.config.y);
+            this.container.setScrollFactor(0);
+            this.container.setDepth(800);
+        }
+
+        const { width, rowHeight } = this.config;
+        const rows = this.bracket.bracket.length;
+        const height = 60 + rows * rowHeight + 30;
+        const left = -width / 2 + 15;
+
+        const bg = this.scene.add.rectangle(0, height / 2, width, height, this.config.bgColor, 0.9);
+        bg.setStrokeStyle(2, this.config.borderColor);
+
+        const title = this.scene.add.text(0, 12, this.bracket.name.toUpperCase(), {
+            fontSize: '18px',
+            color: this.config.textColor,
+            fontStyle: 'bold'
+        }).setOrigin(0.5, 0);
+
+        this.container.add([bg, title]);
+
+        this.bracket.bracket.forEach((round, index) => {
+            const color = index < this.roundIndex ? this.config.wonColor
+                : index === this.roundIndex ? this.config.currentColor
+                    : this.config.dimColor;
+            const marker = index < this.roundIndex ? '[x]' : index === this.roundIndex ? '>' : '   ';
+
+            this.container.add(this.scene.add.text(left, 45 + index * rowHeight, `${marker} ${round.name}: ${round.opponent}`, {
+                fontSize: this.config.textSize,
+                color
+            }));
+        });
+
+        const status = [this.score, this.restText].filter(Boolean).join(' | ');
+        this.container.add(this.scene.add.text(left, 50 + rows * rowHeight, status, {
+            fontSize: this.config.textSize,
+            color: this.config.textColor,
+            fontStyle: 'italic'
+        }));
+    }
+
+    /**
+     * Flash a tournament message near the top of the screen
+     * @param {string} text
+     * @param {string} color
+     */
+    announce(text, color = this.config.currentColor) {
+        const notice = this.scene.add.text(this.scene.cameras.main.width / 2, this.config.announceY, text, {
+            fontSize: '22px',
+            color,
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(950);
+
+        this.scene.tweens.add({
+            targets: notice,
+            alpha: 0,
+            delay: 2000,
+            duration: 600,
+            onComplete: () => notice.destroy()
+        });
+    }
+
+    hide() {
+        this.bracket = null;
+        if (!this.container) return;
+
+        this.container.destroy();
+        this.container = null;
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
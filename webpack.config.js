@@ -14,6 +14,19 @@ module.exports = {
     hot: true,
     port: 8080,
   },
+  module: {
+    rules: [
+      {
+        // Game data is fetched at runtime by ResourceManager.loadJSON, so emit it as a file
+        test: /\.json$/,
+        include: path.resolve(__dirname, 'src/data'),
+        type: 'asset/resource',
+        generator: {
+          filename: 'data/[name][ext]',
+        },
+      },
+    ],
+  },
   plugins: [
     new HtmlWebpackPlugin({
       template: './index.html',